@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /bin/atv.mjs
+ *	@Date: 2026-10-19 23:58:40 -07:00 (1792479520)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 23:58:40 -07:00 (1792479520)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * atv - Control Android TV devices from the command line.
+ * Usage: atv <command> [arguments] [options]   (see atv --help)
+ */
+
+import runCli from "../src/lib/cli.mjs";
+
+// Ctrl+C aborts the running command, which still disconnects cleanly
+const controller = new AbortController();
+process.once("SIGINT", () => controller.abort());
+
+// Exit explicitly: the ADB client can keep sockets open after the remote disconnects
+process.exit(await runCli(process.argv.slice(2), { signal: controller.signal }));
@@ -23,8 +23,50 @@
 const { createRequire } = require("module");
 const requireESM = createRequire(__filename);
 
-const { default: createRemote } = requireESM("./index.mjs");
+const {
+	default: createRemote,
+	remoteEvents,
+	createRemoteManager,
+	createRemoteServer,
+	createMqttBridge,
+	AndroidTVRemoteError,
+	CommandTimeoutError,
+	CommandAbortedError,
+	UnauthorizedError,
+	ConnectionRefusedError,
+	DeviceNotFoundError,
+	PermissionDeniedError,
+	AdbError,
+	UnknownKeyError,
+	InvalidConfigError,
+	UnsupportedOperationError,
+	CommandFailedError,
+	AppNotFoundError,
+	QueueFullError,
+	CommandDroppedError,
+	toRemoteError
+} = requireESM("./index.mjs");
 
 module.exports = createRemote;
 module.exports.createRemote = createRemote;
 module.exports.default = createRemote;
+module.exports.remoteEvents = remoteEvents;
+module.exports.createRemoteManager = createRemoteManager;
+module.exports.createRemoteServer = createRemoteServer;
+module.exports.createMqttBridge = createMqttBridge;
+module.exports.AndroidTVRemoteError = AndroidTVRemoteError;
+module.exports.CommandTimeoutError = CommandTimeoutError;
+module.exports.CommandAbortedError = CommandAbortedError;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.ConnectionRefusedError = ConnectionRefusedError;
+module.exports.DeviceNotFoundError = DeviceNotFoundError;
+module.exports.PermissionDeniedError = PermissionDeniedError;
+module.exports.AdbError = AdbError;
+module.exports.UnknownKeyError = UnknownKeyError;
+module.exports.InvalidConfigError = InvalidConfigError;
+module.exports.UnsupportedOperationError = UnsupportedOperationError;
+module.exports.CommandFailedError = CommandFailedError;
+module.exports.AppNotFoundError = AppNotFoundError;
+module.exports.QueueFullError = QueueFullError;
+module.exports.CommandDroppedError = CommandDroppedError;
+module.exports.toRemoteError = toRemoteError;
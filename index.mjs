@@ -15,10 +15,31 @@
  * ES Module entry point for @cldmv/node-android-tv-remote
  *
  * This file provides ES Module (import) support for the Android TV Remote Library.
- * It imports and re-exports the main createRemote function and helper classes.
+ * It imports and re-exports the main createRemote function, the RemoteManager and server factories and helpers.
  *
  * @module @cldmv/node-android-tv-remote/esm
  */
 
 export { default } from "./src/lib/android-tv-remote.mjs";
-export { default as createRemote, createAndroidTVRemote } from "./src/lib/android-tv-remote.mjs";
+export { default as createRemote, createAndroidTVRemote, remoteEvents } from "./src/lib/android-tv-remote.mjs";
+export { default as createRemoteManager } from "./src/lib/remote-manager.mjs";
+export { default as createRemoteServer } from "./src/lib/remote-server.mjs";
+export { default as createMqttBridge } from "./src/lib/mqtt-bridge.mjs";
+export {
+	AndroidTVRemoteError,
+	CommandTimeoutError,
+	CommandAbortedError,
+	UnauthorizedError,
+	ConnectionRefusedError,
+	DeviceNotFoundError,
+	PermissionDeniedError,
+	AdbError,
+	UnknownKeyError,
+	InvalidConfigError,
+	UnsupportedOperationError,
+	CommandFailedError,
+	AppNotFoundError,
+	QueueFullError,
+	CommandDroppedError,
+	toRemoteError
+} from "./src/lib/errors.mjs";
@@ -0,0 +1,135 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/abort.mjs
+ *	@Date: 2026-10-19 12:58:03 -07:00 (1792439883)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 12:58:03 -07:00 (1792439883)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Cancellation helpers shared by every public method.
+ *
+ * @module abort
+ *
+ * @description
+ * Public methods accept `{ signal, timeout }`. runWithSignal() turns those into one internal
+ * AbortSignal whose reason is a typed CommandAbortedError or CommandTimeoutError; lower layers
+ * only ever see that signal and use abortable()/delay() to stop adbkit promises, streams and waits.
+ */
+
+import { CommandAbortedError, CommandTimeoutError, toRemoteError } from "./errors.mjs";
+
+/**
+ * Cancellation options accepted by every public method.
+ * @typedef {Object} CallOptions
+ * @property {AbortSignal} [signal] - Aborts the operation when signalled.
+ * @property {number} [timeout] - Maximum time in milliseconds before the operation is aborted with a CommandTimeoutError.
+ */
+
+/**
+ * Runs an operation with an internal signal combining the caller's signal and timeout.
+ * The returned promise rejects as soon as the signal aborts, even if the operation ignores it.
+ * Typed reasons from an outer call (timeout or abort) are passed through unchanged, and any other
+ * failure is converted with toRemoteError() so every public method rejects with a typed error.
+ * @public
+ * @param {string} operation - Operation name used in error messages (e.g. "press.home").
+ * @param {CallOptions} [options={}] - Caller's cancellation options.
+ * @param {function(AbortSignal=): Promise<any>|any} fn - Operation; receives the internal signal (undefined when not cancellable).
+ * @param {Object} [errorOptions={}] - Extra AndroidTVRemoteError options (e.g. host) for the typed errors.
+ * @returns {Promise<any>}
+ */
+export function runWithSignal(operation, options = {}, fn, errorOptions = {}) {
+	const { signal, timeout } = options || {};
+	const hasTimeout = typeof timeout === "number" && timeout > 0 && Number.isFinite(timeout);
+	const classify = (error) => {
+		throw toRemoteError(error, { operation, ...errorOptions });
+	};
+	if (!signal && !hasTimeout) {
+		return Promise.resolve()
+			.then(() => fn(undefined))
+			.catch(classify);
+	}
+
+	const controller = new AbortController();
+	let timer = null;
+	const onAbort = () => {
+		const reason = signal.reason;
+		controller.abort(
+			reason instanceof CommandAbortedError || reason instanceof CommandTimeoutError
+				? reason
+				: new CommandAbortedError(operation, { ...errorOptions, cause: reason })
+		);
+	};
+	if (signal) {
+		if (signal.aborted) onAbort();
+		else signal.addEventListener("abort", onAbort, { once: true });
+	}
+	if (hasTimeout && !controller.signal.aborted) {
+		timer = setTimeout(() => controller.abort(new CommandTimeoutError(operation, timeout, errorOptions)), timeout);
+	}
+
+	const cleanup = () => {
+		if (timer) clearTimeout(timer);
+		if (signal) signal.removeEventListener("abort", onAbort);
+	};
+	// Never start an operation whose signal is already aborted
+	if (controller.signal.aborted) {
+		cleanup();
+		return Promise.reject(controller.signal.reason);
+	}
+
+	return abortable(Promise.resolve().then(() => fn(controller.signal)), controller.signal)
+		.catch(classify)
+		.finally(cleanup);
+}
+
+/**
+ * Races a promise against a signal, cancelling adbkit (Bluebird) promises when the signal aborts.
+ * @public
+ * @param {Promise<any>} promise - Promise to race; `promise.cancel()` is called on abort if present.
+ * @param {AbortSignal} [signal] - Signal to race against.
+ * @returns {Promise<any>}
+ */
+export function abortable(promise, signal) {
+	if (!signal) return promise;
+	const cancel = () => {
+		if (typeof promise.cancel === "function") promise.cancel();
+	};
+	if (signal.aborted) {
+		cancel();
+		// The operation may still settle later; its outcome is no longer observed
+		Promise.resolve(promise).catch(() => {});
+		return Promise.reject(signal.reason);
+	}
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			cancel();
+			reject(signal.reason);
+		};
+		signal.addEventListener("abort", onAbort, { once: true });
+		Promise.resolve(promise)
+			.then(resolve, reject)
+			.finally(() => signal.removeEventListener("abort", onAbort));
+	});
+}
+
+/**
+ * Waits for a number of milliseconds, rejecting early if the signal aborts.
+ * @public
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - Signal that cancels the wait.
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal) {
+	let timer;
+	const wait = new Promise((resolve) => {
+		timer = setTimeout(resolve, ms);
+	});
+	if (!signal) return wait;
+	return abortable(wait, signal).finally(() => clearTimeout(timer));
+}
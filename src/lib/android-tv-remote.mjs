@@ -20,6 +20,7 @@
  * This module provides an event-driven interface for controlling Android TV devices via ADB.
  * All operations emit events instead of console logging, allowing for better integration
  * and programmatic handling of device communication.
+ * Each remote owns its own emitter; every event is also forwarded to the global `remoteEvents` bus.
  * 
  * @example
  * // ESM usage with event handling
@@ -54,7 +55,10 @@
  * @typedef {Object} RemoteConfig
  * @property {string} ip - The IP address of the device.
  * @property {number} [port=5555] - The port for ADB connection.
- * @property {string} [inputDevice="/dev/input/event0"] - The input device path.
+ * @property {string} [inputDevice] - Input device node for sendevent key holds (e.g. "/dev/input/event3"); probed with `getevent -pl` when omitted.
+ * @property {number} [textChunkSize=100] - Maximum characters typed per shell command by keyboard.text().
+ * @property {"auto"|"adbkeyboard"|"off"} [unicodeInput="auto"] - How keyboard.text() types non-ASCII text: through ADBKeyboard when installed ("auto"), always through ADBKeyboard, or never.
+ * @property {number} [holdDuration=1000] - Default duration in ms for press.hold() and press.long.*.
  * @property {boolean} [autoConnect=true] - Whether to auto-connect on command.
  * @property {boolean} [autoDisconnect=false] - Whether to auto-disconnect after inactivity.
  * @property {number} [disconnectTimeout=10] - Inactivity timeout in seconds before disconnecting.
@@ -63,11 +67,24 @@
  * @property {number} [connectionCheckInterval=30000] - Interval in ms for periodic connection checks (default 30s).
  * @property {number} [connectTimeout=10000] - Timeout in ms for ADB connection attempts (default 10s).
  * @property {boolean} [quiet=true] - Suppress log events if true (errors are always emitted).
+ * @property {boolean} [persistentShell=false] - Keep one interactive ADB shell open and write commands into it for low-latency key presses.
+ * @property {number} [persistentShellTimeout=10000] - Timeout in ms for one command in the persistent shell before the session is considered dead.
+ * @property {number} [persistentShellRetryDelay=30000] - Time in ms to use one-shot shells after the persistent shell fails before reopening it.
+ * @property {number} [reconnectDelay=1000] - Delay in ms before the first reconnect attempt after the device vanished.
+ * @property {number} [reconnectMaxDelay=60000] - Upper bound in ms for the delay between reconnect attempts.
+ * @property {number} [reconnectBackoffFactor=2] - Multiplier applied to the reconnect delay after each failed attempt.
+ * @property {number} [reconnectJitter=0.2] - Random spread applied to each reconnect delay as a fraction (0.2 = ±20%).
+ * @property {number} [reconnectMaxRetries=10] - Reconnect attempts before giving up with state "failed" (Infinity retries forever).
+ * @property {number} [queueMaxDepth=100] - Maximum number of pending commands in the per-device command queue (0 for unlimited).
+ * @property {"reject"|"dropOldest"} [queueOverflow="reject"] - Policy when the command queue is full: reject the new command or drop the oldest lowest-priority one.
+ * @property {Object} [client] - Existing adbkit client to share between remotes (created per remote if omitted).
+ * @property {function(string, Object): boolean} [onEvent] - Called with every event name and payload the remote emits; return true if the event was handled.
  */
 
 /**
  * Log event data structure.
  * @typedef {Object} LogEventData
+ * @property {string} host - Device host (ip:port) that emitted the event.
  * @property {string} level - Log level: 'info', 'warn', 'error', 'debug'.
  * @property {string} message - Log message.
  * @property {string} source - Source of the log message (e.g., 'connect', 'disconnect', 'setSettings').
@@ -78,12 +95,26 @@
 /**
  * Error event data structure.
  * @typedef {Object} ErrorEventData
+ * @property {string} host - Device host (ip:port) that emitted the event.
  * @property {Error} error - The error object that was thrown.
  * @property {string} source - Source of the error (e.g., 'connect', 'disconnect', 'adb').
  * @property {string} message - Human-readable error message.
  * @property {string} timestamp - ISO timestamp of when the error occurred.
  */
 
+/**
+ * Device access handed to the feature modules (apps, ...) so they behave like the built-in methods.
+ * @typedef {Object} DeviceContext
+ * @property {string} host - Device host in "ip:port" form.
+ * @property {function(string, Object, function(AbortSignal=): Promise<any>): Promise<any>} run - Runs a public operation:
+ *   applies { signal, timeout }, auto-connects, resets the inactivity timer, and emits/throws typed errors.
+ * @property {function(string, AbortSignal=, Object=): Promise<string>} shell - Runs a shell command through the command queue and resolves with its output.
+ * @property {function(string, string, string=, any=): void} emitLog - Emits a log event (level, message, source, data).
+ * @property {function(Error, string=, string=): void} emitError - Emits an error event.
+ * @property {function(string, Object=): boolean} emitEvent - Emits any event on the remote and the global bus.
+ * @property {function(): boolean} isConnected - True if the remote believes it is connected (no live check).
+ */
+
 /**
  * Android TV Remote instance with event emission capabilities.
  * @typedef {Object} Remote
@@ -91,10 +122,36 @@
  * @property {function(function(Error=, any=)=): Promise<void>|undefined} connect - Connect to the device. Supports both promise and callback styles.
  * @property {function(function(Error=, any=)=): Promise<void>|undefined} disconnect - Disconnect from the device. Supports both promise and callback styles.
  * @property {function(number, function(Error=, any=)=): Promise<void>|undefined} inputKeycode - Send a keycode to the device. Supports both promise and callback styles.
+ * @property {function((number|string), Object=): Promise<string>} keyDown - Press a key without releasing it (sendevent, with long-press fallback).
+ * @property {function((number|string), Object=): Promise<string>} keyUp - Release a key pressed with keyDown().
+ * @property {Object} apps - Installed app management (list, launch, forceStop, clearData, getLaunchableActivity).
+ * @property {Object} audio - Absolute volume and mute control (getVolume, setVolume, isMuted, setMuted).
+ * @property {function(Object=): Promise<Object>} getDeviceInfo - Model, OS, display, memory, storage and derived capabilities.
+ * @property {Object} touch - Touch gestures in pixels or normalized coordinates (tap, swipe, drag, scroll).
+ * @property {Object} ui - UI hierarchy dumps and element queries through uiautomator (dump, find, getFocused, waitFor).
+ * @property {Object} navigate - Focus-aware D-pad navigation to an element (to).
+ * @property {Object} cec - HDMI-CEC control of the TV and AV receiver (powerOnTv, standbyTv, setActiveSource, selectInput, sendVolumeKey, listDevices).
+ * @property {function(Object=): Promise<Object|null>} getForegroundApp - The app and activity in the foreground.
+ * @property {function(Object=): function(): void} watchForegroundApp - Poll the foreground app and emit app-changed events.
+ * @property {function(string, Object=): Promise<Object>} waitForApp - Wait until a package is in the foreground.
+ * @property {function(Object=): Promise<Object>} getMediaState - Playback state and now-playing metadata of the active media session.
+ * @property {function(Object=): function(): void} watchMediaState - Poll the media state and emit media-state-changed events.
+ * @property {function((string|string[]), Object=): Promise<Object>} waitForMediaState - Wait until playback reaches a state.
+ * @property {function(Object=): Promise<Object>} getPowerState - Wakefulness, display state, wake locks, screen-off timeout and stay-on flags.
+ * @property {function(Object=): Promise<Object>} sleep - Put the device to standby and verify it.
+ * @property {function(Object=): Promise<Object>} togglePower - Press power and verify the device switched state.
+ * @property {function(Object=): function(): void} watchPowerState - Poll the power state and emit power-state-changed events.
+ * @property {function(Object=): Promise<Object[]>} getInputDevices - List input device nodes and their keys from `getevent -pl`.
  * @property {function(): Promise<boolean>} reboot - Reboots the device using ADB's native reboot method.
  * @property {function(Object=): Promise<ReadableStream|void>} screencap - Takes a screenshot with optional resizing and file saving.
- * @property {function(number=): Promise<boolean>} waitBootComplete - Waits until device has finished booting (default 60s timeout).
+ * @property {function((number|Object)=): Promise<boolean>} waitBootComplete - Waits until device has finished booting; takes a timeout in ms or { signal, timeout } (default 60s timeout).
  * @property {function(boolean=): Promise<"connected"|"disconnected"|"unknown">} getConnectionStatus - Returns the current connection status; optionally performs a live check.
+ * @property {string} host - Device host in "ip:port" form.
+ * @property {number} queueDepth - Number of commands waiting in the command queue.
+ * @property {string} connectionState - Connection state: "disconnected", "connecting", "connected", "reconnecting" or "failed".
+ * @property {boolean} foregroundAppWatching - True while watchForegroundApp() is polling.
+ * @property {boolean} mediaStateWatching - True while watchMediaState() is polling.
+ * @property {boolean} powerStateWatching - True while watchPowerState() is polling.
  * @property {boolean} isConnected - True if the module believes it is connected (internal state, not a live check).
  * @property {Object} press - Remote control key functions for Android TV remotes.
  * @property {Object} keyboard - Keyboard interface for all keys, with text and keycode fallback.
@@ -114,6 +171,21 @@
  * @fires Remote#screencap-ready - Emitted when final processed stream is ready.
  * @fires Remote#screencap-saved - Emitted when screenshot is saved to file.
  * @fires Remote#screencap-complete - Emitted when entire screenshot operation is complete.
+ * @fires Remote#queue-enqueued - Emitted when a command is added to the command queue.
+ * @fires Remote#queue-start - Emitted when a queued command starts (includes waitTime).
+ * @fires Remote#queue-complete - Emitted when a queued command finishes (includes waitTime, runTime, latency).
+ * @fires Remote#queue-error - Emitted when a queued command fails.
+ * @fires Remote#queue-rejected - Emitted when a command is rejected because the queue is full.
+ * @fires Remote#queue-dropped - Emitted when a pending command is discarded (dropOldest overflow).
+ * @fires Remote#queue-drained - Emitted when the command queue becomes empty.
+ * @fires Remote#shell-command - Emitted after every shell command with its transport ("session" or "oneshot") and latency.
+ * @fires Remote#shell-session - Emitted when the persistent shell session opens or closes.
+ * @fires Remote#state-change - Emitted when the connection state changes (from, to, reason, attempt).
+ * @fires Remote#reconnect-failed - Emitted when the reconnect loop gives up after reconnectMaxRetries attempts.
+ * @fires Remote#app-changed - Emitted by watchForegroundApp() when the foreground app changes (previous, current).
+ * @fires Remote#media-state-changed - Emitted by watchMediaState() when the playing app, playback state or title changes.
+ * @fires Remote#power-state-changed - Emitted by watchPowerState() when the power, wakefulness or display state changes.
+ * @fires Remote#navigate-step - Emitted by navigate.to() before each D-pad press (step, direction, focused, target).
  * 
  * @example
  * // Event handling examples
@@ -131,8 +203,8 @@
  *   console.error(`FATAL ERROR from ${data.source}:`);
  *   console.error(data.error.stack || data.error.message);
  *   
- *   // Handle specific error types
- *   if (data.error.message.includes('device unauthorized')) {
+ *   // Handle specific error types (see ./errors.mjs)
+ *   if (data.error.code === 'ERR_DEVICE_UNAUTHORIZED') {
  *     console.log('Please authorize ADB on your Android TV device');
  *   }
  * });
@@ -143,6 +215,35 @@ import { EventEmitter } from "events";
 import { createWriteStream } from "fs";
 import { pipeline } from "stream/promises";
 import sharp from "sharp";
+import createCommandQueue from "./command-queue.mjs";
+import createShellSession from "./shell-session.mjs";
+import { runWithSignal, abortable, delay } from "./abort.mjs";
+import { createConnectionState, computeBackoffDelay } from "./connection-state.mjs";
+import createInputDevices from "./input-devices.mjs";
+import createTextInput from "./text-input.mjs";
+import createApps from "./apps.mjs";
+import createForegroundApp from "./foreground-app.mjs";
+import createMediaSession from "./media-session.mjs";
+import createAudio from "./audio.mjs";
+import createPower, { parsePowerState } from "./power.mjs";
+import createCec from "./cec.mjs";
+import createDeviceInfo from "./device-info.mjs";
+import createTouch from "./touch.mjs";
+import createKeyCombos, { resolveComboKeys } from "./key-combos.mjs";
+import createUi, { readUiHierarchy } from "./ui.mjs";
+import createNavigate from "./navigate.mjs";
+import {
+	AndroidTVRemoteError,
+	CommandAbortedError,
+	CommandTimeoutError,
+	UnauthorizedError,
+	ConnectionRefusedError,
+	DeviceNotFoundError,
+	PermissionDeniedError,
+	UnknownKeyError,
+	InvalidConfigError,
+	toRemoteError
+} from "./errors.mjs";
 const Adb = adbkit.Adb;
 
 /**
@@ -163,93 +264,17 @@ function wrapAsync(fn) {
 	};
 }
 
-// Create event emitter for this instance
-const emitter = new EventEmitter();
-
-/**
- * Emit a log event with structured data.
- * @private
- * @param {string} level - Log level (info, warn, error, debug).
- * @param {string} message - Log message.
- * @param {string} [source] - Source of the log message.
- * @param {any} [data] - Additional data to include.
- */
-function emitLog(level, message, source = "android-tv-remote", data = null) {
-	emitter.emit("log", {
-		level,
-		message,
-		source,
-		timestamp: new Date().toISOString(),
-		...(data && { data })
-	});
-}
-	
-/**
- * Emit an error event with structured data.
- * @private
- * @param {Error} error - The error object.
- * @param {string} [source] - Source of the error.
- * @param {string} [message] - Additional error message.
- */
-function emitError(error, source = "android-tv-remote", message = null) {
-	// Filter out libspng/PNG processing errors that occur after disconnection
-	// These are common when background operations try to process data after disconnect
-	const errorMsg = error.message || "";
-	if (errorMsg.includes('libspng') || 
-		errorMsg.includes('pngload_buffer') || 
-		errorMsg.includes('read error')) {
-		// Log as debug instead of error to avoid noise
-		emitLog("debug", `PNG processing error (likely post-disconnect): ${errorMsg}`, source);
-		return;
-	}
-	
-	emitter.emit("error", {
-		error,
-		source,
-		message: message || error.message,
-		timestamp: new Date().toISOString()
-	});
-}
-	
 /**
- * Handles disconnect and connection errors, emits helpful messages.
- * Also provides onboarding steps for common authentication and connection issues.
- * @private
- * @param {Error} err - The error object.
+ * Global event bus that receives every event emitted by every Remote instance.
+ * Payloads are identical to the per-instance events and always carry the device `host`,
+ * so a single listener can monitor all devices at once.
+ * @public
+ * @type {EventEmitter}
  * @example
- * try {
- *   // ...code that may throw
- * } catch (err) {
- *   handleDisconnectError(err);
- * }
+ * import { remoteEvents } from "@cldmv/node-android-tv-remote";
+ * remoteEvents.on("log", (data) => console.log(`[${data.host}] ${data.message}`));
  */
-
-function handleDisconnectError(err) {
-	emitError(err, "handleDisconnectError");
-
-	if (err.message && (err.message.includes("device unauthorized") || err.message.includes("failed to authenticate"))) {
-		emitError(err, "handleDisconnectError", "Device unauthorized - authentication required");
-		emitLog("error", "Your device is unauthorized or failed to authenticate. Please check your TV and accept the authorization dialog to allow this system to connect via ADB.", "handleDisconnectError");
-		emitLog("info", "If you do not see a prompt, try disconnecting and reconnecting the device, or reboot your TV.", "handleDisconnectError");
-		emitLog("info", "If the problem persists, remove the device from the list of authorized ADB devices in Developer Options and try again.", "handleDisconnectError");
-		emitLog("info", "Tip: In Developer Options on your TV, try toggling 'ADB Debugging' off and then back on. This often resolves authentication issues.", "handleDisconnectError");
-	}
-		
-	if (err.message && (err.message.includes("actively refused") || err.message.includes("No connection could be made"))) {
-		emitError(err, "handleDisconnectError", "Connection refused - ADB not enabled");
-		emitLog("error", "The device refused the connection. To enable ADB, follow these steps on your Android TV or Fire TV:", "handleDisconnectError");
-		emitLog("info", "1. Open Settings > Device Preferences > About (or My Fire TV > About)", "handleDisconnectError");
-		emitLog("info", "2. Scroll to 'Build' and press OK 7 times to enable Developer Options", "handleDisconnectError");
-		emitLog("info", "3. Go back to Settings > Device Preferences > Developer Options", "handleDisconnectError");
-		emitLog("info", "4. Enable 'Developer Options' if needed, then enable 'ADB Debugging' and 'Apps from Unknown Sources'", "handleDisconnectError");
-		emitLog("info", "5. Ensure your TV and computer are on the same network", "handleDisconnectError");
-		emitLog("info", "6. On your computer, run: adb connect <device-ip>:5555", "handleDisconnectError");
-		emitLog("info", "7. Accept the authorization prompt on your TV", "handleDisconnectError");
-		emitLog("info", "If you do not see 'Developer Options', repeat step 2 until it appears.", "handleDisconnectError");
-	}
-	
-	return err;
-}
+export const remoteEvents = new EventEmitter();
 
 /**
  * Android keycodes mapping loaded from JSON file.
@@ -285,6 +310,32 @@ function getShiftedCharacter(keyName, char) {
 	return shiftMap[char] || char;
 }
 
+/**
+ * Resolves the Android keycode sent for a remote key name from remote-keys.json.
+ * @private
+ * @param {string} key - Remote key name (e.g. "ok", "up", "number5").
+ * @returns {number|undefined} The Android keycode.
+ */
+function getRemoteKeycode(key) {
+	// Special handling for ok/select
+	if (key === "ok" || key === "select") return keycodes.dpadCenter || keycodes.ok;
+	// Map up/down/left/right to dpad keycodes
+	if (key === "up") return keycodes.dpadUp;
+	if (key === "down") return keycodes.dpadDown;
+	if (key === "left") return keycodes.dpadLeft;
+	if (key === "right") return keycodes.dpadRight;
+	// Special handling for play/pause
+	if (key === "play") return keycodes.mediaPlay || keycodes.playPause;
+	if (key === "pause") return keycodes.mediaPause || keycodes.playPause;
+	if (key === "volumeMute" || key === "mute") return keycodes.volumeMute || keycodes.mute;
+	if (key === "input") return keycodes.tvInput;
+	if (key.startsWith("number")) {
+		// e.g. number0
+		return keycodes[key.replace("number", "")];
+	}
+	return keycodes[key];
+}
+
 /**
  * Remote keys mapping loaded from JSON file.
  * @internal
@@ -292,6 +343,13 @@ function getShiftedCharacter(keyName, char) {
  */
 import remoteKeys from "../data/remote-keys.json" with { type: "json" };
 
+/**
+ * Keycodes that are queued in the "high" priority lane so they jump ahead of pending navigation.
+ * @internal
+ * @type {Set<number>}
+ */
+const HIGH_PRIORITY_KEYCODES = new Set([keycodes.power, keycodes.wakeup, keycodes.sleep, keycodes.softSleep, keycodes.tvPower]);
+
 /**
  * Factory function to create a ready-to-use Remote instance.
  * @function
@@ -302,19 +360,141 @@ import remoteKeys from "../data/remote-keys.json" with { type: "json" };
 export default async function createRemote(config) {
 	// Ensure config is an object and has the required 'ip' property
 	if (!config || typeof config !== "object" || !config.ip) {
-		throw new Error("Missing required 'ip' property in RemoteConfig.");
+		throw new InvalidConfigError("Missing required 'ip' property in RemoteConfig.");
 	}
 	const ip = config.ip;
 	const port = config.port || 5555;
-	const inputDevice = config.inputDevice || "/dev/input/event0";
+	const inputDevice = config.inputDevice || null;
+	const holdDuration = typeof config.holdDuration === "number" ? config.holdDuration : 1000;
 	const host = ip + ":" + port;
 	const connectTimeout = typeof config.connectTimeout === "number" ? config.connectTimeout : 10000;
-	const client = Adb.createClient({
+	// Reuse a shared adbkit client when provided (e.g. by RemoteManager)
+	const client = config.client || Adb.createClient({
 		timeout: connectTimeout
 	});
+	const onEvent = typeof config.onEvent === "function" ? config.onEvent : null;
 	const device = client.getDevice(host);
 	let connected = false;
 	let backgroundOperations = new Set();
+
+	// Create event emitter for this instance
+	const emitter = new EventEmitter();
+
+	/**
+	 * Emit an event on this instance and forward it to the global remoteEvents bus.
+	 * Every payload is tagged with the device host so listeners can tell devices apart.
+	 * An "error" handled by the global bus or the onEvent hook does not throw on an instance without error listeners.
+	 * @private
+	 * @param {string} event - Event name.
+	 * @param {Object} [payload] - Event payload.
+	 * @returns {boolean} True if the event had listeners.
+	 */
+	function emitEvent(event, payload = {}) {
+		const data = { host, ...payload };
+		let handledElsewhere = false;
+		if (remoteEvents.listenerCount(event) > 0) {
+			handledElsewhere = remoteEvents.emit(event, data);
+		}
+		if (onEvent && onEvent(event, data) === true) {
+			handledElsewhere = true;
+		}
+		if (event === "error" && handledElsewhere && emitter.listenerCount("error") === 0) {
+			return true;
+		}
+		return emitter.emit(event, data);
+	}
+
+	/**
+	 * Emit a log event with structured data.
+	 * @private
+	 * @param {string} level - Log level (info, warn, error, debug).
+	 * @param {string} message - Log message.
+	 * @param {string} [source] - Source of the log message.
+	 * @param {any} [data] - Additional data to include.
+	 */
+	function emitLog(level, message, source = "android-tv-remote", data = null) {
+		emitEvent("log", {
+			level,
+			message,
+			source,
+			timestamp: new Date().toISOString(),
+			...(data && { data })
+		});
+	}
+
+	/**
+	 * Emit an error event with structured data.
+	 * @private
+	 * @param {Error} error - The error object.
+	 * @param {string} [source] - Source of the error.
+	 * @param {string} [message] - Additional error message.
+	 */
+	function emitError(error, source = "android-tv-remote", message = null) {
+		// Aborts are requested by the caller, so they are not reported as errors
+		if (error instanceof CommandAbortedError) {
+			emitLog("debug", error.message, source);
+			return;
+		}
+
+		// Filter out libspng/PNG processing errors that occur after disconnection
+		// These are common when background operations try to process data after disconnect
+		const errorMsg = error.message || "";
+		if (errorMsg.includes('libspng') || 
+			errorMsg.includes('pngload_buffer') || 
+			errorMsg.includes('read error')) {
+			// Log as debug instead of error to avoid noise
+			emitLog("debug", `PNG processing error (likely post-disconnect): ${errorMsg}`, source);
+			return;
+		}
+
+		emitEvent("error", {
+			error,
+			source,
+			message: message || error.message,
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	/**
+	 * Handles disconnect and connection errors, emits helpful messages.
+	 * Also provides onboarding steps for common authentication and connection issues.
+	 * @private
+	 * @param {Error} err - The error object.
+	 * @param {string} [operation="connect"] - Operation that failed.
+	 * @returns {Error} The typed error (see toRemoteError), for the caller to throw.
+	 * @example
+	 * try {
+	 *   // ...code that may throw
+	 * } catch (err) {
+	 *   throw handleDisconnectError(err, "connect");
+	 * }
+	 */
+	function handleDisconnectError(err, operation = "connect") {
+		const error = toRemoteError(err, { operation, host });
+
+		if (error instanceof UnauthorizedError) {
+			emitError(error, "handleDisconnectError", "Device unauthorized - authentication required");
+			emitLog("error", "Your device is unauthorized or failed to authenticate. Please check your TV and accept the authorization dialog to allow this system to connect via ADB.", "handleDisconnectError");
+			emitLog("info", "If you do not see a prompt, try disconnecting and reconnecting the device, or reboot your TV.", "handleDisconnectError");
+			emitLog("info", "If the problem persists, remove the device from the list of authorized ADB devices in Developer Options and try again.", "handleDisconnectError");
+			emitLog("info", "Tip: In Developer Options on your TV, try toggling 'ADB Debugging' off and then back on. This often resolves authentication issues.", "handleDisconnectError");
+		} else if (error instanceof ConnectionRefusedError) {
+			emitError(error, "handleDisconnectError", "Connection refused - ADB not enabled");
+			emitLog("error", "The device refused the connection. To enable ADB, follow these steps on your Android TV or Fire TV:", "handleDisconnectError");
+			emitLog("info", "1. Open Settings > Device Preferences > About (or My Fire TV > About)", "handleDisconnectError");
+			emitLog("info", "2. Scroll to 'Build' and press OK 7 times to enable Developer Options", "handleDisconnectError");
+			emitLog("info", "3. Go back to Settings > Device Preferences > Developer Options", "handleDisconnectError");
+			emitLog("info", "4. Enable 'Developer Options' if needed, then enable 'ADB Debugging' and 'Apps from Unknown Sources'", "handleDisconnectError");
+			emitLog("info", "5. Ensure your TV and computer are on the same network", "handleDisconnectError");
+			emitLog("info", "6. On your computer, run: adb connect <device-ip>:5555", "handleDisconnectError");
+			emitLog("info", "7. Accept the authorization prompt on your TV", "handleDisconnectError");
+			emitLog("info", "If you do not see 'Developer Options', repeat step 2 until it appears.", "handleDisconnectError");
+		} else {
+			emitError(error, "handleDisconnectError");
+		}
+
+		return error;
+	}
 	
 	/**
 	 * Local emitError function that has access to connection state
@@ -334,7 +514,7 @@ export default async function createRemote(config) {
 			return;
 		}
 		
-		// Use global emitError for other cases
+		// Use instance emitError for other cases
 		emitError(error, source, message);
 	}
 	
@@ -349,6 +529,43 @@ export default async function createRemote(config) {
 	const heartbeatInterval = typeof config.heartbeatInterval === "number" ? config.heartbeatInterval : 20000;
 	let heartbeatTimer = null;
 
+	// Reconnect loop used when the device vanishes while connected
+	const reconnectBackoff = {
+		delay: typeof config.reconnectDelay === "number" ? config.reconnectDelay : 1000,
+		maxDelay: typeof config.reconnectMaxDelay === "number" ? config.reconnectMaxDelay : 60000,
+		factor: typeof config.reconnectBackoffFactor === "number" ? config.reconnectBackoffFactor : 2,
+		jitter: typeof config.reconnectJitter === "number" ? config.reconnectJitter : 0.2
+	};
+	const reconnectMaxRetries = typeof config.reconnectMaxRetries === "number" ? config.reconnectMaxRetries : 10;
+	let reconnectController = null;
+
+	// disconnected → connecting → connected → reconnecting → failed
+	const connectionState = createConnectionState({
+		onChange: (from, to, details) => {
+			connected = to === "connected";
+			emitEvent("state-change", { from, to, ...details, timestamp: new Date().toISOString() });
+		}
+	});
+
+	// Serializes every device command so rapid presses reach the device in order
+	const commandQueue = createCommandQueue({
+		maxDepth: config.queueMaxDepth,
+		overflow: config.queueOverflow,
+		onEvent: emitEvent
+	});
+
+	// Optional long-lived interactive shell that avoids a new ADB transport per command
+	const persistentShell = config.persistentShell === true; // default false
+	const persistentShellRetryDelay = typeof config.persistentShellRetryDelay === "number" ? config.persistentShellRetryDelay : 30000;
+	const shellSession = persistentShell
+		? createShellSession({
+			device,
+			timeout: typeof config.persistentShellTimeout === "number" ? config.persistentShellTimeout : 10000,
+			onEvent: emitEvent
+		})
+		: null;
+	let shellSessionRetryAt = 0;
+
 	/**
 	 * On initialization, check if already connected to the device and set internal state.
 	 * This ensures the internal state is correct if the device is already connected.
@@ -381,7 +598,6 @@ export default async function createRemote(config) {
 			try {
 				const status = await getConnectionStatus(true);
 				if (status === "connected") {
-					connected = true;
 					if (!quiet) emitLog("info", `Already connected to ${host} (on init)`, "initPromise");
 					startHeartbeat();
 					initPromiseResolve(undefined);
@@ -391,7 +607,7 @@ export default async function createRemote(config) {
 					if (connected) {
 						initPromiseResolve(undefined);
 					} else {
-						const error = new Error("Failed to connect to device on initialization.");
+						const error = new AndroidTVRemoteError("Failed to connect to device on initialization.", { code: "ERR_NOT_CONNECTED", host });
 						emitError(error, "initPromise", "Auto-connect failed during initialization");
 						initPromiseReject(error);
 					}
@@ -406,11 +622,15 @@ export default async function createRemote(config) {
 	const initPromise = Promise.race([
 		realInitPromise,
 		new Promise((_, reject) => {
+			// Unref so a pending init timeout never keeps the process alive on its own
 			setTimeout(() => {
-				reject(new Error("ADB initPromise timed out"));
-			}, INIT_TIMEOUT_MS);
+				reject(new CommandTimeoutError("createRemote", INIT_TIMEOUT_MS, { host }));
+			}, INIT_TIMEOUT_MS).unref();
 		})
 	]);
+	// Init failures are reported through the error event and createRemote() still resolves, so a
+	// rejected initPromise nobody awaits must not become an unhandled rejection
+	initPromise.catch(() => {});
 
 	/**
 	 * Resets the disconnect timer if autoDisconnect is enabled.
@@ -421,7 +641,8 @@ export default async function createRemote(config) {
 		if (!autoDisconnect) return;
 		if (disconnectTimer) clearTimeout(disconnectTimer);
 		disconnectTimer = setTimeout(() => {
-			if (connected) disconnect();
+			// Failures are already reported through the error event
+			if (connected) disconnect().catch(() => {});
 		}, disconnectTimeout * 1000);
 	}
 
@@ -443,7 +664,7 @@ export default async function createRemote(config) {
 	}
 
 	/**
-	 * Starts the periodic connection check. If disconnected, attempts to reconnect.
+	 * Starts the periodic connection check. If the device vanished, starts the reconnect loop.
 	 * Ensures persistent, self-healing ADB connection.
 	 * @private
 	 */
@@ -457,8 +678,7 @@ export default async function createRemote(config) {
 				const found = devices.some((d) => d.id === deviceId);
 				if (!found) {
 					emitLog("warn", `Device ${deviceId} not found in adb devices list. Attempting reconnect...`, "connectionCheck");
-					connected = false;
-					await connect();
+					startReconnect("device-lost");
 				}
 			} catch (err) {
 				const error = err instanceof Error ? err : new Error(String(err));
@@ -482,46 +702,129 @@ export default async function createRemote(config) {
 		}
 	}
 
+	/**
+	 * Starts the reconnect loop unless it is already running.
+	 * Retries with exponential backoff and jitter until connected, disconnect() is called,
+	 * or reconnectMaxRetries attempts have failed (state "failed" and a reconnect-failed event).
+	 * @private
+	 * @param {string} reason - Why the connection is being re-established (e.g. "device-lost").
+	 * @fires Remote#state-change
+	 * @fires Remote#reconnect-failed
+	 */
+	function startReconnect(reason) {
+		if (reconnectController) return;
+		stopHeartbeat();
+		if (shellSession) shellSession.close();
+		if (!connectionState.transition("reconnecting", { reason })) return;
+
+		const controller = new AbortController();
+		reconnectController = controller;
+		const { signal } = controller;
+		(async () => {
+			let lastError = null;
+			for (let attempt = 1; attempt <= reconnectMaxRetries; attempt++) {
+				const wait = computeBackoffDelay(attempt, reconnectBackoff);
+				emitLog("info", `Reconnect attempt ${attempt}/${reconnectMaxRetries} in ${wait}ms`, "reconnect", { attempt, delay: wait });
+				await delay(wait, signal);
+				// connect() may have succeeded in the meantime
+				if (connectionState.state !== "reconnecting") return;
+				try {
+					await attemptConnect(signal);
+					if (signal.aborted) return;
+					connectionState.transition("connected", { reason: "reconnected", attempt });
+					emitLog("info", `Reconnected to ${host} after ${attempt} attempt(s)`, "reconnect");
+					startHeartbeat();
+					return;
+				} catch (err) {
+					if (signal.aborted) return;
+					lastError = toRemoteError(err, { operation: "reconnect", host });
+					emitLog("warn", `Reconnect attempt ${attempt} failed: ${lastError.message}`, "reconnect", { attempt });
+				}
+			}
+			connectionState.transition("failed", { reason: "max-retries", attempts: reconnectMaxRetries });
+			emitLog("error", `Giving up on ${host} after ${reconnectMaxRetries} reconnect attempt(s)`, "reconnect");
+			emitEvent("reconnect-failed", { attempts: reconnectMaxRetries, error: lastError, timestamp: new Date().toISOString() });
+		})()
+			.catch(() => {
+				// Aborted by disconnect() or a successful connect()
+			})
+			.finally(() => {
+				if (reconnectController === controller) reconnectController = null;
+			});
+	}
+
+	/**
+	 * Stops a running reconnect loop.
+	 * @private
+	 */
+	function stopReconnect() {
+		if (!reconnectController) return;
+		reconnectController.abort();
+		reconnectController = null;
+	}
+
+	/**
+	 * Opens the ADB connection without touching the connection state.
+	 * Treats "already connected" as success.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the attempt.
+	 * @returns {Promise<void>}
+	 */
+	function attemptConnect(signal) {
+		return abortable(client.connect(ip, port), signal).catch((err) => {
+			if (signal && signal.aborted) throw err;
+			if (err.message && err.message.includes("already connected")) {
+				if (!quiet) emitLog("warn", "Device already connected", "connect");
+				return;
+			}
+			throw err;
+		});
+	}
+
 	/**
 	 * Ensures connection if autoConnect is enabled.
 	 * Used internally before sending commands.
 	 * @internal
+	 * @param {Object} [options={}]
+	 * @param {AbortSignal} [options.signal] - Aborts the connection attempt.
 	 * @returns {Promise<void>}
 	 */
-	function ensureConnected() {
+	function ensureConnected(options = {}) {
 		if (!autoConnect) return Promise.resolve();
 		if (connected) return Promise.resolve();
-		return connect();
+		return connect({ signal: options.signal });
 	}
 
 	/**
 	 * Connects to the ADB device if not already connected.
 	 * Checks the internal connection state before connecting.
+	 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
 	 * @returns {Promise<void>}
 	 * @example
 	 * await remote.connect(); // Only connects if not already connected
+	 * await remote.connect({ timeout: 5000 });
 	 */
-	function connect() {
-		if (connected) {
-			if (!quiet) emitLog("info", `Already connected to ${host}`, "connect");
-			return Promise.resolve();
-		}
-		return client
-			.connect(ip, port)
-			.then(() => {
-				connected = true;
-				if (!quiet) emitLog("info", `Connected to ${host}`, "connect");
-				startHeartbeat();
-			})
-			.catch((err) => {
-				if (err.message && err.message.includes("already connected")) {
-					if (!quiet) emitLog("warn", "Device already connected", "connect");
-					connected = true;
+	function connect(options = {}) {
+		return runWithSignal("connect", options, (signal) => {
+			if (connected) {
+				if (!quiet) emitLog("info", `Already connected to ${host}`, "connect");
+				return;
+			}
+			// A manual connect during the reconnect loop keeps the "reconnecting" state
+			connectionState.transition("connecting", { reason: "connect" });
+			return attemptConnect(signal)
+				.then(() => {
+					stopReconnect();
+					connectionState.transition("connected", { reason: "connect" });
+					if (!quiet) emitLog("info", `Connected to ${host}`, "connect");
 					startHeartbeat();
-					return true;
-				}
-				return handleDisconnectError(err);
-			});
+				})
+				.catch((err) => {
+					if (connectionState.state === "connecting") connectionState.transition("disconnected", { reason: "connect-failed" });
+					if (signal && signal.aborted) throw err;
+					throw handleDisconnectError(err, "connect");
+				});
+		}, { host });
 	}
 	const connectWrapped = wrapAsync(connect);
 
@@ -529,90 +832,360 @@ export default async function createRemote(config) {
 	 * Disconnects from the ADB device and stops heartbeat/connection check.
 	 * Handles already-disconnected state gracefully.
 	 * @internal
+	 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
 	 * @returns {Promise<void>}
 	 */
-	async function disconnect() {
-		if (disconnectTimer) {
-			clearTimeout(disconnectTimer);
-			disconnectTimer = null;
-		}
-		stopHeartbeat();
+	function disconnect(options = {}) {
+		return runWithSignal("disconnect", options, async (signal) => {
+			if (disconnectTimer) {
+				clearTimeout(disconnectTimer);
+				disconnectTimer = null;
+			}
+			stopHeartbeat();
+			stopReconnect();
+			if (shellSession) shellSession.close();
 		
-		// Wait for all background operations to complete before disconnecting
-		if (backgroundOperations.size > 0) {
-			if (!quiet) emitLog("info", `🔄 [DISCONNECT] Waiting for ${backgroundOperations.size} background operations to complete...`, "disconnect");
-			const waitStartTime = performance.now();
-			try {
-				await Promise.allSettled([...backgroundOperations]);
-				const waitEndTime = performance.now();
-				if (!quiet) emitLog("info", `✅ [DISCONNECT] All background operations completed in ${(waitEndTime - waitStartTime).toFixed(2)}ms`, "disconnect");
-			} catch (error) {
-				const waitEndTime = performance.now();
-				emitLog("warn", `⚠️ [DISCONNECT] Some background operations failed after ${(waitEndTime - waitStartTime).toFixed(2)}ms: ${error.message}`, "disconnect");
+			// Wait for all background operations to complete before disconnecting
+			if (backgroundOperations.size > 0) {
+				if (!quiet) emitLog("info", `🔄 [DISCONNECT] Waiting for ${backgroundOperations.size} background operations to complete...`, "disconnect");
+				const waitStartTime = performance.now();
+				try {
+					await abortable(Promise.allSettled([...backgroundOperations]), signal);
+					const waitEndTime = performance.now();
+					if (!quiet) emitLog("info", `✅ [DISCONNECT] All background operations completed in ${(waitEndTime - waitStartTime).toFixed(2)}ms`, "disconnect");
+				} catch (error) {
+					if (signal && signal.aborted) throw error;
+					const waitEndTime = performance.now();
+					emitLog("warn", `⚠️ [DISCONNECT] Some background operations failed after ${(waitEndTime - waitStartTime).toFixed(2)}ms: ${error.message}`, "disconnect");
+				}
+			} else {
+				if (!quiet) emitLog("info", `✅ [DISCONNECT] No background operations to wait for`, "disconnect");
 			}
-		} else {
-			if (!quiet) emitLog("info", `✅ [DISCONNECT] No background operations to wait for`, "disconnect");
-		}
 		
-		try {
-			await client.disconnect(ip, port);
-			connected = false;
-			if (!quiet) emitLog("info", `Disconnected from ${host}`, "disconnect");
-			return true;
-		} catch (err) {
-			if (err.message && err.message.includes("disconnected")) {
-				if (!quiet) emitLog("warn", "Device already disconnected before explicit disconnect call", "disconnect");
-				connected = false;
+			try {
+				await abortable(client.disconnect(ip, port), signal);
+				connectionState.transition("disconnected", { reason: "disconnect" });
+				if (!quiet) emitLog("info", `Disconnected from ${host}`, "disconnect");
 				return true;
+			} catch (err) {
+				if (signal && signal.aborted) throw err;
+				if (err.message && err.message.includes("disconnected")) {
+					if (!quiet) emitLog("warn", "Device already disconnected before explicit disconnect call", "disconnect");
+					connectionState.transition("disconnected", { reason: "disconnect" });
+					return true;
+				}
+				throw handleDisconnectError(err, "disconnect");
 			}
-			return handleDisconnectError(err);
-		}
+		}, { host });
 	}
 	const disconnectWrapped = wrapAsync(disconnect);
 
+	/**
+	 * Executes a shell command, preferring the persistent shell session when enabled.
+	 * Falls back to a one-shot shell when the session cannot be used, and retries the session
+	 * after persistentShellRetryDelay. A command that may already have run in a dying session is not re-sent.
+	 * Aborting destroys the one-shot shell stream, or closes the session if the command is running in it.
+	 * @private
+	 * @param {string} command - The shell command to run.
+	 * @param {AbortSignal} [signal] - Aborts the command.
+	 * @returns {Promise<string>}
+	 */
+	function execShell(command, signal) {
+		const startTime = performance.now();
+		const oneShot = () => {
+			let shellStream = null;
+			const destroyStream = () => shellStream && shellStream.destroy();
+			if (signal) signal.addEventListener("abort", destroyStream, { once: true });
+			return abortable(device.shell(command), signal)
+				.then((stream) => {
+					shellStream = stream;
+					return abortable(Adb.util.readAll(stream), signal);
+				})
+				.then((output) => {
+					emitEvent("shell-command", { command, transport: "oneshot", latency: performance.now() - startTime, timestamp: new Date().toISOString() });
+					return output.toString();
+				})
+				.finally(() => {
+					if (signal) signal.removeEventListener("abort", destroyStream);
+				});
+		};
+
+		if (!shellSession || Date.now() < shellSessionRetryAt) {
+			return oneShot();
+		}
+		const closeSession = () => shellSession.close();
+		if (signal) signal.addEventListener("abort", closeSession, { once: true });
+		return abortable(shellSession.exec(command), signal)
+			.then(
+				(result) => {
+					emitEvent("shell-command", {
+						command,
+						transport: "session",
+						latency: result.latency,
+						exitCode: result.exitCode,
+						timestamp: new Date().toISOString()
+					});
+					return result.output;
+				},
+				(error) => {
+					if (signal && signal.aborted) throw error;
+					shellSessionRetryAt = Date.now() + persistentShellRetryDelay;
+					emitLog("warn", `Persistent shell session failed (${error.message}), using one-shot shells for ${persistentShellRetryDelay}ms`, "shellSession");
+					if (error.commandSent) throw error;
+					return oneShot();
+				}
+			)
+			.finally(() => {
+				if (signal) signal.removeEventListener("abort", closeSession);
+			});
+	}
+
+	/**
+	 * Runs a shell command through the command queue and resolves with its output.
+	 * The queue slot is held until the output stream ends, so commands reach the device in order.
+	 * @internal
+	 * @param {string} command - The shell command to run.
+	 * @param {Object} [options={}]
+	 * @param {"high"|"normal"|"low"} [options.priority="normal"] - Queue priority lane.
+	 * @param {AbortSignal} [options.signal] - Removes the command from the queue or aborts it while running.
+	 * @returns {Promise<string>}
+	 */
+	function shell(command, options = {}) {
+		return commandQueue.enqueue((signal) => execShell(command, signal), {
+			priority: options.priority,
+			label: command,
+			signal: options.signal
+		});
+	}
+
+	/**
+	 * Runs a public device operation: applies { signal, timeout }, auto-connects, resets the
+	 * inactivity timer, and reports failures as typed errors on the error event.
+	 * @private
+	 * @param {string} operation - Operation name (e.g. "apps.launch").
+	 * @param {import('./abort.mjs').CallOptions} [options={}] - Caller's cancellation options.
+	 * @param {function(AbortSignal=): Promise<any>} fn - Operation body.
+	 * @returns {Promise<any>}
+	 */
+	function runDeviceOperation(operation, options, fn) {
+		return runWithSignal(operation, options, async (signal) => {
+			try {
+				await ensureConnected({ signal });
+				resetDisconnectTimer();
+				return await fn(signal);
+			} catch (err) {
+				const error = toRemoteError(err, { operation, host });
+				emitError(error, operation);
+				throw error;
+			}
+		}, { host });
+	}
+
+	/** @type {DeviceContext} */
+	const deviceContext = {
+		host,
+		run: runDeviceOperation,
+		shell: (command, signal, options = {}) => shell(command, { ...options, signal }),
+		emitLog,
+		emitError,
+		emitEvent,
+		isConnected: () => connected
+	};
+
+	const foregroundApp = createForegroundApp(deviceContext);
+	const mediaSession = createMediaSession(deviceContext);
+	const power = createPower(deviceContext);
+	const deviceInfo = createDeviceInfo(deviceContext);
+	const ui = createUi(deviceContext);
+
 	/**
 	 * Sends a keycode to the device, auto-connects/disconnects as needed.
+	 * Power and wake keycodes are queued with high priority unless a priority is given.
 	 * @internal
 	 * @param {number} code - The Android keycode to send.
+	 * @param {Object} [options={}]
+	 * @param {"high"|"normal"|"low"} [options.priority] - Queue priority lane.
+	 * @param {AbortSignal} [options.signal] - Aborts the command.
 	 * @returns {Promise<any>}
 	 */
-	function inputKeycode(code) {
-		return ensureConnected().then(() => {
+	function inputKeycode(code, options = {}) {
+		const priority = options.priority || (HIGH_PRIORITY_KEYCODES.has(code) ? "high" : "normal");
+		return ensureConnected(options).then(() => {
 			resetDisconnectTimer();
-			return device.shell("input keyevent " + code);
+			return shell("input keyevent " + code, { priority, signal: options.signal });
 		});
 	}
-	const inputKeycodeWrapped = wrapAsync(inputKeycode);
+	const inputKeycodeWrapped = wrapAsync(function (code, options = {}) {
+		return runWithSignal("inputKeycode", options, (signal) => inputKeycode(code, { ...options, signal }), { host });
+	});
+
+	// Key down/up/hold through sendevent on the probed input device, with a --longpress fallback
+	const inputDevices = createInputDevices({
+		run: (command, signal) => shell(command, { signal }),
+		inputDevice,
+		onLog: (level, message) => emitLog(level, message, "input-devices"),
+		longPressSupported: (signal) => deviceInfo.capabilities(signal).then((capabilities) => !capabilities || capabilities.longPress)
+	});
+
+	/**
+	 * Resolves a key given as Android keycode, remote key name ("ok", "up") or keycode name ("dpadCenter").
+	 * @private
+	 * @param {number|string} key - Key to resolve.
+	 * @returns {number} The Android keycode.
+	 * @throws {UnknownKeyError} If the key has no keycode.
+	 */
+	function resolveKeycode(key) {
+		if (Number.isInteger(key)) return key;
+		const code = typeof key === "string" ? getRemoteKeycode(key) : undefined;
+		if (code === undefined) throw new UnknownKeyError(String(key), { host });
+		return code;
+	}
+
+	// Modifier chords: input keycombination, then sendevent
+	const keyCombos = createKeyCombos({
+		run: (command, signal) => shell(command, { signal }),
+		inputDevices,
+		capabilities: (signal) => deviceInfo.capabilities(signal),
+		onLog: (level, message) => emitLog(level, message, "keyboard.combo")
+	});
 
 	/**
-	 * Sends a long press keycode to the device, auto-connects/disconnects as needed.
+	 * Presses keys together (modifiers held), auto-connects/disconnects as needed.
 	 * @internal
-	 * @param {number} code - The Android keycode to send as a long press.
-	 * @returns {Promise<any>}
+	 * @param {Array<string|number>} keys - Modifier aliases, keycode names or keycodes, modifiers first.
+	 * @param {Object} [options={}]
+	 * @param {AbortSignal} [options.signal] - Aborts the command.
+	 * @returns {Promise<"keycombination"|"sendevent">} Transport that was used.
+	 */
+	function inputKeyCombination(keys, options = {}) {
+		return ensureConnected(options).then(() => {
+			resetDisconnectTimer();
+			return keyCombos.send(resolveComboKeys(keys, resolveKeycode), options.signal);
+		});
+	}
+
+	/**
+	 * Builds keyboard.key.<modifier>.<key>() functions that press the key with the modifier held.
+	 * @private
+	 * @param {"ctrl"|"alt"|"meta"} modifier - Modifier alias.
+	 * @returns {Object<string, Function>}
+	 */
+	function modifierKeyFunctions(modifier) {
+		const fns = {};
+		Object.keys(keyboardKeys).forEach((keyName) => {
+			if (!keycodes[keyName]) return;
+			/**
+			 * Sends this key with the modifier held (keycombination or sendevent).
+			 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
+			 * @returns {Promise<"keycombination"|"sendevent">}
+			 * @example
+			 * keyboard.key.ctrl.c();
+			 */
+			fns[keyName] = wrapAsync(function (options = {}) {
+				return runWithSignal(`keyboard.key.${modifier}.${keyName}`, options, (signal) => inputKeyCombination([modifier, keyName], { signal }), { host });
+			});
+		});
+		return fns;
+	}
+
+	/**
+	 * Resolves the keycode a press.* function sends. Keys whose right keycode differs per device
+	 * (press.input) are chosen from the device capabilities.
+	 * @private
+	 * @param {string} key - Remote key name.
+	 * @param {AbortSignal} [signal] - Aborts the capability probe.
+	 * @returns {Promise<number>} The Android keycode.
+	 */
+	async function pressKeycode(key, signal) {
+		if (key !== "input") return getRemoteKeycode(key);
+		const capabilities = await deviceInfo.capabilities(signal);
+		if (capabilities && capabilities.inputKeycode === null) {
+			emitLog("warn", "This device has no input switcher; KEYCODE_TV_INPUT will likely be ignored", "press.input");
+		}
+		return (capabilities && capabilities.inputKeycode) || getRemoteKeycode(key);
+	}
+
+	/**
+	 * Holds a key for a duration, auto-connects/disconnects as needed.
+	 * @internal
+	 * @param {number} code - The Android keycode to hold.
+	 * @param {number} duration - Hold duration in milliseconds.
+	 * @param {Object} [options={}]
+	 * @param {AbortSignal} [options.signal] - Aborts the hold (the key is still released).
+	 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
+	 */
+	function inputKeycodeHold(code, duration, options = {}) {
+		return ensureConnected(options).then(() => {
+			resetDisconnectTimer();
+			return inputDevices.hold(code, duration, options.signal);
+		});
+	}
+
+	/**
+	 * Sends a key down or key up event, auto-connects/disconnects as needed.
+	 * @internal
+	 * @param {"down"|"up"} direction - Key transition.
+	 * @param {number} code - The Android keycode.
+	 * @param {Object} [options={}]
+	 * @param {AbortSignal} [options.signal] - Aborts the command.
+	 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
 	 */
-	function inputKeycodeLongPress(code) {
-		const cmd = "sendevent " + inputDevice + " 1 " + code + " 1 && " + "sleep 1 && " + "sendevent " + inputDevice + " 1 " + code + " 0";
-		return ensureConnected().then(() => {
+	function inputKeyTransition(direction, code, options = {}) {
+		return ensureConnected(options).then(() => {
 			resetDisconnectTimer();
-			return device.shell(cmd);
+			return inputDevices[direction](code, options.signal);
 		});
 	}
-	const inputKeycodeLongPressWrapped = wrapAsync(inputKeycodeLongPress);
+
+	// Shell-safe, chunked text typing with an ADBKeyboard path for Unicode
+	const textInput = createTextInput({
+		run: (command, signal) => shell(command, { signal }),
+		chunkSize: config.textChunkSize,
+		unicode: config.unicodeInput,
+		onLog: (level, message) => emitLog(level, message, "keyboard.text")
+	});
 
 	/**
 	 * Sends text input to the device, auto-connects/disconnects as needed.
+	 * Shell metacharacters are typed literally; non-ASCII text goes through ADBKeyboard.
 	 * @internal
 	 * @param {string} text - The text to input.
-	 * @returns {Promise<any>}
+	 * @param {Object} [options={}]
+	 * @param {AbortSignal} [options.signal] - Aborts the remaining chunks.
+	 * @returns {Promise<"input"|"adbkeyboard">} Transport that was used.
 	 */
-	function inputText(text) {
-		const escaped = text.replace(/ /g, "%s");
-		return ensureConnected().then(() => {
+	function inputText(text, options = {}) {
+		return ensureConnected(options).then(() => {
 			resetDisconnectTimer();
-			return device.shell('input text "' + escaped + '"');
+			return textInput.type(text, options.signal);
 		});
 	}
-	const inputTextWrapped = wrapAsync(inputText);
+	const inputTextWrapped = wrapAsync(function (text, options = {}) {
+		return runWithSignal("keyboard.text", options, (signal) => inputText(text, { signal }), { host });
+	});
+
+	/**
+	 * Sends a keyboard key as its text character, or as its keycode when options.forceKeycode is set.
+	 * @internal
+	 * @param {string} keyName - Key name from keyboard-keys.json.
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.forceKeycode=false] - Send the Android keycode instead of the character.
+	 * @param {AbortSignal} [options.signal] - Aborts the command.
+	 * @returns {Promise<any>}
+	 */
+	function sendKeyboardKey(keyName, options = {}) {
+		if (!options.forceKeycode) {
+			// Send as text character
+			return inputText(keyboardKeys[keyName], { signal: options.signal });
+		}
+		// Fallback to keycode if exists
+		if (keycodes[keyName]) {
+			return inputKeycode(keycodes[keyName], { signal: options.signal });
+		}
+		const error = new UnknownKeyError(keyName, { message: `No keycode available for key: ${keyName}`, host });
+		emitError(error, "keyboard.key", `No keycode available for key: ${keyName}`);
+		return Promise.reject(error);
+	}
 
 	/**
 	 * Returns the current connection status as tracked by the module.
@@ -620,25 +1193,39 @@ export default async function createRemote(config) {
 	 * Also updates the internal connected state if a live check is performed.
 	 * @public
 	 * @param {boolean} [liveCheck=false] - If true, checks adb devices for actual connection.
+	 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options for the live check.
 	 * @returns {Promise<"connected"|"disconnected"|"unknown">}
 	 * @example
 	 * await remote.getConnectionStatus();
 	 * await remote.getConnectionStatus(true); // live check
 	 */
-	async function getConnectionStatus(liveCheck = false) {
+	async function getConnectionStatus(liveCheck = false, options = {}) {
 		if (!liveCheck) {
 			return connected ? "connected" : "disconnected";
 		}
-		try {
-			const devices = await client.listDevices();
-			const deviceId = host;
-			const found = devices.some((d) => d.id === deviceId);
-			connected = found; // Keep internal state in sync with live check
-			return found ? "connected" : "disconnected";
-		} catch {
-			connected = false;
-			return "unknown";
-		}
+		return runWithSignal("getConnectionStatus", options, async (signal) => {
+			try {
+				const devices = await abortable(client.listDevices(), signal);
+				const deviceId = host;
+				const found = devices.some((d) => d.id === deviceId);
+				// Keep internal state in sync with live check
+				if (found && connectionState.transition("connected", { reason: "live-check" })) {
+					stopReconnect();
+					startHeartbeat();
+				} else if (!found && connected) {
+					stopHeartbeat();
+					connectionState.transition("disconnected", { reason: "live-check" });
+				}
+				return found ? "connected" : "disconnected";
+			} catch (error) {
+				if (signal && signal.aborted) throw error;
+				if (connected) {
+					stopHeartbeat();
+					connectionState.transition("disconnected", { reason: "live-check" });
+				}
+				return "unknown";
+			}
+		}, { host });
 	}
 
 	/**
@@ -676,7 +1263,7 @@ export default async function createRemote(config) {
 	 */
 	function getPressCommands() {
 		if (!this || !this.press) return [];
-		return Object.keys(this.press).filter((k) => k !== "long" && typeof this.press[k] === "function");
+		return Object.keys(this.press).filter((k) => k !== "long" && k !== "hold" && typeof this.press[k] === "function");
 	}
 
 	/**
@@ -694,6 +1281,13 @@ export default async function createRemote(config) {
 		 * remote.initPromise.then(() => { ... }).catch((err) => { ... });
 		 */
 		initPromise,
+
+		/**
+		 * Device host this remote controls, in "ip:port" form.
+		 * @readonly
+		 * @type {string}
+		 */
+		host,
 		
 		/**
 		 * Add event listener.
@@ -760,27 +1354,265 @@ export default async function createRemote(config) {
 		 * await remote.getConnectionStatus(true); // live check
 		 */
 		getConnectionStatus,
+
 		/**
-		 * Returns a list of all available keyboard key function names on the live API (keyboard.key).
-		 * @returns {string[]}
+		 * Installed app management: list, launch, forceStop, clearData and getLaunchableActivity.
+		 * @public
+		 * @type {Object}
 		 * @example
-		 * remote.getKeyboardKeys();
+		 * await remote.apps.launch("com.netflix.ninja");
 		 */
-		getKeyboardKeys() {
-			return getKeyboardKeys.call(remoteApi);
-		},
+		apps: createApps(deviceContext),
+
 		/**
-		 * Returns a list of all available press command names on the live API (press object), including aliases and dynamic keys.
-		 * @returns {string[]}
+		 * Absolute volume and mute control: getVolume, setVolume, isMuted and setMuted. Changes are read back
+		 * and reject with CommandFailedError when the TV keeps its volume fixed (e.g. HDMI-CEC audio).
+		 * @public
+		 * @type {Object}
 		 * @example
-		 * remote.getPressCommands();
+		 * const { level, max } = await remote.audio.getVolume();
+		 * await remote.audio.setVolume(Math.round(max / 2));
 		 */
-		getPressCommands() {
-			return getPressCommands.call(remoteApi);
-		},
+		audio: createAudio(deviceContext),
+
 		/**
-		 * Returns true if the module believes it is connected to the device.
-		 * @readonly
+		 * HDMI-CEC control of the attached TV and AV receiver: powerOnTv, standbyTv, setActiveSource,
+		 * selectInput, sendVolumeKey and listDevices. Needs Android 12+ with HDMI-CEC enabled.
+		 * @public
+		 * @type {Object}
+		 * @example
+		 * await remote.cec.powerOnTv();
+		 * await remote.cec.sendVolumeKey("up");
+		 */
+		cec: createCec(deviceContext),
+
+		/**
+		 * Returns the device model, manufacturer, Android/SDK and Fire OS version, build fingerprint, display size
+		 * and density, memory, storage and derived capabilities. Probed once and cached; the remote uses the
+		 * capabilities itself to pick the keycode for press.input and the press.long fallback.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {boolean} [options.refresh=false] - Probe the device again.
+		 * @param {AbortSignal} [options.signal] - Aborts the probe.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<import('./device-info.mjs').DeviceInfo>}
+		 * @example
+		 * const { model, androidVersion, display, capabilities } = await remote.getDeviceInfo();
+		 * if (capabilities.cec) await remote.cec.powerOnTv();
+		 */
+		getDeviceInfo: deviceInfo.get,
+
+		/**
+		 * Touch gestures for touch-only apps: tap, swipe, drag and scroll. Points are pixels or normalized
+		 * 0..1 fractions of the screen, scaled with the display size from getDeviceInfo().
+		 * @public
+		 * @type {Object}
+		 * @example
+		 * await remote.touch.tap(0.5, 0.5);
+		 * await remote.touch.swipe({ x: 0.5, y: 0.8 }, { x: 0.5, y: 0.2 }, 250);
+		 * await remote.touch.scroll("down");
+		 */
+		touch: createTouch(deviceContext, { display: (signal) => deviceInfo.read(signal).then((info) => info.display) }),
+
+		/**
+		 * UI hierarchy dumps and element queries through uiautomator: dump, find, getFocused and waitFor.
+		 * @public
+		 * @type {Object}
+		 * @example
+		 * await remote.ui.waitFor({ id: "title", text: /Stranger/ }, 10000);
+		 * const focused = await remote.ui.getFocused();
+		 */
+		ui,
+
+		/**
+		 * Focus-aware D-pad navigation: to(selector) presses up/down/left/right toward the matching
+		 * element until it has focus, emitting "navigate-step" before each press.
+		 * @public
+		 * @type {Object}
+		 * @example
+		 * await remote.navigate.to({ id: "search_orb" }, { select: true });
+		 */
+		navigate: createNavigate(deviceContext, {
+			read: (signal) => readUiHierarchy(deviceContext, signal),
+			press: (key, signal) => inputKeycode(getRemoteKeycode(key), { signal })
+		}),
+
+		/**
+		 * Returns the app and activity currently in the foreground, without taking a screenshot.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<import('./foreground-app.mjs').ForegroundApp|null>} Null if no resumed activity is found.
+		 * @example
+		 * const app = await remote.getForegroundApp();
+		 * if (app && app.packageName === "com.netflix.ninja") { ... }
+		 */
+		getForegroundApp: foregroundApp.get,
+
+		/**
+		 * Starts polling the foreground app and emitting `app-changed` events ({ previous, current, previousPackage, packageName }).
+		 * The first poll reports the current app with previous: null. Polls run at low queue priority and are skipped while disconnected.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.interval=2000] - Poll interval in ms.
+		 * @returns {function(): void} Stops the watcher (same as unwatchForegroundApp()).
+		 * @fires Remote#app-changed
+		 * @example
+		 * remote.on("app-changed", ({ previousPackage, packageName }) => console.log(`${previousPackage} → ${packageName}`));
+		 * const stop = remote.watchForegroundApp({ interval: 1000 });
+		 */
+		watchForegroundApp: foregroundApp.watch,
+
+		/**
+		 * Stops the foreground app watcher.
+		 * @public
+		 */
+		unwatchForegroundApp: foregroundApp.unwatch,
+
+		/**
+		 * Waits until a package is in the foreground (e.g. after apps.launch()).
+		 * @public
+		 * @param {string} packageName - Package to wait for.
+		 * @param {Object} [options={}]
+		 * @param {number} [options.timeout=30000] - Maximum wait in ms; rejects with CommandTimeoutError.
+		 * @param {number} [options.interval=1000] - Poll interval in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the wait.
+		 * @returns {Promise<import('./foreground-app.mjs').ForegroundApp>}
+		 * @example
+		 * await remote.apps.launch("com.netflix.ninja");
+		 * await remote.waitForApp("com.netflix.ninja", { timeout: 20000 });
+		 * await remote.press.ok();
+		 */
+		waitForApp: foregroundApp.waitFor,
+
+		/**
+		 * Returns the playback state and now-playing metadata of the active media session (`dumpsys media_session`).
+		 * While playing, `position` is advanced to the current time. `duration` is null unless the device exposes it.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<import('./media-session.mjs').MediaState>} state is "none" and packageName null when no app has a media session.
+		 * @example
+		 * await remote.press.play();
+		 * const { playing, title, position } = await remote.getMediaState();
+		 */
+		getMediaState: mediaSession.get,
+
+		/**
+		 * Starts polling the media state and emitting `media-state-changed` events ({ previous, current }) when the
+		 * session package, playback state, title or artist changes. Position changes alone do not emit.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.interval=2000] - Poll interval in ms.
+		 * @returns {function(): void} Stops the watcher (same as unwatchMediaState()).
+		 * @fires Remote#media-state-changed
+		 * @example
+		 * remote.on("media-state-changed", ({ current }) => console.log(current.state, current.title));
+		 * remote.watchMediaState();
+		 */
+		watchMediaState: mediaSession.watch,
+
+		/**
+		 * Stops the media state watcher.
+		 * @public
+		 */
+		unwatchMediaState: mediaSession.unwatch,
+
+		/**
+		 * Waits until the media session reaches one of the given playback states.
+		 * @public
+		 * @param {string|string[]} states - State name(s): "playing", "paused", "stopped", "buffering", ...
+		 * @param {Object} [options={}]
+		 * @param {string} [options.packageName] - Only accept a session of this package.
+		 * @param {number} [options.timeout=30000] - Maximum wait in ms; rejects with CommandTimeoutError.
+		 * @param {number} [options.interval=500] - Poll interval in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the wait.
+		 * @returns {Promise<import('./media-session.mjs').MediaState>}
+		 * @example
+		 * await remote.press.play();
+		 * await remote.waitForMediaState("playing", { timeout: 5000 });
+		 */
+		waitForMediaState: mediaSession.waitFor,
+
+		/**
+		 * Returns the power state parsed from `dumpsys power`: wakefulness, display state, wake locks,
+		 * screen-off timeout and stay-on flags.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<import('./power.mjs').PowerState>}
+		 * @example
+		 * const { awake, displayState, wakeLocks } = await remote.getPowerState();
+		 */
+		getPowerState: power.get,
+
+		/**
+		 * Puts the device to standby: sends KEYCODE_SLEEP, then KEYCODE_POWER if the device stays awake,
+		 * and waits until it reports it is no longer awake. Resolves immediately if it is already asleep.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.settle=5000] - Maximum wait per key for the device to fall asleep, in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the operation.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<import('./power.mjs').PowerState>}
+		 * @throws {CommandFailedError} If the device is still awake.
+		 * @example
+		 * await remote.sleep();
+		 */
+		sleep: power.sleep,
+
+		/**
+		 * Presses power and waits until the device switches between awake and standby.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.settle=5000] - Maximum wait for the change, in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the operation.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<import('./power.mjs').PowerState>}
+		 * @throws {CommandFailedError} If the state did not change.
+		 * @example
+		 * const { awake } = await remote.togglePower();
+		 */
+		togglePower: power.togglePower,
+
+		/**
+		 * Starts polling the power state and emitting `power-state-changed` events ({ previous, current }) when
+		 * the power, wakefulness or display state changes.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.interval=5000] - Poll interval in ms.
+		 * @returns {function(): void} Stops the watcher (same as unwatchPowerState()).
+		 * @fires Remote#power-state-changed
+		 * @example
+		 * remote.on("power-state-changed", ({ current }) => console.log(current.awake ? "on" : "standby"));
+		 * remote.watchPowerState({ interval: 3000 });
+		 */
+		watchPowerState: power.watch,
+
+		/**
+		 * Stops the power state watcher.
+		 * @public
+		 */
+		unwatchPowerState: power.unwatch,
+
+		/**
+		 * Returns a list of all available keyboard key function names on the live API (keyboard.key).
+		 * @returns {string[]}
+		 * @example
+		 * remote.getKeyboardKeys();
+		 */
+		getKeyboardKeys() {
+			return getKeyboardKeys.call(remoteApi);
+		},
+		/**
+		 * Returns a list of all available press command names on the live API (press object), including aliases and dynamic keys.
+		 * @returns {string[]}
+		 * @example
+		 * remote.getPressCommands();
+		 */
+		getPressCommands() {
+			return getPressCommands.call(remoteApi);
+		},
+		/**
+		 * Returns true if the module believes it is connected to the device.
+		 * @readonly
 		 * @type {boolean}
 		 * @example
 		 * if (remote.isConnected) { ... }
@@ -788,6 +1620,57 @@ export default async function createRemote(config) {
 		get isConnected() {
 			return isConnected();
 		},
+
+		/**
+		 * Number of commands waiting in the per-device command queue (excluding the running one).
+		 * @readonly
+		 * @type {number}
+		 * @example
+		 * remote.on('queue-complete', (data) => console.log(`${data.label}: ${data.latency}ms, depth ${data.depth}`));
+		 * console.log(remote.queueDepth);
+		 */
+		get queueDepth() {
+			return commandQueue.depth;
+		},
+
+		/**
+		 * Current connection state: "disconnected", "connecting", "connected", "reconnecting" or "failed".
+		 * @readonly
+		 * @type {string}
+		 * @example
+		 * remote.on('state-change', ({ from, to, reason }) => console.log(`${from} → ${to} (${reason})`));
+		 * console.log(remote.connectionState);
+		 */
+		get connectionState() {
+			return connectionState.state;
+		},
+
+		/**
+		 * True while watchForegroundApp() is polling.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get foregroundAppWatching() {
+			return foregroundApp.watching;
+		},
+
+		/**
+		 * True while watchMediaState() is polling.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get mediaStateWatching() {
+			return mediaSession.watching;
+		},
+
+		/**
+		 * True while watchPowerState() is polling.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get powerStateWatching() {
+			return power.watching;
+		},
 		
 		/**
 		 * Returns the last screencap data (PNG stream) captured by screencap() or thumbnail().
@@ -811,195 +1694,191 @@ export default async function createRemote(config) {
 		 * Handles power management, display settings, and system configuration.
 		 * @public
 		 * @param {string} [mode='set'] - 'get' to retrieve settings, 'set' to configure settings
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options ({ signal, timeout })
 		 * @fires Remote#log - Emitted with settings operation results
 		 * @fires Remote#error - Emitted if settings operations fail
 		 * @example
 		 * await remote.setSettings(); // Set all optimal settings
 		 * await remote.setSettings('get'); // Get current settings values
 		 */
-		async setSettings(mode = 'set') {
-			try {
-				emitLog("info", `=== ${mode === 'set' ? 'Configuring' : 'Retrieving'} Android TV settings ===`, "setSettings");
+		async setSettings(mode = 'set', options = {}) {
+			return runWithSignal("setSettings", options, async (signal) => {
+				try {
+					emitLog("info", `=== ${mode === 'set' ? 'Configuring' : 'Retrieving'} Android TV settings ===`, "setSettings");
 				
-				await ensureConnected();
+					await ensureConnected({ signal });
 				
-				// Core settings for power management and display
-				const coreSettings = [
-					{ ns: "system", key: "screen_off_timeout", value: 2147483647 },
-					{ ns: "secure", key: "sleep_timeout", value: 0 },
-					{ ns: "global", key: "stay_on_while_plugged_in", value: 3 }
-				];
+					// Core settings for power management and display
+					const coreSettings = [
+						{ ns: "system", key: "screen_off_timeout", value: 2147483647 },
+						{ ns: "secure", key: "sleep_timeout", value: 0 },
+						{ ns: "global", key: "stay_on_while_plugged_in", value: 3 }
+					];
 				
-				// Process core settings
-				for (const item of coreSettings) {
-					const cmd = mode === "set" 
-						? `settings put ${item.ns} ${item.key} ${item.value}`
-						: `settings get ${item.ns} ${item.key}`;
+					// Process core settings
+					for (const item of coreSettings) {
+						const cmd = mode === "set" 
+							? `settings put ${item.ns} ${item.key} ${item.value}`
+							: `settings get ${item.ns} ${item.key}`;
 					
-					const result = await device.shell(cmd).then(Adb.util.readAll);
+						const result = await shell(cmd, { signal });
 					
-					if (!quiet) {
-						if (mode === "set") {
-							emitLog("info", `Set ${item.ns} ${item.key} to ${item.value}`, "setSettings");
-						} else {
-							emitLog("info", `${item.ns} ${item.key}: ${result.toString().trim()}`, "setSettings");
+						if (!quiet) {
+							if (mode === "set") {
+								emitLog("info", `Set ${item.ns} ${item.key} to ${item.value}`, "setSettings");
+							} else {
+								emitLog("info", `${item.ns} ${item.key}: ${result.toString().trim()}`, "setSettings");
+							}
 						}
 					}
-				}
 				
-				// Additional settings (only applied in set mode)
-				if (mode === 'set') {
-					emitLog("info", "Setting additional display and power settings", "setSettings");
+					// Additional settings (only applied in set mode)
+					if (mode === 'set') {
+						emitLog("info", "Setting additional display and power settings", "setSettings");
 					
-					const additionalSettings = [
-						"settings put system screen_brightness_mode 0",  // Manual brightness
-						"settings put system screen_brightness 255",     // Max brightness
-						"svc power stayon true"                          // Stay on while plugged
-					];
+						const additionalSettings = [
+							"settings put system screen_brightness_mode 0",  // Manual brightness
+							"settings put system screen_brightness 255",     // Max brightness
+							"svc power stayon true"                          // Stay on while plugged
+						];
 					
-					for (const cmd of additionalSettings) {
-						if (!quiet) emitLog("info", `Running: ${cmd}`, "setSettings");
-						await device.shell(cmd);
+						for (const cmd of additionalSettings) {
+							if (!quiet) emitLog("info", `Running: ${cmd}`, "setSettings");
+							await shell(cmd, { signal });
+						}
 					}
-				}
 				
-				emitLog("info", `✅ Android TV settings ${mode === 'set' ? 'configured' : 'retrieved'} successfully`, "setSettings");
+					emitLog("info", `✅ Android TV settings ${mode === 'set' ? 'configured' : 'retrieved'} successfully`, "setSettings");
 				
-			} catch (error) {
-				localEmitError(error, "setSettings", `Failed to ${mode === 'set' ? 'configure' : 'retrieve'} Android TV settings`);
-				throw error;
-			}
+				} catch (err) {
+					const error = toRemoteError(err, { operation: "setSettings", host });
+					localEmitError(error, "setSettings", `Failed to ${mode === 'set' ? 'configure' : 'retrieve'} Android TV settings`);
+					throw error;
+				}
+			}, { host });
 		},
 
 		/**
 		 * Ensures the Android TV device is awake and responsive.
 		 * Performs comprehensive power state checking and correction.
 		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options ({ signal, timeout })
 		 * @returns {Promise<boolean>} Returns true if device is awake and ready
 		 * @fires Remote#log - Emitted with power state and wake-up process information
 		 * @fires Remote#error - Emitted if wake-up process fails
 		 * @example
 		 * await remote.ensureAwake();
 		 */
-		async ensureAwake() {
-			try {
-				emitLog("info", "=== Starting ensureAwake sequence ===", "ensureAwake");
-
-				await ensureConnected();
-
-				// Helper function to parse power state from dumpsys output
-				const parsePowerState = (output) => {
-					const mIsPoweredMatch = output.match(/^\s*mIsPowered=([a-zA-Z0-9]+)/m);
-					const mWakefulnessMatch = output.match(/^\s*mWakefulness=([a-zA-Z0-9]+)/m);
-					const mDisplayReadyMatch = output.match(/^\s*mDisplayReady=([a-zA-Z0-9]+)/m);
-					return {
-						mIsPowered: mIsPoweredMatch ? mIsPoweredMatch[1] : "unknown",
-						mWakefulness: mWakefulnessMatch ? mWakefulnessMatch[1] : "unknown",
-						mDisplayReady: mDisplayReadyMatch ? mDisplayReadyMatch[1] : "unknown"
+		async ensureAwake(options = {}) {
+			return runWithSignal("ensureAwake", options, async (signal) => {
+				try {
+					emitLog("info", "=== Starting ensureAwake sequence ===", "ensureAwake");
+
+					await ensureConnected({ signal });
+
+					// Helper function to get current power state
+					const getCurrentPowerState = async () => {
+						const output = await shell("dumpsys power", { signal });
+						return parsePowerState(output);
+					};
+
+					// Helper function to emit power state
+					const emitPowerState = (parsed, context = "") => {
+						const prefix = context ? `${context} ` : "";
+						emitLog("info", `${prefix}Power State:`, "ensureAwake");
+						emitLog("info", `  powered: ${parsed.powered}`, "ensureAwake");
+						emitLog("info", `  wakefulness: ${parsed.wakefulness}`, "ensureAwake");
+						emitLog("info", `  displayReady: ${parsed.displayReady}`, "ensureAwake");
 					};
-				};
-
-				// Helper function to get current power state
-				const getCurrentPowerState = async () => {
-					const output = await device
-						.shell("dumpsys power")
-						.then(Adb.util.readAll)
-						.then((b) => b.toString());
-					return parsePowerState(output);
-				};
-
-				// Helper function to emit power state
-				const emitPowerState = (parsed, context = "") => {
-					const prefix = context ? `${context} ` : "";
-					emitLog("info", `${prefix}Power State:`, "ensureAwake");
-					emitLog("info", `  mIsPowered: ${parsed.mIsPowered}`, "ensureAwake");
-					emitLog("info", `  mWakefulness: ${parsed.mWakefulness}`, "ensureAwake");
-					emitLog("info", `  mDisplayReady: ${parsed.mDisplayReady}`, "ensureAwake");
-				};
-
-				// Check initial power state
-				const initialPowerState = await getCurrentPowerState();
-				emitPowerState(initialPowerState, "Initial");
-
-				// Determine what commands need to be sent
-				const commandsToSend = [];
+
+					// Check initial power state
+					const initialPowerState = await getCurrentPowerState();
+					emitPowerState(initialPowerState, "Initial");
+
+					// Determine what commands need to be sent
+					const commandsToSend = [];
 				
-				if (initialPowerState.mIsPowered !== "true") {
-					emitLog("info", `Device not powered (${initialPowerState.mIsPowered}), will send POWER keycode`, "ensureAwake");
-					commandsToSend.push({ keycode: keycodes.power, reason: "power on device" });
-				} else {
-					emitLog("info", "✅ Device already powered", "ensureAwake");
-				}
+					if (initialPowerState.powered !== true) {
+						emitLog("info", `Device not powered (${initialPowerState.powered}), will send POWER keycode`, "ensureAwake");
+						commandsToSend.push({ keycode: keycodes.power, reason: "power on device" });
+					} else {
+						emitLog("info", "✅ Device already powered", "ensureAwake");
+					}
 
-				if (initialPowerState.mWakefulness !== "Awake") {
-					emitLog("info", `Device not awake (${initialPowerState.mWakefulness}), will send WAKEUP keycode`, "ensureAwake");
-					commandsToSend.push({ keycode: keycodes.wakeUp, reason: "wake up device" });
-				} else {
-					emitLog("info", "✅ Device already awake", "ensureAwake");
-				}
+					if (!initialPowerState.awake) {
+						emitLog("info", `Device not awake (${initialPowerState.wakefulness}), will send WAKEUP keycode`, "ensureAwake");
+						commandsToSend.push({ keycode: keycodes.wakeup, reason: "wake up device" });
+					} else {
+						emitLog("info", "✅ Device already awake", "ensureAwake");
+					}
 
-				if (initialPowerState.mDisplayReady !== "true") {
-					emitLog("info", `Display not ready (${initialPowerState.mDisplayReady}), will send POWER keycode`, "ensureAwake");
-					commandsToSend.push({ keycode: keycodes.power, reason: "ensure display ready" });
-				} else {
-					emitLog("info", "✅ Display already ready", "ensureAwake");
-				}
+					if (initialPowerState.displayReady !== true) {
+						emitLog("info", `Display not ready (${initialPowerState.displayReady}), will send POWER keycode`, "ensureAwake");
+						commandsToSend.push({ keycode: keycodes.power, reason: "ensure display ready" });
+					} else {
+						emitLog("info", "✅ Display already ready", "ensureAwake");
+					}
 
-				// Send required commands
-				if (commandsToSend.length > 0) {
-					emitLog("info", `Sending ${commandsToSend.length} keycode(s)...`, "ensureAwake");
+					// Send required commands
+					if (commandsToSend.length > 0) {
+						emitLog("info", `Sending ${commandsToSend.length} keycode(s)...`, "ensureAwake");
 					
-					for (const cmd of commandsToSend) {
-						emitLog("info", `Sending keycode ${cmd.keycode} to ${cmd.reason}`, "ensureAwake");
-						await inputKeycode(cmd.keycode);
+						for (const cmd of commandsToSend) {
+							emitLog("info", `Sending keycode ${cmd.keycode} to ${cmd.reason}`, "ensureAwake");
+							await inputKeycode(cmd.keycode, { signal });
 						
-						// Brief delay between commands
-						await new Promise(resolve => setTimeout(resolve, 500));
-					}
+							// Brief delay between commands
+							await delay(500, signal);
+						}
 
-					// Wait for commands to take effect
-					emitLog("info", "Waiting for commands to take effect...", "ensureAwake");
-					await new Promise(resolve => setTimeout(resolve, 3000));
-				}
+						// Wait for commands to take effect
+						emitLog("info", "Waiting for commands to take effect...", "ensureAwake");
+						await delay(3000, signal);
+					}
 
-				// Verify final state
-				const finalPowerState = await getCurrentPowerState();
-				emitPowerState(finalPowerState, "Final");
+					// Verify final state
+					const finalPowerState = await getCurrentPowerState();
+					emitPowerState(finalPowerState, "Final");
 
-				// Check for persistent issues
-				const issues = [];
-				if (finalPowerState.mIsPowered !== "true") {
-					issues.push(`Device still not powered: ${finalPowerState.mIsPowered}`);
-				}
-				if (finalPowerState.mWakefulness !== "Awake") {
-					issues.push(`Device still not awake: ${finalPowerState.mWakefulness}`);
-				}
-				if (finalPowerState.mDisplayReady !== "true") {
-					issues.push(`Display still not ready: ${finalPowerState.mDisplayReady}`);
-				}
-
-				if (issues.length === 0) {
-					emitLog("info", "🎉 ensureAwake completed successfully - device is fully ready", "ensureAwake");
-					return true;
-				} else {
-					// Log warnings for persistent issues
-					for (const issue of issues) {
-						emitLog("warn", issue, "ensureAwake");
+					// Check for persistent issues
+					const issues = [];
+					if (finalPowerState.powered !== true) {
+						issues.push(`Device still not powered: ${finalPowerState.powered}`);
 					}
+					if (!finalPowerState.awake) {
+						issues.push(`Device still not awake: ${finalPowerState.wakefulness}`);
+					}
+					if (finalPowerState.displayReady !== true) {
+						issues.push(`Display still not ready: ${finalPowerState.displayReady}`);
+					}
+
+					if (issues.length === 0) {
+						emitLog("info", "🎉 ensureAwake completed successfully - device is fully ready", "ensureAwake");
+						return true;
+					} else {
+						// Log warnings for persistent issues
+						for (const issue of issues) {
+							emitLog("warn", issue, "ensureAwake");
+						}
 					
-					// Only throw error if critical issues persist
-					emitError(
-						new Error(`ensureAwake failed with ${issues.length} persistent issue(s): ${issues.join(', ')}`), 
-						"ensureAwake", 
-						"Device may not be fully responsive"
-					);
-					return false;
-				}
+						// Only throw error if critical issues persist
+						emitError(
+							new AndroidTVRemoteError(`ensureAwake failed with ${issues.length} persistent issue(s): ${issues.join(', ')}`, {
+								code: "ERR_DEVICE_NOT_AWAKE",
+								host
+							}),
+							"ensureAwake", 
+							"Device may not be fully responsive"
+						);
+						return false;
+					}
 				
-			} catch (error) {
-				emitError(error, "ensureAwake", "Failed to ensure device is awake");
-				throw error;
-			}
+				} catch (err) {
+					const error = toRemoteError(err, { operation: "ensureAwake", host });
+					emitError(error, "ensureAwake", "Failed to ensure device is awake");
+					throw error;
+				}
+			}, { host });
 		},
 
 		/**
@@ -1046,68 +1925,121 @@ export default async function createRemote(config) {
 		 * @type {(code: number, cb?: (err?: Error, result?: any) => any) => Promise<any> | undefined}
 		 */ (inputKeycodeWrapped),
 
+		/**
+		 * Presses a key without releasing it, until keyUp() is called.
+		 * Uses sendevent on the input device that exposes the key. When sendevent cannot be used,
+		 * a long press is sent instead and the matching keyUp() does nothing.
+		 * @public
+		 * @param {number|string} key - Remote key name ("ok"), keycode name ("dpadCenter") or Android keycode.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
+		 * @example
+		 * await remote.keyDown("right");
+		 * await new Promise((resolve) => setTimeout(resolve, 2500));
+		 * await remote.keyUp("right");
+		 */
+		keyDown: wrapAsync(function (key, options = {}) {
+			return runWithSignal("keyDown", options, (signal) => inputKeyTransition("down", resolveKeycode(key), { signal }), { host });
+		}),
+
+		/**
+		 * Releases a key pressed with keyDown().
+		 * @public
+		 * @param {number|string} key - Remote key name, keycode name or Android keycode.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
+		 */
+		keyUp: wrapAsync(function (key, options = {}) {
+			return runWithSignal("keyUp", options, (signal) => inputKeyTransition("up", resolveKeycode(key), { signal }), { host });
+		}),
+
+		/**
+		 * Lists the device's input nodes and the keys they expose, as reported by `getevent -pl`.
+		 * The result is probed once and cached; it decides which node press.hold() and keyDown() write to.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<import('./input-devices.mjs').InputDevice[]>}
+		 * @example
+		 * const devices = await remote.getInputDevices();
+		 * console.log(devices.map((d) => `${d.path} ${d.name}`));
+		 */
+		getInputDevices(options = {}) {
+			return runWithSignal("getInputDevices", options, async (signal) => {
+				await ensureConnected({ signal });
+				return inputDevices.devices(signal);
+			}, { host });
+		},
+
 		/**
 		 * Reboots the Android TV device using ADB's native reboot method.
 		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options ({ signal, timeout })
 		 * @returns {Promise<boolean>} Returns true when reboot command was sent successfully
 		 * @fires Remote#log - Emitted with reboot operation status and warnings
 		 * @fires Remote#error - Emitted if reboot operation fails
 		 * @example
 		 * await remote.reboot(); // Reboots the device
 		 */
-		async reboot() {
-			try {
-				emitLog("info", "=== Starting device reboot ===", "reboot");
+		async reboot(options = {}) {
+			return runWithSignal("reboot", options, async (signal) => {
+				try {
+					emitLog("info", "=== Starting device reboot ===", "reboot");
 				
-				// Ensure we're connected before sending reboot command
-				await ensureConnected();
+					// Ensure we're connected before sending reboot command
+					await ensureConnected({ signal });
 				
-				emitLog("info", "Sending reboot command to device", "reboot");
+					emitLog("info", "Sending reboot command to device", "reboot");
 				
-				// Use the native device.reboot() method with timeout handling
-				let result;
-				try {
-					result = await device.reboot();
-					emitLog("info", `✅ Reboot command completed normally`, "reboot");
-				} catch (timeoutError) {
-					// Socket timeout is expected during reboot - device becomes unresponsive
-					if (timeoutError.message && timeoutError.message.includes("timeout")) {
-						emitLog("info", "✅ Reboot command sent (connection timeout is expected during reboot)", "reboot");
-						result = true; // Treat timeout as success
-					} else {
-						// Re-throw non-timeout errors
-						throw timeoutError;
+					// Use the native device.reboot() method with timeout handling
+					let result;
+					try {
+						result = await abortable(device.reboot(), signal);
+						emitLog("info", `✅ Reboot command completed normally`, "reboot");
+					} catch (rebootError) {
+						if (signal && signal.aborted) throw rebootError;
+						const error = toRemoteError(rebootError, { operation: "reboot", host });
+						// Socket timeout is expected during reboot - device becomes unresponsive
+						if (error instanceof CommandTimeoutError) {
+							emitLog("info", "✅ Reboot command sent (connection timeout is expected during reboot)", "reboot");
+							result = true; // Treat timeout as success
+						} else {
+							// Re-throw non-timeout errors
+							throw error;
+						}
 					}
-				}
-				emitLog("warn", "Device will reboot shortly and connection will be lost", "reboot");
+					emitLog("warn", "Device will reboot shortly and connection will be lost", "reboot");
 				
-				// Wait a moment for command to take effect, then disconnect
-				setTimeout(() => {
-					emitLog("info", "Device should be rebooting now - connection will be terminated", "reboot");
-					// Force disconnect after reboot
-					connected = false;
-					stopHeartbeat();
-				}, 1000);
-
-				emitLog("info", "=== Device reboot initiated ===", "reboot");
-				return result;
-
-			} catch (error) {
-				emitError(error, "reboot", "Failed to reboot device");
+					// Wait a moment for command to take effect, then disconnect
+					setTimeout(() => {
+						emitLog("info", "Device should be rebooting now - connection will be terminated", "reboot");
+						// Force disconnect after reboot
+						stopHeartbeat();
+						connectionState.transition("disconnected", { reason: "reboot" });
+						// An update may have been installed
+						deviceInfo.reset();
+					}, 1000);
+
+					emitLog("info", "=== Device reboot initiated ===", "reboot");
+					return result;
+
+				} catch (err) {
+					const error = toRemoteError(err, { operation: "reboot", host });
+					emitError(error, "reboot", "Failed to reboot device");
 				
-				// Provide helpful error messages for common issues
-				if (error.message && error.message.includes("unauthorized")) {
-					emitLog("error", "Device unauthorized - ensure ADB debugging is enabled and device is authorized", "reboot");
-				} else if (error.message && error.message.includes("device not found")) {
-					emitLog("error", "Device not found - check IP address and ADB connection", "reboot");
-				} else if (error.message && error.message.includes("permission")) {
-					emitLog("error", "Permission denied - reboot may require root access on some devices", "reboot");
-				} else if (error.message && error.message.includes("timeout")) {
-					emitLog("warn", "Reboot command timed out - this may be normal behavior during reboot", "reboot");
-				}
+					// Provide helpful error messages for common issues
+					if (error instanceof UnauthorizedError) {
+						emitLog("error", "Device unauthorized - ensure ADB debugging is enabled and device is authorized", "reboot");
+					} else if (error instanceof DeviceNotFoundError) {
+						emitLog("error", "Device not found - check IP address and ADB connection", "reboot");
+					} else if (error instanceof PermissionDeniedError) {
+						emitLog("error", "Permission denied - reboot may require root access on some devices", "reboot");
+					} else if (error instanceof CommandTimeoutError) {
+						emitLog("warn", "Reboot command timed out - this may be normal behavior during reboot", "reboot");
+					}
 				
-				throw error;
-			}
+					throw error;
+				}
+			}, { host });
 		},
 
 		/**
@@ -1117,6 +2049,8 @@ export default async function createRemote(config) {
 		 * @param {number} [options.width] - Target width for resizing (optional)
 		 * @param {number} [options.height] - Target height for resizing (optional) 
 		 * @param {string} [options.filepath] - File path to save screenshot (optional)
+		 * @param {AbortSignal} [options.signal] - Aborts the capture (optional)
+		 * @param {number} [options.timeout] - Maximum time in ms until the stream is returned or saving starts (optional)
 		 * @returns {Promise<ReadableStream|void>} Returns PNG stream if no filepath, void if saved to file
 		 * @fires Remote#screencap-start - Emitted when screenshot capture begins
 		 * @fires Remote#screencap-captured - Emitted when raw screenshot is captured
@@ -1146,314 +2080,317 @@ export default async function createRemote(config) {
 		 * });
 		 */
 		async screencap(options = {}) {
-			const startTime = performance.now();
-			const { width, height, filepath } = options;
+			return runWithSignal("screencap", options, async (signal) => {
+				const startTime = performance.now();
+				const { width, height, filepath } = options;
 			
-			try {
-				emitLog("info", "=== Taking device screenshot ===", "screencap");
+				try {
+					emitLog("info", "=== Taking device screenshot ===", "screencap");
 				
-				// Emit start event
-				emitter.emit("screencap-start", {
-					timestamp: new Date().toISOString(),
-					options: { width, height, filepath }
-				});
+					// Emit start event
+					emitEvent("screencap-start", {
+						timestamp: new Date().toISOString(),
+						options: { width, height, filepath }
+					});
 				
-				// Ensure we're connected before taking screenshot
-				await ensureConnected();
+					// Ensure we're connected before taking screenshot
+					await ensureConnected({ signal });
 				
-				emitLog("info", "Capturing screenshot using native screencap utility", "screencap");
+					emitLog("info", "Capturing screenshot using native screencap utility", "screencap");
 				
-				// Use the native device.screencap() method which should return PNG
-				const screencapStream = await device.screencap();
-				const captureTime = performance.now();
+					// Use the native device.screencap() method which should return PNG (queued behind pending commands)
+					const screencapStream = await commandQueue.enqueue((queueSignal) => abortable(device.screencap(), queueSignal), { label: "screencap", signal });
+					const captureTime = performance.now();
 				
-				emitLog("info", `✅ Screenshot captured successfully (${(captureTime - startTime).toFixed(2)}ms)`, "screencap");
+					emitLog("info", `✅ Screenshot captured successfully (${(captureTime - startTime).toFixed(2)}ms)`, "screencap");
 				
-				// Emit captured event
-				emitter.emit("screencap-captured", {
-					timestamp: new Date().toISOString(),
-					captureTime: captureTime - startTime
-				});
+					// Emit captured event
+					emitEvent("screencap-captured", {
+						timestamp: new Date().toISOString(),
+						captureTime: captureTime - startTime
+					});
 
-				// Determine if we need Sharp processing (only for resizing)
-				const needsSharpProcessing = width || height;
+					// Determine if we need Sharp processing (only for resizing)
+					const needsSharpProcessing = width || height;
 				
-				// Handle file save without processing (direct PNG stream to file)
-				if (filepath && !needsSharpProcessing) {
-					const backgroundOperation = (async () => {
-						try {
-							const fileOpStartTime = performance.now();
+					// Handle file save without processing (direct PNG stream to file)
+					if (filepath && !needsSharpProcessing) {
+						const backgroundOperation = (async () => {
+							try {
+								const fileOpStartTime = performance.now();
 							
-							emitLog("info", `💾 [BACKGROUND] Starting direct save to: ${filepath}`, "screencap");
+								emitLog("info", `💾 [BACKGROUND] Starting direct save to: ${filepath}`, "screencap");
 							
-							// Direct pipe: ADB PNG stream -> File (no Sharp processing)
-							const directPipeStartTime = performance.now();
-							const writeStream = createWriteStream(filepath);
+								// Direct pipe: ADB PNG stream -> File (no Sharp processing)
+								const directPipeStartTime = performance.now();
+								const writeStream = createWriteStream(filepath);
 							
-							// Store the raw PNG stream for user access
-							lastScreencapData = screencapStream;
+								// Store the raw PNG stream for user access
+								lastScreencapData = screencapStream;
 							
-							emitLog("info", `🔄 [BACKGROUND] Piping stream to file...`, "screencap");
-							screencapStream.pipe(writeStream);
+								emitLog("info", `🔄 [BACKGROUND] Piping stream to file...`, "screencap");
+								screencapStream.pipe(writeStream);
 							
-							emitLog("info", `⏳ [BACKGROUND] Waiting for write stream to finish...`, "screencap");
-							await new Promise((resolve, reject) => {
-								writeStream.on('finish', () => {
-									emitLog("info", `✅ [BACKGROUND] Write stream finished for ${filepath}`, "screencap");
-									resolve();
-								});
-								writeStream.on('error', (err) => {
-									emitLog("error", `❌ [BACKGROUND] Write stream error for ${filepath}: ${err.message}`, "screencap");
-									reject(err);
+								emitLog("info", `⏳ [BACKGROUND] Waiting for write stream to finish...`, "screencap");
+								await new Promise((resolve, reject) => {
+									writeStream.on('finish', () => {
+										emitLog("info", `✅ [BACKGROUND] Write stream finished for ${filepath}`, "screencap");
+										resolve();
+									});
+									writeStream.on('error', (err) => {
+										emitLog("error", `❌ [BACKGROUND] Write stream error for ${filepath}: ${err.message}`, "screencap");
+										reject(err);
+									});
 								});
-							});
 							
-							const directPipeTime = performance.now() - directPipeStartTime;
-							const totalFileOpTime = performance.now() - fileOpStartTime;
-							const totalTime = performance.now() - startTime;
+								const directPipeTime = performance.now() - directPipeStartTime;
+								const totalFileOpTime = performance.now() - fileOpStartTime;
+								const totalTime = performance.now() - startTime;
 							
-							emitLog("info", `✅ Screenshot saved directly to ${filepath}`, "screencap");
-							emitLog("info", `⚡ Direct pipe timing: ${directPipeTime.toFixed(2)}ms (no Sharp processing!)`, "screencap");
+								emitLog("info", `✅ Screenshot saved directly to ${filepath}`, "screencap");
+								emitLog("info", `⚡ Direct pipe timing: ${directPipeTime.toFixed(2)}ms (no Sharp processing!)`, "screencap");
 							
-							// Emit saved event with timing
-							emitter.emit("screencap-saved", {
-								timestamp: new Date().toISOString(),
-								filepath,
-								timing: {
-									adbStream: captureTime - startTime,
-									directPipe: directPipeTime,
-									fileOperation: totalFileOpTime,
-									total: totalTime
-								}
-							});
+								// Emit saved event with timing
+								emitEvent("screencap-saved", {
+									timestamp: new Date().toISOString(),
+									filepath,
+									timing: {
+										adbStream: captureTime - startTime,
+										directPipe: directPipeTime,
+										fileOperation: totalFileOpTime,
+										total: totalTime
+									}
+								});
 							
-							// Emit complete event
-							emitter.emit("screencap-complete", {
-								timestamp: new Date().toISOString(),
-								filepath,
-								processed: false,
-								timing: {
-									adbStream: captureTime - startTime,
-									directPipe: directPipeTime,
-									fileOperation: totalFileOpTime,
-									total: totalTime
-								}
-							});
+								// Emit complete event
+								emitEvent("screencap-complete", {
+									timestamp: new Date().toISOString(),
+									filepath,
+									processed: false,
+									timing: {
+										adbStream: captureTime - startTime,
+										directPipe: directPipeTime,
+										fileOperation: totalFileOpTime,
+										total: totalTime
+									}
+								});
 							
-						} catch (saveError) {
-							emitLog("error", `💥 [BACKGROUND] Direct pipe error: ${saveError.message}`, "screencap");
-							localEmitError(saveError, "screencap", `Failed to save screenshot directly to ${filepath}: ${saveError.message}`);
-						} finally {
-							emitLog("info", `🧹 [BACKGROUND] Cleaning up background operation for ${filepath}`, "screencap");
-							backgroundOperations.delete(backgroundOperation);
-						}
-					})();
+							} catch (saveError) {
+								emitLog("error", `💥 [BACKGROUND] Direct pipe error: ${saveError.message}`, "screencap");
+								localEmitError(saveError, "screencap", `Failed to save screenshot directly to ${filepath}: ${saveError.message}`);
+							} finally {
+								emitLog("info", `🧹 [BACKGROUND] Cleaning up background operation for ${filepath}`, "screencap");
+								backgroundOperations.delete(backgroundOperation);
+							}
+						})();
 					
-					backgroundOperations.add(backgroundOperation);
-					emitLog("info", "Direct PNG pipe started in background", "screencap");
-					return; // Don't return a stream when saving to file
-				}
+						backgroundOperations.add(backgroundOperation);
+						emitLog("info", "Direct PNG pipe started in background", "screencap");
+						return; // Don't return a stream when saving to file
+					}
 				
-				if (!needsSharpProcessing && !filepath) {
-					// Store the raw PNG stream for user access
-					lastScreencapData = screencapStream;
+					if (!needsSharpProcessing && !filepath) {
+						// Store the raw PNG stream for user access
+						lastScreencapData = screencapStream;
 					
-					// Return raw stream if no processing or file save needed
-					emitLog("info", "Raw PNG stream ready (no processing needed)", "screencap");
-					emitter.emit("screencap-ready", {
-						timestamp: new Date().toISOString(),
-						processed: false,
-						totalTime: captureTime - startTime
-					});
-					emitter.emit("screencap-complete", {
+						// Return raw stream if no processing or file save needed
+						emitLog("info", "Raw PNG stream ready (no processing needed)", "screencap");
+						emitEvent("screencap-ready", {
+							timestamp: new Date().toISOString(),
+							processed: false,
+							totalTime: captureTime - startTime
+						});
+						emitEvent("screencap-complete", {
+							timestamp: new Date().toISOString(),
+							totalTime: captureTime - startTime,
+							processed: false
+						});
+						return screencapStream;
+					}
+				
+					// Process the image
+					emitLog("info", "Processing screenshot image...", "screencap");
+					emitEvent("screencap-processing", {
 						timestamp: new Date().toISOString(),
-						totalTime: captureTime - startTime,
-						processed: false
+						width,
+						height,
+						filepath
 					});
-					return screencapStream;
-				}
-				
-				// Process the image
-				emitLog("info", "Processing screenshot image...", "screencap");
-				emitter.emit("screencap-processing", {
-					timestamp: new Date().toISOString(),
-					width,
-					height,
-					filepath
-				});
 				
-				const processStartTime = performance.now();
+					const processStartTime = performance.now();
 				
-				// Create Sharp transform pipeline
-				let sharpTransform = sharp();
+					// Create Sharp transform pipeline
+					let sharpTransform = sharp();
 				
-				// Apply resizing if width or height specified
-				if (width || height) {
-					const resizeOptions = {
-						fit: 'inside', // Maintain aspect ratio
-						withoutEnlargement: true // Don't upscale
-					};
-					if (width) resizeOptions.width = width;
-					if (height) resizeOptions.height = height;
+					// Apply resizing if width or height specified
+					if (width || height) {
+						const resizeOptions = {
+							fit: 'inside', // Maintain aspect ratio
+							withoutEnlargement: true // Don't upscale
+						};
+						if (width) resizeOptions.width = width;
+						if (height) resizeOptions.height = height;
 					
-					sharpTransform = sharpTransform.resize(resizeOptions);
-					emitLog("info", `Resizing to ${width || 'auto'}x${height || 'auto'}`, "screencap");
-				}
+						sharpTransform = sharpTransform.resize(resizeOptions);
+						emitLog("info", `Resizing to ${width || 'auto'}x${height || 'auto'}`, "screencap");
+					}
 				
-				// Ensure PNG format with fastest compression settings
-				sharpTransform = sharpTransform.png({ 
-					compressionLevel: 1, // Fastest compression (0-9, lower = faster)
-					progressive: false   // Disable progressive encoding
-				});
+					// Ensure PNG format with fastest compression settings
+					sharpTransform = sharpTransform.png({ 
+						compressionLevel: 1, // Fastest compression (0-9, lower = faster)
+						progressive: false   // Disable progressive encoding
+					});
 				
-				if (filepath) {
-					// Background process handles saving and updates lastScreencapData when done
-					const backgroundOperation = (async () => {
-						try {
-							const fileOpStartTime = performance.now();
-							const writeStreamStartTime = performance.now();
-							const writeStream = createWriteStream(filepath);
-							const writeStreamTime = performance.now() - writeStreamStartTime;
+					if (filepath) {
+						// Background process handles saving and updates lastScreencapData when done
+						const backgroundOperation = (async () => {
+							try {
+								const fileOpStartTime = performance.now();
+								const writeStreamStartTime = performance.now();
+								const writeStream = createWriteStream(filepath);
+								const writeStreamTime = performance.now() - writeStreamStartTime;
 							
-							// Process and save data, collecting it for lastScreencapData
-							const chunks = [];
-							const processedStream = screencapStream.pipe(sharpTransform);
+								// Process and save data, collecting it for lastScreencapData
+								const chunks = [];
+								const processedStream = screencapStream.pipe(sharpTransform);
 							
-							await new Promise((resolve, reject) => {
-								processedStream.on('data', (chunk) => {
-									chunks.push(chunk);
-									writeStream.write(chunk);
-								});
+								await new Promise((resolve, reject) => {
+									processedStream.on('data', (chunk) => {
+										chunks.push(chunk);
+										writeStream.write(chunk);
+									});
 								
-								processedStream.on('end', () => {
-									writeStream.end();
-									// Save processed data to lastScreencapData when done
-									lastScreencapData = Buffer.concat(chunks);
+									processedStream.on('end', () => {
+										writeStream.end();
+										// Save processed data to lastScreencapData when done
+										lastScreencapData = Buffer.concat(chunks);
 									
-									const totalFileOpTime = performance.now() - fileOpStartTime;
-									const totalTime = performance.now() - startTime;
+										const totalFileOpTime = performance.now() - fileOpStartTime;
+										const totalTime = performance.now() - startTime;
 									
-									emitLog("info", `✅ Screenshot saved to ${filepath}`, "screencap");
-									emitLog("info", `⏱️ File save timing: ${totalFileOpTime.toFixed(2)}ms, Total: ${totalTime.toFixed(2)}ms`, "screencap");
+										emitLog("info", `✅ Screenshot saved to ${filepath}`, "screencap");
+										emitLog("info", `⏱️ File save timing: ${totalFileOpTime.toFixed(2)}ms, Total: ${totalTime.toFixed(2)}ms`, "screencap");
 									
-									emitter.emit("screencap-saved", {
-										timestamp: new Date().toISOString(),
-										filepath,
-										timing: { fileOperation: totalFileOpTime, total: totalTime }
-									});
+										emitEvent("screencap-saved", {
+											timestamp: new Date().toISOString(),
+											filepath,
+											timing: { fileOperation: totalFileOpTime, total: totalTime }
+										});
 									
-									emitter.emit("screencap-complete", {
-										timestamp: new Date().toISOString(),
-										filepath,
-										processed: true,
-										width,
-										height,
-										timing: { fileOperation: totalFileOpTime, total: totalTime }
-									});
+										emitEvent("screencap-complete", {
+											timestamp: new Date().toISOString(),
+											filepath,
+											processed: true,
+											width,
+											height,
+											timing: { fileOperation: totalFileOpTime, total: totalTime }
+										});
 									
-									resolve();
-								});
+										resolve();
+									});
 								
-								processedStream.on('error', (error) => {
-									reject(error);
+									processedStream.on('error', (error) => {
+										reject(error);
+									});
 								});
-							});
 							
-						} catch (saveError) {
-							// Show full error details for debugging
-							emitLog("error", `💥 [BACKGROUND SHARP] File save error: ${saveError.message}`, "screencap");
-							emitLog("error", `💥 [BACKGROUND SHARP] Error stack: ${saveError.stack}`, "screencap");
+							} catch (saveError) {
+								// Show full error details for debugging
+								emitLog("error", `💥 [BACKGROUND SHARP] File save error: ${saveError.message}`, "screencap");
+								emitLog("error", `💥 [BACKGROUND SHARP] Error stack: ${saveError.stack}`, "screencap");
 							
-							// Only suppress specific libspng/PNG processing errors that occur after disconnection
-							if (!connected && saveError.message && (
-								saveError.message.includes('libspng') || 
-								saveError.message.includes('pngload_buffer') ||
-								saveError.message.includes('read error')
-							)) {
-								emitLog("debug", `PNG processing error after disconnection (suppressed): ${filepath}`, "screencap");
-							} else {
-								// Emit all other errors with full details
-								localEmitError(saveError, "screencap", `Failed to save screenshot to ${filepath}: ${saveError.message}`);
+								// Only suppress specific libspng/PNG processing errors that occur after disconnection
+								if (!connected && saveError.message && (
+									saveError.message.includes('libspng') || 
+									saveError.message.includes('pngload_buffer') ||
+									saveError.message.includes('read error')
+								)) {
+									emitLog("debug", `PNG processing error after disconnection (suppressed): ${filepath}`, "screencap");
+								} else {
+									// Emit all other errors with full details
+									localEmitError(saveError, "screencap", `Failed to save screenshot to ${filepath}: ${saveError.message}`);
+								}
+							} finally {
+								// Remove from background operations when complete
+								emitLog("info", `🧹 [BACKGROUND SHARP] Cleaning up background operation for ${filepath}`, "screencap");
+								backgroundOperations.delete(backgroundOperation);
 							}
-						} finally {
-							// Remove from background operations when complete
-							emitLog("info", `🧹 [BACKGROUND SHARP] Cleaning up background operation for ${filepath}`, "screencap");
-							backgroundOperations.delete(backgroundOperation);
-						}
-					})();
-					
-					// Track the background operation
-					backgroundOperations.add(backgroundOperation);					
-					emitLog("info", "Screenshot processing started in background", "screencap");
-					return; // Don't return a stream when saving to file
+						})();
 					
-				} else {
-					// Return processed stream
-					const processedStream = screencapStream.pipe(sharpTransform);
-					const processEndTime = performance.now();
+						// Track the background operation
+						backgroundOperations.add(backgroundOperation);					
+						emitLog("info", "Screenshot processing started in background", "screencap");
+						return; // Don't return a stream when saving to file
 					
-					const streamCaptureTime = captureTime - startTime;
-					const sharpProcessTime = processEndTime - processStartTime;
-					const totalTime = processEndTime - startTime;
+					} else {
+						// Return processed stream
+						const processedStream = screencapStream.pipe(sharpTransform);
+						const processEndTime = performance.now();
 					
-					// Debug timing variables
-					emitLog("debug", `🔍 Timing variables: captureTime=${captureTime}, startTime=${startTime}, processEndTime=${processEndTime}, processStartTime=${processStartTime}`, "screencap");
+						const streamCaptureTime = captureTime - startTime;
+						const sharpProcessTime = processEndTime - processStartTime;
+						const totalTime = processEndTime - startTime;
 					
-					emitLog("info", `PNG stream processed and ready`, "screencap");
-					try {
-						emitLog("info", `⏱️  Timing breakdown: Capture=${streamCaptureTime.toFixed(2)}ms, Sharp=${sharpProcessTime.toFixed(2)}ms, Total=${totalTime.toFixed(2)}ms`, "screencap");
-					} catch (timingError) {
-						emitLog("error", `⚠️  Timing log error in stream processing: ${timingError.message}. Variables: streamCaptureTime=${streamCaptureTime}, sharpProcessTime=${sharpProcessTime}, totalTime=${totalTime}`, "screencap");
-					}
+						// Debug timing variables
+						emitLog("debug", `🔍 Timing variables: captureTime=${captureTime}, startTime=${startTime}, processEndTime=${processEndTime}, processStartTime=${processStartTime}`, "screencap");
 					
-					// Emit ready event
-					emitter.emit("screencap-ready", {
-						timestamp: new Date().toISOString(),
-						processed: true,
-						width,
-						height,
-						timing: {
-							capture: streamCaptureTime,
-							sharpProcess: sharpProcessTime,
-							total: totalTime
+						emitLog("info", `PNG stream processed and ready`, "screencap");
+						try {
+							emitLog("info", `⏱️  Timing breakdown: Capture=${streamCaptureTime.toFixed(2)}ms, Sharp=${sharpProcessTime.toFixed(2)}ms, Total=${totalTime.toFixed(2)}ms`, "screencap");
+						} catch (timingError) {
+							emitLog("error", `⚠️  Timing log error in stream processing: ${timingError.message}. Variables: streamCaptureTime=${streamCaptureTime}, sharpProcessTime=${sharpProcessTime}, totalTime=${totalTime}`, "screencap");
 						}
-					});
 					
-					// Emit complete event
-					emitter.emit("screencap-complete", {
-						timestamp: new Date().toISOString(),
-						processed: true,
-						width,
-						height,
-						timing: {
-							capture: streamCaptureTime,
-							sharpProcess: sharpProcessTime,
-							total: totalTime
-						}
-					});
+						// Emit ready event
+						emitEvent("screencap-ready", {
+							timestamp: new Date().toISOString(),
+							processed: true,
+							width,
+							height,
+							timing: {
+								capture: streamCaptureTime,
+								sharpProcess: sharpProcessTime,
+								total: totalTime
+							}
+						});
 					
-					// Store the processed stream for user access
-					lastScreencapData = processedStream;
+						// Emit complete event
+						emitEvent("screencap-complete", {
+							timestamp: new Date().toISOString(),
+							processed: true,
+							width,
+							height,
+							timing: {
+								capture: streamCaptureTime,
+								sharpProcess: sharpProcessTime,
+								total: totalTime
+							}
+						});
 					
-					return processedStream;
-				}
+						// Store the processed stream for user access
+						lastScreencapData = processedStream;
+					
+						return processedStream;
+					}
 
-			} catch (error) {
-				localEmitError(error, "screencap", "Failed to capture screenshot");
+				} catch (err) {
+					const error = toRemoteError(err, { operation: "screencap", host });
+					localEmitError(error, "screencap", "Failed to capture screenshot");
 				
-				// Provide helpful error messages for common issues
-				if (error.message && error.message.includes("unauthorized")) {
-					emitLog("error", "Device unauthorized - ensure ADB debugging is enabled and device is authorized", "screencap");
-				} else if (error.message && error.message.includes("device not found")) {
-					emitLog("error", "Device not found - check IP address and ADB connection", "screencap");
-				} else if (error.message && error.message.includes("screencap")) {
-					emitLog("warn", "Screencap utility may not be available - automatic fallback to framebuffer attempted", "screencap");
-				} else if (error.message && error.message.includes("ENOENT")) {
-					emitLog("error", `File path error: ${error.message}`, "screencap");
-				}
+					// Provide helpful error messages for common issues
+					if (error instanceof UnauthorizedError) {
+						emitLog("error", "Device unauthorized - ensure ADB debugging is enabled and device is authorized", "screencap");
+					} else if (error instanceof DeviceNotFoundError) {
+						emitLog("error", "Device not found - check IP address and ADB connection", "screencap");
+					} else if (error.code === "ENOENT") {
+						emitLog("error", `File path error: ${error.message}`, "screencap");
+					} else if (error.message && error.message.includes("screencap")) {
+						emitLog("warn", "Screencap utility may not be available - automatic fallback to framebuffer attempted", "screencap");
+					}
 				
-				throw error;
-			}
+					throw error;
+				}
+			}, { host });
 		},
 
 		/**
@@ -1501,51 +2438,60 @@ export default async function createRemote(config) {
 		/**
 		 * Waits until the Android TV device has finished booting.
 		 * @public
-		 * @param {number} [timeout=60000] - Maximum time to wait in milliseconds (default: 60 seconds)
+		 * @param {number|import('./abort.mjs').CallOptions} [options=60000] - Maximum time to wait in milliseconds, or { signal, timeout } (default timeout: 60 seconds)
 		 * @returns {Promise<boolean>} Returns true when device has completed booting
+		 * @throws {CommandTimeoutError} If booting does not complete within the timeout
 		 * @fires Remote#log - Emitted with boot monitoring status
 		 * @fires Remote#error - Emitted if boot monitoring fails
 		 * @example
 		 * await remote.waitBootComplete(); // Wait with default 60 second timeout
 		 * await remote.waitBootComplete(120000); // Wait up to 2 minutes
+		 * await remote.waitBootComplete({ timeout: 120000, signal: controller.signal });
 		 */
-		async waitBootComplete(timeout = 60000) {
-			try {
-				emitLog("info", "=== Waiting for device boot completion ===", "waitBootComplete");
+		async waitBootComplete(options = {}) {
+			// Accept the legacy numeric timeout argument as well as { signal, timeout }
+			const callOptions = typeof options === "number" ? { timeout: options } : { ...options, timeout: options.timeout === undefined ? 60000 : options.timeout };
+			const timeout = callOptions.timeout;
+			return runWithSignal("waitBootComplete", callOptions, async (signal) => {
+				try {
+					emitLog("info", "=== Waiting for device boot completion ===", "waitBootComplete");
 				
-				// Ensure we're connected before monitoring boot status
-				await ensureConnected();
+					// Ensure we're connected before monitoring boot status
+					await ensureConnected({ signal });
 				
-				emitLog("info", `Monitoring boot status (timeout: ${timeout}ms)`, "waitBootComplete");
+					emitLog("info", `Monitoring boot status (timeout: ${timeout}ms)`, "waitBootComplete");
 				
-				// Use the native device.waitBootComplete() method
-				const result = await device.waitBootComplete();
+					// Use the native device.waitBootComplete() method
+					const result = await abortable(device.waitBootComplete(), signal);
 				
-				emitLog("info", "✅ Device boot completed successfully", "waitBootComplete");
-				emitLog("info", "Device is now ready for operations", "waitBootComplete");
+					emitLog("info", "✅ Device boot completed successfully", "waitBootComplete");
+					emitLog("info", "Device is now ready for operations", "waitBootComplete");
 
-				return result;
+					return result;
 
-			} catch (error) {
-				emitError(error, "waitBootComplete", "Failed while waiting for boot completion");
+				} catch (err) {
+					const error = toRemoteError(err, { operation: "waitBootComplete", host });
+					emitError(error, "waitBootComplete", "Failed while waiting for boot completion");
 				
-				// Provide helpful error messages for common issues
-				if (error.message && error.message.includes("unauthorized")) {
-					emitLog("error", "Device unauthorized - ensure ADB debugging is enabled and device is authorized", "waitBootComplete");
-				} else if (error.message && error.message.includes("device not found")) {
-					emitLog("error", "Device not found - check IP address and ADB connection", "waitBootComplete");
-				} else if (error.message && error.message.includes("timeout")) {
-					emitLog("error", `Boot completion timeout after ${timeout}ms - device may still be starting`, "waitBootComplete");
-				} else if (error.message && error.message.includes("connection")) {
-					emitLog("error", "Connection lost while waiting for boot completion", "waitBootComplete");
-				}
+					// Provide helpful error messages for common issues
+					if (error instanceof UnauthorizedError) {
+						emitLog("error", "Device unauthorized - ensure ADB debugging is enabled and device is authorized", "waitBootComplete");
+					} else if (error instanceof DeviceNotFoundError) {
+						emitLog("error", "Device not found - check IP address and ADB connection", "waitBootComplete");
+					} else if (error instanceof CommandTimeoutError) {
+						emitLog("error", `Boot completion timeout after ${timeout}ms - device may still be starting`, "waitBootComplete");
+					} else if (error instanceof ConnectionRefusedError || (error.message && error.message.includes("connection"))) {
+						emitLog("error", "Connection lost while waiting for boot completion", "waitBootComplete");
+					}
 				
-				throw error;
-			}
+					throw error;
+				}
+			}, { host });
 		},
 
 		/**
 		 * All remote key functions support both promise and callback styles.
+		 * Every key function accepts optional { signal, timeout } cancellation options.
 		 * @public
 		 */
 		press: (() => {
@@ -1559,88 +2505,25 @@ export default async function createRemote(config) {
 			remoteKeys.forEach((key) => {
 				/**
 				 * Sends the corresponding keycode for this remote key.
+				 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
 				 * @returns {Promise<any>}
 				 * @example
 				 * press.home();
+				 * press.home({ timeout: 2000 });
 				 */
-				obj[key] = wrapAsync(function () {
-					// Special handling for ok/select
-					if (key === "ok" || key === "select") {
-						return inputKeycode(keycodes.dpadCenter || keycodes.ok);
-					}
-					// Map up/down/left/right to dpad keycodes
-					if (key === "up") {
-						return inputKeycode(keycodes.dpadUp);
-					}
-					if (key === "down") {
-						return inputKeycode(keycodes.dpadDown);
-					}
-					if (key === "left") {
-						return inputKeycode(keycodes.dpadLeft);
-					}
-					if (key === "right") {
-						return inputKeycode(keycodes.dpadRight);
-					}
-					// Special handling for play/pause
-					if (key === "play") {
-						return inputKeycode(keycodes.mediaPlay || keycodes.playPause);
-					}
-					if (key === "pause") {
-						return inputKeycode(keycodes.mediaPause || keycodes.playPause);
-					}
-					if (key === "volumeMute" || key === "mute") {
-						return inputKeycode(keycodes.volumeMute || keycodes.mute);
-					}
-					if (key === "input") {
-						return inputKeycode(keycodes.tvInput);
-					}
-					if (key.startsWith("number")) {
-						// e.g. number0
-						const num = key.replace("number", "");
-						return inputKeycode(keycodes[num]);
-					}
-					return inputKeycode(keycodes[key]);
+				obj[key] = wrapAsync(function (options = {}) {
+					return runWithSignal(`press.${key}`, options, async (signal) => inputKeycode(await pressKeycode(key, signal), { signal }), { host });
 				});
 
 				/**
-				 * Sends the corresponding keycode for this remote key as a long press.
-				 * @returns {Promise<any>}
+				 * Holds this remote key for holdDuration ms (see press.hold).
+				 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
+				 * @returns {Promise<"sendevent"|"longpress">}
 				 * @example
 				 * press.long.home();
 				 */
-				longObj[key] = wrapAsync(function () {
-					if (key === "ok" || key === "select") {
-						return inputKeycodeLongPressWrapped(keycodes.dpadCenter || keycodes.ok);
-					}
-					if (key === "up") {
-						return inputKeycodeLongPressWrapped(keycodes.dpadUp);
-					}
-					if (key === "down") {
-						return inputKeycodeLongPressWrapped(keycodes.dpadDown);
-					}
-					if (key === "left") {
-						return inputKeycodeLongPressWrapped(keycodes.dpadLeft);
-					}
-					if (key === "right") {
-						return inputKeycodeLongPressWrapped(keycodes.dpadRight);
-					}
-					if (key === "play") {
-						return inputKeycodeLongPressWrapped(keycodes.mediaPlay || keycodes.playPause);
-					}
-					if (key === "pause") {
-						return inputKeycodeLongPressWrapped(keycodes.mediaPause || keycodes.playPause);
-					}
-					if (key === "volumeMute" || key === "mute") {
-						return inputKeycodeLongPressWrapped(keycodes.volumeMute || keycodes.mute);
-					}
-					if (key === "input") {
-						return inputKeycodeLongPressWrapped(keycodes.tvInput);
-					}
-					if (key.startsWith("number")) {
-						const num = key.replace("number", "");
-						return inputKeycodeLongPressWrapped(keycodes[num]);
-					}
-					return inputKeycodeLongPressWrapped(keycodes[key]);
+				longObj[key] = wrapAsync(function (options = {}) {
+					return runWithSignal(`press.long.${key}`, options, (signal) => inputKeycodeHold(getRemoteKeycode(key), holdDuration, { signal }), { host });
 				});
 			});
 			// Robust aliasing: always add if dpad keys exist in keycodes
@@ -1655,46 +2538,81 @@ export default async function createRemote(config) {
 			// if (typeof longObj.dpadRight === "function") longObj.right = longObj.dpadRight;
 			// if (typeof longObj.dpadCenter === "function") longObj.ok = longObj.dpadCenter;
 			obj.long = longObj;
+
+			/**
+			 * Holds a key down for a duration, then releases it.
+			 * Uses sendevent on the input device that exposes the key, so the hold is real and its length exact;
+			 * falls back to `input keyevent --longpress` when sendevent cannot be used.
+			 * @param {number|string} key - Remote key name ("ok"), keycode name ("dpadCenter") or Android keycode.
+			 * @param {number} [duration=holdDuration] - Hold duration in milliseconds.
+			 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options; aborting still releases the key.
+			 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
+			 * @example
+			 * await press.hold("right", 3000); // scrub forward for 3 seconds
+			 * await press.hold("ok"); // holdDuration (default 1s)
+			 */
+			obj.hold = wrapAsync(function (key, duration, options = {}) {
+				if (duration && typeof duration === "object") {
+					options = duration;
+					duration = undefined;
+				}
+				const ms = typeof duration === "number" ? duration : holdDuration;
+				return runWithSignal(`press.hold`, options, (signal) => inputKeycodeHold(resolveKeycode(key), ms, { signal }), { host });
+			});
 			return obj;
 		})(),
 
 		/**
 		 * Keyboard interface for all keys, with text and keycode fallback.
+		 * Every function accepts optional { signal, timeout } cancellation options.
 		 * @public
 		 */
 		keyboard: {
 			/**
 			 * Sends text input to the device.
+			 * Any character can be typed: shell metacharacters are escaped, long text is chunked,
+			 * newlines/tabs are sent as ENTER/TAB, and non-ASCII text uses ADBKeyboard when it is installed.
 			 * @public
 			 * @param {string} text - The text to input.
-			 * @returns {Promise<any>}
+			 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
+			 * @returns {Promise<"input"|"adbkeyboard">} Transport that was used.
+			 * @throws {UnsupportedOperationError} If the text is not ASCII and ADBKeyboard is not available.
 			 * @example
 			 * keyboard.text('hello');
+			 * keyboard.text('Tom & Jerry: "$5"');
+			 * keyboard.text('Amélie 🎬'); // requires ADBKeyboard
 			 */
 			text: inputTextWrapped,
 
+			/**
+			 * Presses keys together, with modifiers held while the last key is pressed.
+			 * Uses `input keycombination` on Android 13+ and sendevent on older devices.
+			 * @public
+			 * @param {Array<string|number>} keys - Modifiers first: "ctrl", "alt", "shift", "meta" (left keys), keycode names
+			 *  ("ctrlRight", "c", "tab", "dpadUp") or Android keycodes.
+			 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
+			 * @returns {Promise<"keycombination"|"sendevent">} Transport that was used.
+			 * @throws {UnsupportedOperationError} If the device supports neither transport (code ERR_KEY_COMBINATION_UNSUPPORTED).
+			 * @example
+			 * keyboard.combo(["ctrlLeft", "c"]);
+			 * keyboard.combo(["alt", "tab"]);
+			 * keyboard.combo(["ctrl", "shift", "z"]);
+			 */
+			combo: wrapAsync(function (keys, options = {}) {
+				return runWithSignal("keyboard.combo", options, (signal) => inputKeyCombination(keys, { signal }), { host });
+			}),
+
 			/**
 			 * Key subobject: callable and contains all key functions.
 			 */
 			key: Object.assign(
-				wrapAsync(function (keyName, options) {
-					options = options || {};
+				wrapAsync(function (keyName, options = {}) {
 					if (!keyboardKeys[keyName]) {
-						const error = new Error("Unknown keyboard key: " + keyName);
+						const error = new UnknownKeyError(keyName, { message: `Unknown keyboard key: ${keyName}`, host });
 						emitError(error, "keyboard.key", `Unknown keyboard key: ${keyName}`);
 						return Promise.reject(error);
 					}
-					if (!options.forceKeycode) {
-						// Send as text character
-						return inputText(keyboardKeys[keyName]);
-					}
-					// Fallback to keycode if exists
-					if (keycodes[keyName]) {
-						return inputKeycode(keycodes[keyName]);
-					}
-					const error = new Error("No keycode available for key: " + keyName);
-					emitError(error, "keyboard.key", `No keycode available for key: ${keyName}`);
-					return Promise.reject(error);
+					return runWithSignal("keyboard.key", options, (signal) => sendKeyboardKey(keyName, { ...options, signal }), { host });
 				}),
 				{
 					// Dynamically add all keyboard key functions and .keycode subobject
@@ -1703,31 +2621,24 @@ export default async function createRemote(config) {
 						Object.keys(keyboardKeys).forEach((keyName) => {
 							/**
 							 * Sends this key using inputText or keycode fallback.
+							 * @param {Object} [options] - { forceKeycode, signal, timeout }.
 							 * @returns {Promise<any>}
 							 * @example
 							 * keyboard.key.a();
 							 */
-							keyFns[keyName] = wrapAsync(function (options) {
-								options = options || {};
-								if (!options.forceKeycode) {
-									return inputText(keyboardKeys[keyName]);
-								}
-								if (keycodes[keyName]) {
-									return inputKeycode(keycodes[keyName]);
-								}
-								const error = new Error("No keycode available for key: " + keyName);
-								emitError(error, "keyboard.key", `No keycode available for key: ${keyName}`);
-								return Promise.reject(error);
+							keyFns[keyName] = wrapAsync(function (options = {}) {
+								return runWithSignal(`keyboard.key.${keyName}`, options, (signal) => sendKeyboardKey(keyName, { ...options, signal }), { host });
 							});
 							/**
 							 * Sends this key using keycode only.
+							 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
 							 * @returns {Promise<any>}
 							 * @example
 							 * keyboard.key.a.keycode();
 							 */
 							if (keycodes[keyName]) {
-								keyFns[keyName].keycode = wrapAsync(function () {
-									return inputKeycode(keycodes[keyName]);
+								keyFns[keyName].keycode = wrapAsync(function (options = {}) {
+									return runWithSignal(`keyboard.key.${keyName}.keycode`, options, (signal) => inputKeycode(keycodes[keyName], { signal }), { host });
 								});
 							}
 						});
@@ -1747,20 +2658,47 @@ export default async function createRemote(config) {
 							if (shiftedChar !== char) {
 								/**
 								 * Sends this key with shift using inputText (shifted character).
-								 * Note: No keycode method available for shift variants since Android
-								 * ADB doesn't support sending multiple keycodes simultaneously.
+								 * Use .keycode() to press the key with shift actually held.
+								 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
 								 * @returns {Promise<any>}
 								 * @example
 								 * keyboard.key.shift.a(); // Sends "A"
 								 */
-								shiftFns[keyName] = wrapAsync(function () {
+								shiftFns[keyName] = wrapAsync(function (options = {}) {
 									// Send shifted character as text
-									return inputText(shiftedChar);
+									return runWithSignal(`keyboard.key.shift.${keyName}`, options, (signal) => inputText(shiftedChar, { signal }), { host });
 								});
+								if (keycodes[keyName]) {
+									/**
+									 * Sends this key's keycode with shift held (keycombination or sendevent).
+									 * @param {import('./abort.mjs').CallOptions} [options] - Cancellation options.
+									 * @returns {Promise<"keycombination"|"sendevent">}
+									 * @example
+									 * keyboard.key.shift.a.keycode(); // Shift+A
+									 */
+									shiftFns[keyName].keycode = wrapAsync(function (options = {}) {
+										return runWithSignal(`keyboard.key.shift.${keyName}.keycode`, options, (signal) => inputKeyCombination(["shift", keyName], { signal }), { host });
+									});
+								}
 							}
 						});
 						return shiftFns;
-					})()
+					})(),
+
+					/**
+					 * Ctrl subobject: every key with a keycode, pressed with Ctrl held.
+					 */
+					ctrl: modifierKeyFunctions("ctrl"),
+
+					/**
+					 * Alt subobject: every key with a keycode, pressed with Alt held.
+					 */
+					alt: modifierKeyFunctions("alt"),
+
+					/**
+					 * Meta subobject: every key with a keycode, pressed with Meta (Windows/Command/Search) held.
+					 */
+					meta: modifierKeyFunctions("meta")
 				}
 			)
 		}
@@ -0,0 +1,226 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/apps.mjs
+ *	@Date: 2026-10-19 17:21:09 -07:00 (1792455669)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 17:21:09 -07:00 (1792455669)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Apps module - List, launch, stop and reset installed packages.
+ *
+ * @module apps
+ *
+ * @description
+ * Backs `remote.apps`. Launching without an explicit activity resolves the app's leanback launcher
+ * activity (the one the TV home screen opens), then its regular launcher activity, and starts it with
+ * `am start -n`. Apps that expose neither are started through `monkey` with the same categories.
+ * Package and activity names are validated before they reach the device shell.
+ *
+ * @example
+ * const apps = createApps(deviceContext);
+ * const packages = await apps.list({ thirdParty: true });
+ * await apps.launch("com.netflix.ninja");
+ * await apps.forceStop("com.netflix.ninja");
+ */
+
+import { AppNotFoundError, CommandFailedError } from "./errors.mjs";
+
+/**
+ * Launcher intent categories tried in order when no activity is given.
+ * @private
+ */
+const LAUNCHER_CATEGORIES = ["android.intent.category.LEANBACK_LAUNCHER", "android.intent.category.LAUNCHER"];
+
+/**
+ * Throws unless the value is a valid Android package name.
+ * @private
+ * @param {string} packageName - Package name to check.
+ * @throws {TypeError}
+ */
+function assertPackageName(packageName) {
+	if (typeof packageName !== "string" || !/^[A-Za-z][\w]*(\.[A-Za-z_][\w]*)*$/.test(packageName)) {
+		throw new TypeError(`Invalid package name: ${packageName}`);
+	}
+}
+
+/**
+ * Parses `pm list packages` output into sorted package names.
+ * @public
+ * @param {string} output - Raw command output.
+ * @returns {string[]}
+ */
+export function parsePackageList(output) {
+	return String(output)
+		.split(/\r?\n/)
+		.map((line) => line.trim())
+		.filter((line) => line.startsWith("package:"))
+		.map((line) => line.slice("package:".length))
+		.sort();
+}
+
+/**
+ * Creates the `remote.apps` namespace.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Apps API.
+ */
+export default function createApps(context) {
+	const { run, shell, emitLog } = context;
+
+	/**
+	 * Resolves the launcher activity of a package, leanback first.
+	 * @private
+	 * @param {string} packageName - Validated package name.
+	 * @param {AbortSignal} [signal] - Aborts the lookup.
+	 * @returns {Promise<string|null>}
+	 */
+	async function resolveLaunchableActivity(packageName, signal) {
+		for (const category of LAUNCHER_CATEGORIES) {
+			const output = await shell(`cmd package resolve-activity --brief -c ${category} ${packageName}`, signal);
+			// The component is printed on the last line; "No activity found" otherwise
+			const component = String(output).trim().split(/\r?\n/).pop().trim();
+			if (component.startsWith(`${packageName}/`)) return component;
+		}
+		return null;
+	}
+
+	const apps = {
+		/**
+		 * Lists installed packages.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {boolean} [options.system=false] - Only system packages.
+		 * @param {boolean} [options.thirdParty=false] - Only third-party (user-installed) packages.
+		 * @param {AbortSignal} [options.signal] - Aborts the call.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<string[]>} Sorted package names.
+		 * @example
+		 * const packages = await remote.apps.list({ thirdParty: true });
+		 */
+		list(options = {}) {
+			return run("apps.list", options, async (signal) => {
+				// Both or neither filter means every package
+				const flag = options.system && !options.thirdParty ? " -s" : options.thirdParty && !options.system ? " -3" : "";
+				const packages = parsePackageList(await shell(`pm list packages${flag}`, signal));
+				emitLog("info", `Found ${packages.length} installed package(s)`, "apps.list");
+				return packages;
+			});
+		},
+
+		/**
+		 * Returns the activity the launcher would open for a package.
+		 * Prefers the leanback (TV) launcher activity over the regular launcher activity.
+		 * @public
+		 * @param {string} packageName - Package name.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<string|null>} Component name ("package/activity"), or null if the app has no launcher activity.
+		 * @example
+		 * await remote.apps.getLaunchableActivity("com.netflix.ninja"); // "com.netflix.ninja/.MainActivity"
+		 */
+		getLaunchableActivity(packageName, options = {}) {
+			return run("apps.getLaunchableActivity", options, async (signal) => {
+				assertPackageName(packageName);
+				return resolveLaunchableActivity(packageName, signal);
+			});
+		},
+
+		/**
+		 * Launches an app.
+		 * @public
+		 * @param {string} packageName - Package name.
+		 * @param {Object} [options={}]
+		 * @param {string} [options.activity] - Activity to start (".MainActivity" or fully qualified); resolved from the launcher intent when omitted.
+		 * @param {AbortSignal} [options.signal] - Aborts the call.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<string>} The started component, or the package name when started through monkey.
+		 * @throws {AppNotFoundError} If the package, or the given activity, is not installed.
+		 * @throws {CommandFailedError} If the device refuses to start the app.
+		 * @example
+		 * await remote.apps.launch("com.netflix.ninja");
+		 * await remote.apps.launch("com.google.android.youtube.tv", { activity: "com.google.android.apps.youtube.tv.activity.ShellActivity" });
+		 */
+		launch(packageName, options = {}) {
+			return run("apps.launch", options, async (signal) => {
+				assertPackageName(packageName);
+				if (options.activity !== undefined && !/^[\w.$]+$/.test(options.activity)) {
+					throw new TypeError(`Invalid activity name: ${options.activity}`);
+				}
+				emitLog("info", `Launching ${packageName}`, "apps.launch");
+
+				const component = options.activity
+					? `${packageName}/${options.activity}`
+					: await resolveLaunchableActivity(packageName, signal);
+				if (component) {
+					const output = await shell(`am start -n ${component}`, signal);
+					// A missing package or activity; "Warning: Activity not started" alone means it was already running
+					if (/does not exist|Activity not started, unable to resolve/.test(output)) {
+						throw new AppNotFoundError(packageName, { host: context.host });
+					}
+					if (/^(Error|.*Exception)/m.test(output)) {
+						throw new CommandFailedError(`Failed to start ${component}: ${String(output).trim()}`, { output, host: context.host });
+					}
+					emitLog("info", `✅ Started ${component}`, "apps.launch");
+					return component;
+				}
+
+				// No resolvable launcher activity (old Android or unusual app): let monkey pick one
+				if (!parsePackageList(await shell(`pm list packages ${packageName}`, signal)).includes(packageName)) {
+					throw new AppNotFoundError(packageName, { host: context.host });
+				}
+				for (const category of LAUNCHER_CATEGORIES) {
+					const output = await shell(`monkey -p ${packageName} -c ${category} 1`, signal);
+					if (!/No activities found|monkey aborted/i.test(output)) {
+						emitLog("info", `✅ Started ${packageName} via monkey`, "apps.launch");
+						return packageName;
+					}
+				}
+				throw new CommandFailedError(`${packageName} has no launchable activity`, { host: context.host });
+			});
+		},
+
+		/**
+		 * Force-stops an app and all of its background processes.
+		 * @public
+		 * @param {string} packageName - Package name.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<void>}
+		 * @example
+		 * await remote.apps.forceStop("com.netflix.ninja");
+		 */
+		forceStop(packageName, options = {}) {
+			return run("apps.forceStop", options, async (signal) => {
+				assertPackageName(packageName);
+				await shell(`am force-stop ${packageName}`, signal);
+				emitLog("info", `Force-stopped ${packageName}`, "apps.forceStop");
+			});
+		},
+
+		/**
+		 * Deletes all data of an app (like "Clear storage" in settings). The app is stopped as well.
+		 * @public
+		 * @param {string} packageName - Package name.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<void>}
+		 * @throws {CommandFailedError} If the device does not report success.
+		 * @example
+		 * await remote.apps.clearData("com.example.app");
+		 */
+		clearData(packageName, options = {}) {
+			return run("apps.clearData", options, async (signal) => {
+				assertPackageName(packageName);
+				const output = String(await shell(`pm clear ${packageName}`, signal)).trim();
+				if (!/^Success/m.test(output)) {
+					throw new CommandFailedError(`Failed to clear data of ${packageName}: ${output}`, { output, host: context.host });
+				}
+				emitLog("info", `Cleared data of ${packageName}`, "apps.clearData");
+			});
+		}
+	};
+	return apps;
+}
@@ -0,0 +1,273 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/audio.mjs
+ *	@Date: 2026-10-19 19:18:45 -07:00 (1792462725)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 19:18:45 -07:00 (1792462725)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Audio module - Absolute volume and mute control per audio stream.
+ *
+ * @module audio
+ *
+ * @description
+ * Backs `remote.audio`. Volume is read and set with `cmd media_session volume` (Android 10+), falling back
+ * to the older `media volume` command, which print "volume is N in range [min..max]". The range of each
+ * stream is discovered on the first read and cached. Mute state comes from the stream block of
+ * `dumpsys audio`; it is toggled with KEYCODE_VOLUME_MUTE because neither volume command can mute.
+ *
+ * Every change is read back. TVs that pass volume to an AV receiver over HDMI-CEC keep a fixed
+ * local volume, so a change that does not stick rejects with CommandFailedError instead of
+ * resolving silently.
+ *
+ * @example
+ * const audio = createAudio(deviceContext);
+ * await audio.getVolume(); // { stream: "music", streamId: 3, level: 6, min: 0, max: 15 }
+ * await audio.setVolume(10);
+ * await audio.setMuted(true);
+ */
+
+import { CommandFailedError } from "./errors.mjs";
+
+/**
+ * AudioManager stream types by name.
+ * @public
+ * @type {Readonly<Object<string, number>>}
+ */
+export const AUDIO_STREAMS = Object.freeze({
+	voice_call: 0,
+	system: 1,
+	ring: 2,
+	music: 3,
+	alarm: 4,
+	notification: 5,
+	bluetooth_sco: 6,
+	system_enforced: 7,
+	dtmf: 8,
+	tts: 9,
+	accessibility: 10
+});
+
+/**
+ * KEYCODE_VOLUME_MUTE.
+ * @private
+ */
+const KEYCODE_VOLUME_MUTE = 164;
+
+/**
+ * Volume of one stream.
+ * @typedef {Object} VolumeState
+ * @property {string} stream - Stream name (e.g. "music").
+ * @property {number} streamId - AudioManager stream type.
+ * @property {number} level - Current volume index.
+ * @property {number} min - Lowest index of the stream.
+ * @property {number} max - Highest index of the stream.
+ */
+
+/**
+ * Resolves a stream name or id.
+ * @public
+ * @param {string|number} [stream="music"] - Stream name (see AUDIO_STREAMS) or id.
+ * @returns {{ stream: string, streamId: number }}
+ * @throws {TypeError} For unknown streams.
+ */
+export function resolveStream(stream = "music") {
+	if (typeof stream === "number") {
+		const name = Object.keys(AUDIO_STREAMS).find((key) => AUDIO_STREAMS[key] === stream);
+		if (name) return { stream: name, streamId: stream };
+	} else if (typeof stream === "string" && Object.hasOwn(AUDIO_STREAMS, stream.toLowerCase())) {
+		return { stream: stream.toLowerCase(), streamId: AUDIO_STREAMS[stream.toLowerCase()] };
+	}
+	throw new TypeError(`Unknown audio stream: ${stream}`);
+}
+
+/**
+ * Parses the output of `cmd media_session volume --get` / `media volume --get`.
+ * @public
+ * @param {string} output - Command output.
+ * @returns {{ level: number, min: number, max: number }|null} Null if the output has no volume line.
+ * @example
+ * parseVolumeOutput("[v] will get volume\n[v] volume is 6 in range [0..15]"); // { level: 6, min: 0, max: 15 }
+ */
+export function parseVolumeOutput(output) {
+	const match = /volume is (\d+) in range \[(\d+)\.\.(\d+)\]/.exec(String(output || ""));
+	return match ? { level: Number(match[1]), min: Number(match[2]), max: Number(match[3]) } : null;
+}
+
+/**
+ * Parses the block of one stream in `dumpsys audio`.
+ * @public
+ * @param {string} output - dumpsys audio output (or the grep-filtered stream block).
+ * @param {string} stream - Stream name (e.g. "music").
+ * @returns {{ muted: boolean, min: number|null, max: number|null }|null} Null if the stream block is missing.
+ */
+export function parseStreamState(output, stream) {
+	const lines = String(output || "").split(/\r?\n/);
+	const start = lines.findIndex((line) => line.trim() === `- STREAM_${stream.toUpperCase()}:`);
+	if (start === -1) return null;
+	const state = { muted: false, min: null, max: null };
+	for (const line of lines.slice(start + 1)) {
+		const field = /^\s+(Muted|Min|Max):\s*(\S+)/.exec(line);
+		if (field) {
+			if (field[1] === "Muted") state.muted = field[2] === "true";
+			else state[field[1].toLowerCase()] = Number(field[2]);
+		} else if (/^\s*-\s|^\S/.test(line)) {
+			// Next stream block or section
+			break;
+		}
+	}
+	return state;
+}
+
+/**
+ * Creates the audio controller for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Controller with getVolume(), setVolume(), isMuted() and setMuted().
+ */
+export default function createAudio(context) {
+	const { run, shell, emitLog } = context;
+
+	/** "cmd media_session volume" or "media volume", once known. */
+	let volumeCommand = null;
+	/** Discovered { min, max } per stream id. */
+	const ranges = new Map();
+
+	/**
+	 * Runs a volume command with the working command variant.
+	 * @private
+	 * @param {string} args - Arguments after "volume".
+	 * @param {AbortSignal} [signal] - Aborts the command.
+	 * @returns {Promise<string>} Command output.
+	 */
+	async function volume(args, signal) {
+		if (volumeCommand) return shell(`${volumeCommand} ${args}`, signal);
+		const output = await shell(`cmd media_session volume ${args}`, signal);
+		if (parseVolumeOutput(output) || /will (set|get) volume/.test(output)) {
+			volumeCommand = "cmd media_session volume";
+			return output;
+		}
+		emitLog("debug", "cmd media_session volume is unavailable, using media volume", "audio");
+		volumeCommand = "media volume";
+		return shell(`${volumeCommand} ${args}`, signal);
+	}
+
+	/**
+	 * Reads the volume of a stream.
+	 * @private
+	 * @param {{ stream: string, streamId: number }} target - Resolved stream.
+	 * @param {AbortSignal} [signal] - Aborts the read.
+	 * @returns {Promise<VolumeState>}
+	 */
+	async function readVolume(target, signal) {
+		const output = await volume(`--stream ${target.streamId} --get`, signal);
+		const parsed = parseVolumeOutput(output);
+		if (!parsed) {
+			throw new CommandFailedError(`Could not read the ${target.stream} volume: ${String(output).trim()}`, { output, host: context.host });
+		}
+		ranges.set(target.streamId, { min: parsed.min, max: parsed.max });
+		return { ...target, ...parsed };
+	}
+
+	/**
+	 * Reads the mute state of a stream.
+	 * @private
+	 * @param {{ stream: string, streamId: number }} target - Resolved stream.
+	 * @param {AbortSignal} [signal] - Aborts the read.
+	 * @returns {Promise<boolean>}
+	 */
+	async function readMuted(target, signal) {
+		const output = await shell(`dumpsys audio | grep -A 4 -E '^- STREAM_${target.stream.toUpperCase()}:'`, signal);
+		const state = parseStreamState(output, target.stream);
+		if (!state) {
+			throw new CommandFailedError(`Could not read the ${target.stream} mute state`, { output, host: context.host });
+		}
+		return state.muted;
+	}
+
+	return {
+		/**
+		 * Returns the volume of a stream and its range.
+		 * @public
+		 * @param {string|number} [stream="music"] - Stream name (see AUDIO_STREAMS) or id.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<VolumeState>}
+		 */
+		getVolume(stream = "music", options = {}) {
+			return run("audio.getVolume", options, async (signal) => readVolume(resolveStream(stream), signal));
+		},
+
+		/**
+		 * Sets the absolute volume of a stream and verifies it.
+		 * @public
+		 * @param {number} level - Volume index within the stream's range.
+		 * @param {Object} [options={}]
+		 * @param {string|number} [options.stream="music"] - Stream name or id.
+		 * @param {boolean} [options.show=false] - Show the volume UI on the TV.
+		 * @param {AbortSignal} [options.signal] - Aborts the change.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<VolumeState>} The volume read back after the change.
+		 * @throws {RangeError} If level is outside the stream's range.
+		 * @throws {CommandFailedError} If the volume did not change (e.g. fixed volume with HDMI-CEC audio).
+		 */
+		setVolume(level, options = {}) {
+			return run("audio.setVolume", options, async (signal) => {
+				const target = resolveStream(options.stream);
+				if (!Number.isInteger(level)) throw new TypeError(`Volume level must be an integer: ${level}`);
+				const range = ranges.get(target.streamId) || (await readVolume(target, signal));
+				if (level < range.min || level > range.max) {
+					throw new RangeError(`Volume ${level} is outside the ${target.stream} range [${range.min}..${range.max}]`);
+				}
+				await volume(`${options.show ? "--show " : ""}--stream ${target.streamId} --set ${level}`, signal);
+				const result = await readVolume(target, signal);
+				if (result.level !== level) {
+					throw new CommandFailedError(
+						`The ${target.stream} volume stayed at ${result.level} instead of ${level} (the TV may use fixed volume or HDMI-CEC audio)`,
+						{ host: context.host }
+					);
+				}
+				return result;
+			});
+		},
+
+		/**
+		 * Returns whether a stream is muted.
+		 * @public
+		 * @param {string|number} [stream="music"] - Stream name or id.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<boolean>}
+		 */
+		isMuted(stream = "music", options = {}) {
+			return run("audio.isMuted", options, async (signal) => readMuted(resolveStream(stream), signal));
+		},
+
+		/**
+		 * Mutes or unmutes the music stream and verifies it. Does nothing if it is already in that state.
+		 * @public
+		 * @param {boolean} muted - Desired mute state.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<boolean>} The mute state read back after the change.
+		 * @throws {CommandFailedError} If the mute state did not change.
+		 */
+		setMuted(muted, options = {}) {
+			const target = resolveStream("music");
+			return run("audio.setMuted", options, async (signal) => {
+				if ((await readMuted(target, signal)) === Boolean(muted)) return Boolean(muted);
+				await shell(`input keyevent ${KEYCODE_VOLUME_MUTE}`, signal);
+				const result = await readMuted(target, signal);
+				if (result !== Boolean(muted)) {
+					throw new CommandFailedError(`The music stream is still ${result ? "muted" : "unmuted"} (the TV may use HDMI-CEC audio)`, {
+						host: context.host
+					});
+				}
+				return result;
+			});
+		}
+	};
+}
@@ -0,0 +1,284 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/cec.mjs
+ *	@Date: 2026-10-19 20:17:38 -07:00 (1792466258)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 20:17:38 -07:00 (1792466258)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * CEC module - Drives the attached TV and AV receiver over HDMI-CEC.
+ *
+ * @module cec
+ *
+ * @description
+ * Backs `remote.cec`. Android's HDMI control service does the CEC signalling:
+ * - One Touch Play (`cmd hdmi_control onetouchplay`) wakes the TV and makes this box the active source.
+ * - KEYCODE_TV_POWER is forwarded to the TV as <Standby> by playback devices.
+ * - Volume keys are forwarded to the audio system while CEC volume control is enabled.
+ * - `cmd hdmi_control deviceselect` switches inputs on TV-type devices.
+ * The CEC network is read from `dumpsys hdmi_control`.
+ *
+ * `cmd hdmi_control` exists on Android 12 and later. Older devices, and devices without CEC,
+ * reject with UnsupportedOperationError (code ERR_CEC_UNSUPPORTED).
+ *
+ * @example
+ * const cec = createCec(deviceContext);
+ * await cec.powerOnTv();
+ * await cec.listDevices(); // [{ logicalAddress: 0, type: "tv", name: "TV", powerStatus: "on", ... }, ...]
+ * await cec.sendVolumeKey("up");
+ */
+
+import { CommandFailedError, UnsupportedOperationError } from "./errors.mjs";
+
+/**
+ * CEC device types by id.
+ * @private
+ */
+const DEVICE_TYPES = { 0: "tv", 1: "recorder", 3: "tuner", 4: "playback", 5: "audio_system", 6: "pure_cec_switch", 7: "video_processor" };
+
+/**
+ * CEC power status by id.
+ * @private
+ */
+const POWER_STATUS = { 0: "on", 1: "standby", 2: "transient_to_on", 3: "transient_to_standby" };
+
+/**
+ * Keycodes forwarded to the audio system as CEC <User Control Pressed>.
+ * @private
+ */
+const VOLUME_KEYS = { up: 24, down: 25, mute: 164 };
+
+/**
+ * KEYCODE_TV_POWER.
+ * @private
+ */
+const KEYCODE_TV_POWER = 177;
+
+/**
+ * Failure lines printed by `cmd hdmi_control`: a callback result other than Success (" done (Timeout)"),
+ * a callback that never came ("One Touch Play timed out.") and rejected arguments ("Error: ...").
+ * @private
+ */
+const HDMI_CONTROL_FAILURE = /done \((?!Success\))[^)]*\)|^.* timed out\.$|^Error: .*$/m;
+
+/**
+ * Fields of an HdmiDeviceInfo dump line, in print order.
+ * @private
+ */
+const DEVICE_FIELDS = /(logical_address|device_type|cec_version|vendor_id|display_name|power_status|physical_address|port_id):\s*/g;
+
+/**
+ * A device on the CEC bus.
+ * @typedef {Object} CecDevice
+ * @property {number} logicalAddress - CEC logical address (also the id used by deviceselect).
+ * @property {string} type - "tv", "playback", "audio_system", ... or "unknown".
+ * @property {string|null} name - OSD name.
+ * @property {number|null} vendorId - CEC vendor id.
+ * @property {string|null} physicalAddress - Physical address in dotted form (e.g. "1.0.0.0").
+ * @property {number|null} portId - Local HDMI port the device is reached through.
+ * @property {string} powerStatus - "on", "standby", "transient_to_on", "transient_to_standby" or "unknown".
+ * @property {number|null} cecVersion - CEC version code.
+ */
+
+/**
+ * Parses a number printed as decimal or 0x-prefixed hex.
+ * @private
+ * @param {string|undefined} value - Printed number.
+ * @returns {number|null}
+ */
+function toNumber(value) {
+	if (value === undefined || value === "") return null;
+	const number = value.startsWith("0x") ? parseInt(value.slice(2), 16) : Number(value);
+	return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Parses the CEC devices listed in `dumpsys hdmi_control`.
+ * @public
+ * @param {string} output - dumpsys output.
+ * @returns {CecDevice[]} Devices by logical address (each listed once).
+ * @example
+ * parseCecDevices("CEC: logical_address: 0x00 device_type: 0 vendor_id: 0x8045 display_name: TV power_status: 0 physical_address: 0x0000 port_id: 0");
+ */
+export function parseCecDevices(output) {
+	const devices = new Map();
+	for (const line of String(output || "").split(/\r?\n/)) {
+		const start = line.indexOf("CEC: logical_address:");
+		if (start === -1) continue;
+		const text = line.slice(start + "CEC: ".length);
+		const fields = {};
+		const matches = [...text.matchAll(DEVICE_FIELDS)];
+		matches.forEach((match, index) => {
+			const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+			fields[match[1]] = text.slice(match.index + match[0].length, end).trim();
+		});
+		const logicalAddress = toNumber(fields.logical_address);
+		if (logicalAddress === null || devices.has(logicalAddress)) continue;
+		const physical = toNumber(fields.physical_address);
+		const typeId = toNumber(fields.device_type);
+		devices.set(logicalAddress, {
+			logicalAddress,
+			type: DEVICE_TYPES[typeId] || "unknown",
+			name: fields.display_name || null,
+			vendorId: toNumber(fields.vendor_id),
+			physicalAddress: physical === null ? null : [12, 8, 4, 0].map((shift) => (physical >> shift) & 0xf).join("."),
+			portId: toNumber(fields.port_id),
+			powerStatus: POWER_STATUS[toNumber(fields.power_status)] || "unknown",
+			cecVersion: toNumber(fields.cec_version)
+		});
+	}
+	return [...devices.values()].sort((a, b) => a.logicalAddress - b.logicalAddress);
+}
+
+/**
+ * Creates the CEC controller for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Controller with powerOnTv(), standbyTv(), setActiveSource(), selectInput(), sendVolumeKey() and listDevices().
+ */
+export default function createCec(context) {
+	const { run, shell } = context;
+
+	/**
+	 * Runs a `cmd hdmi_control` command and checks its output.
+	 * @private
+	 * @param {string} args - Command arguments.
+	 * @param {AbortSignal} [signal] - Aborts the command.
+	 * @returns {Promise<string>} Command output.
+	 * @throws {UnsupportedOperationError} If the device has no HDMI control shell command.
+	 * @throws {CommandFailedError} If the command reports a failure.
+	 */
+	async function hdmiControl(args, signal) {
+		const output = String(await shell(`cmd hdmi_control ${args}`, signal));
+		if (/Can't find service|No shell command implementation|Unknown command/i.test(output)) {
+			throw new UnsupportedOperationError("HDMI-CEC control needs Android 12 or later with HDMI-CEC enabled", {
+				code: "ERR_CEC_UNSUPPORTED",
+				host: context.host
+			});
+		}
+		const failure = HDMI_CONTROL_FAILURE.exec(output);
+		if (failure) {
+			throw new CommandFailedError(`cmd hdmi_control ${args} failed: ${failure[0].trim()}`, { output, host: context.host });
+		}
+		return output;
+	}
+
+	/**
+	 * Reads the CEC devices.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the read.
+	 * @returns {Promise<CecDevice[]>}
+	 */
+	async function readDevices(signal) {
+		const output = await shell("dumpsys hdmi_control", signal);
+		if (/Can't find service/.test(output)) {
+			throw new UnsupportedOperationError("This device has no HDMI control service", { code: "ERR_CEC_UNSUPPORTED", host: context.host });
+		}
+		return parseCecDevices(output);
+	}
+
+	/**
+	 * Sends One Touch Play.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the command.
+	 * @returns {Promise<void>}
+	 */
+	async function oneTouchPlay(signal) {
+		await hdmiControl("onetouchplay", signal);
+	}
+
+	return {
+		/**
+		 * Turns the TV on with One Touch Play. The TV also switches to this box's input, as CEC has no
+		 * power-on message a playback device may send on its own.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<void>}
+		 */
+		powerOnTv(options = {}) {
+			return run("cec.powerOnTv", options, oneTouchPlay);
+		},
+
+		/**
+		 * Puts the TV (and devices following it) to standby. Does nothing if the TV already reports standby.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<boolean>} False if the TV was already in standby.
+		 */
+		standbyTv(options = {}) {
+			return run("cec.standbyTv", options, async (signal) => {
+				const tv = (await readDevices(signal)).find((device) => device.type === "tv");
+				if (tv && tv.powerStatus === "standby") return false;
+				await shell(`input keyevent ${KEYCODE_TV_POWER}`, signal, { priority: "high" });
+				return true;
+			});
+		},
+
+		/**
+		 * Makes this box the active source, so the TV switches to its input (and wakes up if needed).
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<void>}
+		 */
+		setActiveSource(options = {}) {
+			return run("cec.setActiveSource", options, oneTouchPlay);
+		},
+
+		/**
+		 * Switches the TV to the device on an HDMI port. Only works when this device is the TV
+		 * (Android TV built into the panel).
+		 * @public
+		 * @param {number} port - HDMI port id (see listDevices()).
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<CecDevice>} The selected device.
+		 * @throws {CommandFailedError} If no CEC device is connected to the port or the device refuses.
+		 */
+		selectInput(port, options = {}) {
+			return run("cec.selectInput", options, async (signal) => {
+				if (!Number.isInteger(port) || port < 0) throw new TypeError(`Invalid HDMI port: ${port}`);
+				const device = (await readDevices(signal)).find((entry) => entry.portId === port && entry.type !== "tv");
+				if (!device) throw new CommandFailedError(`No CEC device found on HDMI port ${port}`, { host: context.host });
+				await hdmiControl(`deviceselect ${device.logicalAddress}`, signal);
+				return device;
+			});
+		},
+
+		/**
+		 * Sends a volume key to the audio system (TV or AV receiver) over CEC.
+		 * @public
+		 * @param {"up"|"down"|"mute"} key - Volume key.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<void>}
+		 * @throws {UnsupportedOperationError} If CEC volume control is disabled on the device.
+		 */
+		sendVolumeKey(key, options = {}) {
+			return run("cec.sendVolumeKey", options, async (signal) => {
+				if (!Object.hasOwn(VOLUME_KEYS, key)) throw new TypeError(`Unknown volume key: ${key} (use "up", "down" or "mute")`);
+				const setting = await hdmiControl("cec_setting get volume_control_enabled", signal);
+				if (/volume_control_enabled\s*=\s*0/.test(setting)) {
+					throw new UnsupportedOperationError("CEC volume control is disabled (cec_setting volume_control_enabled = 0)", {
+						code: "ERR_CEC_UNSUPPORTED",
+						host: context.host
+					});
+				}
+				await shell(`input keyevent ${VOLUME_KEYS[key]}`, signal);
+			});
+		},
+
+		/**
+		 * Lists the devices on the CEC bus.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<CecDevice[]>}
+		 */
+		listDevices(options = {}) {
+			return run("cec.listDevices", options, readDevices);
+		}
+	};
+}
@@ -0,0 +1,579 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/cli.mjs
+ *	@Date: 2026-10-19 23:41:18 -07:00 (1792478478)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 23:41:18 -07:00 (1792478478)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * CLI module - The `atv` command-line tool.
+ *
+ * @module cli
+ *
+ * @description
+ * Backs `bin/atv.mjs`. Arguments are parsed with `util.parseArgs`; the first positional picks a command
+ * from COMMANDS, which maps it onto the Remote API. Every command accepts the global options
+ * (--ip, --device, --config, --json, --timeout, --verbose).
+ *
+ * Devices come from --ip ("10.0.0.5" or "10.0.0.5:5555") or from a named profile in the config file
+ * (--config, $ATV_CONFIG, or ~/.config/atv/config.json). A profile is any RemoteConfig:
+ *
+ *   { "defaultDevice": "living-room", "devices": { "living-room": { "ip": "10.0.0.5" }, "bedroom": { "ip": "10.0.0.6", "port": 5556 } } }
+ *
+ * With --json the result (or the error) is printed as one JSON object. The exit code tells the failure
+ * type apart (see EXIT_CODES), so scripts do not need to parse messages.
+ *
+ * @example
+ * // bin/atv.mjs
+ * process.exit(await runCli(process.argv.slice(2), { signal }));
+ */
+
+import { readFile } from "fs/promises";
+import { homedir } from "os";
+import { join } from "path";
+import { parseArgs } from "util";
+import createRemote from "./android-tv-remote.mjs";
+import createTui from "./tui.mjs";
+import { delay } from "./abort.mjs";
+import { keyFunction } from "./key-lookup.mjs";
+import {
+	AppNotFoundError,
+	CommandAbortedError,
+	CommandFailedError,
+	CommandTimeoutError,
+	ConnectionRefusedError,
+	DeviceNotFoundError,
+	InvalidConfigError,
+	PermissionDeniedError,
+	UnauthorizedError,
+	UnknownKeyError,
+	UnsupportedOperationError
+} from "./errors.mjs";
+
+/**
+ * Process exit codes by failure type.
+ * @public
+ */
+export const EXIT_CODES = Object.freeze({
+	ok: 0,
+	error: 1,
+	usage: 2,
+	connection: 3,
+	unauthorized: 4,
+	timeout: 5,
+	unsupported: 6,
+	commandFailed: 7,
+	appNotFound: 8,
+	permissionDenied: 9,
+	interrupted: 130
+});
+
+/**
+ * Error classes and the exit code they map to, most specific first.
+ * @private
+ */
+const ERROR_EXIT_CODES = [
+	[InvalidConfigError, EXIT_CODES.usage],
+	[UnknownKeyError, EXIT_CODES.usage],
+	[TypeError, EXIT_CODES.usage],
+	[RangeError, EXIT_CODES.usage],
+	[UnauthorizedError, EXIT_CODES.unauthorized],
+	[ConnectionRefusedError, EXIT_CODES.connection],
+	[DeviceNotFoundError, EXIT_CODES.connection],
+	[CommandTimeoutError, EXIT_CODES.timeout],
+	[CommandAbortedError, EXIT_CODES.interrupted],
+	[UnsupportedOperationError, EXIT_CODES.unsupported],
+	[AppNotFoundError, EXIT_CODES.appNotFound],
+	[CommandFailedError, EXIT_CODES.commandFailed],
+	[PermissionDeniedError, EXIT_CODES.permissionDenied]
+];
+
+/**
+ * Returns the exit code for an error thrown by a command.
+ * @public
+ * @param {Error} error - The failure.
+ * @returns {number}
+ */
+export function exitCodeFor(error) {
+	const match = ERROR_EXIT_CODES.find(([ErrorClass]) => error instanceof ErrorClass);
+	return match ? match[1] : EXIT_CODES.error;
+}
+
+/**
+ * Options understood by every command.
+ * @private
+ */
+const OPTIONS = {
+	ip: { type: "string" },
+	port: { type: "string" },
+	device: { type: "string", short: "d" },
+	config: { type: "string", short: "c" },
+	json: { type: "boolean", short: "j" },
+	timeout: { type: "string", short: "t" },
+	verbose: { type: "boolean", short: "v" },
+	help: { type: "boolean", short: "h" },
+	// Command options
+	wait: { type: "boolean" },
+	width: { type: "string" },
+	height: { type: "string" },
+	activity: { type: "string" },
+	system: { type: "boolean" },
+	"third-party": { type: "boolean" },
+	refresh: { type: "boolean" },
+	stream: { type: "string" },
+	duration: { type: "string" },
+	select: { type: "boolean" },
+	"max-steps": { type: "string" }
+};
+
+/**
+ * Parses a numeric argument.
+ * @private
+ * @param {string} value - Argument text.
+ * @param {string} name - Argument name, for the error.
+ * @returns {number}
+ * @throws {TypeError} If the value is missing or not a number.
+ */
+function toNumber(value, name) {
+	const number = Number(value);
+	if (value === undefined || value === "" || !Number.isFinite(number)) throw new TypeError(`${name} must be a number (got ${value === undefined ? "nothing" : `"${value}"`})`);
+	return number;
+}
+
+/**
+ * Returns a required positional argument.
+ * @private
+ * @param {string[]} args - Command arguments.
+ * @param {number} index - Position.
+ * @param {string} name - Argument name, for the error.
+ * @returns {string}
+ * @throws {TypeError} If the argument is missing.
+ */
+function required(args, index, name) {
+	if (args[index] === undefined) throw new TypeError(`Missing argument: <${name}>`);
+	return args[index];
+}
+
+/**
+ * Commands by name. run() receives the remote, the arguments after the command name, the parsed
+ * options, the { signal, timeout } call options and the CLI streams ({ stdin, stdout }), and resolves
+ * with the result to print. remoteOptions are merged into the RemoteConfig.
+ * @private
+ */
+const COMMANDS = {
+	press: {
+		usage: "press <key...>",
+		description: "Press remote keys in order (home, back, up, ok, playPause, ...)",
+		async run(remote, args, options, call) {
+			required(args, 0, "key");
+			for (const key of args) await keyFunction(remote.press, key)(call);
+		}
+	},
+	long: {
+		usage: "long <key>",
+		description: "Long-press a remote key",
+		run: (remote, args, options, call) => keyFunction(remote.press.long, required(args, 0, "key"))(call)
+	},
+	key: {
+		usage: "key <key...>",
+		description: "Press keyboard keys in order (a, enter, f5, ...)",
+		async run(remote, args, options, call) {
+			required(args, 0, "key");
+			for (const key of args) await keyFunction(remote.keyboard.key, key)(call);
+		}
+	},
+	combo: {
+		usage: "combo <key...>",
+		description: "Press keys together (combo ctrl shift z)",
+		run(remote, args, options, call) {
+			required(args, 0, "key");
+			return remote.keyboard.combo(args, call);
+		}
+	},
+	keycode: {
+		usage: "keycode <code>",
+		description: "Send a raw Android keycode",
+		run: (remote, args, options, call) => remote.inputKeycode(toNumber(args[0], "code"), call)
+	},
+	text: {
+		usage: "text <text...>",
+		description: "Type text (arguments are joined with spaces)",
+		run(remote, args, options, call) {
+			required(args, 0, "text");
+			return remote.keyboard.text(args.join(" "), call);
+		}
+	},
+	screencap: {
+		usage: "screencap <file>",
+		description: "Save a PNG screenshot (--width, --height to resize)",
+		async run(remote, args, options, call) {
+			const filepath = required(args, 0, "file");
+			const size = {};
+			if (options.width !== undefined) size.width = toNumber(options.width, "--width");
+			if (options.height !== undefined) size.height = toNumber(options.height, "--height");
+			await remote.screencap({ ...size, filepath, ...call });
+			return filepath;
+		}
+	},
+	awake: {
+		usage: "awake",
+		description: "Wake the device if it is asleep",
+		run: (remote, args, options, call) => remote.ensureAwake(call)
+	},
+	sleep: {
+		usage: "sleep",
+		description: "Put the device to standby",
+		run: (remote, args, options, call) => remote.sleep(call)
+	},
+	power: {
+		usage: "power [toggle]",
+		description: "Show the power state, or press power and verify the switch",
+		run: (remote, args, options, call) => (args[0] === "toggle" ? remote.togglePower(call) : remote.getPowerState(call))
+	},
+	reboot: {
+		usage: "reboot",
+		description: "Reboot the device; --wait waits until it has booted (timeout 120s)",
+		async run(remote, args, options, call) {
+			await remote.reboot(call);
+			if (!options.wait) return true;
+			const deadline = Date.now() + (call.timeout || 120000);
+			// The device drops off the network while it restarts
+			await delay(5000, call.signal);
+			for (;;) {
+				try {
+					await remote.connect({ signal: call.signal, timeout: Math.max(deadline - Date.now(), 1) });
+					return await remote.waitBootComplete({ signal: call.signal, timeout: Math.max(deadline - Date.now(), 1) });
+				} catch (error) {
+					if (error instanceof CommandAbortedError || Date.now() + 2000 >= deadline) throw error;
+					await delay(2000, call.signal);
+				}
+			}
+		}
+	},
+	status: {
+		usage: "status",
+		description: "Show connection, power and foreground app",
+		async run(remote, args, options, call) {
+			const power = await remote.getPowerState(call);
+			const app = await remote.getForegroundApp(call);
+			return {
+				host: remote.host,
+				connection: await remote.getConnectionStatus(true, call),
+				awake: power.awake,
+				wakefulness: power.wakefulness,
+				foregroundApp: app ? app.packageName : null
+			};
+		}
+	},
+	info: {
+		usage: "info",
+		description: "Show model, OS, display, memory, storage and capabilities (--refresh)",
+		run: (remote, args, options, call) => remote.getDeviceInfo({ refresh: Boolean(options.refresh), ...call })
+	},
+	apps: {
+		usage: "apps [list|launch|stop|clear] [package]",
+		description: "Installed apps (list --system/--third-party, launch --activity name)",
+		run(remote, args, options, call) {
+			switch (args[0]) {
+				case "list":
+				case undefined:
+					return remote.apps.list({ system: Boolean(options.system), thirdParty: Boolean(options["third-party"]), ...call });
+				case "launch":
+					return remote.apps.launch(required(args, 1, "package"), { activity: options.activity, ...call });
+				case "stop":
+					return remote.apps.forceStop(required(args, 1, "package"), call);
+				case "clear":
+					return remote.apps.clearData(required(args, 1, "package"), call);
+				default:
+					throw new TypeError(`Unknown apps command: ${args[0]}`);
+			}
+		}
+	},
+	app: {
+		usage: "app",
+		description: "Show the foreground app and activity",
+		run: (remote, args, options, call) => remote.getForegroundApp(call)
+	},
+	media: {
+		usage: "media",
+		description: "Show the playback state and now-playing metadata",
+		run: (remote, args, options, call) => remote.getMediaState(call)
+	},
+	volume: {
+		usage: "volume [level]",
+		description: "Show or set the volume (--stream name, default music)",
+		run(remote, args, options, call) {
+			const stream = options.stream || "music";
+			if (args[0] === undefined) return remote.audio.getVolume(stream, call);
+			return remote.audio.setVolume(toNumber(args[0], "level"), { stream, ...call });
+		}
+	},
+	mute: {
+		usage: "mute [on|off]",
+		description: "Show or set mute",
+		run(remote, args, options, call) {
+			if (args[0] === undefined) return remote.audio.isMuted(options.stream || "music", call);
+			if (args[0] !== "on" && args[0] !== "off") throw new TypeError(`mute takes "on" or "off" (got "${args[0]}")`);
+			return remote.audio.setMuted(args[0] === "on", call);
+		}
+	},
+	cec: {
+		usage: "cec <action> [argument]",
+		description: "HDMI-CEC: on, standby, active, input <port>, volume <up|down|mute>, devices",
+		run(remote, args, options, call) {
+			switch (args[0]) {
+				case "on":
+					return remote.cec.powerOnTv(call);
+				case "standby":
+					return remote.cec.standbyTv(call);
+				case "active":
+					return remote.cec.setActiveSource(call);
+				case "input":
+					return remote.cec.selectInput(toNumber(args[1], "port"), call);
+				case "volume":
+					return remote.cec.sendVolumeKey(required(args, 1, "up|down|mute"), call);
+				case "devices":
+				case undefined:
+					return remote.cec.listDevices(call);
+				default:
+					throw new TypeError(`Unknown cec command: ${args[0]}`);
+			}
+		}
+	},
+	tap: {
+		usage: "tap <x> <y>",
+		description: "Tap a point (pixels, or 0..1 fractions of the screen)",
+		run: (remote, args, options, call) => remote.touch.tap(toNumber(args[0], "x"), toNumber(args[1], "y"), call)
+	},
+	swipe: {
+		usage: "swipe <x1> <y1> <x2> <y2>",
+		description: "Swipe between two points (--duration ms, default 300)",
+		run(remote, args, options, call) {
+			const [x1, y1, x2, y2] = ["x1", "y1", "x2", "y2"].map((name, index) => toNumber(args[index], name));
+			const duration = options.duration === undefined ? 300 : toNumber(options.duration, "--duration");
+			return remote.touch.swipe([x1, y1], [x2, y2], duration, call);
+		}
+	},
+	ui: {
+		usage: "ui [dump|focused|find <text>]",
+		description: "Dump the UI hierarchy, show the focused node, or find nodes by text",
+		async run(remote, args, options, call) {
+			switch (args[0]) {
+				case "dump":
+				case undefined:
+					return (await remote.ui.dump(call)).roots;
+				case "focused":
+					return remote.ui.getFocused(call);
+				case "find":
+					return remote.ui.find({ text: required(args, 1, "text") }, call);
+				default:
+					throw new TypeError(`Unknown ui command: ${args[0]}`);
+			}
+		}
+	},
+	navigate: {
+		usage: "navigate <text>",
+		description: "Move focus to the element with this text (--select, --max-steps n)",
+		run(remote, args, options, call) {
+			const settings = { select: Boolean(options.select), ...call };
+			if (options["max-steps"] !== undefined) settings.maxSteps = toNumber(options["max-steps"], "--max-steps");
+			return remote.navigate.to({ text: required(args, 0, "text") }, settings);
+		}
+	},
+	interactive: {
+		usage: "interactive",
+		description: "Drive the device from the keyboard (arrows, Enter, Backspace, letters; Ctrl+T type mode)",
+		remoteOptions: { maintainConnection: true },
+		run: (remote, args, options, call, streams) => createTui(remote, { input: streams.stdin, output: streams.stdout, signal: call.signal }).start()
+	},
+	settings: {
+		usage: "settings [get]",
+		description: "Apply the recommended remote-control settings, or show them",
+		run: (remote, args, options, call) => remote.setSettings(args[0] === "get" ? "get" : "set", call)
+	}
+};
+
+/**
+ * Returns the help text.
+ * @private
+ * @returns {string}
+ */
+function usage() {
+	const width = Math.max(...Object.values(COMMANDS).map((command) => command.usage.length));
+	return [
+		"Usage: atv <command> [arguments] [options]",
+		"",
+		"Commands:",
+		...Object.values(COMMANDS).map((command) => `  ${command.usage.padEnd(width)}  ${command.description}`),
+		"",
+		"Options:",
+		"  --ip <ip[:port]>     Device address (overrides the profile)",
+		"  --port <port>        ADB port (default 5555)",
+		"  -d, --device <name>  Device profile from the config file",
+		"  -c, --config <path>  Config file (default $ATV_CONFIG or ~/.config/atv/config.json)",
+		"  -j, --json           Print the result or error as JSON",
+		"  -t, --timeout <ms>   Timeout for the command",
+		"  -v, --verbose        Print log events to stderr",
+		"  -h, --help           Show this help",
+		"",
+		`Exit codes: ${Object.entries(EXIT_CODES).map(([name, code]) => `${code} ${name}`).join(", ")}`
+	].join("\n");
+}
+
+/**
+ * Reads the device profiles file. A missing default file is not an error.
+ * @private
+ * @param {string|undefined} path - Explicit path (--config), or undefined for the default.
+ * @param {Object} io - See runCli.
+ * @returns {Promise<Object>} The parsed config ({} if there is none).
+ * @throws {InvalidConfigError} If the file cannot be read or parsed.
+ */
+async function loadConfig(path, io) {
+	const file = path || io.env.ATV_CONFIG || join(io.env.XDG_CONFIG_HOME || join(homedir(), ".config"), "atv", "config.json");
+	let text;
+	try {
+		text = await io.readFile(file, "utf8");
+	} catch (error) {
+		if (error.code === "ENOENT" && !path && !io.env.ATV_CONFIG) return {};
+		throw new InvalidConfigError(`Cannot read config file ${file}: ${error.message}`, { cause: error });
+	}
+	try {
+		return JSON.parse(text);
+	} catch (error) {
+		throw new InvalidConfigError(`Config file ${file} is not valid JSON: ${error.message}`, { cause: error });
+	}
+}
+
+/**
+ * Works out the RemoteConfig for the command from --ip/--port, --device and the config file.
+ * @public
+ * @param {Object} options - Parsed options.
+ * @param {Object} config - Parsed config file.
+ * @param {Object<string, string>} [env={}] - Environment ($ATV_DEVICE names the default profile).
+ * @returns {Object} RemoteConfig (ip, port and profile settings).
+ * @throws {InvalidConfigError} If no device is given or the profile does not exist.
+ */
+export function resolveDevice(options, config, env = {}) {
+	const devices = (config && config.devices) || {};
+	const names = Object.keys(devices);
+	const name = options.device || env.ATV_DEVICE || config.defaultDevice || (names.length === 1 ? names[0] : undefined);
+	let profile = {};
+	if (name !== undefined) {
+		if (!devices[name]) throw new InvalidConfigError(`Unknown device profile "${name}"${names.length ? ` (profiles: ${names.join(", ")})` : ""}`);
+		profile = devices[name];
+	}
+	const device = { ...profile };
+	if (options.ip) {
+		const [ip, port] = options.ip.split(":");
+		device.ip = ip;
+		if (port) device.port = toNumber(port, "--ip port");
+	}
+	if (options.port !== undefined) device.port = toNumber(options.port, "--port");
+	if (!device.ip) throw new InvalidConfigError("No device given: use --ip, --device, or a defaultDevice in the config file");
+	return device;
+}
+
+/**
+ * Serializes an error for --json output.
+ * @private
+ * @param {Error} error - The failure.
+ * @returns {Object}
+ */
+function errorJson(error) {
+	return { name: error.name, code: error.code || null, message: error.message, exitCode: exitCodeFor(error) };
+}
+
+/**
+ * Formats a result for human-readable output. Strings print as they are, arrays one item per line.
+ * @private
+ * @param {any} result - Command result.
+ * @returns {string|null} Null when there is nothing to print.
+ */
+function formatResult(result) {
+	if (result === undefined || result === null) return null;
+	if (typeof result === "string") return result;
+	if (Array.isArray(result) && result.every((item) => typeof item === "string")) return result.join("\n");
+	if (typeof result === "object" && typeof result.pipe === "function") return null;
+	return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Runs the CLI.
+ * @public
+ * @param {string[]} argv - Arguments without the node and script paths.
+ * @param {Object} [io={}] - Environment, replaceable for tests.
+ * @param {{ write: function(string): any }} [io.stdout=process.stdout] - Output stream.
+ * @param {{ write: function(string): any }} [io.stderr=process.stderr] - Error stream.
+ * @param {import('stream').Readable} [io.stdin=process.stdin] - Keyboard input for interactive mode.
+ * @param {Object<string, string>} [io.env=process.env] - Environment variables.
+ * @param {AbortSignal} [io.signal] - Aborts the running command (Ctrl+C).
+ * @param {function(Object): Promise<Object>} [io.createRemote] - Remote factory.
+ * @param {function(string, string): Promise<string>} [io.readFile] - Reads the config file.
+ * @returns {Promise<number>} The exit code.
+ */
+export default async function runCli(argv, io = {}) {
+	const stdout = io.stdout || process.stdout;
+	const stderr = io.stderr || process.stderr;
+	const env = io.env || process.env;
+	const factory = io.createRemote || createRemote;
+	let options = {};
+	let commandName;
+	let remote = null;
+
+	const print = (stream, text) => stream.write(`${text}\n`);
+	try {
+		const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+		options = parsed.values;
+		commandName = parsed.positionals[0];
+		const args = parsed.positionals.slice(1);
+		if (options.help || commandName === "help") {
+			print(stdout, usage());
+			return EXIT_CODES.ok;
+		}
+		if (commandName === undefined) {
+			print(stderr, usage());
+			return EXIT_CODES.usage;
+		}
+		const command = Object.hasOwn(COMMANDS, commandName) ? COMMANDS[commandName] : null;
+		if (!command) throw new TypeError(`Unknown command: ${commandName} (see atv --help)`);
+
+		const config = await loadConfig(options.config, { env, readFile: io.readFile || readFile });
+		const device = resolveDevice(options, config, env);
+		const call = {};
+		if (io.signal) call.signal = io.signal;
+		if (options.timeout !== undefined) call.timeout = toNumber(options.timeout, "--timeout");
+
+		remote = await factory({
+			...device,
+			autoConnect: false,
+			maintainConnection: false,
+			...command.remoteOptions,
+			onEvent(event, data) {
+				if (event === "log" && options.verbose) print(stderr, `[${data.level}] ${data.source}: ${data.message}`);
+				// Failures are reported through the rejected promise; marking errors handled keeps them from throwing
+				return event === "error";
+			}
+		});
+		await remote.connect(call);
+		const result = await command.run(remote, args, options, call, { stdin: io.stdin || process.stdin, stdout });
+
+		if (options.json) print(stdout, JSON.stringify({ ok: true, command: commandName, result: result === undefined ? null : result }));
+		else {
+			const text = formatResult(result);
+			if (text !== null) print(stdout, text);
+		}
+		return EXIT_CODES.ok;
+	} catch (error) {
+		if (options.json) print(stdout, JSON.stringify({ ok: false, command: commandName || null, error: errorJson(error) }));
+		else print(stderr, `atv: ${error.message}`);
+		return exitCodeFor(error);
+	} finally {
+		if (remote) await remote.disconnect().catch(() => {});
+	}
+}
@@ -0,0 +1,269 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/command-queue.mjs
+ *	@Date: 2026-10-19 10:21:07 -07:00 (1792430467)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 10:21:07 -07:00 (1792430467)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Command Queue module - Serializes device commands with priority lanes and backpressure.
+ *
+ * @module command-queue
+ *
+ * @description
+ * Runs one task at a time in submission order within a priority lane. Higher priority lanes
+ * ("high" before "normal" before "low") are always drained first, so power/wake commands jump
+ * ahead of queued navigation. The number of pending tasks is capped by `maxDepth` (0 for no cap); when full,
+ * the overflow policy either rejects the new task or drops the oldest task of the lowest lane.
+ *
+ * @example
+ * const queue = createCommandQueue({ maxDepth: 50, onEvent: (event, data) => console.log(event, data) });
+ * await queue.enqueue(() => device.shell("input keyevent 3"), { label: "keyevent 3" });
+ * await queue.enqueue(() => device.shell("input keyevent 26"), { label: "keyevent 26", priority: "high" });
+ */
+
+import { QueueFullError, CommandDroppedError } from "./errors.mjs";
+
+/**
+ * Priority lanes in the order they are drained.
+ * @public
+ * @type {string[]}
+ */
+export const PRIORITIES = ["high", "normal", "low"];
+
+/**
+ * Overflow policies accepted by the queue.
+ * @public
+ * @type {string[]}
+ */
+export const OVERFLOW_POLICIES = ["reject", "dropOldest"];
+
+/**
+ * Configuration object for the command queue.
+ * @typedef {Object} CommandQueueConfig
+ * @property {number} [maxDepth=100] - Maximum number of pending (not yet running) tasks; 0 means unlimited.
+ * @property {"reject"|"dropOldest"} [overflow="reject"] - What to do when a task is enqueued on a full queue.
+ * @property {function(string, Object): void} [onEvent] - Called with queue-* event names and payloads.
+ */
+
+/**
+ * Queue event data structure (queue-enqueued, queue-start, queue-complete, queue-error, queue-rejected, queue-dropped).
+ * @typedef {Object} QueueEventData
+ * @property {number} id - Sequential task id.
+ * @property {string} label - Task label (e.g. the shell command).
+ * @property {"high"|"normal"|"low"} priority - Priority lane of the task.
+ * @property {number} depth - Number of pending tasks after the event.
+ * @property {number} [waitTime] - Time in ms the task waited before starting.
+ * @property {number} [runTime] - Time in ms the task ran.
+ * @property {number} [latency] - Total time in ms from enqueue to completion.
+ * @property {Error} [error] - Error for queue-error, queue-rejected and queue-dropped.
+ * @property {string} timestamp - ISO timestamp of the event.
+ */
+
+/**
+ * Factory function to create a serialized command queue.
+ * @function
+ * @public
+ * @param {CommandQueueConfig} [config={}] - Queue configuration.
+ * @returns {Object} Queue with enqueue(), clear(), depth, running and idle().
+ */
+export default function createCommandQueue(config = {}) {
+	const maxDepth = typeof config.maxDepth === "number" && config.maxDepth >= 0 ? config.maxDepth || Infinity : 100;
+	const overflow = OVERFLOW_POLICIES.includes(config.overflow) ? config.overflow : "reject";
+	const onEvent = typeof config.onEvent === "function" ? config.onEvent : () => {};
+
+	/** @type {Object.<string, Object[]>} */
+	const lanes = Object.fromEntries(PRIORITIES.map((priority) => [priority, []]));
+	let nextId = 1;
+	let active = null;
+	let idleWaiters = [];
+
+	/**
+	 * Number of pending tasks across all lanes.
+	 * @private
+	 * @returns {number}
+	 */
+	function pendingCount() {
+		return PRIORITIES.reduce((total, priority) => total + lanes[priority].length, 0);
+	}
+
+	/**
+	 * Emits a queue event with common fields.
+	 * @private
+	 * @param {string} event - Event name.
+	 * @param {Object} entry - Queue entry.
+	 * @param {Object} [extra] - Additional payload fields.
+	 */
+	function emit(event, entry, extra = {}) {
+		onEvent(event, {
+			id: entry.id,
+			label: entry.label,
+			priority: entry.priority,
+			depth: pendingCount(),
+			...extra,
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	/**
+	 * Starts the next pending task if nothing is running.
+	 * @private
+	 */
+	function drain() {
+		if (active) return;
+		const lane = PRIORITIES.find((priority) => lanes[priority].length > 0);
+		if (!lane) {
+			const waiters = idleWaiters;
+			idleWaiters = [];
+			waiters.forEach((resolve) => resolve());
+			onEvent("queue-drained", { depth: 0, timestamp: new Date().toISOString() });
+			return;
+		}
+		const entry = lanes[lane].shift();
+		active = entry;
+		entry.startedAt = performance.now();
+		emit("queue-start", entry, { waitTime: entry.startedAt - entry.enqueuedAt });
+
+		if (entry.signal) entry.signal.removeEventListener("abort", entry.onAbort);
+
+		Promise.resolve()
+			.then(() => entry.task(entry.signal))
+			.then(
+				(result) => {
+					const finishedAt = performance.now();
+					active = null;
+					emit("queue-complete", entry, {
+						waitTime: entry.startedAt - entry.enqueuedAt,
+						runTime: finishedAt - entry.startedAt,
+						latency: finishedAt - entry.enqueuedAt
+					});
+					entry.resolve(result);
+				},
+				(error) => {
+					const finishedAt = performance.now();
+					active = null;
+					emit("queue-error", entry, {
+						waitTime: entry.startedAt - entry.enqueuedAt,
+						runTime: finishedAt - entry.startedAt,
+						latency: finishedAt - entry.enqueuedAt,
+						error
+					});
+					entry.reject(error);
+				}
+			)
+			.finally(drain);
+	}
+
+	const queue = {
+		/**
+		 * Adds a task to the queue.
+		 * @public
+		 * @param {function(AbortSignal=): any} task - Function performing the command; receives options.signal and may return a promise.
+		 * @param {Object} [options={}]
+		 * @param {"high"|"normal"|"low"} [options.priority="normal"] - Priority lane.
+		 * @param {string} [options.label="command"] - Label reported in queue events.
+		 * @param {AbortSignal} [options.signal] - Removes the task from the queue (rejecting with the abort reason) if aborted before it starts.
+		 * @returns {Promise<any>} Resolves or rejects with the task result.
+		 */
+		enqueue(task, options = {}) {
+			const priority = PRIORITIES.includes(options.priority) ? options.priority : "normal";
+			const label = options.label || "command";
+			const signal = options.signal;
+			if (signal && signal.aborted) {
+				return Promise.reject(signal.reason);
+			}
+			return new Promise((resolve, reject) => {
+				const entry = { id: nextId++, task, priority, label, signal, resolve, reject, enqueuedAt: performance.now() };
+
+				if (pendingCount() >= maxDepth) {
+					// dropOldest evicts the oldest task of the lowest non-empty lane, never one of higher priority than the new task
+					const victimLane = overflow === "dropOldest"
+						? [...PRIORITIES].reverse().find((p) => lanes[p].length > 0 && PRIORITIES.indexOf(p) >= PRIORITIES.indexOf(priority))
+						: null;
+					if (!victimLane) {
+						const error = new QueueFullError(maxDepth);
+						emit("queue-rejected", entry, { error });
+						reject(error);
+						return;
+					}
+					const victim = lanes[victimLane].shift();
+					if (victim.signal) victim.signal.removeEventListener("abort", victim.onAbort);
+					const error = new CommandDroppedError(`Command dropped from full queue (max depth ${maxDepth})`);
+					emit("queue-dropped", victim, { error });
+					victim.reject(error);
+				}
+
+				lanes[priority].push(entry);
+				if (signal) {
+					entry.onAbort = () => {
+						const index = lanes[priority].indexOf(entry);
+						if (index === -1) return;
+						lanes[priority].splice(index, 1);
+						emit("queue-dropped", entry, { error: signal.reason });
+						reject(signal.reason);
+					};
+					signal.addEventListener("abort", entry.onAbort, { once: true });
+				}
+				emit("queue-enqueued", entry);
+				drain();
+			});
+		},
+
+		/**
+		 * Rejects every pending task. The running task is not interrupted.
+		 * @public
+		 * @param {Error} [reason] - Rejection reason for pending tasks.
+		 * @returns {number} Number of discarded tasks.
+		 */
+		clear(reason) {
+			const error = reason || new CommandDroppedError("Command queue cleared", { code: "ERR_QUEUE_CLEARED" });
+			let count = 0;
+			for (const priority of PRIORITIES) {
+				const entries = lanes[priority].splice(0);
+				for (const entry of entries) {
+					count++;
+					if (entry.signal) entry.signal.removeEventListener("abort", entry.onAbort);
+					emit("queue-dropped", entry, { error });
+					entry.reject(error);
+				}
+			}
+			return count;
+		},
+
+		/**
+		 * Resolves when no task is running or pending.
+		 * @public
+		 * @returns {Promise<void>}
+		 */
+		idle() {
+			if (!active && pendingCount() === 0) return Promise.resolve();
+			return new Promise((resolve) => idleWaiters.push(resolve));
+		},
+
+		/**
+		 * Number of pending tasks (excluding the running one).
+		 * @readonly
+		 * @type {number}
+		 */
+		get depth() {
+			return pendingCount();
+		},
+
+		/**
+		 * True while a task is running.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get running() {
+			return active !== null;
+		}
+	};
+
+	return queue;
+}
@@ -0,0 +1,129 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/connection-state.mjs
+ *	@Date: 2026-10-19 15:06:31 -07:00 (1792447591)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 15:06:31 -07:00 (1792447591)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Connection State module - Tracks a device's connection lifecycle and computes reconnect delays.
+ *
+ * @module connection-state
+ *
+ * @description
+ * A remote is always in exactly one of five states:
+ *
+ *   disconnected → connecting → connected → reconnecting → failed
+ *
+ * `connecting` is an explicit connect() call, `reconnecting` is the automatic retry loop after the
+ * device vanished, and `failed` means the retry loop gave up after `reconnectMaxRetries` attempts.
+ * Only the transitions listed in TRANSITIONS are allowed; anything else is ignored so a late
+ * callback can never move the machine backwards.
+ *
+ * @example
+ * const state = createConnectionState({ onChange: (from, to) => console.log(`${from} → ${to}`) });
+ * state.transition("connecting");
+ * state.transition("connected");
+ * computeBackoffDelay(3, { delay: 1000, factor: 2, maxDelay: 30000, jitter: 0 }); // 4000
+ */
+
+/**
+ * Connection states in lifecycle order.
+ * @public
+ * @type {string[]}
+ */
+export const CONNECTION_STATES = ["disconnected", "connecting", "connected", "reconnecting", "failed"];
+
+/**
+ * Allowed transitions, keyed by the current state.
+ * @public
+ * @type {Object<string, string[]>}
+ */
+export const TRANSITIONS = {
+	disconnected: ["connecting", "connected"],
+	connecting: ["connected", "disconnected"],
+	connected: ["reconnecting", "disconnected"],
+	reconnecting: ["connected", "failed", "disconnected"],
+	failed: ["connecting", "connected", "disconnected"]
+};
+
+/**
+ * Backoff options for the reconnect loop.
+ * @typedef {Object} BackoffOptions
+ * @property {number} [delay=1000] - Delay in ms before the first attempt.
+ * @property {number} [factor=2] - Multiplier applied to the delay after each attempt.
+ * @property {number} [maxDelay=60000] - Upper bound for a single delay in ms.
+ * @property {number} [jitter=0.2] - Random spread as a fraction of the delay (0.2 = ±20%).
+ */
+
+/**
+ * Computes the wait before a reconnect attempt using exponential backoff with jitter.
+ * @public
+ * @param {number} attempt - Attempt number, starting at 1.
+ * @param {BackoffOptions} [options={}] - Backoff options.
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1), injectable for tests.
+ * @returns {number} Delay in milliseconds.
+ * @example
+ * computeBackoffDelay(1); // ~1000 (±20%)
+ * computeBackoffDelay(4, { delay: 500, jitter: 0 }); // 4000
+ */
+export function computeBackoffDelay(attempt, options = {}, random = Math.random) {
+	const { delay = 1000, factor = 2, maxDelay = 60000, jitter = 0.2 } = options;
+	const base = Math.min(delay * Math.pow(factor, Math.max(0, attempt - 1)), maxDelay);
+	const spread = base * Math.min(Math.max(jitter, 0), 1) * (random() * 2 - 1);
+	return Math.round(Math.min(Math.max(base + spread, 0), maxDelay));
+}
+
+/**
+ * Creates a connection state machine starting in "disconnected".
+ * @public
+ * @param {Object} [options={}]
+ * @param {function(string, string, Object): void} [options.onChange] - Called with (from, to, details) after every change.
+ * @returns {{ readonly state: string, can: function(string): boolean, transition: function(string, Object=): boolean }}
+ */
+export function createConnectionState(options = {}) {
+	const onChange = typeof options.onChange === "function" ? options.onChange : () => {};
+	let state = "disconnected";
+
+	return {
+		/**
+		 * Current state.
+		 * @public
+		 * @type {string}
+		 */
+		get state() {
+			return state;
+		},
+
+		/**
+		 * Whether moving to the given state is allowed from the current one.
+		 * @public
+		 * @param {string} next - Target state.
+		 * @returns {boolean}
+		 */
+		can(next) {
+			return TRANSITIONS[state].includes(next);
+		},
+
+		/**
+		 * Moves to the given state. Staying in the same state and disallowed transitions are no-ops.
+		 * @public
+		 * @param {string} next - Target state.
+		 * @param {Object} [details={}] - Extra data passed to onChange (e.g. reason, attempt).
+		 * @returns {boolean} True if the state changed.
+		 */
+		transition(next, details = {}) {
+			if (next === state || !this.can(next)) return false;
+			const previous = state;
+			state = next;
+			onChange(previous, next, details);
+			return true;
+		}
+	};
+}
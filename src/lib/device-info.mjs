@@ -0,0 +1,328 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/device-info.mjs
+ *	@Date: 2026-10-19 20:48:09 -07:00 (1792468089)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 20:48:09 -07:00 (1792468089)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Device Info module - Model, OS, display, memory and storage details, and derived capabilities.
+ *
+ * @module device-info
+ *
+ * @description
+ * Everything is collected in one shell command. Each probe is printed after an `@@name` marker line:
+ * - `getprop`
+ * - `wm size` and `wm density`
+ * - `/proc/meminfo`
+ * - `df /data`
+ * - `pm list features`
+ * - the usage text of `input`
+ * - the location of `screencap`
+ *
+ * The result is cached per connection. The remote uses the capabilities to pick strategies: which
+ * keycode `press.input` sends, and whether `press.long` may fall back to `input keyevent --longpress`.
+ *
+ * @example
+ * const info = createDeviceInfo(deviceContext);
+ * const { model, sdk, display, capabilities } = await info.get();
+ * if (capabilities.keyCombination) { ... }
+ */
+
+/**
+ * KEYCODE_TV_INPUT.
+ * @private
+ */
+const KEYCODE_TV_INPUT = 178;
+
+/**
+ * Probes run by get(), by section name.
+ * @private
+ */
+const PROBES = {
+	getprop: "getprop",
+	size: "wm size",
+	density: "wm density",
+	meminfo: "cat /proc/meminfo",
+	storage: "df /data",
+	features: "pm list features",
+	input: "input",
+	screencap: "command -v screencap || ls /system/bin/screencap"
+};
+
+/**
+ * Shell command running every probe with its section marker.
+ * @private
+ */
+const PROBE_COMMAND = Object.entries(PROBES)
+	.map(([name, command]) => `echo '@@${name}'; ${command} 2>&1`)
+	.join("; ");
+
+/**
+ * Features the remote can rely on.
+ * @typedef {Object} DeviceCapabilities
+ * @property {boolean} screencap - `screencap` is installed.
+ * @property {boolean} keyCombination - `input keycombination` exists (Android 13+).
+ * @property {boolean} longPress - `input keyevent --longpress` exists (assumed when the usage text of `input` cannot be read).
+ * @property {boolean} cec - The device has HDMI-CEC (android.hardware.hdmi.cec).
+ * @property {boolean} cecShellCommand - `cmd hdmi_control` is available (CEC on Android 12+).
+ * @property {boolean} leanbackLauncher - The device is an Android TV with a leanback launcher (android.software.leanback).
+ * @property {boolean} tvInputs - The device has TV inputs, i.e. it is the TV panel (android.software.live_tv).
+ * @property {number|null} inputKeycode - Keycode press.input sends, or null if the device has no input switcher.
+ */
+
+/**
+ * Details of the device.
+ * @typedef {Object} DeviceInfo
+ * @property {string|null} model - ro.product.model.
+ * @property {string|null} manufacturer - ro.product.manufacturer.
+ * @property {string|null} brand - ro.product.brand.
+ * @property {string|null} device - ro.product.device.
+ * @property {string|null} androidVersion - ro.build.version.release.
+ * @property {number|null} sdk - ro.build.version.sdk.
+ * @property {string|null} fireOsVersion - Fire OS version on Amazon devices (e.g. "7.6.6.9"), otherwise null.
+ * @property {string|null} fingerprint - ro.build.fingerprint.
+ * @property {{ width: number|null, height: number|null, density: number|null, physicalWidth: number|null, physicalHeight: number|null, physicalDensity: number|null }} display
+ *  - Current (override) and physical display size and density.
+ * @property {{ total: number|null, available: number|null }} memory - RAM in bytes.
+ * @property {{ total: number|null, used: number|null, available: number|null }} storage - /data in bytes.
+ * @property {string[]} features - System features from `pm list features`.
+ * @property {DeviceCapabilities} capabilities - Derived capabilities.
+ * @property {Object<string, string>} properties - Every system property.
+ */
+
+/**
+ * Splits the probe output into sections.
+ * @private
+ * @param {string} output - Output of the probe command.
+ * @returns {Object<string, string>}
+ */
+function splitSections(output) {
+	const sections = {};
+	let current = null;
+	for (const line of String(output || "").split(/\r?\n/)) {
+		const marker = /^@@(\w+)$/.exec(line);
+		if (marker) {
+			current = marker[1];
+			sections[current] = "";
+		} else if (current) {
+			sections[current] += `${line}\n`;
+		}
+	}
+	return sections;
+}
+
+/**
+ * Parses `getprop` output.
+ * @public
+ * @param {string} output - getprop output ("[key]: [value]" lines).
+ * @returns {Object<string, string>}
+ */
+export function parseGetprop(output) {
+	const properties = {};
+	for (const match of String(output || "").matchAll(/^\[([^\]]+)\]: \[(.*)\]$/gm)) {
+		properties[match[1]] = match[2];
+	}
+	return properties;
+}
+
+/**
+ * Parses `wm size` / `wm density` output.
+ * @private
+ * @param {string} size - wm size output.
+ * @param {string} density - wm density output.
+ * @returns {DeviceInfo["display"]}
+ */
+function parseDisplay(size, density) {
+	const physical = /Physical size: (\d+)x(\d+)/.exec(size || "");
+	const override = /Override size: (\d+)x(\d+)/.exec(size || "") || physical;
+	const physicalDensity = /Physical density: (\d+)/.exec(density || "");
+	const overrideDensity = /Override density: (\d+)/.exec(density || "") || physicalDensity;
+	return {
+		width: override ? Number(override[1]) : null,
+		height: override ? Number(override[2]) : null,
+		density: overrideDensity ? Number(overrideDensity[1]) : null,
+		physicalWidth: physical ? Number(physical[1]) : null,
+		physicalHeight: physical ? Number(physical[2]) : null,
+		physicalDensity: physicalDensity ? Number(physicalDensity[1]) : null
+	};
+}
+
+/**
+ * Parses /proc/meminfo.
+ * @private
+ * @param {string} output - meminfo contents.
+ * @returns {DeviceInfo["memory"]}
+ */
+function parseMemory(output) {
+	const kilobytes = (name) => {
+		const match = new RegExp(`^${name}:\\s+(\\d+) kB`, "m").exec(output || "");
+		return match ? Number(match[1]) * 1024 : null;
+	};
+	return { total: kilobytes("MemTotal"), available: kilobytes("MemAvailable") };
+}
+
+/**
+ * Parses `df /data` (1K-block columns, as printed by toybox).
+ * @private
+ * @param {string} output - df output.
+ * @returns {DeviceInfo["storage"]}
+ */
+function parseStorage(output) {
+	const match = /^\S+\s+(\d+)\s+(\d+)\s+(\d+)\s+\d+%\s+\/data\s*$/m.exec(output || "");
+	if (!match || !/1K-blocks/.test(output)) return { total: null, used: null, available: null };
+	const [total, used, available] = match.slice(1).map((blocks) => Number(blocks) * 1024);
+	return { total, used, available };
+}
+
+/**
+ * Parses the probe output into device info.
+ * @public
+ * @param {string} output - Output of the combined probe command (see PROBES).
+ * @returns {DeviceInfo}
+ */
+export function parseDeviceInfo(output) {
+	const sections = splitSections(output);
+	const properties = parseGetprop(sections.getprop);
+	const prop = (name) => properties[name] || null;
+	const features = (sections.features || "").match(/^feature:\S+/gm) || [];
+	const hasFeature = (name) => features.includes(`feature:${name}`);
+	const sdk = prop("ro.build.version.sdk") === null ? null : Number(prop("ro.build.version.sdk"));
+	const fireOs = /Fire OS ([\d.]+)/.exec(prop("ro.build.version.name") || "");
+	const inputUsage = sections.input || "";
+
+	const cec = hasFeature("android.hardware.hdmi.cec") || Boolean(prop("ro.hdmi.device_type"));
+	const tvInputs = hasFeature("android.software.live_tv");
+	const leanbackLauncher = hasFeature("android.software.leanback");
+	const capabilities = {
+		screencap: /\/screencap\s*$/m.test(sections.screencap || ""),
+		keyCombination: /keycombination/.test(inputUsage),
+		longPress: !/usage/i.test(inputUsage) || /--longpress/.test(inputUsage),
+		cec,
+		cecShellCommand: cec && sdk !== null && sdk >= 31,
+		leanbackLauncher,
+		tvInputs,
+		// TV panels open their input list; Android TV boxes open the CEC inputs panel. Fire TV boxes have neither.
+		inputKeycode: tvInputs || (cec && leanbackLauncher && !fireOs) ? KEYCODE_TV_INPUT : null
+	};
+
+	return {
+		model: prop("ro.product.model"),
+		manufacturer: prop("ro.product.manufacturer"),
+		brand: prop("ro.product.brand"),
+		device: prop("ro.product.device"),
+		androidVersion: prop("ro.build.version.release"),
+		sdk,
+		fireOsVersion: fireOs ? fireOs[1] : null,
+		fingerprint: prop("ro.build.fingerprint"),
+		display: parseDisplay(sections.size, sections.density),
+		memory: parseMemory(sections.meminfo),
+		storage: parseStorage(sections.storage),
+		features: features.map((feature) => feature.slice("feature:".length)),
+		capabilities,
+		properties
+	};
+}
+
+/**
+ * Creates the device info reader for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Reader with get(), read(), capabilities() and reset().
+ */
+export default function createDeviceInfo(context) {
+	const { run, shell } = context;
+
+	let pending = null;
+	let info = null;
+	// Bumped by reset() so a probe from before a reconnect cannot fill the cache afterwards
+	let generation = 0;
+
+	/**
+	 * Probes the device once; concurrent callers share the probe.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the probe.
+	 * @returns {Promise<DeviceInfo>}
+	 */
+	function load(signal) {
+		if (info) return Promise.resolve(info);
+		if (!pending) {
+			const probe = generation;
+			pending = Promise.resolve(shell(PROBE_COMMAND, signal, { priority: "low" })).then(
+				(output) => {
+					const result = parseDeviceInfo(output);
+					if (probe === generation) {
+						pending = null;
+						info = result;
+					}
+					return result;
+				},
+				(error) => {
+					// A failed or aborted probe is retried on the next call
+					if (probe === generation) pending = null;
+					throw error;
+				}
+			);
+		}
+		return pending;
+	}
+
+	return {
+		/**
+		 * Returns the device info, probing the device on first use.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {boolean} [options.refresh=false] - Probe again instead of using the cached info.
+		 * @param {AbortSignal} [options.signal] - Aborts the probe.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<DeviceInfo>}
+		 */
+		get(options = {}) {
+			return run("getDeviceInfo", options, (signal) => {
+				if (options.refresh) info = null;
+				return load(signal);
+			});
+		},
+
+		/**
+		 * Returns the cached device info for internal use, probing the device if needed. Unlike get(),
+		 * it neither auto-connects nor reports errors, so it can run inside other operations.
+		 * @internal
+		 * @param {AbortSignal} [signal] - Aborts the probe.
+		 * @returns {Promise<DeviceInfo>}
+		 */
+		read(signal) {
+			return load(signal);
+		},
+
+		/**
+		 * Returns the capabilities for internal strategy decisions, or null if they cannot be read.
+		 * Never rejects, so callers keep their default behaviour when the probe fails.
+		 * @internal
+		 * @param {AbortSignal} [signal] - Aborts the probe.
+		 * @returns {Promise<DeviceCapabilities|null>}
+		 */
+		capabilities(signal) {
+			return load(signal).then(
+				(result) => result.capabilities,
+				() => null
+			);
+		},
+
+		/**
+		 * Drops the cached info (the remote may have reconnected to a different device).
+		 * @internal
+		 */
+		reset() {
+			generation++;
+			pending = null;
+			info = null;
+		}
+	};
+}
@@ -0,0 +1,324 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/errors.mjs
+ *	@Date: 2026-10-19 12:41:26 -07:00 (1792438886)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 12:41:26 -07:00 (1792438886)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Error classes thrown by the Android TV Remote library.
+ *
+ * @module errors
+ *
+ * @description
+ * Every error thrown by the library extends AndroidTVRemoteError and carries a stable `code`
+ * property, so callers can branch with `instanceof` or on `error.code` instead of matching messages.
+ * The original low-level error (if any) is available as `error.cause`.
+ *
+ * @example
+ * import { CommandTimeoutError } from "@cldmv/node-android-tv-remote";
+ *
+ * try {
+ *   await remote.press.home({ timeout: 2000 });
+ * } catch (error) {
+ *   if (error instanceof CommandTimeoutError) console.warn(`${error.operation} took longer than ${error.timeout}ms`);
+ * }
+ */
+
+/**
+ * Base class for all errors thrown by the library.
+ * @public
+ * @extends Error
+ */
+export class AndroidTVRemoteError extends Error {
+	/**
+	 * @param {string} message - Human-readable error message.
+	 * @param {Object} [options={}]
+	 * @param {string} [options.code="ERR_ANDROID_TV_REMOTE"] - Stable error code.
+	 * @param {*} [options.cause] - Original error.
+	 * @param {string} [options.host] - Device host (ip:port) the error relates to.
+	 */
+	constructor(message, options = {}) {
+		super(message, options.cause !== undefined ? { cause: options.cause } : undefined);
+		this.name = new.target.name;
+		this.code = options.code || "ERR_ANDROID_TV_REMOTE";
+		if (options.host) this.host = options.host;
+	}
+}
+
+/**
+ * Thrown when an operation does not finish within its timeout.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class CommandTimeoutError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} operation - Name of the operation that timed out (e.g. "press.home").
+	 * @param {number} [timeout] - Timeout in milliseconds; undefined when the timeout came from ADB itself.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(operation, timeout, options = {}) {
+		super(typeof timeout === "number" ? `${operation} timed out after ${timeout}ms` : `${operation} timed out`, {
+			code: "ERR_COMMAND_TIMEOUT",
+			...options
+		});
+		this.operation = operation;
+		this.timeout = timeout;
+	}
+}
+
+/**
+ * Thrown when an operation is cancelled through its AbortSignal.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class CommandAbortedError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} operation - Name of the aborted operation.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError; `cause` holds the signal's abort reason.
+	 */
+	constructor(operation, options = {}) {
+		super(`${operation} was aborted`, { code: "ERR_COMMAND_ABORTED", ...options });
+		this.operation = operation;
+	}
+}
+
+/**
+ * Thrown when the device rejects the ADB connection because this host is not authorized.
+ * Accept the authorization dialog on the TV and try again.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class UnauthorizedError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} [message="Device unauthorized - authentication required"]
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message = "Device unauthorized - authentication required", options = {}) {
+		super(message, { code: "ERR_DEVICE_UNAUTHORIZED", ...options });
+	}
+}
+
+/**
+ * Thrown when the device actively refuses the connection, usually because ADB debugging is disabled.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class ConnectionRefusedError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} [message="Connection refused - ADB not enabled"]
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message = "Connection refused - ADB not enabled", options = {}) {
+		super(message, { code: "ERR_CONNECTION_REFUSED", ...options });
+	}
+}
+
+/**
+ * Thrown when ADB does not know the device (not connected, wrong address or already gone).
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class DeviceNotFoundError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} [message="Device not found"]
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message = "Device not found", options = {}) {
+		super(message, { code: "ERR_DEVICE_NOT_FOUND", ...options });
+	}
+}
+
+/**
+ * Thrown when the device denies a command (e.g. reboot without root on some devices).
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class PermissionDeniedError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} [message="Permission denied"]
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message = "Permission denied", options = {}) {
+		super(message, { code: "ERR_PERMISSION_DENIED", ...options });
+	}
+}
+
+/**
+ * Thrown for ADB failures that do not fit a more specific class. The adbkit error is in `cause`.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class AdbError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} message - Error message (usually the original ADB message).
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message, options = {}) {
+		super(message, { code: "ERR_ADB", ...options });
+	}
+}
+
+/**
+ * Thrown when a key name has no keycode (e.g. `remote.keyboard.key("nope")`).
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class UnknownKeyError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} key - The key name that could not be resolved.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError; `options.message` overrides the default message.
+	 */
+	constructor(key, options = {}) {
+		super(options.message || `Unknown key: ${key}`, { code: "ERR_UNKNOWN_KEY", ...options });
+		this.key = key;
+	}
+}
+
+/**
+ * Thrown when the device cannot perform a requested operation (e.g. Unicode text without ADBKeyboard).
+ * The message explains what the device is missing.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class UnsupportedOperationError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} message - What is unsupported and how to enable it.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message, options = {}) {
+		super(message, { code: "ERR_UNSUPPORTED", ...options });
+	}
+}
+
+/**
+ * Thrown when a device command ran but reported a failure (e.g. `am start` printing "Error: ...").
+ * The command's output is available as `error.output`.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class CommandFailedError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} message - What failed.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 * @param {string} [options.output] - Output of the failed command.
+	 */
+	constructor(message, options = {}) {
+		super(message, { code: "ERR_COMMAND_FAILED", ...options });
+		if (options.output !== undefined) this.output = options.output;
+	}
+}
+
+/**
+ * Thrown when a package is not installed on the device.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class AppNotFoundError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} packageName - The package that was not found.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(packageName, options = {}) {
+		super(`App not installed: ${packageName}`, { code: "ERR_APP_NOT_FOUND", ...options });
+		this.packageName = packageName;
+	}
+}
+
+/**
+ * Thrown when a configuration object is missing required properties or has invalid values.
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class InvalidConfigError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} message - Description of the problem.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message, options = {}) {
+		super(message, { code: "ERR_INVALID_CONFIG", ...options });
+	}
+}
+
+/**
+ * Thrown when the command queue is full and its overflow policy is "reject".
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class QueueFullError extends AndroidTVRemoteError {
+	/**
+	 * @param {number} maxDepth - Configured queue depth.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(maxDepth, options = {}) {
+		super(`Command queue is full (maxDepth ${maxDepth})`, { code: "ERR_QUEUE_FULL", ...options });
+		this.maxDepth = maxDepth;
+	}
+}
+
+/**
+ * Thrown when a queued command is discarded before it runs, either by the "dropOldest" overflow
+ * policy (`code: "ERR_QUEUE_DROPPED"`) or by clearing the queue (`code: "ERR_QUEUE_CLEARED"`).
+ * @public
+ * @extends AndroidTVRemoteError
+ */
+export class CommandDroppedError extends AndroidTVRemoteError {
+	/**
+	 * @param {string} message - Why the command was dropped.
+	 * @param {Object} [options={}] - See AndroidTVRemoteError.
+	 */
+	constructor(message, options = {}) {
+		super(message, { code: "ERR_QUEUE_DROPPED", ...options });
+	}
+}
+
+/**
+ * Built-in error classes that indicate a programming mistake rather than a device failure;
+ * toRemoteError() passes them through untouched.
+ * @private
+ */
+const PROGRAMMER_ERRORS = [TypeError, RangeError, ReferenceError, SyntaxError];
+
+/**
+ * Converts any error raised while talking to a device into the matching typed error.
+ * Errors that already extend AndroidTVRemoteError, programming errors and file system errors
+ * (those with a `path`) are returned unchanged; everything else keeps its original error as `cause`.
+ * This is the only place that inspects ADB error messages.
+ * @public
+ * @param {*} error - The error to classify.
+ * @param {Object} [options={}]
+ * @param {string} [options.operation="adb"] - Operation name used for CommandTimeoutError.
+ * @param {string} [options.host] - Device host (ip:port).
+ * @returns {Error}
+ * @example
+ * catch (err) {
+ *   const error = toRemoteError(err, { operation: "reboot", host });
+ *   if (error instanceof UnauthorizedError) ...
+ * }
+ */
+export function toRemoteError(error, options = {}) {
+	if (error instanceof AndroidTVRemoteError) return error;
+	if (PROGRAMMER_ERRORS.some((ErrorClass) => error instanceof ErrorClass)) return error;
+	if (error instanceof Error && error.path) return error;
+
+	const { operation = "adb", host } = options;
+	const message = error instanceof Error ? error.message || String(error) : String(error);
+	const errorOptions = { cause: error, host };
+
+	if (/unauthorized|failed to authenticate/i.test(message)) return new UnauthorizedError(undefined, errorOptions);
+	if (/actively refused|no connection could be made|ECONNREFUSED|connection refused/i.test(message)) {
+		return new ConnectionRefusedError(undefined, errorOptions);
+	}
+	if (/device(?: '[^']*')? not found|no devices?(?:\/emulators)? found/i.test(message)) {
+		return new DeviceNotFoundError(`Device not found: ${message}`, errorOptions);
+	}
+	if (/permission denied|not permitted/i.test(message)) return new PermissionDeniedError(`Permission denied: ${message}`, errorOptions);
+	if (/timed? ?out|ETIMEDOUT/i.test(message)) return new CommandTimeoutError(operation, undefined, errorOptions);
+	return new AdbError(message, errorOptions);
+}
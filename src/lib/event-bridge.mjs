@@ -0,0 +1,220 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/event-bridge.mjs
+ *	@Date: 2026-10-20 02:31:15 -07:00 (1792488675)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 02:31:15 -07:00 (1792488675)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Event Bridge module - Streams Remote events to WebSocket clients and runs their commands.
+ *
+ * @module event-bridge
+ *
+ * @description
+ * Backs the `/events` WebSocket endpoint of the remote server. Each connection receives the events of
+ * every device (or of `?device=<id>`) as JSON text frames:
+ *
+ *   { "type": "event", "device": "bedroom", "event": "log", "data": { ... } }
+ *
+ * BRIDGED_EVENTS lists what is forwarded by default; `?events=log,queue-complete` picks other events.
+ * Errors inside payloads are sent as { name, code, message }, binary data as { bytes } and streams not at all.
+ *
+ * Clients send command frames and get a response with the same id:
+ *
+ *   -> { "id": 7, "op": "press", "device": "bedroom", "key": "home" }
+ *   <- { "type": "response", "id": 7, "ok": true, "result": "" }
+ *
+ * `device` may be left out when the connection is scoped to one device or there is only one.
+ * Devices added to a RemoteManager after a client connected are picked up on its next connection.
+ *
+ * @example
+ * const bridge = createEventBridge(registry);
+ * server.on("upgrade", (request, socket, head) => bridge.attach(acceptWebSocket(request, socket, head)));
+ */
+
+import { keyFunction } from "./key-lookup.mjs";
+
+/**
+ * Events forwarded when the client does not choose.
+ * @public
+ */
+export const BRIDGED_EVENTS = Object.freeze([
+	"log",
+	"error",
+	"state-change",
+	"reconnect-failed",
+	"shell-session",
+	"screencap-start",
+	"screencap-captured",
+	"screencap-processing",
+	"screencap-ready",
+	"screencap-saved",
+	"screencap-complete",
+	"app-changed",
+	"media-state-changed",
+	"power-state-changed",
+	"navigate-step"
+]);
+
+/**
+ * Returns a required string field of a command frame.
+ * @private
+ * @param {Object} frame - Command frame.
+ * @param {string} name - Field name.
+ * @returns {string}
+ * @throws {TypeError} If the field is missing.
+ */
+function field(frame, name) {
+	if (typeof frame[name] !== "string" || !frame[name]) throw new TypeError(`"${frame.op}" needs a "${name}" string`);
+	return frame[name];
+}
+
+/**
+ * Command operations: op -> (remote, frame, call) => Promise<result>.
+ * @public
+ */
+export const OPERATIONS = Object.freeze({
+	press: (remote, frame, call) => keyFunction(remote.press, frame.key)(call),
+	long: (remote, frame, call) => keyFunction(remote.press.long, frame.key)(call),
+	key: (remote, frame, call) => keyFunction(remote.keyboard.key, frame.key)(call),
+	combo: (remote, frame, call) => remote.keyboard.combo(frame.keys, call),
+	keycode: (remote, frame, call) => {
+		if (!Number.isInteger(frame.code)) throw new TypeError('"keycode" needs an integer "code"');
+		return remote.inputKeycode(frame.code, call);
+	},
+	text: (remote, frame, call) => remote.keyboard.text(field(frame, "text"), call),
+	awake: (remote, frame, call) => remote.ensureAwake(call),
+	sleep: (remote, frame, call) => remote.sleep(call),
+	power: (remote, frame, call) => remote.getPowerState(call),
+	app: (remote, frame, call) => remote.getForegroundApp(call),
+	media: (remote, frame, call) => remote.getMediaState(call),
+	launch: (remote, frame, call) => remote.apps.launch(field(frame, "packageName"), call),
+	navigate: (remote, frame, call) => remote.navigate.to(frame.selector, { select: Boolean(frame.select), ...call }),
+	connection: (remote, frame, call) => remote.getConnectionStatus(true, call)
+});
+
+/**
+ * JSON replacer for event payloads and results: errors become { name, code, message }, binary data
+ * becomes { bytes }, and streams are dropped.
+ * @private
+ * @this {Object} The object holding the value.
+ * @param {string} key - Property name.
+ * @param {any} value - Value after toJSON().
+ * @returns {any}
+ */
+function replacer(key, value) {
+	const original = this[key];
+	if (original instanceof Error) return { name: original.name, code: original.code || null, message: original.message };
+	if (original instanceof Uint8Array) return { bytes: original.length };
+	if (original && typeof original === "object" && typeof original.pipe === "function") return undefined;
+	return value;
+}
+
+/**
+ * Creates an error for a frame that names no usable device.
+ * @private
+ * @param {string} code - Error code.
+ * @param {string} message - What went wrong.
+ * @returns {Error}
+ */
+function deviceError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Creates the bridge between a set of remotes and WebSocket connections.
+ * @public
+ * @param {{ get: function(string): (Object|undefined), ids: function(): string[] }} registry - Remotes by id.
+ * @returns {{ attach: function(Object, Object=): void, close: function(): void, readonly size: number }}
+ */
+export default function createEventBridge(registry) {
+	const connections = new Set();
+
+	return {
+		/**
+		 * Starts forwarding events to a connection and serving its command frames.
+		 * @public
+		 * @param {import('events').EventEmitter|null} connection - Connection from acceptWebSocket() (null is ignored).
+		 * @param {Object} [options={}]
+		 * @param {string} [options.device] - Only this device's events, and the default device for commands.
+		 * @param {string[]} [options.events=BRIDGED_EVENTS] - Events to forward.
+		 */
+		attach(connection, options = {}) {
+			if (!connection) return;
+			const send = (message) => connection.send(JSON.stringify(message, replacer));
+			if (options.device && !registry.get(options.device)) {
+				send({ type: "error", error: { name: "Error", code: "ERR_UNKNOWN_DEVICE", message: `Unknown device: ${options.device}` } });
+				connection.close(1008, "Unknown device");
+				return;
+			}
+			const ids = options.device ? [options.device] : registry.ids();
+			const events = options.events && options.events.length ? options.events : BRIDGED_EVENTS;
+
+			const subscriptions = [];
+			for (const id of ids) {
+				const remote = registry.get(id);
+				for (const event of events) {
+					const listener = (data) => send({ type: "event", device: id, event, data });
+					remote.on(event, listener);
+					subscriptions.push(() => remote.off(event, listener));
+				}
+			}
+			connections.add(connection);
+
+			/**
+			 * Runs one command frame and sends its response.
+			 * @private
+			 * @param {string|Buffer} message - Raw frame.
+			 * @returns {Promise<void>}
+			 */
+			async function onMessage(message) {
+				let frame = null;
+				try {
+					frame = JSON.parse(String(message));
+					if (!frame || typeof frame !== "object" || Array.isArray(frame)) throw new TypeError("Command frames must be JSON objects");
+					if (!Object.hasOwn(OPERATIONS, frame.op)) throw new TypeError(`Unknown op: ${frame.op}`);
+					const id = frame.device || options.device || (ids.length === 1 ? ids[0] : null);
+					if (!id) throw deviceError("ERR_DEVICE_REQUIRED", `"device" is required (devices: ${ids.join(", ")})`);
+					const remote = ids.includes(id) ? registry.get(id) : null;
+					if (!remote) throw deviceError("ERR_UNKNOWN_DEVICE", `Unknown device: ${id}`);
+					const call = typeof frame.timeout === "number" ? { timeout: frame.timeout } : {};
+					const result = await OPERATIONS[frame.op](remote, frame, call);
+					send({ type: "response", id: frame.id === undefined ? null : frame.id, ok: true, result: result === undefined ? null : result });
+				} catch (error) {
+					const id = frame && frame.id !== undefined ? frame.id : null;
+					send({ type: "response", id, ok: false, error: { name: error.name, code: error.code || null, message: error.message } });
+				}
+			}
+
+			connection.on("message", onMessage);
+			connection.once("close", () => {
+				for (const unsubscribe of subscriptions) unsubscribe();
+				connections.delete(connection);
+			});
+			send({ type: "hello", devices: ids, events });
+		},
+
+		/**
+		 * Closes every connection (code 1001, going away).
+		 * @public
+		 */
+		close() {
+			for (const connection of connections) connection.close(1001, "Server closing");
+		},
+
+		/**
+		 * Number of open connections.
+		 * @readonly
+		 * @type {number}
+		 */
+		get size() {
+			return connections.size;
+		}
+	};
+}
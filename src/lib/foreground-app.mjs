@@ -0,0 +1,207 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/foreground-app.mjs
+ *	@Date: 2026-10-19 18:02:13 -07:00 (1792458133)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 18:02:13 -07:00 (1792458133)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Foreground App module - Detects the resumed app/activity and watches for changes.
+ *
+ * @module foreground-app
+ *
+ * @description
+ * The resumed activity is read from `dumpsys activity activities` (mResumedActivity on Android 9 and
+ * older, topResumedActivity/ResumedActivity on 10+), falling back to the focused window in
+ * `dumpsys window` (mCurrentFocus/mFocusedApp). Output is filtered with grep on the device so only a
+ * few lines cross the ADB connection.
+ *
+ * The watcher is opt-in and polls at low queue priority, so it never delays key presses. It only
+ * polls while the remote is connected and emits `app-changed` when the foreground package or
+ * activity differs from the previous poll.
+ *
+ * @example
+ * const foreground = createForegroundApp(deviceContext);
+ * await foreground.get(); // { packageName: "com.netflix.ninja", activity: "com.netflix.ninja.MainActivity", component: "..." }
+ * const stop = foreground.watch({ interval: 2000 });
+ * await foreground.waitFor("com.netflix.ninja", { timeout: 15000 });
+ */
+
+import { delay } from "./abort.mjs";
+import createPoller from "./poller.mjs";
+
+/**
+ * The app in the foreground.
+ * @typedef {Object} ForegroundApp
+ * @property {string} packageName - Package name (e.g. "com.netflix.ninja").
+ * @property {string} activity - Fully qualified activity class name.
+ * @property {string} component - Component name as reported by Android ("package/activity").
+ */
+
+/**
+ * Lines that name the resumed activity or focused window, most reliable first.
+ * @private
+ */
+const FOREGROUND_PATTERNS = [
+	/(?:topResumedActivity|mResumedActivity|ResumedActivity)[=:]\s*ActivityRecord\{[^}]*?\s([\w.]+)\/([\w.$]+)/,
+	/mFocusedApp=.*?ActivityRecord\{[^}]*?\s([\w.]+)\/([\w.$]+)/,
+	/mCurrentFocus=Window\{[^}]*?\s([\w.]+)\/([\w.$]+)\}/
+];
+
+/**
+ * Parses dumpsys output into the foreground app.
+ * @public
+ * @param {string} output - Output of `dumpsys activity activities` and/or `dumpsys window` (grep-filtered or not).
+ * @returns {ForegroundApp|null} Null when no resumed activity or focused app window is found.
+ * @example
+ * parseForegroundApp("  mResumedActivity: ActivityRecord{a1b2 u0 com.netflix.ninja/.MainActivity t42}");
+ * // { packageName: "com.netflix.ninja", activity: "com.netflix.ninja.MainActivity", component: "com.netflix.ninja/.MainActivity" }
+ */
+export function parseForegroundApp(output) {
+	const text = String(output || "");
+	for (const pattern of FOREGROUND_PATTERNS) {
+		const match = pattern.exec(text);
+		if (match) {
+			const [, packageName, activity] = match;
+			return {
+				packageName,
+				activity: activity.startsWith(".") ? packageName + activity : activity,
+				component: `${packageName}/${activity}`
+			};
+		}
+	}
+	return null;
+}
+
+/**
+ * Creates the foreground app detector and watcher for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Detector with get(), watch(), unwatch(), waitFor() and the watching flag.
+ */
+export default function createForegroundApp(context) {
+	const { run, shell, emitEvent, emitLog } = context;
+
+	let lastApp = null;
+
+	/**
+	 * Reads the foreground app from the device.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the read.
+	 * @param {"normal"|"low"} [priority="normal"] - Queue priority.
+	 * @returns {Promise<ForegroundApp|null>}
+	 */
+	async function read(signal, priority = "normal") {
+		const activities = await shell("dumpsys activity activities | grep -E 'ResumedActivity'", signal, { priority });
+		const app = parseForegroundApp(activities);
+		if (app) return app;
+		return parseForegroundApp(await shell("dumpsys window | grep -E 'mCurrentFocus|mFocusedApp'", signal, { priority }));
+	}
+
+	/**
+	 * Emits app-changed if the app differs from the last known one.
+	 * @private
+	 * @param {ForegroundApp|null} app - Newly observed app.
+	 * @fires Remote#app-changed
+	 */
+	function observe(app) {
+		const previous = lastApp;
+		lastApp = app;
+		if ((previous && previous.component) === (app && app.component)) return;
+		emitEvent("app-changed", {
+			previous,
+			current: app,
+			previousPackage: previous ? previous.packageName : null,
+			packageName: app ? app.packageName : null,
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	const poller = createPoller({
+		poll: async () => {
+			const app = await read(undefined, "low");
+			// Stopped while the read was in flight
+			if (poller.running) observe(app);
+		},
+		isConnected: context.isConnected,
+		onError: (error) => emitLog("debug", `Foreground app poll failed: ${error.message}`, "watchForegroundApp")
+	});
+
+	const foreground = {
+		/**
+		 * Returns the app currently in the foreground.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<ForegroundApp|null>}
+		 */
+		get(options = {}) {
+			return run("getForegroundApp", options, async (signal) => {
+				const app = await read(signal);
+				// Keep the watcher's baseline current so it does not report this change twice
+				if (poller.running) observe(app);
+				return app;
+			});
+		},
+
+		/**
+		 * Starts polling the foreground app and emitting app-changed events. Calling it again restarts the watcher.
+		 * Polls are skipped while the remote is disconnected, so watching never auto-connects.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.interval=2000] - Poll interval in ms.
+		 * @returns {function(): void} Stops the watcher.
+		 */
+		watch(options = {}) {
+			foreground.unwatch();
+			const interval = poller.start(options);
+			emitLog("info", `Watching foreground app every ${interval}ms`, "watchForegroundApp");
+			return foreground.unwatch;
+		},
+
+		/**
+		 * Stops the watcher started with watch().
+		 * @public
+		 */
+		unwatch() {
+			poller.stop();
+			lastApp = null;
+		},
+
+		/**
+		 * Waits until the given package is in the foreground.
+		 * @public
+		 * @param {string} packageName - Package to wait for.
+		 * @param {Object} [options={}]
+		 * @param {number} [options.timeout=30000] - Maximum wait in ms (rejects with CommandTimeoutError).
+		 * @param {number} [options.interval=1000] - Poll interval in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the wait.
+		 * @returns {Promise<ForegroundApp>}
+		 */
+		waitFor(packageName, options = {}) {
+			const interval = typeof options.interval === "number" && options.interval > 0 ? options.interval : 1000;
+			return run("waitForApp", { ...options, timeout: options.timeout === undefined ? 30000 : options.timeout }, async (signal) => {
+				for (;;) {
+					const app = await read(signal);
+					if (app && app.packageName === packageName) return app;
+					await delay(interval, signal);
+				}
+			});
+		},
+
+		/**
+		 * True while the watcher is running.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get watching() {
+			return poller.running;
+		}
+	};
+	return foreground;
+}
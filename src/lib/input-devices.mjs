@@ -0,0 +1,330 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/input-devices.mjs
+ *	@Date: 2026-10-19 15:52:40 -07:00 (1792450360)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 15:52:40 -07:00 (1792450360)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Input Devices module - Real key down/up/hold through sendevent on the right input device.
+ *
+ * @module input-devices
+ *
+ * @description
+ * `input keyevent` can only tap a key. Holding a key requires writing raw Linux input events with
+ * `sendevent`, which needs the device node that exposes the key (it differs per TV) and the Linux
+ * key code, not the Android keycode. This module probes `getevent -pl` once, picks the first device
+ * node that exposes a Linux key mapped to the Android keycode (see linux-keycodes.json), and builds
+ * the sendevent sequences. When no node exposes the key or sendevent is not permitted, it falls back
+ * to `input keyevent --longpress`, unless the device reports that its `input` command lacks it.
+ *
+ * @example
+ * const input = createInputDevices({ run: (command, signal) => shell(command, { signal }) });
+ * await input.hold(23, 2000); // hold DPAD_CENTER for 2s
+ * await input.down(22);
+ * await input.up(22);
+ */
+
+/**
+ * Linux input key codes keyed by Android keycode; each entry lists candidate KEY_* names in order of preference.
+ * @internal
+ * @type {Object.<string, Object.<string, number>>}
+ */
+import linuxKeycodes from "../data/linux-keycodes.json" with { type: "json" };
+import { UnsupportedOperationError } from "./errors.mjs";
+
+/**
+ * An input device node reported by `getevent -pl`.
+ * @typedef {Object} InputDevice
+ * @property {string} path - Device node (e.g. "/dev/input/event3").
+ * @property {string} name - Device name (e.g. "gpio-keys").
+ * @property {string[]} keys - Key names (or 4-digit hex codes for unnamed keys) the device can emit.
+ */
+
+/**
+ * Linux key event resolved for an Android keycode.
+ * @typedef {Object} KeyEventTarget
+ * @property {string} path - Device node to write to.
+ * @property {string} key - Linux key name (e.g. "KEY_OK").
+ * @property {number} code - Linux key code.
+ */
+
+/**
+ * Parses the output of `getevent -pl` into the devices and the keys they can emit.
+ * @public
+ * @param {string} output - Raw `getevent -pl` output.
+ * @returns {InputDevice[]}
+ * @example
+ * parseGeteventOutput(await shell("getevent -pl"));
+ * // [{ path: "/dev/input/event2", name: "amlogic-remote", keys: ["KEY_UP", "KEY_DOWN", ...] }]
+ */
+export function parseGeteventOutput(output) {
+	const devices = [];
+	let current = null;
+	let inKeys = false;
+	for (const rawLine of String(output || "").replace(/\r/g, "").split("\n")) {
+		const add = /^add device \d+:\s*(\S+)/.exec(rawLine);
+		if (add) {
+			current = { path: add[1], name: "", keys: [] };
+			devices.push(current);
+			inKeys = false;
+			continue;
+		}
+		if (!current) continue;
+		const name = /^\s+name:\s+"(.*)"/.exec(rawLine);
+		if (name) {
+			current.name = name[1];
+			continue;
+		}
+		// Event type headers look like "    KEY (0001): KEY_A  KEY_B"; continuation lines carry only names
+		const header = /^\s+([A-Z]+) \([0-9a-f]{4}\):(.*)$/i.exec(rawLine);
+		let keysPart = null;
+		if (header) {
+			inKeys = header[1] === "KEY";
+			keysPart = inKeys ? header[2] : null;
+		} else if (/^\s+input props:/.test(rawLine) || /^\s+\w+:/.test(rawLine)) {
+			inKeys = false;
+		} else if (inKeys) {
+			keysPart = rawLine;
+		}
+		if (keysPart) current.keys.push(...(keysPart.match(/\b(?:KEY|BTN)_\w+|\b[0-9a-f]{4}\b/gi) || []));
+	}
+	return devices;
+}
+
+/**
+ * Finds the device node and Linux key code to use for an Android keycode.
+ * Candidate Linux keys are tried in order of preference, each against every device.
+ * @public
+ * @param {InputDevice[]} devices - Devices from parseGeteventOutput().
+ * @param {number} androidKeycode - Android keycode.
+ * @param {string} [preferredPath] - Device node to use instead of probing (config.inputDevice).
+ * @returns {KeyEventTarget|null} Null when the keycode has no Linux mapping or no device exposes it.
+ */
+export function findKeyEvent(devices, androidKeycode, preferredPath) {
+	const candidates = Object.entries(linuxKeycodes[String(androidKeycode)] || {});
+	if (candidates.length === 0) return null;
+	const exposes = (device, key, code) => device.keys.includes(key) || device.keys.includes(code.toString(16).padStart(4, "0"));
+
+	if (preferredPath) {
+		const device = devices.find((d) => d.path === preferredPath);
+		// Without probe data for the configured node, trust it with the preferred key
+		const match = device ? candidates.find(([key, code]) => exposes(device, key, code)) : candidates[0];
+		return match ? { path: preferredPath, key: match[0], code: match[1] } : null;
+	}
+	for (const [key, code] of candidates) {
+		const device = devices.find((d) => exposes(d, key, code));
+		if (device) return { path: device.path, key, code };
+	}
+	return null;
+}
+
+/**
+ * Builds the sendevent commands for one key transition followed by a sync report.
+ * @public
+ * @param {KeyEventTarget} target - Resolved device node and key code.
+ * @param {0|1} value - 1 for key down, 0 for key up.
+ * @returns {string}
+ */
+export function sendeventCommand(target, value) {
+	// EV_KEY (1) with the key code, then EV_SYN/SYN_REPORT (0 0 0) so the event is delivered
+	return `sendevent ${target.path} 1 ${target.code} ${value} && sendevent ${target.path} 0 0 0`;
+}
+
+/**
+ * Output printed by sendevent/getevent when the node cannot be used from the ADB shell.
+ * @private
+ */
+const SENDEVENT_FAILURE = /could not open|permission denied|not found|no such file/i;
+
+/**
+ * Creates the key injector for one device.
+ * @public
+ * @param {Object} options
+ * @param {function(string, AbortSignal=): Promise<string>} options.run - Runs a shell command and resolves with its output.
+ * @param {string} [options.inputDevice] - Device node to use instead of probing getevent.
+ * @param {function(string, string): void} [options.onLog] - Called with (level, message).
+ * @param {function(AbortSignal=): Promise<boolean>} [options.longPressSupported] - Whether `input keyevent --longpress` exists (assumed if omitted).
+ * @returns {Object} Injector with devices(), resolve(), down(), up(), hold(), chord() and sendeventSupported.
+ */
+export default function createInputDevices(options) {
+	const run = options.run;
+	const inputDevice = options.inputDevice || null;
+	const onLog = typeof options.onLog === "function" ? options.onLog : () => {};
+	const longPressSupported = typeof options.longPressSupported === "function" ? options.longPressSupported : async () => true;
+
+	let probe = null;
+	let sendeventSupported = true;
+	// Keys pressed through the --longpress fallback, whose release is a no-op
+	const fallbackDown = new Set();
+
+	/**
+	 * Stops using sendevent for the rest of the session.
+	 * @private
+	 * @param {string} reason - Output or error that showed sendevent is unusable.
+	 */
+	function disableSendevent(reason) {
+		if (!sendeventSupported) return;
+		sendeventSupported = false;
+		onLog("warn", `sendevent is not usable on this device, falling back to input keyevent --longpress: ${reason.trim()}`);
+	}
+
+	/**
+	 * Runs a sendevent sequence, disabling sendevent if the device rejects it.
+	 * @private
+	 * @param {string} command - Shell command.
+	 * @param {AbortSignal} [signal] - Aborts the command.
+	 * @returns {Promise<boolean>} True if the events were written.
+	 */
+	async function runSendevent(command, signal) {
+		const output = await run(command, signal);
+		if (output && SENDEVENT_FAILURE.test(output)) {
+			disableSendevent(output);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Sends `input keyevent --longpress`, the fallback when sendevent cannot be used.
+	 * @private
+	 * @param {number} androidKeycode - Android keycode.
+	 * @param {AbortSignal} [signal] - Aborts the command.
+	 * @returns {Promise<"longpress">}
+	 * @throws {UnsupportedOperationError} If the device's input command has no --longpress.
+	 */
+	async function longPress(androidKeycode, signal) {
+		if (!(await longPressSupported(signal))) {
+			throw new UnsupportedOperationError(`Key ${androidKeycode} cannot be held: sendevent is unavailable and input keyevent has no --longpress`, {
+				code: "ERR_LONG_PRESS_UNSUPPORTED"
+			});
+		}
+		await run(`input keyevent --longpress ${androidKeycode}`, signal);
+		return "longpress";
+	}
+
+	const injector = {
+		/**
+		 * Lists the input devices reported by `getevent -pl` (probed once and cached).
+		 * @public
+		 * @param {AbortSignal} [signal] - Aborts the probe.
+		 * @returns {Promise<InputDevice[]>}
+		 */
+		devices(signal) {
+			if (!probe) {
+				probe = Promise.resolve(run("getevent -pl", signal)).then(parseGeteventOutput);
+				// A failed or aborted probe is retried on the next call
+				probe.catch(() => {
+					probe = null;
+				});
+			}
+			return probe;
+		},
+
+		/**
+		 * Resolves the sendevent target for an Android keycode.
+		 * @public
+		 * @param {number} androidKeycode - Android keycode.
+		 * @param {AbortSignal} [signal] - Aborts the probe.
+		 * @returns {Promise<KeyEventTarget|null>} Null when sendevent cannot be used for this key.
+		 */
+		async resolve(androidKeycode, signal) {
+			if (!sendeventSupported) return null;
+			const devices = inputDevice ? [] : await injector.devices(signal);
+			return findKeyEvent(devices, androidKeycode, inputDevice);
+		},
+
+		/**
+		 * Presses a key without releasing it. Falls back to a long press when sendevent is unavailable.
+		 * @public
+		 * @param {number} androidKeycode - Android keycode.
+		 * @param {AbortSignal} [signal] - Aborts the command.
+		 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
+		 */
+		async down(androidKeycode, signal) {
+			const target = await injector.resolve(androidKeycode, signal);
+			if (target && (await runSendevent(sendeventCommand(target, 1), signal))) return "sendevent";
+			onLog("warn", `Key ${androidKeycode} cannot be held down on this device; sending a long press instead`);
+			await longPress(androidKeycode, signal);
+			fallbackDown.add(androidKeycode);
+			return "longpress";
+		},
+
+		/**
+		 * Releases a key pressed with down(). A no-op for keys that fell back to a long press.
+		 * @public
+		 * @param {number} androidKeycode - Android keycode.
+		 * @param {AbortSignal} [signal] - Aborts the command.
+		 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
+		 */
+		async up(androidKeycode, signal) {
+			if (fallbackDown.delete(androidKeycode)) return "longpress";
+			const target = await injector.resolve(androidKeycode, signal);
+			if (target && (await runSendevent(sendeventCommand(target, 0), signal))) return "sendevent";
+			return "longpress";
+		},
+
+		/**
+		 * Holds a key for the given duration in one shell command, so the hold length does not
+		 * depend on ADB round trips. Falls back to `input keyevent --longpress`, whose duration is fixed by Android.
+		 * If the hold is aborted, a key-up is still sent so the key is never left pressed.
+		 * @public
+		 * @param {number} androidKeycode - Android keycode.
+		 * @param {number} duration - Hold duration in milliseconds.
+		 * @param {AbortSignal} [signal] - Aborts the hold.
+		 * @returns {Promise<"sendevent"|"longpress">} Transport that was used.
+		 */
+		async hold(androidKeycode, duration, signal) {
+			const target = await injector.resolve(androidKeycode, signal);
+			if (target) {
+				const seconds = Math.max(duration, 0) / 1000;
+				const command = `${sendeventCommand(target, 1)} && sleep ${seconds} && ${sendeventCommand(target, 0)}`;
+				try {
+					if (await runSendevent(command, signal)) return "sendevent";
+				} catch (error) {
+					if (signal && signal.aborted) {
+						run(sendeventCommand(target, 0)).catch(() => {});
+					}
+					throw error;
+				}
+			}
+			return longPress(androidKeycode, signal);
+		},
+
+		/**
+		 * Presses keys in order and releases them in reverse order in one shell command, so modifiers
+		 * are held while the last key is pressed (e.g. Ctrl+C).
+		 * @public
+		 * @param {number[]} androidKeycodes - Android keycodes in press order, modifiers first.
+		 * @param {AbortSignal} [signal] - Aborts the command.
+		 * @returns {Promise<boolean>} False if sendevent cannot be used for one of the keys.
+		 */
+		async chord(androidKeycodes, signal) {
+			const targets = [];
+			for (const androidKeycode of androidKeycodes) {
+				const target = await injector.resolve(androidKeycode, signal);
+				if (!target) return false;
+				targets.push(target);
+			}
+			const presses = targets.map((target) => sendeventCommand(target, 1));
+			const releases = [...targets].reverse().map((target) => sendeventCommand(target, 0));
+			return runSendevent([...presses, ...releases].join(" && "), signal);
+		},
+
+		/**
+		 * False once the device has shown that sendevent cannot be used.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get sendeventSupported() {
+			return sendeventSupported;
+		}
+	};
+	return injector;
+}
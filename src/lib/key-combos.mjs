@@ -0,0 +1,95 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/key-combos.mjs
+ *	@Date: 2026-10-19 21:58:36 -07:00 (1792472316)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 21:58:36 -07:00 (1792472316)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Key Combos module - Key combinations with modifiers held down (Ctrl+C, Alt+Tab, Meta+...).
+ *
+ * @module key-combos
+ *
+ * @description
+ * `input keyevent` sends every key on its own with no meta state, and has no option to add one. Chords
+ * therefore use, in order:
+ * 1. `input keycombination` (Android 13+), which presses the keys together with the right meta state.
+ * 2. sendevent on the input device nodes: the keys are pressed in order and released in reverse, so the
+ *    kernel input layer applies the modifiers like a real keyboard.
+ * When neither is available, send() rejects with UnsupportedOperationError (code ERR_KEY_COMBINATION_UNSUPPORTED).
+ *
+ * @example
+ * const combos = createKeyCombos({ run, inputDevices, capabilities });
+ * await combos.send(resolveComboKeys(["ctrl", "c"], resolveKeycode)); // "keycombination" or "sendevent"
+ */
+
+import { UnsupportedOperationError } from "./errors.mjs";
+
+/**
+ * Modifier aliases and the keycode name they press.
+ * @public
+ * @type {Readonly<Object<string, string>>}
+ */
+export const MODIFIER_KEYS = Object.freeze({ shift: "shiftLeft", ctrl: "ctrlLeft", alt: "altLeft", meta: "metaLeft" });
+
+/**
+ * Output of `input` when it does not know keycombination (usage text on old versions, an error on others).
+ * @private
+ */
+const KEYCOMBINATION_FAILURE = /usage:|error|unknown command|exception/i;
+
+/**
+ * Resolves the keys of a combination to Android keycodes.
+ * @public
+ * @param {Array<string|number>} keys - Modifier aliases ("ctrl"), keycode names ("ctrlLeft", "c") or keycodes, modifiers first.
+ * @param {function((string|number)): number} resolveKeycode - Resolves a single key (throws UnknownKeyError).
+ * @returns {number[]}
+ * @throws {TypeError} If fewer than two keys are given.
+ */
+export function resolveComboKeys(keys, resolveKeycode) {
+	if (!Array.isArray(keys) || keys.length < 2) throw new TypeError("A key combination needs at least two keys");
+	return keys.map((key) => resolveKeycode(typeof key === "string" && MODIFIER_KEYS[key] ? MODIFIER_KEYS[key] : key));
+}
+
+/**
+ * Creates the key combination sender for one device.
+ * @public
+ * @param {Object} options
+ * @param {function(string, AbortSignal=): Promise<string>} options.run - Runs a shell command and resolves with its output.
+ * @param {Object} options.inputDevices - Key injector from input-devices.mjs (for the sendevent path).
+ * @param {function(AbortSignal=): Promise<Object|null>} options.capabilities - Device capabilities (null when unknown).
+ * @param {function(string, string): void} [options.onLog] - Called with (level, message).
+ * @returns {{ send: function(number[], AbortSignal=): Promise<"keycombination"|"sendevent"> }}
+ */
+export default function createKeyCombos({ run, inputDevices, capabilities, onLog = () => {} }) {
+	return {
+		/**
+		 * Presses the keys together.
+		 * @public
+		 * @param {number[]} androidKeycodes - Keycodes in press order, modifiers first.
+		 * @param {AbortSignal} [signal] - Aborts the command.
+		 * @returns {Promise<"keycombination"|"sendevent">} Transport that was used.
+		 * @throws {UnsupportedOperationError} If the device supports neither keycombination nor sendevent for these keys.
+		 */
+		async send(androidKeycodes, signal) {
+			const supported = await capabilities(signal);
+			// Unknown capabilities: try keycombination and judge by its output
+			if (!supported || supported.keyCombination) {
+				const output = await run(`input keycombination ${androidKeycodes.join(" ")}`, signal);
+				if (!KEYCOMBINATION_FAILURE.test(output || "")) return "keycombination";
+				onLog("debug", "input keycombination is unavailable, using sendevent");
+			}
+			if (await inputDevices.chord(androidKeycodes, signal)) return "sendevent";
+			throw new UnsupportedOperationError(
+				`Keys ${androidKeycodes.join("+")} cannot be pressed together: input keycombination needs Android 13 and sendevent is unavailable`,
+				{ code: "ERR_KEY_COMBINATION_UNSUPPORTED" }
+			);
+		}
+	};
+}
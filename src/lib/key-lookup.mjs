@@ -0,0 +1,42 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/key-lookup.mjs
+ *	@Date: 2026-10-20 05:12:40 -07:00 (1792498360)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 05:12:40 -07:00 (1792498360)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Key Lookup module - Resolves key names from user input to the generated key functions.
+ *
+ * @module key-lookup
+ *
+ * @description
+ * The CLI, the HTTP server, the WebSocket bridge and the MQTT bridge take key names from outside
+ * (arguments, URLs, frames, payloads). A plain `functions[key]` lookup would also find names inherited
+ * from Object.prototype (toString, constructor, ...), so only own properties count as keys.
+ *
+ * @example
+ * await keyFunction(remote.press, "home")();
+ * keyFunction(remote.press, "toString"); // throws UnknownKeyError
+ */
+
+import { UnknownKeyError } from "./errors.mjs";
+
+/**
+ * Looks up a generated key function (press.*, press.long.*, keyboard.key.*).
+ * @public
+ * @param {Object} functions - Key function map.
+ * @param {string} key - Key name.
+ * @returns {Function}
+ * @throws {UnknownKeyError} If there is no such key.
+ */
+export function keyFunction(functions, key) {
+	if (typeof key !== "string" || !Object.hasOwn(functions, key) || typeof functions[key] !== "function") throw new UnknownKeyError(String(key));
+	return functions[key];
+}
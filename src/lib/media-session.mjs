@@ -0,0 +1,353 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/media-session.mjs
+ *	@Date: 2026-10-19 18:52:30 -07:00 (1792461150)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 18:52:30 -07:00 (1792461150)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Media Session module - Reads playback state and now-playing metadata from `dumpsys media_session`.
+ *
+ * @module media-session
+ *
+ * @description
+ * Every media app on Android TV publishes a MediaSession. `dumpsys media_session` lists them, most
+ * recent first, with their PlaybackState (state, position, speed) and a metadata description
+ * ("title, subtitle, description"). The session reported is the first active one that is playing,
+ * else the first active one, else the media button session.
+ *
+ * The reported position is the app's last update. While playing, it is advanced by the time elapsed
+ * since that update (`/proc/uptime` is read in the same command, as the update time is elapsedRealtime).
+ * Duration is not printed by stock Android and is null unless the device exposes it.
+ *
+ * @example
+ * const media = createMediaSession(deviceContext);
+ * await media.get(); // { packageName: "com.netflix.ninja", state: "playing", playing: true, position: 61200, title: "...", ... }
+ * media.watch({ interval: 2000 }); // emits media-state-changed
+ * await media.waitFor("playing", { timeout: 10000 });
+ */
+
+import { delay } from "./abort.mjs";
+import createPoller from "./poller.mjs";
+
+/**
+ * PlaybackState.STATE_* codes.
+ * @public
+ * @type {Readonly<Object<number, string>>}
+ */
+export const PLAYBACK_STATES = Object.freeze({
+	0: "none",
+	1: "stopped",
+	2: "paused",
+	3: "playing",
+	4: "fast_forwarding",
+	5: "rewinding",
+	6: "buffering",
+	7: "error",
+	8: "connecting",
+	9: "skipping_to_previous",
+	10: "skipping_to_next",
+	11: "skipping_to_queue_item"
+});
+
+/**
+ * States in which the session is moving towards or through playback.
+ * @private
+ */
+const ACTIVE_PLAYBACK = new Set(["playing", "fast_forwarding", "rewinding", "buffering", "connecting", "skipping_to_previous", "skipping_to_next", "skipping_to_queue_item"]);
+
+/**
+ * One media session as listed by dumpsys.
+ * @typedef {Object} MediaSessionInfo
+ * @property {string} packageName - Owning package.
+ * @property {string} tag - Session tag.
+ * @property {boolean} active - Whether the app marked the session active.
+ * @property {string} state - Playback state name (see PLAYBACK_STATES).
+ * @property {number|null} stateCode - Raw PlaybackState code.
+ * @property {number|null} position - Position in ms at the last update.
+ * @property {number|null} bufferedPosition - Buffered position in ms.
+ * @property {number|null} speed - Playback speed (1 = normal).
+ * @property {number|null} updated - elapsedRealtime (ms) of the last update.
+ * @property {number|null} duration - Duration in ms, where exposed.
+ * @property {string|null} title - Metadata title.
+ * @property {string|null} artist - Metadata subtitle (artist or show name).
+ * @property {string|null} description - Metadata description.
+ * @property {string|null} error - Playback error message.
+ */
+
+/**
+ * The current media state of the device.
+ * @typedef {Object} MediaState
+ * @property {string|null} packageName - Package of the reported session (null when no session exists).
+ * @property {string} state - Playback state name ("none" when no session exists).
+ * @property {boolean} playing - True when state is "playing".
+ * @property {number|null} position - Estimated current position in ms.
+ * @property {number|null} duration - Duration in ms, where exposed.
+ * @property {number|null} speed - Playback speed.
+ * @property {string|null} title - Now-playing title.
+ * @property {string|null} artist - Now-playing subtitle/artist.
+ * @property {string|null} description - Now-playing description.
+ * @property {MediaSessionInfo[]} sessions - Every session, most recent first.
+ */
+
+/**
+ * Converts dumpsys "null" placeholders to null.
+ * @private
+ * @param {string|undefined} value - Raw field.
+ * @returns {string|null}
+ */
+function nullable(value) {
+	const text = value === undefined ? "" : value.trim();
+	return text === "" || text === "null" ? null : text;
+}
+
+/**
+ * Reads a numeric field of a PlaybackState dump.
+ * @private
+ * @param {string} text - PlaybackState text.
+ * @param {string} name - Field name.
+ * @returns {number|null}
+ */
+function numberField(text, name) {
+	const match = new RegExp(`(?:^|[{,\\s])${name}=(-?[\\d.]+)`).exec(text);
+	return match ? Number(match[1]) : null;
+}
+
+/**
+ * Parses the session list of `dumpsys media_session`.
+ * @public
+ * @param {string} output - dumpsys output.
+ * @returns {MediaSessionInfo[]} Sessions in dumpsys order (most recent first).
+ */
+export function parseMediaSessions(output) {
+	const sessions = [];
+	let current = null;
+	for (const line of String(output || "").split(/\r?\n/)) {
+		const header = /^\s+(\S+)\s+([\w.]+)\/(\S+)\s+\(userId=\d+\)\s*$/.exec(line);
+		if (header && !line.includes("Media button session")) {
+			current = {
+				packageName: header[2],
+				tag: header[1],
+				active: false,
+				state: "none",
+				stateCode: null,
+				position: null,
+				bufferedPosition: null,
+				speed: null,
+				updated: null,
+				duration: null,
+				title: null,
+				artist: null,
+				description: null,
+				error: null
+			};
+			sessions.push(current);
+			continue;
+		}
+		if (!current) continue;
+		const field = line.trim();
+		if (field.startsWith("package=")) {
+			current.packageName = field.slice("package=".length);
+		} else if (field.startsWith("active=")) {
+			current.active = field === "active=true";
+		} else if (field.startsWith("state=PlaybackState")) {
+			const stateCode = numberField(field, "state");
+			current.stateCode = stateCode;
+			current.state = PLAYBACK_STATES[stateCode] || "none";
+			current.position = numberField(field, "position");
+			current.bufferedPosition = numberField(field, "buffered position");
+			current.speed = numberField(field, "speed");
+			current.updated = numberField(field, "updated");
+			current.error = nullable((/error=([^,}]*)/.exec(field) || [])[1]);
+		} else if (/^metadata:/.test(field)) {
+			const description = /description=(.*)$/.exec(field);
+			if (description) {
+				// "title, subtitle, description" - commas inside a title cannot be told apart
+				const [title, artist, ...rest] = description[1].split(", ");
+				current.title = nullable(title);
+				current.artist = nullable(artist);
+				current.description = nullable(rest.join(", "));
+			}
+			current.duration = numberField(field, "duration");
+		}
+	}
+	return sessions;
+}
+
+/**
+ * Parses `dumpsys media_session` output into the current media state.
+ * @public
+ * @param {string} output - dumpsys output, optionally preceded by the `/proc/uptime` line.
+ * @returns {MediaState}
+ * @example
+ * parseMediaState(dumpsysOutput).playing; // true
+ */
+export function parseMediaState(output) {
+	const text = String(output || "");
+	const uptime = /^\s*(\d+(?:\.\d+)?)\s+\d+(?:\.\d+)?\s*$/m.exec(text.split(/\r?\n/, 1)[0]);
+	const sessions = parseMediaSessions(text);
+	const buttonPackage = (/Media button session is ([\w.]+)\//.exec(text) || [])[1];
+
+	const session =
+		sessions.find((entry) => entry.active && ACTIVE_PLAYBACK.has(entry.state)) ||
+		sessions.find((entry) => entry.active) ||
+		sessions.find((entry) => entry.packageName === buttonPackage) ||
+		null;
+
+	if (!session) {
+		return { packageName: null, state: "none", playing: false, position: null, duration: null, speed: null, title: null, artist: null, description: null, sessions };
+	}
+
+	let position = session.position;
+	if (session.state === "playing" && uptime && position !== null && session.updated > 0 && session.speed) {
+		position = Math.max(0, Math.round(position + (Number(uptime[1]) * 1000 - session.updated) * session.speed));
+		if (session.duration > 0) position = Math.min(position, session.duration);
+	}
+
+	return {
+		packageName: session.packageName,
+		state: session.state,
+		playing: session.state === "playing",
+		position,
+		duration: session.duration,
+		speed: session.speed,
+		title: session.title,
+		artist: session.artist,
+		description: session.description,
+		sessions
+	};
+}
+
+/**
+ * Identifies a state for change detection; position is left out as it changes on every poll.
+ * @private
+ * @param {MediaState|null} state - Media state.
+ * @returns {string}
+ */
+function stateKey(state) {
+	return state ? [state.packageName, state.state, state.title, state.artist].join("\u0000") : "";
+}
+
+/**
+ * Creates the media state reader and watcher for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Reader with get(), watch(), unwatch(), waitFor() and the watching flag.
+ */
+export default function createMediaSession(context) {
+	const { run, shell, emitEvent, emitLog } = context;
+
+	let lastState = null;
+
+	/**
+	 * Reads the media state from the device.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the read.
+	 * @param {"normal"|"low"} [priority="normal"] - Queue priority.
+	 * @returns {Promise<MediaState>}
+	 */
+	async function read(signal, priority = "normal") {
+		return parseMediaState(await shell("cat /proc/uptime; dumpsys media_session", signal, { priority }));
+	}
+
+	/**
+	 * Emits media-state-changed if the state differs from the last known one.
+	 * @private
+	 * @param {MediaState} state - Newly observed state.
+	 * @fires Remote#media-state-changed
+	 */
+	function observe(state) {
+		const previous = lastState;
+		lastState = state;
+		if (stateKey(previous) === stateKey(state)) return;
+		emitEvent("media-state-changed", { previous, current: state, timestamp: new Date().toISOString() });
+	}
+
+	const poller = createPoller({
+		poll: async () => {
+			const state = await read(undefined, "low");
+			// Stopped while the read was in flight
+			if (poller.running) observe(state);
+		},
+		isConnected: context.isConnected,
+		onError: (error) => emitLog("debug", `Media state poll failed: ${error.message}`, "watchMediaState")
+	});
+
+	const media = {
+		/**
+		 * Returns the current media session state.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<MediaState>}
+		 */
+		get(options = {}) {
+			return run("getMediaState", options, async (signal) => {
+				const state = await read(signal);
+				if (poller.running) observe(state);
+				return state;
+			});
+		},
+
+		/**
+		 * Starts polling the media state and emitting media-state-changed events. Calling it again restarts the watcher.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.interval=2000] - Poll interval in ms.
+		 * @returns {function(): void} Stops the watcher.
+		 */
+		watch(options = {}) {
+			media.unwatch();
+			const interval = poller.start(options);
+			emitLog("info", `Watching media state every ${interval}ms`, "watchMediaState");
+			return media.unwatch;
+		},
+
+		/**
+		 * Stops the watcher started with watch().
+		 * @public
+		 */
+		unwatch() {
+			poller.stop();
+			lastState = null;
+		},
+
+		/**
+		 * Waits until the media session reaches one of the given states.
+		 * @public
+		 * @param {string|string[]} states - State name(s), e.g. "playing" or ["paused", "stopped"].
+		 * @param {Object} [options={}]
+		 * @param {string} [options.packageName] - Only accept a session of this package.
+		 * @param {number} [options.timeout=30000] - Maximum wait in ms (rejects with CommandTimeoutError).
+		 * @param {number} [options.interval=500] - Poll interval in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the wait.
+		 * @returns {Promise<MediaState>}
+		 */
+		waitFor(states, options = {}) {
+			const wanted = new Set([].concat(states));
+			const interval = typeof options.interval === "number" && options.interval > 0 ? options.interval : 500;
+			return run("waitForMediaState", { ...options, timeout: options.timeout === undefined ? 30000 : options.timeout }, async (signal) => {
+				for (;;) {
+					const state = await read(signal);
+					if (wanted.has(state.state) && (!options.packageName || state.packageName === options.packageName)) return state;
+					await delay(interval, signal);
+				}
+			});
+		},
+
+		/**
+		 * True while the watcher is running.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get watching() {
+			return poller.running;
+		}
+	};
+	return media;
+}
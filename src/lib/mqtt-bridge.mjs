@@ -0,0 +1,402 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/mqtt-bridge.mjs
+ *	@Date: 2026-10-20 03:48:19 -07:00 (1792493299)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 03:48:19 -07:00 (1792493299)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * MQTT Bridge module - Publishes device state to MQTT, runs commands from MQTT, and announces Home Assistant entities.
+ *
+ * @module mqtt-bridge
+ *
+ * @description
+ * Optional adapter for home-automation setups. The package has no MQTT dependency: pass a connected
+ * client with the mqtt.js interface (publish, subscribe, unsubscribe, "message" and "connect" events).
+ *
+ * For every device, topics live under `<prefix>/<id>/`:
+ * - `availability` - "online" / "offline" while the remote is connected or not (retained)
+ * - `power` - "ON" / "OFF" from the power state (retained)
+ * - `app` - Foreground package name (retained)
+ * - `error` - JSON { command, name, code, message } when a command fails
+ * - `press/set` (key name), `text/set` (text), `awake/set`, `reboot/set` and `power/set` ("ON", "OFF", "TOGGLE") - commands
+ *
+ * Power and app are polled with watchPowerState() and watchForegroundApp(); watchers the caller already
+ * runs are reused and left running on stop(). Remotes added to or removed from a RemoteManager are
+ * bridged and unbridged as they come and go. `<prefix>/bridge/availability`
+ * is "online" while the bridge runs; set it as the client's last will ("offline", retained) so it
+ * flips when the bridge dies.
+ *
+ * With discovery on, retained Home Assistant MQTT discovery configs are published under
+ * `<discoveryPrefix>/<component>/<node>/<object>/config`. They cover a button per remote key plus wake
+ * and restart, a power switch, a foreground-app sensor and a keyboard text entity. Home Assistant's MQTT
+ * integration has no media_player platform, so on/off is exposed as a switch.
+ *
+ * @example
+ * import mqtt from "mqtt";
+ * const client = mqtt.connect("mqtt://broker", { will: { topic: "android-tv/bridge/availability", payload: "offline", retain: true } });
+ * const bridge = await createMqttBridge({ client, remotes: manager });
+ * // mosquitto_pub -t android-tv/livingRoom/press/set -m home
+ * await bridge.stop();
+ */
+
+import { InvalidConfigError } from "./errors.mjs";
+import { keyFunction } from "./key-lookup.mjs";
+import createRegistry from "./registry.mjs";
+
+/**
+ * Remote keys announced as Home Assistant buttons by default.
+ * @public
+ */
+export const BUTTON_KEYS = Object.freeze(["home", "back", "up", "down", "left", "right", "ok", "playPause", "volumeUp", "volumeDown", "volumeMute", "menu"]);
+
+/**
+ * Connection states reported as "online".
+ * @private
+ */
+const ONLINE_STATES = new Set(["connected"]);
+
+/**
+ * Makes a device id safe for MQTT topic levels and Home Assistant object ids.
+ * @public
+ * @param {string} id - Device id.
+ * @returns {string}
+ */
+export function topicId(id) {
+	return String(id).replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+/**
+ * Turns a key name into an entity name ("playPause" -> "Play Pause").
+ * @private
+ * @param {string} key - Remote key name.
+ * @returns {string}
+ */
+function keyLabel(key) {
+	if (key === "ok") return "OK";
+	return key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, (first) => first.toUpperCase());
+}
+
+/**
+ * Builds the Home Assistant discovery configs for one device.
+ * @public
+ * @param {string} id - Device id.
+ * @param {Object} [options={}]
+ * @param {string} [options.prefix="android-tv"] - Bridge topic prefix.
+ * @param {string} [options.discoveryPrefix="homeassistant"] - Home Assistant discovery prefix.
+ * @param {string[]} [options.buttons=BUTTON_KEYS] - Remote keys to announce as buttons.
+ * @param {Object} [options.info={}] - Device info (model, manufacturer, androidVersion) for the device registry.
+ * @returns {Array<{ topic: string, payload: Object }>}
+ */
+export function discoveryConfigs(id, options = {}) {
+	const prefix = options.prefix || "android-tv";
+	const discoveryPrefix = options.discoveryPrefix || "homeassistant";
+	const info = options.info || {};
+	const base = `${prefix}/${topicId(id)}`;
+	const node = `${topicId(prefix)}_${topicId(id)}`;
+	const shared = {
+		availability: [{ topic: `${prefix}/bridge/availability` }, { topic: `${base}/availability` }],
+		availability_mode: "all",
+		device: {
+			identifiers: [node],
+			name: String(id),
+			manufacturer: info.manufacturer || undefined,
+			model: info.model || undefined,
+			sw_version: info.androidVersion ? `Android ${info.androidVersion}` : undefined
+		}
+	};
+	const entity = (component, object, config) => ({
+		topic: `${discoveryPrefix}/${component}/${node}/${object}/config`,
+		payload: { unique_id: `${node}_${object}`, object_id: `${node}_${object}`, ...config, ...shared }
+	});
+
+	return [
+		...(options.buttons || BUTTON_KEYS).map((key) =>
+			entity("button", topicId(key), { name: keyLabel(key), command_topic: `${base}/press/set`, payload_press: key })
+		),
+		entity("button", "wake", { name: "Wake", command_topic: `${base}/awake/set`, payload_press: "PRESS", icon: "mdi:power-on" }),
+		entity("button", "reboot", { name: "Restart", command_topic: `${base}/reboot/set`, payload_press: "PRESS", device_class: "restart" }),
+		entity("switch", "power", {
+			name: "Power",
+			state_topic: `${base}/power`,
+			command_topic: `${base}/power/set`,
+			payload_on: "ON",
+			payload_off: "OFF",
+			icon: "mdi:television"
+		}),
+		entity("sensor", "app", { name: "Foreground App", state_topic: `${base}/app`, icon: "mdi:application" }),
+		entity("text", "keyboard", { name: "Keyboard", command_topic: `${base}/text/set`, mode: "text", icon: "mdi:keyboard" })
+	];
+}
+
+/**
+ * Starts the MQTT bridge.
+ * @public
+ * @param {Object} options
+ * @param {Object} options.client - Connected MQTT client with the mqtt.js interface.
+ * @param {import('./remote-manager.mjs').RemoteManager|Map<string, Object>|Object<string, Object>} options.remotes - Remotes by id.
+ * @param {string} [options.prefix="android-tv"] - Topic prefix.
+ * @param {boolean} [options.discovery=true] - Publish Home Assistant discovery configs.
+ * @param {string} [options.discoveryPrefix="homeassistant"] - Home Assistant discovery prefix.
+ * @param {string[]} [options.buttons=BUTTON_KEYS] - Remote keys announced as buttons.
+ * @param {number} [options.interval=30000] - Power and foreground app polling interval in ms.
+ * @returns {Promise<{ refresh: function(string=): Promise<void>, stop: function(): Promise<void> }>}
+ * @throws {InvalidConfigError} If the client or the remotes are missing.
+ */
+export default async function createMqttBridge(options = {}) {
+	const { client } = options;
+	if (!client || typeof client.publish !== "function" || typeof client.subscribe !== "function") {
+		throw new InvalidConfigError("createMqttBridge needs a connected MQTT `client` (mqtt.js interface)");
+	}
+	const registry = createRegistry(options.remotes, "createMqttBridge");
+	const prefix = options.prefix || "android-tv";
+	const interval = typeof options.interval === "number" ? options.interval : 30000;
+	const commandTopic = `${prefix}/+/+/set`;
+	const devices = new Map();
+
+	/**
+	 * Publishes a message, resolving once the client has sent it.
+	 * @private
+	 * @param {string} topic - Topic.
+	 * @param {string|Object} payload - Payload; objects are sent as JSON.
+	 * @param {boolean} [retain=false] - Retain on the broker.
+	 * @returns {Promise<void>}
+	 */
+	function publish(topic, payload, retain = false) {
+		const message = typeof payload === "string" ? payload : JSON.stringify(payload);
+		return new Promise((resolve, reject) => client.publish(topic, message, { qos: 0, retain }, (error) => (error ? reject(error) : resolve())));
+	}
+
+	/**
+	 * Publishes a device's power state and foreground app.
+	 * @private
+	 * @param {string} id - Device id.
+	 * @returns {Promise<void>}
+	 */
+	async function publishState(id) {
+		const { remote, base } = devices.get(id);
+		try {
+			const power = await remote.getPowerState();
+			await publish(`${base}/power`, power.awake ? "ON" : "OFF", true);
+			const app = await remote.getForegroundApp();
+			await publish(`${base}/app`, app ? app.packageName : "", true);
+		} catch (error) {
+			await publishError(id, "refresh", error);
+		}
+	}
+
+	/**
+	 * Reports a failed command on the device's error topic.
+	 * @private
+	 * @param {string} id - Device id.
+	 * @param {string} command - Command that failed.
+	 * @param {Error} error - The failure.
+	 * @returns {Promise<void>}
+	 */
+	function publishError(id, command, error) {
+		return publish(`${devices.get(id).base}/error`, { command, name: error.name, code: error.code || null, message: error.message });
+	}
+
+	/**
+	 * Publishes availability, state and (optionally) discovery configs for one device.
+	 * @private
+	 * @param {string} id - Device id.
+	 * @returns {Promise<void>}
+	 */
+	async function announce(id) {
+		const { remote, base } = devices.get(id);
+		await publish(`${base}/availability`, remote.isConnected ? "online" : "offline", true);
+		if (options.discovery !== false) {
+			const info = await remote.getDeviceInfo().catch(() => ({}));
+			for (const { topic, payload } of discoveryConfigs(id, { ...options, prefix, info })) await publish(topic, payload, true);
+		}
+		await publishState(id);
+	}
+
+	/**
+	 * Runs a command message.
+	 * @private
+	 * @param {Object} remote - Target remote.
+	 * @param {string} command - Command topic level (press, text, awake, reboot, power).
+	 * @param {string} payload - Message payload.
+	 * @returns {Promise<boolean>} True if the power state may have changed.
+	 */
+	async function runCommand(remote, command, payload) {
+		switch (command) {
+			case "press": {
+				const key = payload.trim();
+				await keyFunction(remote.press, key)();
+				return key === "power" || key === "wakeup";
+			}
+			case "text":
+				await remote.keyboard.text(payload);
+				return false;
+			case "awake":
+				await remote.ensureAwake();
+				return true;
+			case "reboot":
+				await remote.reboot();
+				return false;
+			case "power": {
+				const state = payload.trim().toUpperCase();
+				if (state === "ON") await remote.ensureAwake();
+				else if (state === "OFF") await remote.sleep();
+				else if (state === "TOGGLE") await remote.togglePower();
+				else throw new TypeError(`power/set takes ON, OFF or TOGGLE (got "${payload}")`);
+				return true;
+			}
+			default:
+				throw new TypeError(`Unknown command topic: ${command}/set`);
+		}
+	}
+
+	/**
+	 * "message" listener for the command topics.
+	 * @private
+	 * @param {string} topic - Topic the message arrived on.
+	 * @param {Buffer} message - Payload.
+	 */
+	function onMessage(topic, message) {
+		const match = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}/([^/]+)/([^/]+)/set$`).exec(topic);
+		if (!match) return;
+		const id = [...devices.keys()].find((candidate) => devices.get(candidate).node === match[1]);
+		if (id === undefined) return;
+		const { remote } = devices.get(id);
+		runCommand(remote, match[2], message.toString("utf8")).then(
+			(powerChanged) => (powerChanged ? publishState(id) : undefined),
+			(error) => publishError(id, match[2], error)
+		).catch(() => {});
+	}
+
+	/**
+	 * "connect" listener: announces everything again after the client reconnects.
+	 * @private
+	 */
+	function onConnect() {
+		publish(`${prefix}/bridge/availability`, "online", true)
+			.then(() => Promise.all([...devices.keys()].map(announce)))
+			.catch(() => {});
+	}
+
+	/**
+	 * Starts bridging one device: publishes its events. Watchers are started separately (startWatchers).
+	 * @private
+	 * @param {string} id - Device id.
+	 */
+	function attach(id) {
+		const remote = registry.get(id);
+		const node = topicId(id);
+		const base = `${prefix}/${node}`;
+		const listeners = {
+			"state-change": ({ to }) => publish(`${base}/availability`, ONLINE_STATES.has(to) ? "online" : "offline", true).catch(() => {}),
+			"power-state-changed": ({ current }) => publish(`${base}/power`, current.awake ? "ON" : "OFF", true).catch(() => {}),
+			"app-changed": ({ packageName }) => publish(`${base}/app`, packageName || "", true).catch(() => {})
+		};
+		for (const [event, listener] of Object.entries(listeners)) remote.on(event, listener);
+		devices.set(id, { remote, node, base, listeners, ownsPowerWatcher: false, ownsAppWatcher: false });
+	}
+
+	/**
+	 * Starts the power and foreground app watchers of a device, unless the caller already runs them.
+	 * @private
+	 * @param {string} id - Device id.
+	 */
+	function startWatchers(id) {
+		const device = devices.get(id);
+		if (!device.remote.powerStateWatching) {
+			device.remote.watchPowerState({ interval });
+			device.ownsPowerWatcher = true;
+		}
+		if (!device.remote.foregroundAppWatching) {
+			device.remote.watchForegroundApp({ interval });
+			device.ownsAppWatcher = true;
+		}
+	}
+
+	/**
+	 * Stops bridging one device: removes the listeners and stops only the watchers the bridge started.
+	 * @private
+	 * @param {string} id - Device id.
+	 */
+	function detach(id) {
+		const { remote, listeners, ownsPowerWatcher, ownsAppWatcher } = devices.get(id);
+		for (const [event, listener] of Object.entries(listeners)) remote.off(event, listener);
+		if (ownsPowerWatcher) remote.unwatchPowerState();
+		if (ownsAppWatcher) remote.unwatchForegroundApp();
+		devices.delete(id);
+	}
+
+	// A RemoteManager reports remotes added and removed after the bridge started
+	const manager = typeof options.remotes.on === "function" && typeof options.remotes.names === "function" ? options.remotes : null;
+	const managerListeners = {
+		"remote-added": ({ name }) => {
+			if (devices.has(name)) return;
+			attach(name);
+			announce(name)
+				.then(() => devices.has(name) && startWatchers(name))
+				.catch(() => {});
+		},
+		"remote-removed": ({ name }) => {
+			if (!devices.has(name)) return;
+			const { base } = devices.get(name);
+			detach(name);
+			publish(`${base}/availability`, "offline", true).catch(() => {});
+		}
+	};
+
+	/**
+	 * Removes every listener the bridge added and stops the watchers it started.
+	 * @private
+	 */
+	function detachAll() {
+		client.off("message", onMessage);
+		client.off("connect", onConnect);
+		if (manager) for (const [event, listener] of Object.entries(managerListeners)) manager.off(event, listener);
+		for (const id of [...devices.keys()]) detach(id);
+	}
+
+	for (const id of registry.ids()) attach(id);
+	client.on("message", onMessage);
+	client.on("connect", onConnect);
+	if (manager) for (const [event, listener] of Object.entries(managerListeners)) manager.on(event, listener);
+	try {
+		await new Promise((resolve, reject) => client.subscribe(commandTopic, { qos: 0 }, (error) => (error ? reject(error) : resolve())));
+		await publish(`${prefix}/bridge/availability`, "online", true);
+		for (const id of devices.keys()) await announce(id);
+	} catch (error) {
+		detachAll();
+		throw error;
+	}
+	for (const id of devices.keys()) startWatchers(id);
+
+	return {
+		/**
+		 * Reads and publishes the power state and foreground app now, for one device or all of them.
+		 * @public
+		 * @param {string} [id] - Device id.
+		 * @returns {Promise<void>}
+		 */
+		async refresh(id) {
+			if (id !== undefined && !devices.has(id)) throw new InvalidConfigError(`Unknown device: ${id}`);
+			await Promise.all((id === undefined ? [...devices.keys()] : [id]).map(publishState));
+		},
+
+		/**
+		 * Stops the bridge: unsubscribes, stops the watchers it started and marks the bridge offline.
+		 * The MQTT client stays connected and the remotes stay connected.
+		 * @public
+		 * @returns {Promise<void>}
+		 */
+		async stop() {
+			detachAll();
+			await new Promise((resolve) => client.unsubscribe(commandTopic, () => resolve()));
+			await publish(`${prefix}/bridge/availability`, "offline", true);
+		}
+	};
+}
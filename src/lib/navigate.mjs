@@ -0,0 +1,201 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/navigate.mjs
+ *	@Date: 2026-10-19 23:04:37 -07:00 (1792476277)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 23:04:37 -07:00 (1792476277)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Navigate module - Focus-aware D-pad navigation to an element on screen.
+ *
+ * @module navigate
+ *
+ * @description
+ * Backs `remote.navigate`. Instead of fixed "right, right, down" sequences, to() reads the UI hierarchy,
+ * compares the bounds of the focused element with those of the target and presses the D-pad key that
+ * moves toward it, until the target (or an element inside it, or one containing it) has focus.
+ *
+ * Vertical moves come first, since TV launchers are rows of horizontal lists and moving down lands on
+ * some item of the next row. A press that leaves focus where it was marks that direction as blocked
+ * for the focused element, and the other axis is tried. Navigation rejects with CommandFailedError when
+ * the target is not on screen (code ERR_NAVIGATION_TARGET_NOT_FOUND), when nothing has focus or every
+ * useful direction is blocked (ERR_NAVIGATION_STUCK), or after maxSteps presses (ERR_NAVIGATION_MAX_STEPS).
+ * Dumps that fail because the screen is not idle (video previews, animations) are retried for up to 3 s.
+ *
+ * @example
+ * const navigate = createNavigate(deviceContext, { read: (signal) => readUiHierarchy(deviceContext, signal), press: sendDirection });
+ * await navigate.to({ text: "Settings" }, { select: true });
+ */
+
+import { delay } from "./abort.mjs";
+import { CommandFailedError } from "./errors.mjs";
+import { findNodes } from "./ui.mjs";
+
+/**
+ * How long a failing dump is retried, in ms. uiautomator cannot get an idle state while launcher
+ * video previews or animations run, which usually passes within a second or two.
+ * @private
+ */
+const DUMP_RETRY_WINDOW = 3000;
+
+/**
+ * Delay between dump retries, in ms.
+ * @private
+ */
+const DUMP_RETRY_INTERVAL = 250;
+
+/**
+ * Result of a navigation.
+ * @typedef {Object} NavigateResult
+ * @property {import('./ui.mjs').UiNode} focused - Focused node at the end.
+ * @property {import('./ui.mjs').UiNode} target - Target node as last seen.
+ * @property {number} steps - D-pad presses sent.
+ * @property {string[]} path - Directions pressed, in order.
+ */
+
+/**
+ * Picks the D-pad direction that moves focus from one element toward another. Directions along
+ * which the boxes are separated come first, vertical before horizontal; overlapping boxes fall back
+ * to the direction between their centers.
+ * @public
+ * @param {import('./ui.mjs').UiBounds} from - Bounds of the focused element.
+ * @param {import('./ui.mjs').UiBounds} to - Bounds of the target.
+ * @param {string[]} [blocked=[]] - Directions that did not move focus.
+ * @returns {"up"|"down"|"left"|"right"|null} Null if no unblocked direction leads to the target.
+ */
+export function chooseDirection(from, to, blocked = []) {
+	const directions = [];
+	if (to.bottom <= from.top) directions.push("up");
+	else if (to.top >= from.bottom) directions.push("down");
+	if (to.right <= from.left) directions.push("left");
+	else if (to.left >= from.right) directions.push("right");
+	if (!directions.length) {
+		if (to.centerY !== from.centerY) directions.push(to.centerY < from.centerY ? "up" : "down");
+		if (to.centerX !== from.centerX) directions.push(to.centerX < from.centerX ? "left" : "right");
+	}
+	return directions.find((direction) => !blocked.includes(direction)) || null;
+}
+
+/**
+ * Tests whether a node is, or is inside, another node.
+ * @private
+ * @param {import('./ui.mjs').UiNode} node - Node to look for.
+ * @param {import('./ui.mjs').UiNode} ancestor - Subtree to search.
+ * @returns {boolean}
+ */
+function isWithin(node, ancestor) {
+	return node === ancestor || ancestor.children.some((child) => isWithin(node, child));
+}
+
+/**
+ * Identifies a focused element across dumps by its id and position.
+ * @private
+ * @param {import('./ui.mjs').UiNode} node - Focused node.
+ * @returns {string}
+ */
+function focusKey(node) {
+	const { left, top, right, bottom } = node.bounds || {};
+	return `${node.resourceId}|${node.text}|${left},${top},${right},${bottom}`;
+}
+
+/**
+ * Creates the D-pad navigator for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @param {Object} dependencies
+ * @param {function(AbortSignal): Promise<import('./ui.mjs').UiHierarchy>} dependencies.read - Dumps the UI hierarchy (readUiHierarchy in ui.mjs).
+ * @param {function(string, AbortSignal): Promise<any>} dependencies.press - Sends "up", "down", "left", "right" or "ok".
+ * @returns {Object} Navigator with to().
+ */
+export default function createNavigate(context, { read, press }) {
+	const { run, emitEvent } = context;
+
+	/**
+	 * Throws a navigation failure.
+	 * @private
+	 * @param {string} message - What went wrong.
+	 * @param {string} code - Error code.
+	 * @throws {CommandFailedError}
+	 */
+	function fail(message, code) {
+		throw new CommandFailedError(message, { code, host: context.host });
+	}
+
+	/**
+	 * Dumps the hierarchy, retrying failed dumps (not idle yet) for DUMP_RETRY_WINDOW ms.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the dump.
+	 * @returns {Promise<import('./ui.mjs').UiHierarchy>}
+	 * @throws {CommandFailedError} If the dump still fails when the window runs out.
+	 */
+	async function readHierarchy(signal) {
+		const deadline = Date.now() + DUMP_RETRY_WINDOW;
+		for (;;) {
+			try {
+				return await read(signal);
+			} catch (error) {
+				if (!(error instanceof CommandFailedError) || Date.now() >= deadline) throw error;
+			}
+			await delay(DUMP_RETRY_INTERVAL, signal);
+		}
+	}
+
+	return {
+		/**
+		 * Moves focus with the D-pad until the first element matching the selector has focus.
+		 * Emits "navigate-step" before every press.
+		 * @public
+		 * @param {import('./ui.mjs').UiSelector|function(import('./ui.mjs').UiNode): boolean} selector - Target selector or predicate.
+		 * @param {Object} [options={}]
+		 * @param {number} [options.maxSteps=20] - Maximum D-pad presses.
+		 * @param {number} [options.settle=100] - Delay after each press in ms, before the next dump.
+		 * @param {boolean} [options.select=false] - Press OK once the target has focus.
+		 * @param {AbortSignal} [options.signal] - Aborts the navigation.
+		 * @param {number} [options.timeout=30000] - Timeout in ms.
+		 * @returns {Promise<NavigateResult>}
+		 * @throws {CommandFailedError} If the target is missing, cannot be reached, or maxSteps runs out.
+		 */
+		to(selector, options = {}) {
+			const maxSteps = Number.isInteger(options.maxSteps) && options.maxSteps >= 0 ? options.maxSteps : 20;
+			const settle = typeof options.settle === "number" && options.settle >= 0 ? options.settle : 100;
+			return run("navigate.to", { ...options, timeout: options.timeout === undefined ? 30000 : options.timeout }, async (signal) => {
+				const path = [];
+				const blocked = new Map();
+				let previous = null;
+				for (;;) {
+					const hierarchy = await readHierarchy(signal);
+					const [target] = findNodes(hierarchy, selector);
+					if (!target) fail("No element on screen matches the navigation target", "ERR_NAVIGATION_TARGET_NOT_FOUND");
+					const focusedNodes = findNodes(hierarchy, { focused: true });
+					const focused = focusedNodes[focusedNodes.length - 1];
+					if (!focused || !focused.bounds || !target.bounds) fail("No focused element to navigate from", "ERR_NAVIGATION_STUCK");
+
+					if (isWithin(focused, target) || isWithin(target, focused)) {
+						if (options.select) await press("ok", signal);
+						return { focused, target, steps: path.length, path };
+					}
+
+					const key = focusKey(focused);
+					if (previous && previous.key === key) {
+						blocked.set(key, [...(blocked.get(key) || []), previous.direction]);
+					}
+					const direction = chooseDirection(focused.bounds, target.bounds, blocked.get(key));
+					if (!direction) fail("Focus cannot move any closer to the navigation target", "ERR_NAVIGATION_STUCK");
+					if (path.length >= maxSteps) fail(`Navigation target not focused after ${maxSteps} steps`, "ERR_NAVIGATION_MAX_STEPS");
+
+					emitEvent("navigate-step", { step: path.length + 1, direction, focused, target, timestamp: new Date().toISOString() });
+					await press(direction, signal);
+					path.push(direction);
+					previous = { key, direction };
+					if (settle) await delay(settle, signal);
+				}
+			});
+		}
+	};
+}
@@ -0,0 +1,92 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/poller.mjs
+ *	@Date: 2026-10-19 18:41:07 -07:00 (1792460467)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 18:41:07 -07:00 (1792460467)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Poller module - Background polling loop shared by the device watchers.
+ *
+ * @module poller
+ *
+ * @description
+ * Runs `poll()` on a setTimeout chain, so a slow poll never overlaps the next one. Polls are skipped
+ * while the remote is disconnected, so watchers never auto-connect. Timers are unref'd and do not keep
+ * the process alive. Restarting or stopping while a poll is in flight discards that poll's reschedule.
+ *
+ * @example
+ * const poller = createPoller({ poll: () => check(), isConnected: () => connected, onError: (e) => log(e) });
+ * poller.start({ interval: 2000 });
+ * poller.stop();
+ */
+
+/**
+ * Creates a polling loop.
+ * @public
+ * @param {Object} options
+ * @param {function(): Promise<void>} options.poll - Called on every tick while connected.
+ * @param {function(): boolean} options.isConnected - Whether polling is currently possible.
+ * @param {function(Error): void} [options.onError] - Receives poll failures (the loop keeps running).
+ * @param {number} [options.defaultInterval=2000] - Interval used when start() gets none.
+ * @returns {{ start: function(Object=): number, stop: function(): void, running: boolean }}
+ */
+export default function createPoller({ poll, isConnected, onError = () => {}, defaultInterval = 2000 }) {
+	let timer = null;
+	let generation = 0;
+
+	const poller = {
+		/**
+		 * Starts (or restarts) polling. The first poll runs immediately.
+		 * @param {Object} [options={}]
+		 * @param {number} [options.interval] - Poll interval in ms.
+		 * @returns {number} The interval in use.
+		 */
+		start(options = {}) {
+			const interval = typeof options.interval === "number" && options.interval > 0 ? options.interval : defaultInterval;
+			poller.stop();
+			const current = ++generation;
+			const tick = async () => {
+				if (isConnected()) {
+					try {
+						await poll();
+					} catch (error) {
+						onError(error);
+					}
+				}
+				// Stopped or restarted while the poll was running
+				if (current !== generation) return;
+				timer = setTimeout(tick, interval);
+				timer.unref();
+			};
+			timer = setTimeout(tick, 0);
+			timer.unref();
+			return interval;
+		},
+
+		/**
+		 * Stops polling.
+		 */
+		stop() {
+			generation++;
+			if (timer) clearTimeout(timer);
+			timer = null;
+		},
+
+		/**
+		 * True while polling.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get running() {
+			return timer !== null;
+		}
+	};
+	return poller;
+}
@@ -0,0 +1,330 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/power.mjs
+ *	@Date: 2026-10-19 19:46:20 -07:00 (1792464380)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 19:46:20 -07:00 (1792464380)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Power module - Typed power state, standby and power toggling with verification.
+ *
+ * @module power
+ *
+ * @description
+ * Parses `dumpsys power` into a PowerState: wakefulness, display state, wake locks, screen-off timeout
+ * and the stay-on settings. `sleep()` sends KEYCODE_SLEEP and falls back to KEYCODE_POWER on devices
+ * that ignore it. `togglePower()` sends KEYCODE_POWER. Both wait until wakefulness actually changes.
+ *
+ * The watcher polls a grep-filtered dump at low queue priority and emits `power-state-changed` when
+ * the power, wakefulness or display state changes.
+ *
+ * @example
+ * const power = createPower(deviceContext);
+ * await power.get(); // { wakefulness: "awake", awake: true, displayState: "on", wakeLocks: [...], ... }
+ * await power.sleep();
+ * power.watch({ interval: 5000 });
+ */
+
+import { delay } from "./abort.mjs";
+import { CommandFailedError } from "./errors.mjs";
+import createPoller from "./poller.mjs";
+
+/**
+ * KEYCODE_POWER and KEYCODE_SLEEP.
+ * @private
+ */
+const KEYCODE_POWER = 26;
+const KEYCODE_SLEEP = 223;
+
+/**
+ * Lines needed for the watcher's change detection.
+ * @private
+ */
+const POLL_COMMAND = "dumpsys power | grep -E 'mIsPowered=|mWakefulness=|mDisplayReady=|Display Power:'";
+
+/**
+ * A wake lock held on the device.
+ * @typedef {Object} WakeLock
+ * @property {string} type - Lock level (e.g. "PARTIAL_WAKE_LOCK", "SCREEN_BRIGHT_WAKE_LOCK").
+ * @property {string} tag - Tag given by the holder.
+ * @property {number|null} uid - Holder uid.
+ * @property {number|null} pid - Holder pid.
+ */
+
+/**
+ * Power state of the device.
+ * @typedef {Object} PowerState
+ * @property {boolean|null} powered - mIsPowered (plugged in).
+ * @property {"awake"|"asleep"|"dreaming"|"dozing"|"unknown"} wakefulness - mWakefulness.
+ * @property {boolean} awake - True when wakefulness is "awake".
+ * @property {boolean|null} displayReady - mDisplayReady.
+ * @property {string} displayState - Display power state ("on", "off", "doze", ... or "unknown").
+ * @property {WakeLock[]} wakeLocks - Wake locks currently held.
+ * @property {number|null} screenOffTimeout - mScreenOffTimeoutSetting in ms.
+ * @property {Object} stayOn - Stay-awake settings.
+ * @property {boolean|null} stayOn.active - mStayOn (the screen is currently kept on).
+ * @property {number|null} stayOn.setting - mStayOnWhilePluggedInSetting bit mask.
+ * @property {boolean} stayOn.ac - Stay on while on AC power.
+ * @property {boolean} stayOn.usb - Stay on while on USB power.
+ * @property {boolean} stayOn.wireless - Stay on while on wireless power.
+ * @property {boolean} stayOn.dock - Stay on while docked.
+ */
+
+/**
+ * Reads a `name=value` field of dumpsys power.
+ * @private
+ * @param {string} output - dumpsys output.
+ * @param {string} name - Field name.
+ * @returns {string|null}
+ */
+function field(output, name) {
+	const match = new RegExp(`^\\s*${name}=([a-zA-Z0-9_-]+)`, "m").exec(output);
+	return match ? match[1] : null;
+}
+
+/**
+ * Converts "true"/"false" to a boolean.
+ * @private
+ * @param {string|null} value - Field value.
+ * @returns {boolean|null}
+ */
+function flag(value) {
+	return value === null ? null : value === "true";
+}
+
+/**
+ * Parses the "Wake Locks: size=N" section.
+ * @private
+ * @param {string} output - dumpsys output.
+ * @returns {WakeLock[]}
+ */
+function parseWakeLocks(output) {
+	const section = /^Wake Locks: size=\d+\r?\n((?:[ \t]+\S.*\r?\n?)*)/m.exec(output);
+	if (!section) return [];
+	return section[1]
+		.split(/\r?\n/)
+		.map((line) => {
+			const lock = /^\s+(\w+_WAKE_LOCK)\s+'([^']*)'/.exec(line);
+			if (!lock) return null;
+			const uid = /\buid=(\d+)/.exec(line);
+			const pid = /\bpid=(\d+)/.exec(line);
+			return { type: lock[1], tag: lock[2], uid: uid ? Number(uid[1]) : null, pid: pid ? Number(pid[1]) : null };
+		})
+		.filter(Boolean);
+}
+
+/**
+ * Parses `dumpsys power` output (complete or grep-filtered) into a PowerState.
+ * @public
+ * @param {string} output - dumpsys power output.
+ * @returns {PowerState} Fields missing from the output are null, "unknown" or empty.
+ * @example
+ * parsePowerState("  mWakefulness=Asleep\n  mIsPowered=true").awake; // false
+ */
+export function parsePowerState(output) {
+	const text = String(output || "");
+	const wakefulness = (field(text, "mWakefulness") || "unknown").toLowerCase();
+	const displayState = /Display Power: state=(\w+)/.exec(text);
+	const stayOnSetting = field(text, "mStayOnWhilePluggedInSetting");
+	const setting = stayOnSetting === null ? null : Number(stayOnSetting);
+	const timeout = field(text, "mScreenOffTimeoutSetting");
+	return {
+		powered: flag(field(text, "mIsPowered")),
+		wakefulness,
+		awake: wakefulness === "awake",
+		displayReady: flag(field(text, "mDisplayReady")),
+		displayState: displayState ? displayState[1].toLowerCase() : "unknown",
+		wakeLocks: parseWakeLocks(text),
+		screenOffTimeout: timeout === null ? null : Number(timeout),
+		stayOn: {
+			active: flag(field(text, "mStayOn")),
+			setting,
+			ac: Boolean(setting & 1),
+			usb: Boolean(setting & 2),
+			wireless: Boolean(setting & 4),
+			dock: Boolean(setting & 8)
+		}
+	};
+}
+
+/**
+ * Identifies a state for change detection.
+ * @private
+ * @param {PowerState|null} state - Power state.
+ * @returns {string}
+ */
+function stateKey(state) {
+	return state ? [state.powered, state.wakefulness, state.displayState].join("|") : "";
+}
+
+/**
+ * Creates the power controller and watcher for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Controller with get(), sleep(), togglePower(), watch(), unwatch() and the watching flag.
+ */
+export default function createPower(context) {
+	const { run, shell, emitEvent, emitLog } = context;
+
+	let lastState = null;
+
+	/**
+	 * Reads the power state.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the read.
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.full=true] - Read the whole dump (wake locks, timeouts) rather than the watched lines.
+	 * @param {"high"|"normal"|"low"} [options.priority="normal"] - Queue priority.
+	 * @returns {Promise<PowerState>}
+	 */
+	async function read(signal, { full = true, priority = "normal" } = {}) {
+		return parsePowerState(await shell(full ? "dumpsys power" : POLL_COMMAND, signal, { priority }));
+	}
+
+	/**
+	 * Emits power-state-changed if the state differs from the last known one.
+	 * @private
+	 * @param {PowerState} state - Newly observed state.
+	 * @fires Remote#power-state-changed
+	 */
+	function observe(state) {
+		const previous = lastState;
+		lastState = state;
+		if (stateKey(previous) === stateKey(state)) return;
+		emitEvent("power-state-changed", { previous, current: state, timestamp: new Date().toISOString() });
+	}
+
+	/**
+	 * Sends a key and polls until the device reaches the wanted wakefulness.
+	 * @private
+	 * @param {number} keycode - Key to send.
+	 * @param {boolean} awake - Wanted awake flag.
+	 * @param {number} settle - Maximum wait in ms.
+	 * @param {AbortSignal} [signal] - Aborts the wait.
+	 * @returns {Promise<PowerState>} The last state read (check `awake` for success).
+	 */
+	async function sendAndWait(keycode, awake, settle, signal) {
+		await shell(`input keyevent ${keycode}`, signal, { priority: "high" });
+		const deadline = Date.now() + settle;
+		for (;;) {
+			await delay(250, signal);
+			const state = await read(signal);
+			if (state.awake === awake || Date.now() >= deadline) {
+				if (poller.running) observe(state);
+				return state;
+			}
+		}
+	}
+
+	const poller = createPoller({
+		poll: async () => {
+			const state = await read(undefined, { full: false, priority: "low" });
+			// Stopped while the read was in flight
+			if (poller.running) observe(state);
+		},
+		isConnected: context.isConnected,
+		onError: (error) => emitLog("debug", `Power state poll failed: ${error.message}`, "watchPowerState"),
+		defaultInterval: 5000
+	});
+
+	const power = {
+		/**
+		 * Returns the power state.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<PowerState>}
+		 */
+		get(options = {}) {
+			return run("getPowerState", options, async (signal) => {
+				const state = await read(signal);
+				if (poller.running) observe(state);
+				return state;
+			});
+		},
+
+		/**
+		 * Puts the device to standby and verifies it. Does nothing if it is already asleep.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.settle=5000] - Maximum wait per attempt for the device to fall asleep, in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the operation.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<PowerState>} The state after the device fell asleep.
+		 * @throws {CommandFailedError} If the device is still awake after KEYCODE_SLEEP and KEYCODE_POWER.
+		 */
+		sleep(options = {}) {
+			const settle = options.settle > 0 ? options.settle : 5000;
+			return run("sleep", options, async (signal) => {
+				let state = await read(signal);
+				if (!state.awake) return state;
+				state = await sendAndWait(KEYCODE_SLEEP, false, settle, signal);
+				if (!state.awake) return state;
+				emitLog("info", "Device ignored KEYCODE_SLEEP, sending KEYCODE_POWER", "sleep");
+				state = await sendAndWait(KEYCODE_POWER, false, settle, signal);
+				if (state.awake) throw new CommandFailedError("Device is still awake after KEYCODE_SLEEP and KEYCODE_POWER", { host: context.host });
+				return state;
+			});
+		},
+
+		/**
+		 * Presses power and verifies that the device switched between awake and standby.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.settle=5000] - Maximum wait for the change, in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the operation.
+		 * @param {number} [options.timeout] - Timeout in ms.
+		 * @returns {Promise<PowerState>} The state after the change.
+		 * @throws {CommandFailedError} If the wakefulness did not change.
+		 */
+		togglePower(options = {}) {
+			const settle = options.settle > 0 ? options.settle : 5000;
+			return run("togglePower", options, async (signal) => {
+				const before = await read(signal);
+				const state = await sendAndWait(KEYCODE_POWER, !before.awake, settle, signal);
+				if (state.awake === before.awake) {
+					throw new CommandFailedError(`Device stayed ${before.wakefulness} after KEYCODE_POWER`, { host: context.host });
+				}
+				return state;
+			});
+		},
+
+		/**
+		 * Starts polling the power state and emitting power-state-changed events. Calling it again restarts the watcher.
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {number} [options.interval=5000] - Poll interval in ms.
+		 * @returns {function(): void} Stops the watcher.
+		 */
+		watch(options = {}) {
+			power.unwatch();
+			const interval = poller.start(options);
+			emitLog("info", `Watching power state every ${interval}ms`, "watchPowerState");
+			return power.unwatch;
+		},
+
+		/**
+		 * Stops the watcher started with watch().
+		 * @public
+		 */
+		unwatch() {
+			poller.stop();
+			lastState = null;
+		},
+
+		/**
+		 * True while the watcher is running.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get watching() {
+			return poller.running;
+		}
+	};
+	return power;
+}
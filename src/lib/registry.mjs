@@ -0,0 +1,44 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/registry.mjs
+ *	@Date: 2026-10-20 03:22:40 -07:00 (1792491760)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 03:22:40 -07:00 (1792491760)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Registry module - Looks up remotes by id for the server and bridges.
+ *
+ * @module registry
+ *
+ * @description
+ * The remote server and the MQTT bridge accept their remotes as a RemoteManager, a Map or a plain object.
+ * createRegistry() gives them one id -> remote lookup for all three. With a RemoteManager the ids are
+ * its registry names and remotes added later are included.
+ */
+
+import { InvalidConfigError } from "./errors.mjs";
+
+/**
+ * Builds the id -> remote lookup for a RemoteManager, a Map or a plain object.
+ * @public
+ * @param {import('./remote-manager.mjs').RemoteManager|Map<string, Object>|Object<string, Object>} remotes - Remotes by id.
+ * @param {string} [owner="createRemoteServer"] - Function name for the error message.
+ * @returns {{ get: function(string): (Object|undefined), ids: function(): string[] }}
+ * @throws {InvalidConfigError} If `remotes` is none of these.
+ */
+export default function createRegistry(remotes, owner = "createRemoteServer") {
+	if (remotes && typeof remotes.get === "function" && typeof remotes.names === "function") {
+		return { get: (id) => remotes.get(id), ids: () => remotes.names() };
+	}
+	if (remotes instanceof Map) return { get: (id) => remotes.get(id), ids: () => [...remotes.keys()] };
+	if (remotes && typeof remotes === "object") {
+		return { get: (id) => (Object.hasOwn(remotes, id) ? remotes[id] : undefined), ids: () => Object.keys(remotes) };
+	}
+	throw new InvalidConfigError(`${owner} needs \`remotes\`: a RemoteManager, a Map or an object of remotes by id`);
+}
@@ -0,0 +1,367 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/remote-manager.mjs
+ *	@Date: 2026-10-19 09:12:31 -07:00 (1792426351)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 09:12:31 -07:00 (1792426351)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Remote Manager module - Owns and coordinates many Android TV Remote instances.
+ *
+ * @module remote-manager
+ *
+ * @description
+ * Keeps a registry of remotes keyed by name (or "ip:port" when no name is given), shares a single
+ * adbkit client between them, and re-emits every remote's events with the registry name attached.
+ *
+ * @example
+ * import { createRemoteManager } from "@cldmv/node-android-tv-remote";
+ *
+ * const manager = await createRemoteManager({
+ *   devices: {
+ *     livingRoom: { ip: "192.168.1.100" },
+ *     bedroom: { ip: "192.168.1.101" }
+ *   }
+ * });
+ *
+ * manager.on("log", (data) => console.log(`[${data.name}] ${data.message}`));
+ *
+ * await manager.broadcast((remote) => remote.press.home());
+ * await manager.get("bedroom").press.up();
+ */
+
+/**
+ * Configuration object for the Remote Manager.
+ * @typedef {Object} RemoteManagerConfig
+ * @property {Object.<string, import('./android-tv-remote.mjs').RemoteConfig>|import('./android-tv-remote.mjs').RemoteConfig[]} [devices] - Remotes to add on creation, keyed by name or as an array (named by "ip:port").
+ * @property {Object} [defaults] - Default RemoteConfig values applied to every added remote.
+ * @property {Object} [client] - Existing adbkit client to share (created if omitted).
+ * @property {number} [connectTimeout=10000] - Timeout in ms for the shared adbkit client.
+ */
+
+/**
+ * Result of a broadcast call for one remote.
+ * @typedef {Object} BroadcastResult
+ * @property {string} name - Registry name of the remote.
+ * @property {string} host - Device host (ip:port).
+ * @property {"fulfilled"|"rejected"} status - Whether the callback resolved or rejected.
+ * @property {any} [value] - Resolved value, if fulfilled.
+ * @property {Error} [reason] - Rejection reason, if rejected.
+ */
+
+/**
+ * Aggregated connection status of all managed remotes.
+ * @typedef {Object} ManagerConnectionStatus
+ * @property {number} total - Number of managed remotes.
+ * @property {number} connected - Number of connected remotes.
+ * @property {number} disconnected - Number of disconnected remotes.
+ * @property {number} unknown - Number of remotes whose status could not be determined.
+ * @property {Object.<string, "connected"|"disconnected"|"unknown">} devices - Status per registry name.
+ */
+
+import adbkit from "@devicefarmer/adbkit";
+import { EventEmitter } from "events";
+import createRemote from "./android-tv-remote.mjs";
+import { AndroidTVRemoteError, InvalidConfigError } from "./errors.mjs";
+const Adb = adbkit.Adb;
+
+/**
+ * Factory function to create a Remote Manager.
+ * @function
+ * @public
+ * @param {RemoteManagerConfig} [config={}] - Configuration for the manager.
+ * @returns {Promise<Object>} A promise that resolves to the manager once all initial devices are added.
+ * @throws {Error} The first failure when an initial device cannot be added; the others are disconnected.
+ */
+export default async function createRemoteManager(config = {}) {
+	const connectTimeout = typeof config.connectTimeout === "number" ? config.connectTimeout : 10000;
+	const client = config.client || Adb.createClient({ timeout: connectTimeout });
+	const defaults = config.defaults || {};
+	const emitter = new EventEmitter();
+
+	/** @type {Map<string, Object>} */
+	const remotes = new Map();
+
+	/**
+	 * Resolves the registry name of a remote config.
+	 * @private
+	 * @param {Object} remoteConfig - Remote configuration.
+	 * @returns {string}
+	 */
+	function defaultName(remoteConfig) {
+		return `${remoteConfig.ip}:${remoteConfig.port || 5555}`;
+	}
+
+	/**
+	 * Re-emits a remote event on the manager with its registry name attached.
+	 * Errors count as handled by the manager even without "error" listeners: remotes added from
+	 * `devices` start connecting before the caller can attach any, and the failing call still rejects.
+	 * @private
+	 * @param {string} name - Registry name of the remote.
+	 * @param {string} event - Event name.
+	 * @param {Object} data - Event payload.
+	 * @returns {boolean} True if the manager had listeners for the event (always true for errors).
+	 */
+	function forwardEvent(name, event, data) {
+		if (event === "error") {
+			if (emitter.listenerCount("error") > 0) emitter.emit(event, { name, ...data });
+			return true;
+		}
+		return emitter.emit(event, { name, ...data });
+	}
+
+	/**
+	 * Resolves the names targeted by a bulk operation.
+	 * @private
+	 * @param {string[]} [names] - Names to target (all when omitted).
+	 * @returns {string[]}
+	 */
+	function targetNames(names) {
+		if (!names) return [...remotes.keys()];
+		for (const name of names) {
+			if (!remotes.has(name)) throw new AndroidTVRemoteError(`Unknown remote: ${name}`, { code: "ERR_UNKNOWN_REMOTE" });
+		}
+		return names;
+	}
+
+	const manager = {
+		/**
+		 * Adds a remote to the registry and creates it using the shared adbkit client.
+		 * @public
+		 * @param {string|Object} nameOrConfig - Registry name, or the remote config (named by "ip:port").
+		 * @param {Object} [remoteConfig] - Remote config when a name is given.
+		 * @returns {Promise<Object>} The created remote.
+		 * @example
+		 * await manager.add("kitchen", { ip: "192.168.1.102" });
+		 * await manager.add({ ip: "192.168.1.103" }); // registered as "192.168.1.103:5555"
+		 */
+		async add(nameOrConfig, remoteConfig) {
+			const cfg = typeof nameOrConfig === "string" ? remoteConfig : nameOrConfig;
+			if (!cfg || typeof cfg !== "object") {
+				throw new InvalidConfigError("Missing RemoteConfig for RemoteManager.add().");
+			}
+			const name = typeof nameOrConfig === "string" ? nameOrConfig : defaultName(cfg);
+			if (remotes.has(name)) {
+				throw new AndroidTVRemoteError(`Remote already registered: ${name}`, { code: "ERR_REMOTE_EXISTS" });
+			}
+			// Reserve the name while the remote initializes so concurrent adds cannot collide
+			remotes.set(name, null);
+			try {
+				const remote = await createRemote({
+					...defaults,
+					...cfg,
+					client,
+					onEvent: (event, data) => forwardEvent(name, event, data)
+				});
+				remotes.set(name, remote);
+				emitter.emit("remote-added", { name, host: remote.host, timestamp: new Date().toISOString() });
+				return remote;
+			} catch (error) {
+				remotes.delete(name);
+				throw error;
+			}
+		},
+
+		/**
+		 * Removes a remote from the registry, disconnecting it first by default.
+		 * @public
+		 * @param {string} name - Registry name.
+		 * @param {Object} [options={}]
+		 * @param {boolean} [options.disconnect=true] - Whether to disconnect the remote before removing it.
+		 * @returns {Promise<boolean>} True if a remote was removed.
+		 * @example
+		 * await manager.remove("kitchen");
+		 */
+		async remove(name, options = {}) {
+			const remote = remotes.get(name);
+			if (!remote) return false;
+			if (options.disconnect !== false) {
+				try {
+					await remote.disconnect();
+				} catch (error) {
+					forwardEvent(name, "log", {
+						host: remote.host,
+						level: "warn",
+						message: `Disconnect failed while removing remote: ${error.message}`,
+						source: "remoteManager",
+						timestamp: new Date().toISOString()
+					});
+				}
+			}
+			remotes.delete(name);
+			emitter.emit("remote-removed", { name, host: remote.host, timestamp: new Date().toISOString() });
+			return true;
+		},
+
+		/**
+		 * Returns a remote by registry name.
+		 * @public
+		 * @param {string} name - Registry name.
+		 * @returns {Object|undefined}
+		 */
+		get(name) {
+			return remotes.get(name) || undefined;
+		},
+
+		/**
+		 * Returns true if a remote with this name is registered.
+		 * @public
+		 * @param {string} name - Registry name.
+		 * @returns {boolean}
+		 */
+		has(name) {
+			return remotes.has(name);
+		},
+
+		/**
+		 * Returns the registry names of all remotes.
+		 * @public
+		 * @returns {string[]}
+		 */
+		names() {
+			return [...remotes.keys()].filter((name) => remotes.get(name));
+		},
+
+		/**
+		 * Number of registered remotes.
+		 * @readonly
+		 * @type {number}
+		 */
+		get size() {
+			return manager.names().length;
+		},
+
+		/**
+		 * Shared adbkit client used by every managed remote.
+		 * @readonly
+		 * @type {Object}
+		 */
+		client,
+
+		/**
+		 * Runs a callback against every remote (or a subset) concurrently.
+		 * Never rejects because of a single device; each outcome is reported separately.
+		 * @public
+		 * @param {function(Object, string): any} fn - Called with (remote, name).
+		 * @param {Object} [options={}]
+		 * @param {string[]} [options.names] - Restrict the broadcast to these names.
+		 * @returns {Promise<BroadcastResult[]>}
+		 * @example
+		 * const results = await manager.broadcast((remote) => remote.press.home());
+		 * results.filter((r) => r.status === "rejected").forEach((r) => console.error(r.name, r.reason));
+		 */
+		async broadcast(fn, options = {}) {
+			if (typeof fn !== "function") {
+				throw new TypeError("RemoteManager.broadcast() requires a function.");
+			}
+			const names = targetNames(options.names).filter((name) => remotes.get(name));
+			const settled = await Promise.allSettled(names.map(async (name) => fn(remotes.get(name), name)));
+			return settled.map((result, i) => ({
+				name: names[i],
+				host: remotes.get(names[i])?.host,
+				...result
+			}));
+		},
+
+		/**
+		 * Connects every remote (or a subset).
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {string[]} [options.names] - Restrict to these names.
+		 * @returns {Promise<BroadcastResult[]>}
+		 */
+		connectAll(options = {}) {
+			return manager.broadcast((remote) => remote.connect(), options);
+		},
+
+		/**
+		 * Disconnects every remote (or a subset).
+		 * @public
+		 * @param {Object} [options={}]
+		 * @param {string[]} [options.names] - Restrict to these names.
+		 * @returns {Promise<BroadcastResult[]>}
+		 */
+		disconnectAll(options = {}) {
+			return manager.broadcast((remote) => remote.disconnect(), options);
+		},
+
+		/**
+		 * Returns the aggregated connection status of all remotes.
+		 * @public
+		 * @param {boolean} [liveCheck=false] - If true, checks adb devices for each remote.
+		 * @returns {Promise<ManagerConnectionStatus>}
+		 * @example
+		 * const status = await manager.getConnectionStatus(true);
+		 * console.log(`${status.connected}/${status.total} TVs online`, status.devices);
+		 */
+		async getConnectionStatus(liveCheck = false) {
+			const summary = { total: 0, connected: 0, disconnected: 0, unknown: 0, devices: {} };
+			const results = await manager.broadcast((remote) => remote.getConnectionStatus(liveCheck));
+			for (const result of results) {
+				const status = result.status === "fulfilled" ? result.value : "unknown";
+				summary.devices[result.name] = status;
+				summary.total++;
+				summary[status in summary ? status : "unknown"]++;
+			}
+			return summary;
+		},
+
+		/**
+		 * Add event listener. Receives the events of every managed remote with a `name` property added.
+		 * @public
+		 * @param {string} event - Event name.
+		 * @param {Function} listener - Event listener function.
+		 * @returns {Object} This manager for chaining.
+		 */
+		on(event, listener) {
+			emitter.on(event, listener);
+			return manager;
+		},
+
+		/**
+		 * Remove event listener.
+		 * @public
+		 * @param {string} event - Event name.
+		 * @param {Function} listener - Event listener function.
+		 * @returns {Object} This manager for chaining.
+		 */
+		off(event, listener) {
+			emitter.off(event, listener);
+			return manager;
+		},
+
+		/**
+		 * Add one-time event listener.
+		 * @public
+		 * @param {string} event - Event name.
+		 * @param {Function} listener - Event listener function.
+		 * @returns {Object} This manager for chaining.
+		 */
+		once(event, listener) {
+			emitter.once(event, listener);
+			return manager;
+		}
+	};
+
+	if (config.devices) {
+		const entries = Array.isArray(config.devices)
+			? config.devices.map((cfg) => [defaultName(cfg), cfg])
+			: Object.entries(config.devices);
+		const results = await Promise.allSettled(entries.map(([name, cfg]) => manager.add(name, cfg)));
+		const failure = results.find((result) => result.status === "rejected");
+		if (failure) {
+			// Do not leave the devices that did start connected (and reconnecting) behind a rejected factory
+			await Promise.allSettled([...remotes.values()].filter(Boolean).map((remote) => remote.disconnect()));
+			remotes.clear();
+			throw failure.reason;
+		}
+	}
+
+	return manager;
+}
@@ -0,0 +1,393 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/remote-server.mjs
+ *	@Date: 2026-10-20 01:18:44 -07:00 (1792484324)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 01:18:44 -07:00 (1792484324)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Remote Server module - HTTP REST API for controlling remotes.
+ *
+ * @module remote-server
+ *
+ * @description
+ * Exposes remotes over HTTP for home-automation systems and phone shortcuts. Devices are addressed by
+ * id: the registry name when `remotes` is a RemoteManager, otherwise the key of the object or Map.
+ * Endpoints map onto the Remote API (press, keyboard, screencap, ensureAwake, ...); results are sent
+ * as JSON (`{ "result": ... }`) and failures as `{ "error": { name, code, message } }` with an HTTP
+ * status that follows the error class (see STATUS_CODES).
+ *
+ * Every endpoint accepts `?timeout=<ms>`. A client that disconnects aborts its command. Set `token` to
+ * require `Authorization: Bearer <token>`; the server listens on 127.0.0.1 unless `host` is given.
+ *
+ * `/events` is a WebSocket endpoint that streams Remote events and accepts command frames (see
+ * event-bridge.mjs). Browsers cannot set headers on WebSockets, so it also accepts `?token=`.
+ *
+ * @example
+ * import { createRemoteManager, createRemoteServer } from "@cldmv/node-android-tv-remote";
+ *
+ * const manager = await createRemoteManager({ devices: { livingRoom: { ip: "192.168.1.100" } } });
+ * const server = await createRemoteServer({ remotes: manager, port: 8080, host: "0.0.0.0", token: process.env.ATV_TOKEN });
+ * // curl -X POST -H "Authorization: Bearer $ATV_TOKEN" http://tv-host:8080/devices/livingRoom/press/home
+ * await server.close();
+ */
+
+import { createServer } from "http";
+import { timingSafeEqual } from "crypto";
+import { pipeline } from "stream/promises";
+import createEventBridge from "./event-bridge.mjs";
+import createRegistry from "./registry.mjs";
+import { keyFunction } from "./key-lookup.mjs";
+import { acceptWebSocket } from "./websocket.mjs";
+import {
+	AppNotFoundError,
+	CommandFailedError,
+	CommandTimeoutError,
+	ConnectionRefusedError,
+	DeviceNotFoundError,
+	InvalidConfigError,
+	PermissionDeniedError,
+	QueueFullError,
+	UnauthorizedError,
+	UnknownKeyError,
+	UnsupportedOperationError
+} from "./errors.mjs";
+
+/**
+ * HTTP status by error class, most specific first. Anything else is a 500.
+ * @public
+ */
+export const STATUS_CODES = Object.freeze([
+	[UnknownKeyError, 404],
+	[AppNotFoundError, 404],
+	[InvalidConfigError, 400],
+	[TypeError, 400],
+	[RangeError, 400],
+	[UnsupportedOperationError, 501],
+	[CommandTimeoutError, 504],
+	[QueueFullError, 503],
+	[UnauthorizedError, 502],
+	[ConnectionRefusedError, 502],
+	[DeviceNotFoundError, 502],
+	[PermissionDeniedError, 502],
+	[CommandFailedError, 502]
+]);
+
+/**
+ * Error for a request that cannot be served (unknown route, unknown device, bad token, body too large).
+ * @private
+ */
+class HttpError extends Error {
+	/**
+	 * @param {number} status - HTTP status.
+	 * @param {string} code - Error code.
+	 * @param {string} message - What went wrong.
+	 */
+	constructor(status, code, message) {
+		super(message);
+		this.name = "HttpError";
+		this.status = status;
+		this.code = code;
+	}
+}
+
+/**
+ * Returns the HTTP status for an error.
+ * @public
+ * @param {Error} error - The failure.
+ * @returns {number}
+ */
+export function statusFor(error) {
+	if (error instanceof HttpError) return error.status;
+	const match = STATUS_CODES.find(([ErrorClass]) => error instanceof ErrorClass);
+	return match ? match[1] : 500;
+}
+
+/**
+ * Reads a request body as text.
+ * @private
+ * @param {import('http').IncomingMessage} request - The request.
+ * @param {number} limit - Maximum size in bytes.
+ * @returns {Promise<string>}
+ * @throws {HttpError} 413 if the body is larger than the limit.
+ */
+async function readBody(request, limit) {
+	const chunks = [];
+	let size = 0;
+	for await (const chunk of request) {
+		size += chunk.length;
+		if (size > limit) throw new HttpError(413, "ERR_BODY_TOO_LARGE", `Request body exceeds ${limit} bytes`);
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Reads a JSON body, or {} when there is none.
+ * @private
+ * @param {import('http').IncomingMessage} request - The request.
+ * @param {number} limit - Maximum size in bytes.
+ * @returns {Promise<Object>}
+ * @throws {TypeError} If the body is not a JSON object.
+ */
+async function readJson(request, limit) {
+	const body = await readBody(request, limit);
+	if (!body.trim()) return {};
+	let value;
+	try {
+		value = JSON.parse(body);
+	} catch (error) {
+		throw new TypeError(`Request body is not valid JSON: ${error.message}`);
+	}
+	if (!value || typeof value !== "object" || Array.isArray(value)) throw new TypeError("Request body must be a JSON object");
+	return value;
+}
+
+/**
+ * Decodes a path parameter.
+ * @private
+ * @param {string} value - Raw path segment.
+ * @returns {string}
+ * @throws {HttpError} 400 if the segment has a malformed percent-escape.
+ */
+function decodeParam(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch {
+		throw new HttpError(400, "ERR_BAD_REQUEST", `Malformed escape in request path: ${value}`);
+	}
+}
+
+/**
+ * Parses an optional numeric query parameter.
+ * @private
+ * @param {URLSearchParams} query - Query parameters.
+ * @param {string} name - Parameter name.
+ * @returns {number|undefined}
+ * @throws {TypeError} If the value is not a positive number.
+ */
+function queryNumber(query, name) {
+	if (!query.has(name)) return undefined;
+	const value = Number(query.get(name));
+	if (!Number.isFinite(value) || value <= 0) throw new TypeError(`Query parameter ${name} must be a positive number`);
+	return value;
+}
+
+/**
+ * Routes: method, path pattern (":name" segments are parameters) and handler. A handler receives
+ * { remote, id, params, query, request, response, call, limit } and resolves with the result, or
+ * undefined when it has written the response itself.
+ * @private
+ */
+const ROUTES = [
+	["POST", "/devices/:id/press/:key", ({ remote, params, call }) => keyFunction(remote.press, params.key)(call)],
+	["POST", "/devices/:id/long/:key", ({ remote, params, call }) => keyFunction(remote.press.long, params.key)(call)],
+	["POST", "/devices/:id/key/:key", ({ remote, params, call }) => keyFunction(remote.keyboard.key, params.key)(call)],
+	[
+		"POST",
+		"/devices/:id/keycode/:code",
+		({ remote, params, call }) => {
+			if (!/^\d+$/.test(params.code)) throw new TypeError(`Invalid keycode: ${params.code}`);
+			return remote.inputKeycode(Number(params.code), call);
+		}
+	],
+	[
+		"POST",
+		"/devices/:id/text",
+		async ({ remote, request, call, limit }) => {
+			const isJson = /json/i.test(request.headers["content-type"] || "");
+			const text = isJson ? (await readJson(request, limit)).text : await readBody(request, limit);
+			if (typeof text !== "string" || !text) throw new TypeError('Send the text as a text/plain body or as JSON { "text": "..." }');
+			return remote.keyboard.text(text, call);
+		}
+	],
+	[
+		"GET",
+		"/devices/:id/screencap",
+		async ({ remote, query, response, call }) => {
+			const stream = await remote.screencap({ width: queryNumber(query, "width"), height: queryNumber(query, "height"), ...call });
+			response.writeHead(200, { "Content-Type": "image/png", "Cache-Control": "no-store" });
+			await pipeline(stream, response);
+		}
+	],
+	[
+		"GET",
+		"/devices/:id/status",
+		async ({ remote, id, call }) => {
+			const power = await remote.getPowerState(call);
+			const app = await remote.getForegroundApp(call);
+			return {
+				id,
+				host: remote.host,
+				connection: await remote.getConnectionStatus(true, call),
+				awake: power.awake,
+				wakefulness: power.wakefulness,
+				foregroundApp: app ? app.packageName : null
+			};
+		}
+	],
+	["POST", "/devices/:id/awake", ({ remote, call }) => remote.ensureAwake(call)],
+	["POST", "/devices/:id/sleep", ({ remote, call }) => remote.sleep(call)],
+	["GET", "/devices/:id/app", ({ remote, call }) => remote.getForegroundApp(call)],
+	["GET", "/devices/:id/media", ({ remote, call }) => remote.getMediaState(call)],
+	["GET", "/devices/:id/apps", ({ remote, query, call }) => remote.apps.list({ system: query.has("system"), thirdParty: query.has("thirdParty"), ...call })],
+	["POST", "/devices/:id/apps/:package/launch", ({ remote, params, call }) => remote.apps.launch(params.package, call)],
+	["POST", "/devices/:id/apps/:package/stop", ({ remote, params, call }) => remote.apps.forceStop(params.package, call)]
+].map(([method, path, handler]) => ({
+	method,
+	handler,
+	names: path.split("/").filter((segment) => segment.startsWith(":")).map((segment) => segment.slice(1)),
+	pattern: new RegExp(`^${path.replace(/:\w+/g, "([^/]+)")}$`)
+}));
+
+/**
+ * Starts the HTTP server.
+ * @public
+ * @param {Object} options
+ * @param {import('./remote-manager.mjs').RemoteManager|Map<string, Object>|Object<string, Object>} options.remotes - Remotes by id.
+ * @param {number} [options.port=8080] - Port to listen on (0 picks a free port).
+ * @param {string} [options.host="127.0.0.1"] - Interface to listen on ("0.0.0.0" for every interface).
+ * @param {string} [options.token] - Require `Authorization: Bearer <token>` on every request.
+ * @param {number} [options.maxBodySize=65536] - Maximum request body size in bytes.
+ * @param {boolean} [options.websocket=true] - Serve the `/events` WebSocket endpoint.
+ * @returns {Promise<{ server: import('http').Server, port: number, url: string, close: function(): Promise<void> }>}
+ * @throws {InvalidConfigError} If `remotes` is missing.
+ * @example
+ * const { url, close } = await createRemoteServer({ remotes: { tv: remote }, port: 8080 });
+ * // POST {url}/devices/tv/press/home, GET {url}/devices/tv/screencap?width=640
+ */
+export default async function createRemoteServer(options = {}) {
+	const registry = createRegistry(options.remotes);
+	const limit = typeof options.maxBodySize === "number" ? options.maxBodySize : 65536;
+	const token = options.token ? Buffer.from(`Bearer ${options.token}`) : null;
+	const bridge = options.websocket === false ? null : createEventBridge(registry);
+
+	/**
+	 * Checks the Authorization header (or, for WebSocket upgrades, the token query parameter) against the token.
+	 * @private
+	 * @param {import('http').IncomingMessage} request - The request.
+	 * @param {URLSearchParams} [query] - Query parameters, when `?token=` is accepted.
+	 * @returns {boolean}
+	 */
+	function authorized(request, query) {
+		if (!token) return true;
+		const header = request.headers.authorization || (query && query.has("token") ? `Bearer ${query.get("token")}` : "");
+		const given = Buffer.from(header);
+		return given.length === token.length && timingSafeEqual(given, token);
+	}
+
+	/**
+	 * Writes a JSON response.
+	 * @private
+	 * @param {import('http').ServerResponse} response - The response.
+	 * @param {number} status - HTTP status.
+	 * @param {Object} body - Response body.
+	 */
+	function sendJson(response, status, body) {
+		const text = JSON.stringify(body);
+		response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(text) });
+		response.end(text);
+	}
+
+	/**
+	 * Serves one request.
+	 * @private
+	 * @param {import('http').IncomingMessage} request - The request.
+	 * @param {import('http').ServerResponse} response - The response.
+	 * @returns {Promise<void>}
+	 */
+	async function handle(request, response) {
+		const url = new URL(request.url, "http://localhost");
+		if (!authorized(request)) throw new HttpError(401, "ERR_UNAUTHORIZED_REQUEST", "Missing or invalid bearer token");
+
+		if (request.method === "GET" && url.pathname === "/devices") {
+			return sendJson(response, 200, {
+				result: registry.ids().map((id) => {
+					const remote = registry.get(id);
+					return { id, host: remote.host, connectionState: remote.connectionState };
+				})
+			});
+		}
+
+		let match = null;
+		const route = ROUTES.find((candidate) => (match = candidate.pattern.exec(url.pathname)));
+		if (!route) throw new HttpError(404, "ERR_NOT_FOUND", `No endpoint at ${url.pathname}`);
+		if (route.method !== request.method) {
+			response.setHeader("Allow", route.method);
+			throw new HttpError(405, "ERR_METHOD_NOT_ALLOWED", `${url.pathname} only accepts ${route.method}`);
+		}
+		const params = Object.fromEntries(route.names.map((name, index) => [name, decodeParam(match[index + 1])]));
+		const remote = registry.get(params.id);
+		if (!remote) throw new HttpError(404, "ERR_UNKNOWN_DEVICE", `Unknown device: ${params.id}`);
+
+		// A client that goes away aborts its command
+		const controller = new AbortController();
+		response.on("close", () => {
+			if (!response.writableFinished) controller.abort();
+		});
+		const call = { signal: controller.signal };
+		const timeout = queryNumber(url.searchParams, "timeout");
+		if (timeout !== undefined) call.timeout = timeout;
+
+		const result = await route.handler({ remote, id: params.id, params, query: url.searchParams, request, response, call, limit });
+		if (!response.headersSent) sendJson(response, 200, { result: result === undefined ? null : result });
+	}
+
+	const server = createServer((request, response) => {
+		handle(request, response).catch((error) => {
+			if (response.headersSent) {
+				response.destroy(error);
+				return;
+			}
+			sendJson(response, statusFor(error), { error: { name: error.name, code: error.code || null, message: error.message } });
+		});
+	});
+
+	server.on("upgrade", (request, socket, head) => {
+		const url = new URL(request.url, "http://localhost");
+		if (!bridge || url.pathname !== "/events") {
+			socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+			return;
+		}
+		if (!authorized(request, url.searchParams)) {
+			socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+			return;
+		}
+		const events = url.searchParams.has("events") ? url.searchParams.get("events").split(",").filter(Boolean) : undefined;
+		bridge.attach(acceptWebSocket(request, socket, head), { device: url.searchParams.get("device") || undefined, events });
+	});
+
+	await new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(options.port === undefined ? 8080 : options.port, options.host || "127.0.0.1", () => {
+			server.off("error", reject);
+			resolve();
+		});
+	});
+	const { address, port } = server.address();
+
+	return {
+		server,
+		port,
+		url: `http://${address.includes(":") ? `[${address}]` : address}:${port}`,
+
+		/**
+		 * Stops accepting connections, closes WebSocket clients and closes the server. The remotes stay connected.
+		 * @public
+		 * @returns {Promise<void>}
+		 */
+		close() {
+			if (bridge) bridge.close();
+			return new Promise((resolve, reject) => {
+				server.close((error) => (error ? reject(error) : resolve()));
+				if (typeof server.closeIdleConnections === "function") server.closeIdleConnections();
+			});
+		}
+	};
+}
@@ -0,0 +1,222 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/shell-session.mjs
+ *	@Date: 2026-10-19 11:34:52 -07:00 (1792434892)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 11:34:52 -07:00 (1792434892)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Shell Session module - Keeps one long-lived interactive ADB shell open per device.
+ *
+ * @module shell-session
+ *
+ * @description
+ * Opening a new `device.shell()` for every key press costs a full ADB transport round trip, which
+ * is several hundred milliseconds on Fire TV sticks. A shell session opens one interactive shell,
+ * writes each command into it and reads the output back between unique markers.
+ * Commands are executed one at a time; the session reports itself dead (and must be reopened)
+ * if the stream closes, errors, or a command does not finish within the timeout. Errors for a
+ * command that was already written carry `commandSent: true`, since it may have run on the device.
+ *
+ * @example
+ * const session = createShellSession({ device, timeout: 5000 });
+ * const { output, exitCode, latency } = await session.exec("input keyevent 3");
+ * session.close();
+ */
+
+import { AndroidTVRemoteError, CommandTimeoutError } from "./errors.mjs";
+
+/**
+ * Result of a command executed in a shell session.
+ * @typedef {Object} ShellSessionResult
+ * @property {string} output - Command output (stdout and stderr) without the markers.
+ * @property {number} exitCode - Exit code of the command.
+ * @property {number} latency - Time in ms from writing the command to receiving its end marker.
+ */
+
+/**
+ * Builds a marker echo command whose typed form differs from its output.
+ * The quotes split the marker when echoed back by the terminal, so only the real output matches.
+ * @private
+ * @param {string} name - Marker name.
+ * @param {number} id - Command id.
+ * @param {string} [suffix=""] - Extra shell text appended to the printed marker.
+ * @returns {string}
+ */
+function markerCommand(name, id, suffix = "") {
+	return `echo "__ATV""_${name}_${id}__${suffix}"`;
+}
+
+/**
+ * Factory function to create a persistent shell session for an adbkit device.
+ * @function
+ * @public
+ * @param {Object} options
+ * @param {Object} options.device - adbkit DeviceClient.
+ * @param {number} [options.timeout=10000] - Maximum time in ms to wait for one command.
+ * @param {function(string, Object): void} [options.onEvent] - Called with shell-session lifecycle events.
+ * @returns {Object} Session with exec(), close() and isOpen.
+ */
+export default function createShellSession(options) {
+	const device = options.device;
+	const timeout = typeof options.timeout === "number" ? options.timeout : 10000;
+	const onEvent = typeof options.onEvent === "function" ? options.onEvent : () => {};
+
+	let stream = null;
+	let opening = null;
+	let buffer = "";
+	let pending = null;
+	let nextId = 1;
+	let chain = Promise.resolve();
+
+	/**
+	 * Marks the session dead, rejecting the command in flight.
+	 * @private
+	 * @param {Error} error - Reason the session ended.
+	 */
+	function teardown(error) {
+		const wasOpen = stream !== null;
+		if (stream) {
+			stream.removeAllListeners("data");
+			stream.destroy();
+		}
+		stream = null;
+		buffer = "";
+		if (pending) {
+			clearTimeout(pending.timer);
+			// The command was already written, so it may have run on the device
+			error.commandSent = true;
+			pending.reject(error);
+			pending = null;
+		}
+		if (wasOpen) {
+			onEvent("shell-session", { state: "closed", reason: error.message, timestamp: new Date().toISOString() });
+		}
+	}
+
+	/**
+	 * Parses buffered output for the pending command's end marker.
+	 * @private
+	 */
+	function checkPending() {
+		if (!pending) return;
+		const begin = `__ATV_BEGIN_${pending.id}__\n`;
+		const end = new RegExp(`__ATV_END_${pending.id}__:(\\d+)\\n`);
+		const beginIndex = buffer.indexOf(begin);
+		if (beginIndex === -1) return;
+		const match = end.exec(buffer.slice(beginIndex + begin.length));
+		if (!match) return;
+		const output = buffer.slice(beginIndex + begin.length, beginIndex + begin.length + match.index);
+		buffer = buffer.slice(beginIndex + begin.length + match.index + match[0].length);
+		const done = pending;
+		pending = null;
+		clearTimeout(done.timer);
+		done.resolve({ output, exitCode: parseInt(match[1], 10), latency: performance.now() - done.startedAt });
+	}
+
+	/**
+	 * Opens the interactive shell if it is not already open.
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	function open() {
+		if (stream) return Promise.resolve();
+		if (opening) return opening;
+		opening = Promise.resolve(device.shell(""))
+			.then((shellStream) => {
+				stream = shellStream;
+				stream.setEncoding?.("utf8");
+				stream.on("data", (chunk) => {
+					// Interactive shells run on a PTY, so normalize CRLF line endings
+					buffer += chunk.toString().replace(/\r/g, "");
+					checkPending();
+				});
+				// Ignore late events from a stream that has already been replaced
+				const endSession = (error) => stream === shellStream && teardown(error);
+				stream.on("error", (error) => endSession(error));
+				stream.on("close", () => endSession(sessionClosedError("Shell session closed")));
+				stream.on("end", () => endSession(sessionClosedError("Shell session ended")));
+				// Disable terminal echo and the prompt so only command output is streamed back
+				stream.write("stty -echo 2>/dev/null; PS1=''; PS2=''\n");
+				onEvent("shell-session", { state: "open", timestamp: new Date().toISOString() });
+			})
+			.finally(() => {
+				opening = null;
+			});
+		return opening;
+	}
+
+	/**
+	 * Builds the error used to reject commands when the session goes away.
+	 * @private
+	 * @param {string} message - Error message.
+	 * @returns {AndroidTVRemoteError}
+	 */
+	function sessionClosedError(message) {
+		return new AndroidTVRemoteError(message, { code: "ERR_SHELL_SESSION_CLOSED" });
+	}
+
+	/**
+	 * Writes one command into the session and waits for its end marker.
+	 * @private
+	 * @param {string} command - Shell command.
+	 * @returns {Promise<ShellSessionResult>}
+	 */
+	async function run(command) {
+		await open();
+		const id = nextId++;
+		return new Promise((resolve, reject) => {
+			pending = {
+				id,
+				resolve,
+				reject,
+				startedAt: performance.now(),
+				timer: setTimeout(() => {
+					// The session state is unknown after a timeout, so it is not reused
+					teardown(new CommandTimeoutError(`Shell session command "${command}"`, timeout));
+				}, timeout)
+			};
+			stream.write(`${markerCommand("BEGIN", id)}; ${command}; ${markerCommand("END", id, ":$?")}\n`);
+		});
+	}
+
+	const session = {
+		/**
+		 * Executes a command in the persistent shell, opening it if needed.
+		 * Commands are serialized; a command only starts once the previous one has finished.
+		 * @public
+		 * @param {string} command - Shell command to run.
+		 * @returns {Promise<ShellSessionResult>}
+		 */
+		exec(command) {
+			const result = chain.then(() => run(command));
+			chain = result.catch(() => {});
+			return result;
+		},
+
+		/**
+		 * Closes the session. A later exec() reopens it.
+		 * @public
+		 */
+		close() {
+			teardown(sessionClosedError("Shell session closed by client"));
+		},
+
+		/**
+		 * True while the interactive shell stream is open.
+		 * @readonly
+		 * @type {boolean}
+		 */
+		get isOpen() {
+			return stream !== null;
+		}
+	};
+
+	return session;
+}
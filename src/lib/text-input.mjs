@@ -0,0 +1,236 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/text-input.mjs
+ *	@Date: 2026-10-19 16:37:52 -07:00 (1792453072)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 16:37:52 -07:00 (1792453072)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Text Input module - Types arbitrary text safely, including Unicode.
+ *
+ * @module text-input
+ *
+ * @description
+ * ASCII text is typed with `input text`. Every chunk is wrapped in single quotes for the device shell,
+ * so `"`, `$`, backticks, `&`, `;` and friends are typed literally instead of being interpreted.
+ * Spaces are encoded as `%s` (the only escape `input text` understands), a literal "%s" in the text
+ * is split across two commands so it is not turned into a space, and newlines/tabs become
+ * ENTER/TAB key events. Long strings are sent in chunks.
+ *
+ * `input text` cannot type non-ASCII characters. For those, the module uses ADBKeyboard
+ * (package com.android.adbkeyboard), a broadcast-based IME: the text is base64-encoded and sent with
+ * `am broadcast -a ADB_INPUT_B64`. ADBKeyboard is detected with `ime list -s`, switched to for the
+ * duration of the call if it is not the active IME, and the previous IME is restored afterwards.
+ * Without it, non-ASCII text is rejected with an UnsupportedOperationError.
+ *
+ * @example
+ * const textInput = createTextInput({ run: (command, signal) => shell(command, { signal }) });
+ * await textInput.type(`He said "hi" & left; cost: $5`);
+ * await textInput.type("Café – 東京 🎬");
+ */
+
+import { UnsupportedOperationError } from "./errors.mjs";
+
+/**
+ * IME id of ADBKeyboard.
+ * @public
+ * @type {string}
+ */
+export const ADB_KEYBOARD_IME = "com.android.adbkeyboard/.AdbIME";
+
+/**
+ * Android keycodes sent for characters `input text` cannot type.
+ * @private
+ */
+const CONTROL_KEYCODES = { "\n": 66, "\t": 61 };
+
+/**
+ * Quotes a string for the device shell (POSIX single quotes).
+ * @public
+ * @param {string} value - Raw string.
+ * @returns {string} The quoted string.
+ * @example
+ * shellQuote("it's"); // 'it'\''s'
+ */
+export function shellQuote(value) {
+	return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * True if every character can be typed with `input text` (printable ASCII, newline or tab).
+ * @public
+ * @param {string} text - Text to check.
+ * @returns {boolean}
+ */
+export function isAsciiText(text) {
+	return /^[\x20-\x7e\n\t]*$/.test(text);
+}
+
+/**
+ * Builds the shell commands that type ASCII text with `input text`.
+ * @public
+ * @param {string} text - Printable ASCII text (newlines and tabs allowed).
+ * @param {number} [chunkSize=100] - Maximum characters per `input text` command.
+ * @returns {string[]} Shell commands, in order.
+ * @example
+ * buildInputTextCommands('say "hi"; ls'); // ["input text 'say%s\"hi\";%sls'"]
+ */
+export function buildInputTextCommands(text, chunkSize = 100) {
+	const commands = [];
+	let segment = "";
+	const flush = () => {
+		if (segment) commands.push(`input text ${shellQuote(segment.replace(/ /g, "%s"))}`);
+		segment = "";
+	};
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (CONTROL_KEYCODES[char]) {
+			flush();
+			commands.push(`input keyevent ${CONTROL_KEYCODES[char]}`);
+			continue;
+		}
+		segment += char;
+		// A literal "%s" would be typed as a space, so end the command between "%" and "s"
+		if ((char === "%" && text[i + 1] === "s") || segment.length >= chunkSize) flush();
+	}
+	flush();
+	return commands;
+}
+
+/**
+ * Builds the ADBKeyboard broadcasts that type any Unicode text.
+ * Chunks never split a character (surrogate pairs stay together).
+ * @public
+ * @param {string} text - Text to type.
+ * @param {number} [chunkSize=100] - Maximum characters per broadcast.
+ * @returns {string[]} Shell commands, in order.
+ */
+export function buildBroadcastCommands(text, chunkSize = 100) {
+	const chars = Array.from(text);
+	const commands = [];
+	for (let i = 0; i < chars.length; i += chunkSize) {
+		const chunk = chars.slice(i, i + chunkSize).join("");
+		commands.push(`am broadcast -a ADB_INPUT_B64 --es msg ${Buffer.from(chunk, "utf8").toString("base64")}`);
+	}
+	return commands;
+}
+
+/**
+ * Creates the text typer for one device.
+ * @public
+ * @param {Object} options
+ * @param {function(string, AbortSignal=): Promise<string>} options.run - Runs a shell command and resolves with its output.
+ * @param {number} [options.chunkSize=100] - Maximum characters per command.
+ * @param {"auto"|"adbkeyboard"|"off"} [options.unicode="auto"] - "auto" uses ADBKeyboard only for non-ASCII text,
+ *   "adbkeyboard" uses it for all text, "off" rejects non-ASCII text.
+ * @param {function(string, string): void} [options.onLog] - Called with (level, message).
+ * @returns {{ type: function(string, AbortSignal=): Promise<"input"|"adbkeyboard">, hasAdbKeyboard: function(AbortSignal=): Promise<boolean> }}
+ */
+export default function createTextInput(options) {
+	const run = options.run;
+	const chunkSize = typeof options.chunkSize === "number" && options.chunkSize > 0 ? options.chunkSize : 100;
+	const unicode = options.unicode === false ? "off" : options.unicode || "auto";
+	const onLog = typeof options.onLog === "function" ? options.onLog : () => {};
+
+	let adbKeyboardInstalled = null;
+	// Chunks of one call must not interleave with another call's chunks in the command queue
+	let chain = Promise.resolve();
+
+	/**
+	 * Runs commands one after another.
+	 * @private
+	 * @param {string[]} commands - Shell commands.
+	 * @param {AbortSignal} [signal] - Aborts the remaining commands.
+	 */
+	async function runAll(commands, signal) {
+		for (const command of commands) {
+			if (signal && signal.aborted) throw signal.reason;
+			await run(command, signal);
+		}
+	}
+
+	/**
+	 * Types text through ADBKeyboard, activating it for the duration of the call if needed.
+	 * @private
+	 * @param {string} text - Text to type.
+	 * @param {AbortSignal} [signal] - Aborts the call.
+	 */
+	async function typeWithAdbKeyboard(text, signal) {
+		if (!(await textInput.hasAdbKeyboard(signal))) {
+			throw new UnsupportedOperationError(
+				"Typing non-ASCII text requires ADBKeyboard (com.android.adbkeyboard) on the device. " +
+					"Install it (e.g. adb install ADBKeyboard.apk) and enable it with: ime enable " + ADB_KEYBOARD_IME,
+				{ code: "ERR_UNICODE_INPUT_UNSUPPORTED" }
+			);
+		}
+		const previousIme = String(await run("settings get secure default_input_method", signal)).trim();
+		const switchIme = previousIme !== ADB_KEYBOARD_IME;
+		if (switchIme) {
+			onLog("info", `Switching input method to ADBKeyboard (was ${previousIme || "unset"})`);
+			await run(`ime enable ${ADB_KEYBOARD_IME} && ime set ${ADB_KEYBOARD_IME}`, signal);
+		}
+		try {
+			await runAll(buildBroadcastCommands(text, chunkSize), signal);
+		} finally {
+			if (switchIme && previousIme && previousIme !== "null") {
+				// Restore even after an abort so the user's keyboard comes back
+				await run(`ime set ${shellQuote(previousIme)}`).catch(() => {});
+			}
+		}
+	}
+
+	const textInput = {
+		/**
+		 * Types text on the device. Calls are serialized so concurrent texts never interleave.
+		 * @public
+		 * @param {string} text - Text to type.
+		 * @param {AbortSignal} [signal] - Aborts the remaining chunks.
+		 * @returns {Promise<"input"|"adbkeyboard">} Transport that was used.
+		 * @throws {UnsupportedOperationError} If the text is not ASCII and ADBKeyboard is not available.
+		 */
+		type(text, signal) {
+			const value = String(text);
+			const result = chain.then(async () => {
+				if (unicode === "adbkeyboard" || (!isAsciiText(value) && unicode === "auto")) {
+					await typeWithAdbKeyboard(value, signal);
+					return "adbkeyboard";
+				}
+				if (!isAsciiText(value)) {
+					throw new UnsupportedOperationError("Non-ASCII text cannot be typed with unicodeInput disabled.", {
+						code: "ERR_UNICODE_INPUT_UNSUPPORTED"
+					});
+				}
+				await runAll(buildInputTextCommands(value, chunkSize), signal);
+				return "input";
+			});
+			chain = result.catch(() => {});
+			return result;
+		},
+
+		/**
+		 * Whether ADBKeyboard is installed and enabled (`ime list -s`); cached after the first positive check.
+		 * @public
+		 * @param {AbortSignal} [signal] - Aborts the check.
+		 * @returns {Promise<boolean>}
+		 */
+		async hasAdbKeyboard(signal) {
+			if (adbKeyboardInstalled) return true;
+			const enabled = String(await run("ime list -s", signal));
+			if (enabled.includes(ADB_KEYBOARD_IME)) {
+				adbKeyboardInstalled = true;
+				return true;
+			}
+			// Installed but not enabled: the package is present, `ime enable` makes it usable
+			const packages = String(await run("pm list packages com.android.adbkeyboard", signal));
+			adbKeyboardInstalled = packages.includes("package:com.android.adbkeyboard");
+			return adbKeyboardInstalled;
+		}
+	};
+	return textInput;
+}
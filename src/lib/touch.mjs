@@ -0,0 +1,254 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/touch.mjs
+ *	@Date: 2026-10-19 21:20:44 -07:00 (1792470044)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 21:20:44 -07:00 (1792470044)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * Touch module - Tap, swipe, drag and scroll gestures through `input`.
+ *
+ * @module touch
+ *
+ * @description
+ * Backs `remote.touch`, for phone apps sideloaded onto TVs that only respond to touch. Points are
+ * absolute pixels, or normalized 0..1 fractions of the screen, which are scaled with the display size
+ * reported by the device (override size if set). A point whose coordinates are both within 0..1 is
+ * taken as normalized; pass `{ normalized: false }` to force pixels.
+ *
+ * Drags use `input draganddrop` (Android 11+) and fall back to a slow `input swipe` on older devices.
+ *
+ * @example
+ * const touch = createTouch(deviceContext, { display: (signal) => deviceInfo.read(signal).then((info) => info.display) });
+ * await touch.tap(0.5, 0.5); // center of the screen
+ * await touch.swipe([100, 800], [100, 200], 250);
+ * await touch.scroll("down");
+ */
+
+import { CommandFailedError } from "./errors.mjs";
+
+/**
+ * Swipe vectors for scroll directions, as the direction the content moves into view.
+ * @private
+ */
+const SCROLL_AXES = { up: [0, 1], down: [0, -1], left: [1, 0], right: [-1, 0] };
+
+/**
+ * A point: { x, y } or [x, y], in pixels or normalized 0..1.
+ * @typedef {{ x: number, y: number }|number[]} TouchPoint
+ */
+
+/**
+ * Options accepted by every gesture.
+ * @typedef {Object} TouchOptions
+ * @property {boolean} [normalized] - Treat coordinates as 0..1 fractions (true) or pixels (false). Detected when omitted.
+ * @property {AbortSignal} [signal] - Aborts the gesture.
+ * @property {number} [timeout] - Timeout in ms.
+ */
+
+/**
+ * Converts a point argument to { x, y }.
+ * @public
+ * @param {TouchPoint} point - Point to convert.
+ * @returns {{ x: number, y: number }}
+ * @throws {TypeError} If the point is not two finite numbers.
+ */
+export function toPoint(point) {
+	const [x, y] = Array.isArray(point) ? point : point && typeof point === "object" ? [point.x, point.y] : [];
+	if (!Number.isFinite(x) || !Number.isFinite(y)) throw new TypeError(`Invalid touch point: ${JSON.stringify(point)}`);
+	return { x, y };
+}
+
+/**
+ * Whether a set of points is normalized.
+ * @private
+ * @param {{ x: number, y: number }[]} points - Points of one gesture.
+ * @param {boolean} [normalized] - Explicit choice.
+ * @returns {boolean}
+ */
+function isNormalized(points, normalized) {
+	if (typeof normalized === "boolean") return normalized;
+	return points.every(({ x, y }) => x >= 0 && x <= 1 && y >= 0 && y <= 1);
+}
+
+/**
+ * Scales points to device pixels.
+ * @public
+ * @param {{ x: number, y: number }[]} points - Points to scale.
+ * @param {{ width: number, height: number }|null} display - Display size (needed for normalized points).
+ * @param {boolean} normalized - Whether the points are normalized.
+ * @returns {{ x: number, y: number }[]} Integer pixel points.
+ * @throws {RangeError} If a normalized coordinate is outside 0..1 or a pixel coordinate is negative.
+ */
+export function scalePoints(points, display, normalized) {
+	return points.map(({ x, y }) => {
+		if (normalized) {
+			if (x < 0 || x > 1 || y < 0 || y > 1) throw new RangeError(`Normalized coordinates must be within 0..1: ${x}, ${y}`);
+			// The last pixel is width - 1, so 1.0 stays on screen
+			return { x: Math.round(x * (display.width - 1)), y: Math.round(y * (display.height - 1)) };
+		}
+		if (x < 0 || y < 0) throw new RangeError(`Pixel coordinates must not be negative: ${x}, ${y}`);
+		return { x: Math.round(x), y: Math.round(y) };
+	});
+}
+
+/**
+ * Validates a gesture duration.
+ * @private
+ * @param {number} duration - Duration in ms.
+ * @returns {number}
+ * @throws {TypeError}
+ */
+function toDuration(duration) {
+	if (!Number.isFinite(duration) || duration < 0) throw new TypeError(`Invalid gesture duration: ${duration}`);
+	return Math.round(duration);
+}
+
+/**
+ * Creates the touch controller for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @param {Object} options
+ * @param {function(AbortSignal=): Promise<{ width: number|null, height: number|null }>} options.display - Reads the display size.
+ * @returns {Object} Controller with tap(), swipe(), drag() and scroll().
+ */
+export default function createTouch(context, { display: readDisplay }) {
+	const { run, shell, emitLog } = context;
+
+	/**
+	 * Reads the display size, failing when it is unknown.
+	 * @private
+	 * @param {AbortSignal} [signal] - Aborts the read.
+	 * @returns {Promise<{ width: number, height: number }>}
+	 */
+	async function displaySize(signal) {
+		const display = await readDisplay(signal);
+		if (!display || !display.width || !display.height) {
+			throw new CommandFailedError("Could not read the display size to scale normalized coordinates", { host: context.host });
+		}
+		return display;
+	}
+
+	/**
+	 * Scales the points of a gesture to pixels, reading the display size only when needed.
+	 * @private
+	 * @param {{ x: number, y: number }[]} points - Gesture points.
+	 * @param {boolean} [normalized] - Explicit choice.
+	 * @param {AbortSignal} [signal] - Aborts the display size read.
+	 * @returns {Promise<{ x: number, y: number }[]>}
+	 */
+	async function toPixels(points, normalized, signal) {
+		if (!isNormalized(points, normalized)) return scalePoints(points, null, false);
+		return scalePoints(points, await displaySize(signal), true);
+	}
+
+	/**
+	 * Runs an input command and checks its output.
+	 * @private
+	 * @param {string} command - Shell command.
+	 * @param {AbortSignal} [signal] - Aborts the command.
+	 * @returns {Promise<string>}
+	 */
+	async function input(command, signal) {
+		const output = String((await shell(command, signal)) || "");
+		if (/Error:|Exception|Unknown command/i.test(output)) {
+			throw new CommandFailedError(`${command} failed: ${output.trim()}`, { output, host: context.host });
+		}
+		return output;
+	}
+
+	return {
+		/**
+		 * Taps a point.
+		 * @public
+		 * @param {number} x - X in pixels or 0..1.
+		 * @param {number} y - Y in pixels or 0..1.
+		 * @param {TouchOptions} [options={}]
+		 * @returns {Promise<{ x: number, y: number }>} The pixel point that was tapped.
+		 */
+		tap(x, y, options = {}) {
+			return run("touch.tap", options, async (signal) => {
+				const [target] = await toPixels([toPoint([x, y])], options.normalized, signal);
+				await input(`input tap ${target.x} ${target.y}`, signal);
+				return target;
+			});
+		},
+
+		/**
+		 * Swipes from one point to another.
+		 * @public
+		 * @param {TouchPoint} from - Start point.
+		 * @param {TouchPoint} to - End point.
+		 * @param {number} [duration=300] - Swipe duration in ms.
+		 * @param {TouchOptions} [options={}]
+		 * @returns {Promise<{ x: number, y: number }[]>} The pixel start and end points.
+		 */
+		swipe(from, to, duration = 300, options = {}) {
+			return run("touch.swipe", options, async (signal) => {
+				const points = [toPoint(from), toPoint(to)];
+				const ms = toDuration(duration);
+				const [start, end] = await toPixels(points, options.normalized, signal);
+				await input(`input swipe ${start.x} ${start.y} ${end.x} ${end.y} ${ms}`, signal);
+				return [start, end];
+			});
+		},
+
+		/**
+		 * Long-presses a point and drags it to another (drag and drop).
+		 * @public
+		 * @param {TouchPoint} from - Start point.
+		 * @param {TouchPoint} to - Drop point.
+		 * @param {number} [duration=1000] - Drag duration in ms.
+		 * @param {TouchOptions} [options={}]
+		 * @returns {Promise<{ x: number, y: number }[]>} The pixel start and end points.
+		 */
+		drag(from, to, duration = 1000, options = {}) {
+			return run("touch.drag", options, async (signal) => {
+				const points = [toPoint(from), toPoint(to)];
+				const ms = toDuration(duration);
+				const [start, end] = await toPixels(points, options.normalized, signal);
+				const args = `${start.x} ${start.y} ${end.x} ${end.y} ${ms}`;
+				const output = String((await shell(`input draganddrop ${args}`, signal)) || "");
+				if (/Unknown command|Error:/i.test(output)) {
+					emitLog("debug", "input draganddrop is unavailable, dragging with a slow swipe", "touch.drag");
+					await input(`input swipe ${args}`, signal);
+				}
+				return [start, end];
+			});
+		},
+
+		/**
+		 * Scrolls the content with a swipe through the center of the screen.
+		 * @public
+		 * @param {"up"|"down"|"left"|"right"} direction - Direction to scroll ("down" reveals content further down).
+		 * @param {number} [amount=0.5] - Swipe length as a fraction of the screen (0..1) or in pixels (> 1).
+		 * @param {TouchOptions & { duration?: number }} [options={}] - Gesture options; duration defaults to 300 ms.
+		 * @returns {Promise<{ x: number, y: number }[]>} The pixel start and end points.
+		 */
+		scroll(direction, amount = 0.5, options = {}) {
+			return run("touch.scroll", options, async (signal) => {
+				if (!Object.hasOwn(SCROLL_AXES, direction)) {
+					throw new TypeError(`Unknown scroll direction: ${direction} (use "up", "down", "left" or "right")`);
+				}
+				if (!Number.isFinite(amount) || amount <= 0) throw new TypeError(`Invalid scroll amount: ${amount}`);
+				const ms = toDuration(options.duration === undefined ? 300 : options.duration);
+				const axis = SCROLL_AXES[direction];
+				const size = await displaySize(signal);
+				const [dx, dy] = axis;
+				// Pixel amounts are converted to a fraction of the axis they move along
+				const fraction = Math.min(amount > 1 ? amount / (dx ? size.width : size.height) : amount, 1);
+				const from = { x: 0.5 - (dx * fraction) / 2, y: 0.5 - (dy * fraction) / 2 };
+				const to = { x: 0.5 + (dx * fraction) / 2, y: 0.5 + (dy * fraction) / 2 };
+				const [start, end] = scalePoints([from, to], size, true);
+				await input(`input swipe ${start.x} ${start.y} ${end.x} ${end.y} ${ms}`, signal);
+				return [start, end];
+			});
+		}
+	};
+}
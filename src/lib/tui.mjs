@@ -0,0 +1,284 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/tui.mjs
+ *	@Date: 2026-10-20 00:36:09 -07:00 (1792481769)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 00:36:09 -07:00 (1792481769)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * TUI module - Interactive remote driven by the terminal keyboard.
+ *
+ * @module tui
+ *
+ * @description
+ * Backs `atv interactive`. Keypresses are decoded with `readline.emitKeypressEvents` and mapped to the
+ * remote: arrows to the D-pad, Enter to OK, Backspace to Back, letters, digits and symbols to
+ * `keyboard.key.*` (or `keyboard.text` for characters without a key function). Commands run one at a
+ * time in the order they were typed.
+ *
+ * A status line at the bottom shows the connection state, the last command and its latency, and the
+ * foreground app (from watchForegroundApp). Ctrl+T switches to type mode, where a line is edited
+ * locally and sent with `keyboard.text` on Enter. Ctrl+C or Ctrl+D quits.
+ *
+ * @example
+ * const tui = createTui(remote, { input: process.stdin, output: process.stdout });
+ * await tui.start(); // resolves when the user quits
+ */
+
+import { emitKeypressEvents } from "readline";
+
+/**
+ * Terminal keys (readline key names) bound to remote keys in remote mode.
+ * @public
+ */
+export const KEY_BINDINGS = Object.freeze({
+	up: "up",
+	down: "down",
+	left: "left",
+	right: "right",
+	return: "ok",
+	enter: "ok",
+	backspace: "back",
+	escape: "back",
+	home: "home",
+	pageup: "volumeUp",
+	pagedown: "volumeDown",
+	end: "playPause"
+});
+
+/**
+ * Help line printed when the TUI starts.
+ * @private
+ */
+const HELP =
+	"Arrows: D-pad  Enter: OK  Backspace/Esc: Back  Home: Home  PgUp/PgDn: volume  End: play/pause\n" +
+	"Letters, digits and symbols are sent as keyboard keys.  Ctrl+T: type mode  Ctrl+C: quit\n";
+
+/**
+ * What a keypress does.
+ * @typedef {Object} TuiAction
+ * @property {"press"|"key"|"shift"|"text"|"typeMode"|"quit"} kind - Action type.
+ * @property {string} [name] - Remote key (press), keyboard key (key, shift) or text (text).
+ */
+
+/**
+ * Maps a keypress in remote mode to an action.
+ * @public
+ * @param {string|undefined} sequence - Character typed, as passed to the keypress event.
+ * @param {Object} [key={}] - readline key description ({ name, ctrl, meta, shift }).
+ * @returns {TuiAction|null} Null for keys without a binding.
+ */
+export function resolveKeypress(sequence, key = {}) {
+	if (key.ctrl && (key.name === "c" || key.name === "d")) return { kind: "quit" };
+	if (key.ctrl && key.name === "t") return { kind: "typeMode" };
+	if (key.ctrl || key.meta) return null;
+	if (key.name && Object.hasOwn(KEY_BINDINGS, key.name)) return { kind: "press", name: KEY_BINDINGS[key.name] };
+	if (typeof sequence !== "string" || sequence.length !== 1 || sequence < " ") return null;
+	if (/^[a-z0-9]$/.test(sequence)) return { kind: "key", name: sequence };
+	if (/^[A-Z]$/.test(sequence)) return { kind: "shift", name: sequence.toLowerCase() };
+	if (sequence === " ") return { kind: "key", name: "space" };
+	return { kind: "text", name: sequence };
+}
+
+/**
+ * Creates the interactive remote for a connected remote.
+ * @public
+ * @param {Object} remote - Remote from createRemote().
+ * @param {Object} [options={}]
+ * @param {import('stream').Readable} [options.input=process.stdin] - Keyboard input; raw mode is enabled when it is a TTY.
+ * @param {import('stream').Writable} [options.output=process.stdout] - Where the help and status line are written.
+ * @param {number} [options.appInterval=2000] - Foreground app polling interval in ms.
+ * @param {AbortSignal} [options.signal] - Stops the TUI.
+ * @returns {{ start: function(): Promise<void>, stop: function(): Promise<void> }}
+ */
+export default function createTui(remote, options = {}) {
+	const input = options.input || process.stdin;
+	const output = options.output || process.stdout;
+	const appInterval = typeof options.appInterval === "number" ? options.appInterval : 2000;
+
+	let mode = "remote";
+	let buffer = "";
+	let last = null;
+	let app = null;
+	let pending = Promise.resolve();
+	let running = false;
+	let stopping = false;
+	let finish = null;
+
+	/**
+	 * Builds the status line text.
+	 * @private
+	 * @returns {string}
+	 */
+	function statusText() {
+		const parts = [`[${remote.connectionState}]`];
+		if (mode === "type") parts.push(`type> ${buffer}`);
+		else if (last) parts.push(last.error ? `${last.label} failed: ${last.error}` : `${last.label} ${last.latency}ms`);
+		parts.push(`app: ${app || "-"}`);
+		return parts.join("  ");
+	}
+
+	/**
+	 * Redraws the status line in place.
+	 * @private
+	 */
+	function render() {
+		if (running) output.write(`\r\x1b[2K${statusText()}`);
+	}
+
+	/**
+	 * Queues a remote call behind the previous ones and records its latency.
+	 * @private
+	 * @param {string} label - Shown in the status line.
+	 * @param {function(): Promise<any>} send - Makes the call.
+	 */
+	function enqueue(label, send) {
+		pending = pending.then(async () => {
+			const startTime = performance.now();
+			try {
+				await send();
+				last = { label, latency: Math.round(performance.now() - startTime) };
+			} catch (error) {
+				last = { label, error: error.message };
+			}
+			render();
+		});
+	}
+
+	/**
+	 * Runs a remote-mode action.
+	 * @private
+	 * @param {TuiAction} action - Resolved keypress.
+	 */
+	function perform(action) {
+		switch (action.kind) {
+			case "quit":
+				stop();
+				return;
+			case "typeMode":
+				mode = "type";
+				render();
+				return;
+			case "press":
+				enqueue(`press.${action.name}`, () => remote.press[action.name]());
+				return;
+			case "key":
+				enqueue(`key.${action.name}`, () => remote.keyboard.key[action.name]());
+				return;
+			case "shift":
+				enqueue(`key.shift.${action.name}`, () => remote.keyboard.key.shift[action.name]());
+				return;
+			case "text":
+				enqueue(`text ${JSON.stringify(action.name)}`, () => remote.keyboard.text(action.name));
+				return;
+		}
+	}
+
+	/**
+	 * Handles a keypress in type mode: edits the line, sends it on Enter, leaves on Ctrl+T or Esc.
+	 * @private
+	 * @param {string|undefined} sequence - Character typed.
+	 * @param {Object} key - readline key description.
+	 */
+	function typeKeypress(sequence, key) {
+		if (key.ctrl && (key.name === "c" || key.name === "d")) return stop();
+		if ((key.ctrl && key.name === "t") || key.name === "escape") mode = "remote";
+		else if (key.name === "return" || key.name === "enter") {
+			if (buffer) {
+				const text = buffer;
+				enqueue(`text ${JSON.stringify(text)}`, () => remote.keyboard.text(text));
+			}
+			buffer = "";
+		} else if (key.name === "backspace") buffer = buffer.slice(0, -1);
+		else if (!key.ctrl && !key.meta && typeof sequence === "string" && sequence >= " ") buffer += sequence;
+		render();
+	}
+
+	/**
+	 * keypress listener.
+	 * @private
+	 * @param {string|undefined} sequence - Character typed.
+	 * @param {Object} [key] - readline key description (undefined for plain characters on some streams).
+	 */
+	function onKeypress(sequence, key = {}) {
+		if (mode === "type") return typeKeypress(sequence, key);
+		const action = resolveKeypress(sequence, key);
+		if (action) perform(action);
+	}
+
+	/**
+	 * app-changed listener.
+	 * @private
+	 * @param {Object} event - app-changed payload.
+	 */
+	function onAppChanged(event) {
+		app = event.packageName;
+		render();
+	}
+
+	/**
+	 * Stops the TUI: restores the terminal, stops the app watcher and waits for queued commands.
+	 * @public
+	 * @returns {Promise<void>}
+	 */
+	async function stop() {
+		if (!running || stopping) return;
+		stopping = true;
+		input.off("keypress", onKeypress);
+		if (input.isTTY && typeof input.setRawMode === "function") input.setRawMode(false);
+		input.pause();
+		remote.off("app-changed", onAppChanged);
+		remote.off("state-change", render);
+		remote.unwatchForegroundApp();
+		if (options.signal) options.signal.removeEventListener("abort", stop);
+		// Commands already typed still run and update the status line
+		await pending;
+		running = false;
+		stopping = false;
+		output.write("\n");
+		finish();
+	}
+
+	return {
+		/**
+		 * Starts reading keys. Resolves once the user quits (or stop() is called).
+		 * @public
+		 * @returns {Promise<void>}
+		 */
+		start() {
+			if (running) return Promise.reject(new Error("The interactive remote is already running"));
+			running = true;
+			const done = new Promise((resolve) => (finish = resolve));
+
+			emitKeypressEvents(input);
+			if (input.isTTY && typeof input.setRawMode === "function") input.setRawMode(true);
+			input.on("keypress", onKeypress);
+			input.resume();
+
+			remote.on("app-changed", onAppChanged);
+			remote.on("state-change", render);
+			remote.watchForegroundApp({ interval: appInterval });
+			remote.getForegroundApp().then((current) => {
+				app = current ? current.packageName : null;
+				render();
+			}, () => {});
+
+			if (options.signal) {
+				if (options.signal.aborted) stop();
+				else options.signal.addEventListener("abort", stop, { once: true });
+			}
+
+			output.write(HELP);
+			render();
+			return done;
+		},
+
+		stop
+	};
+}
@@ -0,0 +1,361 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/ui.mjs
+ *	@Date: 2026-10-19 22:31:50 -07:00 (1792474310)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 22:31:50 -07:00 (1792474310)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * UI module - UI hierarchy dumps and element queries through uiautomator.
+ *
+ * @module ui
+ *
+ * @description
+ * Backs `remote.ui`. `uiautomator dump` writes the window hierarchy as XML to a temp file, which is read
+ * back and removed in the same shell command. The XML holds only `<node>` elements with attributes, so it
+ * is parsed with a small tokenizer rather than a full XML parser.
+ *
+ * Nodes are matched with selectors: each given field must match, as an exact string, a RegExp, or a
+ * boolean for the state flags. Resource ids match either in full ("com.app:id/title") or by their
+ * short name ("title"). Class names match in full or by simple name ("TextView").
+ *
+ * uiautomator waits for the UI to be idle and fails with "could not get idle state" while video or
+ * animations play. dump() then rejects with CommandFailedError; waitFor() keeps polling.
+ *
+ * @example
+ * const ui = createUi(deviceContext);
+ * const { nodes } = await ui.dump();
+ * const [title] = await ui.find({ id: "title", text: /Stranger/ });
+ * const focused = await ui.getFocused();
+ * await ui.waitFor({ text: "Continue watching" }, 10000);
+ */
+
+import { delay } from "./abort.mjs";
+import { CommandFailedError } from "./errors.mjs";
+
+/**
+ * Device path of the dump file.
+ * @private
+ */
+const DUMP_PATH = "/data/local/tmp/android-tv-remote-ui.xml";
+
+/**
+ * Boolean node attributes and their property names.
+ * @private
+ */
+const FLAGS = {
+	checkable: "checkable",
+	checked: "checked",
+	clickable: "clickable",
+	enabled: "enabled",
+	focusable: "focusable",
+	focused: "focused",
+	scrollable: "scrollable",
+	"long-clickable": "longClickable",
+	password: "password",
+	selected: "selected"
+};
+
+/**
+ * Bounds of a node in screen pixels.
+ * @typedef {Object} UiBounds
+ * @property {number} left
+ * @property {number} top
+ * @property {number} right
+ * @property {number} bottom
+ * @property {number} width
+ * @property {number} height
+ * @property {number} centerX
+ * @property {number} centerY
+ */
+
+/**
+ * A view in the UI hierarchy.
+ * @typedef {Object} UiNode
+ * @property {number} index - Index among its siblings.
+ * @property {string} text - Displayed text.
+ * @property {string} resourceId - Resource id ("com.app:id/title"), or "".
+ * @property {string} className - View class ("android.widget.TextView").
+ * @property {string} packageName - Owning package.
+ * @property {string} contentDesc - Content description.
+ * @property {boolean} checkable
+ * @property {boolean} checked
+ * @property {boolean} clickable
+ * @property {boolean} enabled
+ * @property {boolean} focusable
+ * @property {boolean} focused
+ * @property {boolean} scrollable
+ * @property {boolean} longClickable
+ * @property {boolean} password
+ * @property {boolean} selected
+ * @property {UiBounds|null} bounds - Screen bounds.
+ * @property {UiNode[]} children - Child views.
+ */
+
+/**
+ * A parsed window hierarchy.
+ * @typedef {Object} UiHierarchy
+ * @property {number} rotation - Display rotation (0-3).
+ * @property {UiNode[]} roots - Top-level nodes (one per window).
+ * @property {UiNode[]} nodes - Every node in document order.
+ */
+
+/**
+ * Node selector. Strings match exactly, RegExps are tested, booleans match the state flags.
+ * @typedef {Object} UiSelector
+ * @property {string|RegExp} [text]
+ * @property {string|RegExp} [id] - Resource id, full or short.
+ * @property {string|RegExp} [className] - Class name, full or simple.
+ * @property {string|RegExp} [contentDesc]
+ * @property {string|RegExp} [packageName]
+ * @property {boolean} [focused]
+ * @property {boolean} [selected]
+ * @property {boolean} [clickable]
+ * @property {boolean} [focusable]
+ * @property {boolean} [enabled]
+ * @property {boolean} [checked]
+ * @property {boolean} [scrollable]
+ */
+
+/**
+ * Decodes XML entities.
+ * @private
+ * @param {string} value - Attribute value.
+ * @returns {string}
+ */
+function decodeEntities(value) {
+	return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+		if (name[0] === "#") return String.fromCodePoint(name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+		return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[name.toLowerCase()];
+	});
+}
+
+/**
+ * Parses a bounds attribute ("[0,0][1920,1080]").
+ * @private
+ * @param {string} value - bounds attribute.
+ * @returns {UiBounds|null}
+ */
+function parseBounds(value) {
+	const match = /^\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]$/.exec(value || "");
+	if (!match) return null;
+	const [left, top, right, bottom] = match.slice(1).map(Number);
+	return {
+		left,
+		top,
+		right,
+		bottom,
+		width: right - left,
+		height: bottom - top,
+		centerX: Math.round((left + right) / 2),
+		centerY: Math.round((top + bottom) / 2)
+	};
+}
+
+/**
+ * Builds a node from its attributes.
+ * @private
+ * @param {Object<string, string>} attributes - Decoded attributes.
+ * @returns {UiNode}
+ */
+function createNode(attributes) {
+	const node = {
+		index: Number(attributes.index) || 0,
+		text: attributes.text || "",
+		resourceId: attributes["resource-id"] || "",
+		className: attributes.class || "",
+		packageName: attributes.package || "",
+		contentDesc: attributes["content-desc"] || ""
+	};
+	for (const [attribute, property] of Object.entries(FLAGS)) node[property] = attributes[attribute] === "true";
+	node.bounds = parseBounds(attributes.bounds);
+	node.children = [];
+	return node;
+}
+
+/**
+ * Parses `uiautomator dump` XML into a node tree.
+ * @public
+ * @param {string} xml - Dump contents.
+ * @param {Object} [options={}]
+ * @param {string} [options.host] - Device host, for the error.
+ * @returns {UiHierarchy}
+ * @throws {CommandFailedError} If the output holds no hierarchy.
+ */
+export function parseUiHierarchy(xml, options = {}) {
+	const text = String(xml || "");
+	const start = text.indexOf("<hierarchy");
+	if (start === -1) throw new CommandFailedError(`uiautomator returned no hierarchy: ${text.trim().slice(0, 200)}`, { output: text, host: options.host });
+
+	const hierarchy = { rotation: 0, roots: [], nodes: [] };
+	const stack = [];
+	const tags = /<(\/?)(\w+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>/g;
+	tags.lastIndex = start;
+	let tag;
+	while ((tag = tags.exec(text))) {
+		const [, closing, name, attributeText, selfClosing] = tag;
+		if (closing) {
+			if (name === "node") stack.pop();
+			if (name === "hierarchy") break;
+			continue;
+		}
+		const attributes = {};
+		for (const [, key, value] of attributeText.matchAll(/([\w:-]+)="([^"]*)"/g)) attributes[key] = decodeEntities(value);
+		if (name === "hierarchy") {
+			hierarchy.rotation = Number(attributes.rotation) || 0;
+			continue;
+		}
+		if (name !== "node") continue;
+		const node = createNode(attributes);
+		(stack.length ? stack[stack.length - 1].children : hierarchy.roots).push(node);
+		hierarchy.nodes.push(node);
+		if (!selfClosing) stack.push(node);
+	}
+	return hierarchy;
+}
+
+/**
+ * Tests a string field against a selector value.
+ * @private
+ * @param {string} actual - Node value.
+ * @param {string|RegExp} expected - Selector value.
+ * @param {function(string): string} [short] - Alternative form that may also match exactly.
+ * @returns {boolean}
+ */
+function matchText(actual, expected, short) {
+	if (expected instanceof RegExp) return expected.test(actual);
+	return actual === expected || (short !== undefined && short(actual) === expected);
+}
+
+/**
+ * Tests whether a node matches a selector.
+ * @public
+ * @param {UiNode} node - Node to test.
+ * @param {UiSelector|function(UiNode): boolean} selector - Selector or predicate.
+ * @returns {boolean}
+ */
+export function matchesSelector(node, selector) {
+	if (typeof selector === "function") return Boolean(selector(node));
+	return Object.entries(selector || {}).every(([key, expected]) => {
+		if (expected === undefined) return true;
+		switch (key) {
+			case "id":
+				return matchText(node.resourceId, expected, (id) => id.slice(id.indexOf(":id/") + 4));
+			case "className":
+				return matchText(node.className, expected, (name) => name.slice(name.lastIndexOf(".") + 1));
+			case "text":
+			case "contentDesc":
+			case "packageName":
+				return matchText(node[key], expected);
+			default:
+				if (!Object.values(FLAGS).includes(key)) throw new TypeError(`Unknown UI selector field: ${key}`);
+				return node[key] === expected;
+		}
+	});
+}
+
+/**
+ * Returns the nodes of a hierarchy that match a selector, in document order.
+ * @public
+ * @param {UiHierarchy} hierarchy - Parsed hierarchy.
+ * @param {UiSelector|function(UiNode): boolean} selector - Selector or predicate.
+ * @returns {UiNode[]}
+ */
+export function findNodes(hierarchy, selector) {
+	return hierarchy.nodes.filter((node) => matchesSelector(node, selector));
+}
+
+/**
+ * Dumps and parses the current hierarchy. Unlike remote.ui.dump(), it neither auto-connects nor reports
+ * errors, so other modules (navigate.mjs) can run it inside their own operations.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @param {AbortSignal} [signal] - Aborts the dump.
+ * @returns {Promise<UiHierarchy>}
+ * @throws {CommandFailedError} If uiautomator cannot dump the screen.
+ */
+export async function readUiHierarchy(context, signal) {
+	const output = await context.shell(`uiautomator dump ${DUMP_PATH} 2>&1; cat ${DUMP_PATH} 2>/dev/null; rm -f ${DUMP_PATH}`, signal);
+	return parseUiHierarchy(output, { host: context.host });
+}
+
+/**
+ * Creates the UI inspector for one device.
+ * @public
+ * @param {import('./android-tv-remote.mjs').DeviceContext} context - Device access shared by the remote.
+ * @returns {Object} Inspector with dump(), find(), getFocused() and waitFor().
+ */
+export default function createUi(context) {
+	const { run } = context;
+	const read = (signal) => readUiHierarchy(context, signal);
+
+	return {
+		/**
+		 * Dumps the UI hierarchy of the screen.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<UiHierarchy>}
+		 * @throws {CommandFailedError} If uiautomator cannot dump the screen (e.g. not idle during playback).
+		 */
+		dump(options = {}) {
+			return run("ui.dump", options, read);
+		},
+
+		/**
+		 * Finds the nodes on screen that match a selector.
+		 * @public
+		 * @param {UiSelector|function(UiNode): boolean} selector - Selector or predicate.
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<UiNode[]>} Matches in document order.
+		 */
+		find(selector, options = {}) {
+			return run("ui.find", options, async (signal) => findNodes(await read(signal), selector));
+		},
+
+		/**
+		 * Returns the focused node (the innermost one if focus is nested), or null.
+		 * @public
+		 * @param {import('./abort.mjs').CallOptions} [options={}] - Cancellation options.
+		 * @returns {Promise<UiNode|null>}
+		 */
+		getFocused(options = {}) {
+			return run("ui.getFocused", options, async (signal) => {
+				const focused = findNodes(await read(signal), { focused: true });
+				return focused.length ? focused[focused.length - 1] : null;
+			});
+		},
+
+		/**
+		 * Waits until a node matching the selector is on screen.
+		 * @public
+		 * @param {UiSelector|function(UiNode): boolean} selector - Selector or predicate.
+		 * @param {number|Object} [options={}] - Timeout in ms, or options.
+		 * @param {number} [options.timeout=10000] - Maximum wait in ms (rejects with CommandTimeoutError).
+		 * @param {number} [options.interval=500] - Delay between dumps in ms.
+		 * @param {AbortSignal} [options.signal] - Aborts the wait.
+		 * @returns {Promise<UiNode>} The first match.
+		 */
+		waitFor(selector, options = {}) {
+			const settings = typeof options === "number" ? { timeout: options } : options;
+			const interval = typeof settings.interval === "number" && settings.interval > 0 ? settings.interval : 500;
+			return run("ui.waitFor", { ...settings, timeout: settings.timeout === undefined ? 10000 : settings.timeout }, async (signal) => {
+				for (;;) {
+					try {
+						const [match] = findNodes(await read(signal), selector);
+						if (match) return match;
+					} catch (error) {
+						// The screen may not be idle yet; anything else is a real failure
+						if (!(error instanceof CommandFailedError)) throw error;
+					}
+					await delay(interval, signal);
+				}
+			});
+		}
+	};
+}
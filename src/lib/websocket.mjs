@@ -0,0 +1,248 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /src/lib/websocket.mjs
+ *	@Date: 2026-10-20 02:06:31 -07:00 (1792487191)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 02:06:31 -07:00 (1792487191)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * WebSocket module - Minimal RFC 6455 server connections over Node's HTTP upgrade.
+ *
+ * @module websocket
+ *
+ * @description
+ * Just enough WebSocket for the event bridge, without a dependency: the opening handshake, text and
+ * binary messages (including fragmented ones), ping/pong and the closing handshake. Extensions such as
+ * permessage-deflate are not negotiated. Client frames must be masked; server frames never are.
+ *
+ * @example
+ * server.on("upgrade", (request, socket, head) => {
+ *   const connection = acceptWebSocket(request, socket, head);
+ *   if (connection) connection.on("message", (text) => connection.send(text));
+ * });
+ */
+
+import { createHash } from "crypto";
+import { EventEmitter } from "events";
+
+/**
+ * GUID appended to the client key for Sec-WebSocket-Accept (RFC 6455, section 1.3).
+ * @private
+ */
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * Frame opcodes.
+ * @public
+ */
+export const OPCODES = Object.freeze({ continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 });
+
+/**
+ * Encodes one frame.
+ * @public
+ * @param {Buffer|string} payload - Frame payload.
+ * @param {Object} [options={}]
+ * @param {number} [options.opcode=OPCODES.text] - Frame opcode.
+ * @param {boolean} [options.fin=true] - Final fragment.
+ * @param {Buffer} [options.mask] - 4-byte mask (clients must mask, servers must not).
+ * @returns {Buffer}
+ */
+export function encodeFrame(payload, options = {}) {
+	const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), "utf8");
+	const opcode = options.opcode === undefined ? OPCODES.text : options.opcode;
+	const lengthBytes = data.length < 126 ? 0 : data.length < 65536 ? 2 : 8;
+	const header = Buffer.alloc(2 + lengthBytes + (options.mask ? 4 : 0));
+	header[0] = (options.fin === false ? 0 : 0x80) | opcode;
+	header[1] = (options.mask ? 0x80 : 0) | (lengthBytes === 0 ? data.length : lengthBytes === 2 ? 126 : 127);
+	if (lengthBytes === 2) header.writeUInt16BE(data.length, 2);
+	if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(data.length), 2);
+	if (!options.mask) return Buffer.concat([header, data]);
+	options.mask.copy(header, 2 + lengthBytes);
+	const masked = Buffer.alloc(data.length);
+	for (let i = 0; i < data.length; i++) masked[i] = data[i] ^ options.mask[i % 4];
+	return Buffer.concat([header, masked]);
+}
+
+/**
+ * Creates an incremental frame decoder. Feed it socket chunks; it returns the frames completed so far.
+ * @public
+ * @param {Object} [options={}]
+ * @param {number} [options.maxPayload=1048576] - Largest accepted frame payload in bytes.
+ * @returns {function(Buffer): Array<{ fin: boolean, opcode: number, masked: boolean, payload: Buffer }>}
+ * @throws {RangeError} From the returned function, if a frame exceeds maxPayload.
+ */
+export function createFrameParser(options = {}) {
+	const maxPayload = options.maxPayload || 1048576;
+	let buffered = Buffer.alloc(0);
+	return (chunk) => {
+		buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+		const frames = [];
+		for (;;) {
+			if (buffered.length < 2) break;
+			const masked = (buffered[1] & 0x80) !== 0;
+			let length = buffered[1] & 0x7f;
+			let offset = 2;
+			if (length === 126) {
+				if (buffered.length < 4) break;
+				length = buffered.readUInt16BE(2);
+				offset = 4;
+			} else if (length === 127) {
+				if (buffered.length < 10) break;
+				const longLength = buffered.readBigUInt64BE(2);
+				if (longLength > BigInt(maxPayload)) throw new RangeError(`WebSocket frame exceeds ${maxPayload} bytes`);
+				length = Number(longLength);
+				offset = 10;
+			}
+			if (length > maxPayload) throw new RangeError(`WebSocket frame exceeds ${maxPayload} bytes`);
+			const total = offset + (masked ? 4 : 0) + length;
+			if (buffered.length < total) break;
+			const payload = Buffer.from(buffered.subarray(total - length, total));
+			if (masked) {
+				const mask = buffered.subarray(offset, offset + 4);
+				for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+			}
+			frames.push({ fin: (buffered[0] & 0x80) !== 0, opcode: buffered[0] & 0x0f, masked, payload });
+			buffered = buffered.subarray(total);
+		}
+		return frames;
+	};
+}
+
+/**
+ * Returns the Sec-WebSocket-Accept value for a client key.
+ * @public
+ * @param {string} key - Sec-WebSocket-Key header.
+ * @returns {string}
+ */
+export function acceptKey(key) {
+	return createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+}
+
+/**
+ * Completes the opening handshake of an HTTP upgrade request.
+ * Emits "message" (string for text, Buffer for binary) and "close" on the returned
+ * connection. Requests that are not valid WebSocket upgrades are answered with 400 and get null.
+ * @public
+ * @param {import('http').IncomingMessage} request - The upgrade request.
+ * @param {import('net').Socket} socket - The request socket.
+ * @param {Buffer} [head] - Bytes already read past the headers.
+ * @param {Object} [options={}]
+ * @param {number} [options.maxPayload=1048576] - Largest accepted message in bytes (larger ones close with 1009).
+ * @returns {EventEmitter|null} Connection with send(), close() and the open flag, or null.
+ */
+export function acceptWebSocket(request, socket, head, options = {}) {
+	const key = request.headers["sec-websocket-key"];
+	if (!/websocket/i.test(request.headers.upgrade || "") || !key || request.headers["sec-websocket-version"] !== "13") {
+		socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\nSec-WebSocket-Version: 13\r\n\r\n");
+		return null;
+	}
+	socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+	socket.setNoDelay(true);
+
+	const maxPayload = options.maxPayload || 1048576;
+	const parse = createFrameParser({ maxPayload });
+	const connection = new EventEmitter();
+	let fragments = null;
+	let closing = false;
+
+	/**
+	 * Sends a close frame (once) and ends the socket.
+	 * @private
+	 * @param {number} code - Close code.
+	 * @param {string} [reason=""] - Close reason.
+	 */
+	function close(code, reason = "") {
+		if (closing) return;
+		closing = true;
+		connection.open = false;
+		const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+		payload.writeUInt16BE(code, 0);
+		payload.write(reason, 2);
+		socket.end(encodeFrame(payload, { opcode: OPCODES.close }));
+	}
+
+	/**
+	 * Handles one decoded frame.
+	 * @private
+	 * @param {{ fin: boolean, opcode: number, masked: boolean, payload: Buffer }} frame
+	 */
+	function onFrame({ fin, opcode, masked, payload }) {
+		if (!masked) return close(1002, "Client frames must be masked");
+		switch (opcode) {
+			case OPCODES.ping:
+				if (!closing) socket.write(encodeFrame(payload, { opcode: OPCODES.pong }));
+				return;
+			case OPCODES.pong:
+				return;
+			case OPCODES.close:
+				return close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+			case OPCODES.text:
+			case OPCODES.binary:
+				if (fragments) return close(1002, "Expected a continuation frame");
+				fragments = { opcode, parts: [payload], size: payload.length };
+				break;
+			case OPCODES.continuation:
+				if (!fragments) return close(1002, "Unexpected continuation frame");
+				fragments.parts.push(payload);
+				fragments.size += payload.length;
+				if (fragments.size > maxPayload) return close(1009, "Message too big");
+				break;
+			default:
+				return close(1002, `Unknown opcode ${opcode}`);
+		}
+		if (!fin) return;
+		const message = Buffer.concat(fragments.parts);
+		const type = fragments.opcode;
+		fragments = null;
+		connection.emit("message", type === OPCODES.text ? message.toString("utf8") : message);
+	}
+
+	socket.on("data", (chunk) => {
+		let frames;
+		try {
+			frames = parse(chunk);
+		} catch {
+			return close(1009, "Message too big");
+		}
+		for (const frame of frames) {
+			if (closing && frame.opcode !== OPCODES.close) continue;
+			onFrame(frame);
+		}
+	});
+	socket.on("error", () => socket.destroy());
+	socket.once("close", () => {
+		connection.open = false;
+		connection.emit("close");
+	});
+
+	connection.open = true;
+
+	/**
+	 * Sends a text message (strings) or a binary message (Buffers). Ignored once the connection is closing.
+	 * @public
+	 * @param {string|Buffer} message - Message to send.
+	 * @returns {boolean} False if the connection is no longer open.
+	 */
+	connection.send = (message) => {
+		if (closing || socket.destroyed) return false;
+		socket.write(encodeFrame(message, { opcode: Buffer.isBuffer(message) ? OPCODES.binary : OPCODES.text }));
+		return true;
+	};
+
+	/**
+	 * Starts the closing handshake.
+	 * @public
+	 * @param {number} [code=1000] - Close code.
+	 * @param {string} [reason] - Close reason.
+	 */
+	connection.close = (code = 1000, reason) => close(code, reason);
+
+	if (head && head.length) socket.emit("data", head);
+	return connection;
+}
@@ -0,0 +1,101 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/abort.test.mjs
+ *	@Date: 2026-10-19 14:02:44 -07:00 (1792443764)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 14:02:44 -07:00 (1792443764)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { CommandAbortedError, CommandTimeoutError } from "../src/lib/errors.mjs";
+import { runWithSignal, delay } from "../src/lib/abort.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a remote whose shell commands hang until released.
+ * @returns {Promise<{ remote: Object, client: Object, release: function(): void }>}
+ */
+async function createHangingRemote() {
+	let release;
+	const gate = new Promise((resolve) => (release = resolve));
+	const client = createFakeClient({ shell: () => gate.then(() => "") });
+	client.getDevice = ((getDevice) => (host) => ({
+		...getDevice(host),
+		waitBootComplete: () => new Promise(() => {})
+	}))(client.getDevice);
+	const remote = await createTestRemote(client);
+	return { remote, client, release };
+}
+
+describe("abort", () => {
+	test("runWithSignal rejects with a typed timeout error", async () => {
+		const error = await runWithSignal("slow", { timeout: 10 }, () => delay(1000)).catch((e) => e);
+		expect(error).toBeInstanceOf(CommandTimeoutError);
+		expect(error).toMatchObject({ code: "ERR_COMMAND_TIMEOUT", operation: "slow", timeout: 10 });
+	});
+
+	test("runWithSignal rejects with a typed abort error carrying the reason", async () => {
+		const controller = new AbortController();
+		const pending = runWithSignal("slow", { signal: controller.signal }, (signal) => delay(1000, signal));
+		controller.abort(new Error("user cancelled"));
+		const error = await pending.catch((e) => e);
+		expect(error).toBeInstanceOf(CommandAbortedError);
+		expect(error.cause.message).toBe("user cancelled");
+	});
+
+	test("press times out while the device does not answer", async () => {
+		const { remote, release } = await createHangingRemote();
+		const pressing = remote.press.home({ timeout: 200 });
+		await expect(pressing).rejects.toBeInstanceOf(CommandTimeoutError);
+		release();
+		await remote.disconnect();
+	});
+
+	test("aborting a queued command removes it before it reaches the device", async () => {
+		const { remote, client, release } = await createHangingRemote();
+		const controller = new AbortController();
+		const first = remote.press.up();
+		const second = remote.press.down({ signal: controller.signal });
+		await new Promise((resolve) => setImmediate(resolve));
+		controller.abort();
+		await expect(second).rejects.toBeInstanceOf(CommandAbortedError);
+		release();
+		await first;
+		expect(client.commands.map((c) => c.command)).toEqual(["input keyevent 19"]);
+	});
+
+	test("an already-aborted signal rejects without sending anything", async () => {
+		const { remote, client } = await createHangingRemote();
+		await expect(remote.keyboard.text("hi", { signal: AbortSignal.abort() })).rejects.toBeInstanceOf(CommandAbortedError);
+		expect(client.commands).toHaveLength(0);
+	});
+
+	test("waitBootComplete honors its timeout argument", async () => {
+		const { remote } = await createHangingRemote();
+		await expect(remote.waitBootComplete(20)).rejects.toBeInstanceOf(CommandTimeoutError);
+		await expect(remote.waitBootComplete({ timeout: 20 })).rejects.toMatchObject({ operation: "waitBootComplete" });
+	});
+
+	test("an explicit timeout: undefined keeps the default timeout", async () => {
+		const { remote } = await createHangingRemote();
+		const controller = new AbortController();
+		const delays = [];
+		const { setTimeout } = globalThis;
+		globalThis.setTimeout = (fn, ms, ...args) => {
+			delays.push(ms);
+			return setTimeout(fn, ms, ...args);
+		};
+		try {
+			const pending = remote.waitBootComplete({ timeout: undefined, signal: controller.signal });
+			controller.abort();
+			await expect(pending).rejects.toBeInstanceOf(CommandAbortedError);
+		} finally {
+			globalThis.setTimeout = setTimeout;
+		}
+		expect(delays).toContain(60000);
+	});
+});
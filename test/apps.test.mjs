@@ -0,0 +1,99 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/apps.test.mjs
+ *	@Date: 2026-10-19 17:44:37 -07:00 (1792457077)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 17:44:37 -07:00 (1792457077)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { AppNotFoundError, CommandFailedError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+const PACKAGES = {
+	"pm list packages": "package:com.netflix.ninja\npackage:android\npackage:com.google.android.youtube.tv\n",
+	"pm list packages -3": "package:com.netflix.ninja\n",
+	"pm list packages -s": "package:android\npackage:com.google.android.youtube.tv\n"
+};
+
+/**
+ * Creates a remote backed by a fake package manager.
+ * @param {Object.<string, string>} [responses] - Extra shell output per command.
+ * @returns {Promise<{ remote: Object, commands: function(): string[] }>}
+ */
+async function createAppsRemote(responses = {}) {
+	const all = { ...PACKAGES, ...responses };
+	const client = createFakeClient({ shell: (command) => all[command] ?? "" });
+	const remote = await createTestRemote(client);
+	return { remote, commands: () => client.commands.map((c) => c.command) };
+}
+
+describe("apps", () => {
+	test("list filters system and third-party packages", async () => {
+		const { remote } = await createAppsRemote();
+		await expect(remote.apps.list()).resolves.toEqual(["android", "com.google.android.youtube.tv", "com.netflix.ninja"]);
+		await expect(remote.apps.list({ thirdParty: true })).resolves.toEqual(["com.netflix.ninja"]);
+		await expect(remote.apps.list({ system: true })).resolves.toEqual(["android", "com.google.android.youtube.tv"]);
+	});
+
+	test("launch starts the leanback launcher activity", async () => {
+		const { remote, commands } = await createAppsRemote({
+			"cmd package resolve-activity --brief -c android.intent.category.LEANBACK_LAUNCHER com.netflix.ninja":
+				"priority=0 preferredOrder=0 match=0x108000 specificIndex=-1 isDefault=false\ncom.netflix.ninja/.MainActivity\n",
+			"am start -n com.netflix.ninja/.MainActivity": "Starting: Intent { cmp=com.netflix.ninja/.MainActivity }\n"
+		});
+		await expect(remote.apps.launch("com.netflix.ninja")).resolves.toBe("com.netflix.ninja/.MainActivity");
+		expect(commands()).toContain("am start -n com.netflix.ninja/.MainActivity");
+	});
+
+	test("launch falls back to monkey and reports missing apps", async () => {
+		const { remote, commands } = await createAppsRemote({
+			"pm list packages com.netflix.ninja": "package:com.netflix.ninja\n",
+			"monkey -p com.netflix.ninja -c android.intent.category.LEANBACK_LAUNCHER 1": "Events injected: 1\n"
+		});
+		await expect(remote.apps.launch("com.netflix.ninja")).resolves.toBe("com.netflix.ninja");
+		expect(commands()).toContain("monkey -p com.netflix.ninja -c android.intent.category.LEANBACK_LAUNCHER 1");
+		await expect(remote.apps.launch("com.example.missing")).rejects.toBeInstanceOf(AppNotFoundError);
+	});
+
+	test("launch with an explicit activity surfaces am errors", async () => {
+		const { remote } = await createAppsRemote({
+			"am start -n com.netflix.ninja/.Nope": "Error type 3\nError: Activity class {com.netflix.ninja/com.netflix.ninja.Nope} does not exist.\n",
+			"am start -n com.example.missing/.Main":
+				"Starting: Intent { cmp=com.example.missing/.Main }\nError: Activity not started, unable to resolve Intent { flg=0x10000000 cmp=com.example.missing/.Main }\n",
+			"am start -n com.netflix.ninja/.Locked":
+				"Starting: Intent { cmp=com.netflix.ninja/.Locked }\njava.lang.SecurityException: Permission Denial: starting Intent { cmp=com.netflix.ninja/.Locked }\n",
+			"am start -n com.netflix.ninja/.MainActivity":
+				"Starting: Intent { cmp=com.netflix.ninja/.MainActivity }\nWarning: Activity not started, its current task has been brought to the front\n"
+		});
+		await expect(remote.apps.launch("com.netflix.ninja", { activity: ".Nope" })).rejects.toBeInstanceOf(AppNotFoundError);
+		await expect(remote.apps.launch("com.example.missing", { activity: ".Main" })).rejects.toMatchObject({
+			code: "ERR_APP_NOT_FOUND",
+			packageName: "com.example.missing"
+		});
+		const error = await remote.apps.launch("com.netflix.ninja", { activity: ".Locked" }).catch((e) => e);
+		expect(error).toBeInstanceOf(CommandFailedError);
+		expect(error.output).toContain("SecurityException");
+		await expect(remote.apps.launch("com.netflix.ninja", { activity: ".MainActivity" })).resolves.toBe("com.netflix.ninja/.MainActivity");
+	});
+
+	test("forceStop, clearData and getLaunchableActivity", async () => {
+		const { remote, commands } = await createAppsRemote({ "pm clear com.netflix.ninja": "Success\n" });
+		await remote.apps.forceStop("com.netflix.ninja");
+		await remote.apps.clearData("com.netflix.ninja");
+		await expect(remote.apps.clearData("com.example.other")).rejects.toBeInstanceOf(CommandFailedError);
+		await expect(remote.apps.getLaunchableActivity("com.netflix.ninja")).resolves.toBeNull();
+		expect(commands()).toEqual(expect.arrayContaining(["am force-stop com.netflix.ninja", "pm clear com.netflix.ninja"]));
+	});
+
+	test("rejects package names that could inject shell commands", async () => {
+		const { remote, commands } = await createAppsRemote();
+		await expect(remote.apps.forceStop("com.app; reboot")).rejects.toBeInstanceOf(TypeError);
+		await expect(remote.apps.launch("com.app", { activity: ".Main && reboot" })).rejects.toBeInstanceOf(TypeError);
+		expect(commands()).toEqual([]);
+	});
+});
@@ -0,0 +1,84 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/audio.test.mjs
+ *	@Date: 2026-10-19 19:31:02 -07:00 (1792463462)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 19:31:02 -07:00 (1792463462)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { parseStreamState, parseVolumeOutput, resolveStream } from "../src/lib/audio.mjs";
+import { CommandFailedError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a connected remote backed by a fake volume/mute state.
+ * @param {Object} [options]
+ * @param {boolean} [options.fixed=false] - Ignore volume changes like an HDMI-CEC TV.
+ * @param {boolean} [options.legacy=false] - Only support `media volume`.
+ * @returns {Promise<{ remote: Object, commands: function(): string[] }>}
+ */
+async function createAudioRemote({ fixed = false, legacy = false } = {}) {
+	const device = { level: 6, muted: false };
+	const client = createFakeClient({
+		shell: (command) => {
+			if (legacy && command.startsWith("cmd media_session")) return "cmd: Can't find service: media_session";
+			const set = /--set (\d+)/.exec(command);
+			if (set) {
+				if (!fixed) device.level = Number(set[1]);
+				return `[v] will set volume to index=${set[1]}`;
+			}
+			if (command.includes("--get")) return `[v] will get volume\n[v] volume is ${device.level} in range [0..15]`;
+			if (command === "input keyevent 164") device.muted = !device.muted;
+			if (command.startsWith("dumpsys audio")) return `- STREAM_MUSIC:\n   Muted: ${device.muted}\n   Min: 0\n   Max: 15\n   streamVolume:${device.level}`;
+			return "";
+		}
+	});
+	const remote = await createTestRemote(client);
+	return { remote, commands: () => client.commands.map((c) => c.command) };
+}
+
+describe("audio", () => {
+	test("parses volume output, stream blocks and stream names", () => {
+		expect(parseVolumeOutput("[v] will get volume\n[v] volume is 6 in range [0..15]")).toEqual({ level: 6, min: 0, max: 15 });
+		expect(parseVolumeOutput("usage: volume ...")).toBeNull();
+		const dump = "- STREAM_RING:\n   Muted: true\n   Min: 0\n   Max: 7\n- STREAM_MUSIC:\n   Muted: false\n   Min: 0\n   Max: 25\n";
+		expect(parseStreamState(dump, "music")).toEqual({ muted: false, min: 0, max: 25 });
+		expect(parseStreamState(dump, "ring")).toEqual({ muted: true, min: 0, max: 7 });
+		expect(resolveStream(3)).toEqual({ stream: "music", streamId: 3 });
+		expect(() => resolveStream("bass")).toThrow(TypeError);
+	});
+
+	test("setVolume sets an absolute level and verifies it", async () => {
+		const { remote, commands } = await createAudioRemote();
+		await expect(remote.audio.getVolume()).resolves.toEqual({ stream: "music", streamId: 3, level: 6, min: 0, max: 15 });
+		await expect(remote.audio.setVolume(11)).resolves.toMatchObject({ level: 11 });
+		expect(commands()).toContain("cmd media_session volume --stream 3 --set 11");
+		await expect(remote.audio.setVolume(16)).rejects.toBeInstanceOf(RangeError);
+		// Invalid input rejects instead of throwing synchronously
+		await expect(remote.audio.setVolume(1.5)).rejects.toBeInstanceOf(TypeError);
+		await expect(remote.audio.getVolume("bogus")).rejects.toBeInstanceOf(TypeError);
+		await expect(remote.audio.isMuted("bogus")).rejects.toBeInstanceOf(TypeError);
+		await remote.disconnect();
+	});
+
+	test("falls back to media volume and rejects changes that do not stick", async () => {
+		const { remote, commands } = await createAudioRemote({ fixed: true, legacy: true });
+		await expect(remote.audio.setVolume(3)).rejects.toBeInstanceOf(CommandFailedError);
+		expect(commands()).toContain("media volume --stream 3 --set 3");
+		await remote.disconnect();
+	});
+
+	test("setMuted toggles mute only when needed", async () => {
+		const { remote, commands } = await createAudioRemote();
+		await expect(remote.audio.isMuted()).resolves.toBe(false);
+		await expect(remote.audio.setMuted(true)).resolves.toBe(true);
+		await expect(remote.audio.setMuted(true)).resolves.toBe(true);
+		expect(commands().filter((command) => command === "input keyevent 164")).toHaveLength(1);
+		await remote.disconnect();
+	});
+});
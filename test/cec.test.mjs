@@ -0,0 +1,85 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/cec.test.mjs
+ *	@Date: 2026-10-19 20:31:15 -07:00 (1792467075)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 20:31:15 -07:00 (1792467075)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { parseCecDevices } from "../src/lib/cec.mjs";
+import { CommandFailedError, UnsupportedOperationError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+const DUMPSYS_HDMI = `HdmiControlService (dumpsys hdmi_control):
+  mHdmiControlEnabled: 1
+  HdmiCecLocalDevicePlayback #4:
+    mDeviceInfo: CEC: logical_address: 0x04 device_type: 4 cec_version: 5 vendor_id: 0x000000 display_name: Chromecast power_status: 0 physical_address: 0x1000 port_id: 1
+  mHdmiCecNetwork:
+    CEC: logical_address: 0x00 device_type: 0 cec_version: 5 vendor_id: 0x8045 display_name: TV power_status: 0 physical_address: 0x0000 port_id: 0
+    CEC: logical_address: 0x05 device_type: 5 cec_version: 4 vendor_id: 0x0000f0 display_name: Sonos Beam power_status: 1 physical_address: 0x2000 port_id: 2
+    CEC: logical_address: 0x04 device_type: 4 cec_version: 5 vendor_id: 0x000000 display_name: Chromecast power_status: 0 physical_address: 0x1000 port_id: 1
+`;
+
+/**
+ * Creates a connected remote answering hdmi_control commands.
+ * @param {function(string): string} respond - Output per command.
+ * @returns {Promise<{ remote: Object, commands: function(): string[] }>}
+ */
+async function createCecRemote(respond) {
+	const client = createFakeClient({ shell: (command) => (command === "dumpsys hdmi_control" ? DUMPSYS_HDMI : respond(command)) });
+	const remote = await createTestRemote(client);
+	return { remote, commands: () => client.commands.map((c) => c.command) };
+}
+
+describe("cec", () => {
+	test("parses each CEC device once", () => {
+		const devices = parseCecDevices(DUMPSYS_HDMI);
+		expect(devices.map((device) => [device.logicalAddress, device.type, device.name, device.physicalAddress, device.powerStatus])).toEqual([
+			[0, "tv", "TV", "0.0.0.0", "on"],
+			[4, "playback", "Chromecast", "1.0.0.0", "on"],
+			[5, "audio_system", "Sonos Beam", "2.0.0.0", "standby"]
+		]);
+		expect(devices[2]).toMatchObject({ vendorId: 0xf0, portId: 2, cecVersion: 4 });
+	});
+
+	test("powers the TV on and off", async () => {
+		const { remote, commands } = await createCecRemote((command) => (command.includes("onetouchplay") ? "Sending One Touch Play...\n" : ""));
+		await remote.cec.powerOnTv();
+		await expect(remote.cec.standbyTv()).resolves.toBe(true);
+		expect(commands()).toEqual(expect.arrayContaining(["cmd hdmi_control onetouchplay", "input keyevent 177"]));
+		await remote.disconnect();
+	});
+
+	test("selectInput picks the device on the port and volume keys check the CEC setting", async () => {
+		const { remote, commands } = await createCecRemote((command) => (command.includes("cec_setting") ? "volume_control_enabled = 0" : ""));
+		await expect(remote.cec.selectInput(2)).resolves.toMatchObject({ name: "Sonos Beam" });
+		expect(commands()).toContain("cmd hdmi_control deviceselect 5");
+		await expect(remote.cec.selectInput(3)).rejects.toBeInstanceOf(CommandFailedError);
+		await expect(remote.cec.sendVolumeKey("up")).rejects.toMatchObject({ code: "ERR_CEC_UNSUPPORTED" });
+		await expect(remote.cec.sendVolumeKey("louder")).rejects.toBeInstanceOf(TypeError);
+		await expect(remote.cec.selectInput(-1)).rejects.toBeInstanceOf(TypeError);
+		await remote.disconnect();
+	});
+
+	test("fails only on the failure lines cmd hdmi_control prints", async () => {
+		let output = "Sending One Touch Play... done (Success)\nerror_count: 0 failed_retries: 0\n";
+		const { remote } = await createCecRemote((command) => (command.includes("onetouchplay") ? output : ""));
+		await remote.cec.powerOnTv();
+		output = "Sending One Touch Play... done (Target not available)\n";
+		await expect(remote.cec.powerOnTv()).rejects.toThrow("failed: done (Target not available)");
+		output = "Sending One Touch Play...One Touch Play timed out.\n";
+		await expect(remote.cec.powerOnTv()).rejects.toBeInstanceOf(CommandFailedError);
+		await remote.disconnect();
+	});
+
+	test("rejects with UnsupportedOperationError without the hdmi_control shell command", async () => {
+		const { remote } = await createCecRemote(() => "cmd: No shell command implementation.");
+		await expect(remote.cec.powerOnTv()).rejects.toBeInstanceOf(UnsupportedOperationError);
+		await remote.disconnect();
+	});
+});
@@ -0,0 +1,100 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/cli.test.mjs
+ *	@Date: 2026-10-20 00:14:52 -07:00 (1792480492)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 00:14:52 -07:00 (1792480492)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createRemote from "../src/lib/android-tv-remote.mjs";
+import runCli, { EXIT_CODES, exitCodeFor, resolveDevice } from "../src/lib/cli.mjs";
+import { CommandTimeoutError, InvalidConfigError, UnauthorizedError } from "../src/lib/errors.mjs";
+import { createFakeClient } from "./helpers/fake-adb.mjs";
+
+/**
+ * Runs the CLI against a fake device.
+ * @param {string[]} argv - CLI arguments.
+ * @param {Object} [options]
+ * @param {function(string): string} [options.shell] - Fake shell handler.
+ * @param {Object} [options.config] - Config file contents.
+ * @returns {Promise<{ code: number, stdout: string, stderr: string, commands: string[], configs: Object[] }>}
+ */
+async function run(argv, { shell = () => "", config } = {}) {
+	const client = createFakeClient({ shell });
+	const output = { stdout: "", stderr: "" };
+	const configs = [];
+	const code = await runCli(argv, {
+		stdout: { write: (text) => (output.stdout += text) },
+		stderr: { write: (text) => (output.stderr += text) },
+		env: {},
+		readFile: async () => {
+			if (!config) throw Object.assign(new Error("not found"), { code: "ENOENT" });
+			return JSON.stringify(config);
+		},
+		createRemote: (remoteConfig) => {
+			configs.push(remoteConfig);
+			return createRemote({ ...remoteConfig, client });
+		}
+	});
+	return { code, ...output, commands: client.commands.map((c) => c.command), configs };
+}
+
+describe("cli", () => {
+	test("runs commands against the device given by --ip", async () => {
+		const { code, stdout, commands, configs } = await run(["press", "home", "back", "--ip", "10.0.0.5:5556"]);
+		expect(code).toBe(EXIT_CODES.ok);
+		expect(stdout).toBe("");
+		expect(commands).toEqual(["input keyevent 3", "input keyevent 4"]);
+		expect(configs[0]).toMatchObject({ ip: "10.0.0.5", port: 5556, autoConnect: false });
+	});
+
+	test("prints results as text or JSON", async () => {
+		const shell = (command) => (command.startsWith("pm list packages") ? "package:com.b\npackage:com.a\n" : "");
+		expect((await run(["apps", "list", "--ip", "10.0.0.5"], { shell })).stdout).toBe("com.a\ncom.b\n");
+		const { stdout } = await run(["apps", "list", "--third-party", "--json", "--ip", "10.0.0.5"], { shell });
+		expect(JSON.parse(stdout)).toEqual({ ok: true, command: "apps", result: ["com.a", "com.b"] });
+	});
+
+	test("resolves named device profiles from the config file", async () => {
+		const config = { defaultDevice: "living-room", devices: { "living-room": { ip: "10.0.0.5" }, bedroom: { ip: "10.0.0.6", port: 5556, holdDuration: 500 } } };
+		expect(resolveDevice({}, config)).toEqual({ ip: "10.0.0.5" });
+		expect(resolveDevice({ device: "bedroom" }, config)).toEqual({ ip: "10.0.0.6", port: 5556, holdDuration: 500 });
+		expect(resolveDevice({ device: "bedroom", ip: "10.0.0.9" }, config)).toMatchObject({ ip: "10.0.0.9", port: 5556 });
+		expect(resolveDevice({}, { devices: { only: { ip: "10.0.0.7" } } })).toEqual({ ip: "10.0.0.7" });
+		expect(() => resolveDevice({ device: "attic" }, config)).toThrow(InvalidConfigError);
+		expect(() => resolveDevice({}, {})).toThrow(InvalidConfigError);
+
+		const { code, configs } = await run(["app", "-d", "bedroom"], { config });
+		expect(code).toBe(EXIT_CODES.ok);
+		expect(configs[0]).toMatchObject({ ip: "10.0.0.6", port: 5556, holdDuration: 500 });
+	});
+
+	test("maps failures to exit codes", async () => {
+		expect(exitCodeFor(new CommandTimeoutError("press.home", 100))).toBe(EXIT_CODES.timeout);
+		expect(exitCodeFor(new UnauthorizedError("unauthorized"))).toBe(EXIT_CODES.unauthorized);
+		expect(exitCodeFor(new Error("boom"))).toBe(EXIT_CODES.error);
+
+		const unknownKey = await run(["press", "warp", "--ip", "10.0.0.5"]);
+		expect(unknownKey.code).toBe(EXIT_CODES.usage);
+		expect(unknownKey.stderr).toBe("atv: Unknown key: warp\n");
+
+		// Names inherited from Object.prototype are not keys
+		const inherited = await run(["press", "toString", "--json", "--ip", "10.0.0.5"]);
+		expect(inherited.code).toBe(EXIT_CODES.usage);
+		expect(JSON.parse(inherited.stdout)).toMatchObject({ ok: false, error: { name: "UnknownKeyError" } });
+		expect(inherited.commands).toEqual([]);
+		expect((await run(["long", "constructor", "--ip", "10.0.0.5"])).code).toBe(EXIT_CODES.usage);
+
+		const missingApp = await run(["apps", "launch", "com.missing", "--json", "--ip", "10.0.0.5"]);
+		expect(missingApp.code).toBe(EXIT_CODES.appNotFound);
+		expect(JSON.parse(missingApp.stdout)).toMatchObject({ ok: false, error: { name: "AppNotFoundError", code: "ERR_APP_NOT_FOUND" } });
+
+		expect((await run(["warp"])).code).toBe(EXIT_CODES.usage);
+		expect((await run([])).code).toBe(EXIT_CODES.usage);
+	});
+});
@@ -0,0 +1,133 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/command-queue.test.mjs
+ *	@Date: 2026-10-19 10:58:13 -07:00 (1792432693)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 10:58:13 -07:00 (1792432693)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createCommandQueue from "../src/lib/command-queue.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a task that records its label when it runs and settles after a short delay.
+ * @param {string[]} log - Run order log.
+ * @param {string} label - Task label.
+ * @returns {function(): Promise<string>}
+ */
+const task = (log, label) => () =>
+	new Promise((resolve) => {
+		log.push(label);
+		setTimeout(() => resolve(label), 5);
+	});
+
+describe("command-queue", () => {
+	test("runs tasks one at a time in submission order", async () => {
+		const queue = createCommandQueue();
+		const log = [];
+		const results = await Promise.all(["a", "b", "c"].map((label) => queue.enqueue(task(log, label), { label })));
+		expect(results).toEqual(["a", "b", "c"]);
+		expect(log).toEqual(["a", "b", "c"]);
+	});
+
+	test("high priority tasks jump ahead of pending tasks", async () => {
+		const queue = createCommandQueue();
+		const log = [];
+		const pending = [
+			queue.enqueue(task(log, "first")),
+			queue.enqueue(task(log, "nav1")),
+			queue.enqueue(task(log, "low"), { priority: "low" }),
+			queue.enqueue(task(log, "nav2")),
+			queue.enqueue(task(log, "power"), { priority: "high" })
+		];
+		await Promise.all(pending);
+		expect(log).toEqual(["first", "power", "nav1", "nav2", "low"]);
+	});
+
+	test("rejects new tasks when full with the reject policy", async () => {
+		const events = [];
+		const queue = createCommandQueue({ maxDepth: 1, onEvent: (event) => events.push(event) });
+		const log = [];
+		const running = queue.enqueue(task(log, "running"));
+		const pending = queue.enqueue(task(log, "pending"));
+		await expect(queue.enqueue(task(log, "overflow"))).rejects.toMatchObject({ code: "ERR_QUEUE_FULL" });
+		await Promise.all([running, pending]);
+		expect(log).toEqual(["running", "pending"]);
+		expect(events).toContain("queue-rejected");
+	});
+
+	test("treats a maxDepth of 0 as unlimited", async () => {
+		const queue = createCommandQueue({ maxDepth: 0 });
+		let release;
+		const gate = new Promise((resolve) => (release = resolve));
+		// 150 tasks, more than the default depth of 100, all held until the gate opens
+		const tasks = Array.from({ length: 150 }, () => queue.enqueue(() => gate));
+		await new Promise((resolve) => setImmediate(resolve));
+		expect(queue.depth).toBe(149);
+		release();
+		const results = await Promise.allSettled(tasks);
+		expect(results.filter((result) => result.status === "rejected")).toEqual([]);
+	});
+
+	test("drops the oldest lowest-priority task with the dropOldest policy", async () => {
+		const queue = createCommandQueue({ maxDepth: 2, overflow: "dropOldest" });
+		const log = [];
+		const running = queue.enqueue(task(log, "running"));
+		const oldest = queue.enqueue(task(log, "oldest"));
+		const second = queue.enqueue(task(log, "second"));
+		const newest = queue.enqueue(task(log, "newest"));
+		await expect(oldest).rejects.toMatchObject({ code: "ERR_QUEUE_DROPPED" });
+		await Promise.all([running, second, newest]);
+		expect(log).toEqual(["running", "second", "newest"]);
+	});
+
+	test("reports wait time, run time and depth in events", async () => {
+		const events = [];
+		const queue = createCommandQueue({ onEvent: (event, data) => events.push([event, data]) });
+		const log = [];
+		await Promise.all([queue.enqueue(task(log, "a"), { label: "a" }), queue.enqueue(task(log, "b"), { label: "b" })]);
+		const complete = events.filter(([event]) => event === "queue-complete").map(([, data]) => data);
+		expect(complete.map((data) => data.label)).toEqual(["a", "b"]);
+		expect(complete[1].waitTime).toBeGreaterThan(0);
+		expect(complete[1].runTime).toBeGreaterThan(0);
+		expect(complete[1].latency).toBeGreaterThanOrEqual(complete[1].runTime);
+		expect(events[events.length - 1][0]).toBe("queue-drained");
+		expect(queue.depth).toBe(0);
+	});
+
+	test("a failing task does not block the queue", async () => {
+		const queue = createCommandQueue();
+		const failing = queue.enqueue(() => Promise.reject(new Error("nope")));
+		const next = queue.enqueue(() => "ok");
+		await expect(failing).rejects.toThrow("nope");
+		await expect(next).resolves.toBe("ok");
+	});
+
+	test("remote key presses reach the device in order with power first", async () => {
+		let release;
+		const gate = new Promise((resolve) => (release = resolve));
+		const client = createFakeClient({
+			shell: async (command) => {
+				if (command === "input keyevent 19") await gate;
+				return "";
+			}
+		});
+		const remote = await createTestRemote(client);
+		const presses = [remote.press.up(), remote.press.down(), remote.press.left(), remote.press.power()];
+		await new Promise((resolve) => setImmediate(resolve));
+		expect(remote.queueDepth).toBe(3);
+		release();
+		await Promise.all(presses);
+		expect(client.commands.map((c) => c.command)).toEqual([
+			"input keyevent 19",
+			"input keyevent 26",
+			"input keyevent 20",
+			"input keyevent 21"
+		]);
+	});
+});
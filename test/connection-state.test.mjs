@@ -0,0 +1,98 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/connection-state.test.mjs
+ *	@Date: 2026-10-19 15:31:12 -07:00 (1792449072)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 15:31:12 -07:00 (1792449072)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createRemote from "../src/lib/android-tv-remote.mjs";
+import { createConnectionState, computeBackoffDelay } from "../src/lib/connection-state.mjs";
+import { createFakeClient } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a connected remote whose device can be made to vanish.
+ * @param {Object} [config] - Extra remote config.
+ * @returns {Promise<{ remote: Object, client: Object, changes: string[], lose: function(number): void }>}
+ */
+async function createFlakyRemote(config = {}) {
+	const client = createFakeClient();
+	const connect = client.connect;
+	let failuresLeft = 0;
+	client.connect = async (ip, port) => {
+		if (failuresLeft > 0) {
+			failuresLeft--;
+			throw new Error("connect ECONNREFUSED");
+		}
+		return connect(ip, port);
+	};
+	const remote = await createRemote({
+		ip: "10.0.0.1",
+		client,
+		autoConnect: false,
+		connectionCheckInterval: 10,
+		heartbeatInterval: 60000,
+		reconnectDelay: 5,
+		reconnectJitter: 0,
+		...config
+	});
+	remote.on("error", () => {});
+	const changes = [];
+	remote.on("state-change", ({ from, to }) => changes.push(`${from}>${to}`));
+	await remote.connect();
+	// Drop the device from `adb devices` and refuse the next `failures` connects
+	const lose = (failures) => {
+		failuresLeft = failures;
+		client.connectedHosts.clear();
+	};
+	return { remote, client, changes, lose };
+}
+
+describe("connection state", () => {
+	test("computeBackoffDelay grows exponentially, caps and applies jitter", () => {
+		const options = { delay: 100, factor: 2, maxDelay: 1000, jitter: 0 };
+		expect([1, 2, 3, 4, 5].map((attempt) => computeBackoffDelay(attempt, options))).toEqual([100, 200, 400, 800, 1000]);
+		expect(computeBackoffDelay(2, { ...options, jitter: 0.5 }, () => 0)).toBe(100);
+		expect(computeBackoffDelay(2, { ...options, jitter: 0.5 }, () => 0.999999)).toBe(300);
+	});
+
+	test("only allowed transitions change the state", () => {
+		const changes = [];
+		const state = createConnectionState({ onChange: (from, to) => changes.push(`${from}>${to}`) });
+		expect(state.transition("reconnecting")).toBe(false);
+		expect(state.transition("connecting")).toBe(true);
+		expect(state.transition("connected")).toBe(true);
+		expect(state.transition("connected")).toBe(false);
+		expect(state.transition("reconnecting")).toBe(true);
+		expect(state.transition("failed")).toBe(true);
+		expect(changes).toEqual(["disconnected>connecting", "connecting>connected", "connected>reconnecting", "reconnecting>failed"]);
+	});
+
+	test("reconnects with backoff after the device vanishes", async () => {
+		const { remote, changes, lose } = await createFlakyRemote({ reconnectMaxRetries: 5 });
+		const reconnected = new Promise((resolve) => remote.on("state-change", ({ to }) => to === "connected" && resolve()));
+		lose(2);
+		await reconnected;
+		expect(remote.connectionState).toBe("connected");
+		expect(changes).toEqual(["disconnected>connecting", "connecting>connected", "connected>reconnecting", "reconnecting>connected"]);
+		await remote.disconnect();
+		expect(remote.connectionState).toBe("disconnected");
+	});
+
+	test("emits reconnect-failed and enters failed after max retries", async () => {
+		const { remote, changes, lose } = await createFlakyRemote({ reconnectMaxRetries: 2 });
+		const failed = new Promise((resolve) => remote.on("reconnect-failed", resolve));
+		lose(Infinity);
+		const data = await failed;
+		expect(data).toMatchObject({ host: "10.0.0.1:5555", attempts: 2 });
+		expect(data.error.code).toBe("ERR_CONNECTION_REFUSED");
+		expect(remote.connectionState).toBe("failed");
+		expect(changes.slice(-2)).toEqual(["connected>reconnecting", "reconnecting>failed"]);
+		await remote.disconnect();
+	});
+});
@@ -0,0 +1,138 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/device-info.test.mjs
+ *	@Date: 2026-10-19 21:03:27 -07:00 (1792469007)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 21:03:27 -07:00 (1792469007)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createDeviceInfo, { parseDeviceInfo, parseGetprop } from "../src/lib/device-info.mjs";
+import { UnsupportedOperationError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Builds the output of the device info probe command.
+ * @param {Object} [options]
+ * @param {string} [options.input] - Usage text of `input`.
+ * @param {string[]} [options.features] - System features.
+ * @param {string} [options.versionName] - ro.build.version.name.
+ * @returns {string}
+ */
+function probeOutput({
+	input = "Usage: input [<source>] <command> [<arg>...]\n      keyevent [--longpress|--doubletap] <key code number or name> ...\n      keycombination [-t duration(ms)] <key code 1> <key code 2> ...",
+	features = ["android.software.leanback", "android.hardware.hdmi.cec"],
+	versionName = ""
+} = {}) {
+	return [
+		"@@getprop",
+		"[ro.build.fingerprint]: [google/sabrina/sabrina:12/STTE.230615.005/10435497:user/release-keys]",
+		"[ro.build.version.release]: [12]",
+		"[ro.build.version.sdk]: [31]",
+		`[ro.build.version.name]: [${versionName}]`,
+		"[ro.product.brand]: [google]",
+		"[ro.product.device]: [sabrina]",
+		"[ro.product.manufacturer]: [Google]",
+		"[ro.product.model]: [Chromecast]",
+		"@@size",
+		"Physical size: 1920x1080",
+		"@@density",
+		"Physical density: 320",
+		"Override density: 280",
+		"@@meminfo",
+		"MemTotal:        1994404 kB",
+		"MemFree:          102400 kB",
+		"MemAvailable:     819200 kB",
+		"@@storage",
+		"Filesystem        1K-blocks    Used Available Use% Mounted on",
+		"/dev/block/dm-6     5160256 2580128   2580128  50% /data",
+		"@@features",
+		...features.map((feature) => `feature:${feature}`),
+		"@@input",
+		input,
+		"@@screencap",
+		"/system/bin/screencap",
+		""
+	].join("\n");
+}
+
+/**
+ * Creates a connected remote whose device info probe returns the given output.
+ * @param {string} probe - Probe output.
+ * @returns {Promise<{ remote: Object, commands: function(): string[] }>}
+ */
+async function createInfoRemote(probe) {
+	const client = createFakeClient({ shell: (command) => (command.startsWith("echo '@@getprop'") ? probe : "") });
+	const remote = await createTestRemote(client);
+	return { remote, commands: () => client.commands.map((c) => c.command) };
+}
+
+describe("device info", () => {
+	test("parses properties, display, memory, storage and capabilities", () => {
+		expect(parseGetprop("[ro.product.model]: [AFTMM]\n[empty]: []\n")).toEqual({ "ro.product.model": "AFTMM", empty: "" });
+		const info = parseDeviceInfo(probeOutput());
+		expect(info).toMatchObject({
+			model: "Chromecast",
+			manufacturer: "Google",
+			brand: "google",
+			androidVersion: "12",
+			sdk: 31,
+			fireOsVersion: null,
+			display: { width: 1920, height: 1080, density: 280, physicalDensity: 320 },
+			memory: { total: 1994404 * 1024, available: 819200 * 1024 },
+			storage: { total: 5160256 * 1024, used: 2580128 * 1024, available: 2580128 * 1024 },
+			capabilities: {
+				screencap: true,
+				keyCombination: true,
+				longPress: true,
+				cec: true,
+				cecShellCommand: true,
+				leanbackLauncher: true,
+				tvInputs: false,
+				inputKeycode: 178
+			}
+		});
+		const fireTv = parseDeviceInfo(probeOutput({ versionName: "Fire OS 7.6.6.9 (PS7669/4517)" }));
+		expect(fireTv.fireOsVersion).toBe("7.6.6.9");
+		expect(fireTv.capabilities.inputKeycode).toBeNull();
+	});
+
+	test("getDeviceInfo probes once and caches the result", async () => {
+		const { remote, commands } = await createInfoRemote(probeOutput());
+		await remote.getDeviceInfo();
+		await expect(remote.getDeviceInfo()).resolves.toMatchObject({ model: "Chromecast" });
+		expect(commands().filter((command) => command.startsWith("echo '@@getprop'"))).toHaveLength(1);
+		await remote.getDeviceInfo({ refresh: true });
+		expect(commands().filter((command) => command.startsWith("echo '@@getprop'"))).toHaveLength(2);
+		await remote.disconnect();
+	});
+
+	test("a probe from before reset() does not fill the cache", async () => {
+		const probes = [];
+		const deviceInfo = createDeviceInfo({
+			run: (operation, options, fn) => fn(),
+			shell: () => new Promise((resolve) => probes.push(resolve))
+		});
+		const stale = deviceInfo.get();
+		deviceInfo.reset();
+		const fresh = deviceInfo.get();
+		expect(probes).toHaveLength(2);
+		probes[1](probeOutput().replace("[Chromecast]", "[SHIELD]"));
+		await expect(fresh).resolves.toMatchObject({ model: "SHIELD" });
+		probes[0](probeOutput());
+		await stale;
+		await expect(deviceInfo.get()).resolves.toMatchObject({ model: "SHIELD" });
+		expect(probes).toHaveLength(2);
+	});
+
+	test("press.long rejects when neither sendevent nor --longpress is available", async () => {
+		const { remote, commands } = await createInfoRemote(probeOutput({ input: "usage: input text <string>\n       input keyevent <key code number or name>" }));
+		await expect(remote.press.long.ok()).rejects.toBeInstanceOf(UnsupportedOperationError);
+		expect(commands().some((command) => command.includes("--longpress"))).toBe(false);
+		await remote.disconnect();
+	});
+});
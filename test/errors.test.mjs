@@ -0,0 +1,88 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/errors.test.mjs
+ *	@Date: 2026-10-19 14:48:10 -07:00 (1792446490)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 14:48:10 -07:00 (1792446490)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createRemote from "../src/lib/android-tv-remote.mjs";
+import {
+	AndroidTVRemoteError,
+	AdbError,
+	CommandTimeoutError,
+	ConnectionRefusedError,
+	DeviceNotFoundError,
+	InvalidConfigError,
+	UnauthorizedError,
+	UnknownKeyError,
+	toRemoteError
+} from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+describe("errors", () => {
+	test("toRemoteError classifies ADB failures and keeps the cause", () => {
+		const cases = [
+			["Failure: 'device unauthorized.'", UnauthorizedError, "ERR_DEVICE_UNAUTHORIZED"],
+			["failed to connect: No connection could be made because the target machine actively refused it", ConnectionRefusedError, "ERR_CONNECTION_REFUSED"],
+			["Failure: 'device '10.0.0.1:5555' not found'", DeviceNotFoundError, "ERR_DEVICE_NOT_FOUND"],
+			["operation timed out", CommandTimeoutError, "ERR_COMMAND_TIMEOUT"],
+			["Premature end of stream", AdbError, "ERR_ADB"]
+		];
+		for (const [message, ErrorClass, code] of cases) {
+			const cause = new Error(message);
+			const error = toRemoteError(cause, { operation: "reboot", host: "10.0.0.1:5555" });
+			expect(error).toBeInstanceOf(ErrorClass);
+			expect(error).toBeInstanceOf(AndroidTVRemoteError);
+			expect(error).toMatchObject({ code, host: "10.0.0.1:5555", name: ErrorClass.name });
+			expect(error.cause).toBe(cause);
+		}
+	});
+
+	test("toRemoteError leaves typed, programming and file system errors alone", () => {
+		const typed = new UnknownKeyError("nope");
+		const typeError = new TypeError("bad argument");
+		const fsError = Object.assign(new Error("ENOENT: no such file or directory"), { code: "ENOENT", path: "/missing/shot.png" });
+		expect(toRemoteError(typed)).toBe(typed);
+		expect(toRemoteError(typeError)).toBe(typeError);
+		expect(toRemoteError(fsError)).toBe(fsError);
+	});
+
+	test("createRemote rejects a config without ip", async () => {
+		await expect(createRemote({})).rejects.toBeInstanceOf(InvalidConfigError);
+	});
+
+	test("connect rejects with ConnectionRefusedError and emits it", async () => {
+		const client = createFakeClient();
+		client.connect = async () => {
+			throw new Error("connect ECONNREFUSED 10.0.0.1:5555");
+		};
+		const remote = await createRemote({ ip: "10.0.0.1", client, autoConnect: false, maintainConnection: false, quiet: true });
+		const errors = [];
+		remote.on("error", (data) => errors.push(data.error));
+		remote.on("log", () => {});
+		const error = await remote.connect().catch((e) => e);
+		expect(error).toBeInstanceOf(ConnectionRefusedError);
+		expect(errors).toContain(error);
+	});
+
+	test("unknown keyboard keys reject with UnknownKeyError", async () => {
+		const client = createFakeClient();
+		const remote = await createTestRemote(client);
+		const error = await remote.keyboard.key("notAKey").catch((e) => e);
+		expect(error).toBeInstanceOf(UnknownKeyError);
+		expect(error).toMatchObject({ code: "ERR_UNKNOWN_KEY", key: "notAKey" });
+	});
+
+	test("shell failures reject with typed errors", async () => {
+		const client = createFakeClient({ shell: () => new Error("Failure: 'device unauthorized.'") });
+		const remote = await createRemote({ ip: "10.0.0.1", client, autoConnect: false, maintainConnection: false });
+		remote.on("error", () => {});
+		await expect(remote.press.home()).rejects.toBeInstanceOf(UnauthorizedError);
+	});
+});
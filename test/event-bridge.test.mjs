@@ -0,0 +1,149 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/event-bridge.test.mjs
+ *	@Date: 2026-10-20 02:58:12 -07:00 (1792490292)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 02:58:12 -07:00 (1792490292)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { randomBytes } from "crypto";
+import { request as httpRequest } from "http";
+import createRemoteServer from "../src/lib/remote-server.mjs";
+import { acceptKey, createFrameParser, encodeFrame, OPCODES } from "../src/lib/websocket.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Opens a WebSocket client connection.
+ * @param {number} port - Server port.
+ * @param {string} path - Request path.
+ * @returns {Promise<{ send: function(Object): void, next: function(function(Object): boolean=): Promise<Object>, close: function(): void }>}
+ */
+function connect(port, path) {
+	return new Promise((resolve, reject) => {
+		const request = httpRequest({
+			port,
+			path,
+			headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": randomBytes(16).toString("base64"), "Sec-WebSocket-Version": "13" }
+		});
+		request.on("response", (response) => reject(new Error(`HTTP ${response.statusCode}`)));
+		request.on("error", reject);
+		request.on("upgrade", (response, socket, head) => {
+			const parse = createFrameParser();
+			const messages = [];
+			const waiters = [];
+			const flush = () => {
+				for (const waiter of [...waiters]) {
+					const index = messages.findIndex(waiter.match);
+					if (index !== -1) {
+						waiters.splice(waiters.indexOf(waiter), 1);
+						waiter.resolve(messages.splice(index, 1)[0]);
+					}
+				}
+			};
+			const onData = (chunk) => {
+				for (const frame of parse(chunk)) if (frame.opcode === OPCODES.text) messages.push(JSON.parse(frame.payload.toString("utf8")));
+				flush();
+			};
+			socket.on("data", onData);
+			// Frames sent right after the handshake can arrive with the response headers
+			if (head.length) onData(head);
+			resolve({
+				send: (message) => socket.write(encodeFrame(typeof message === "string" ? message : JSON.stringify(message), { mask: randomBytes(4) })),
+				next: (match = () => true) =>
+					new Promise((resolveMessage) => {
+						waiters.push({ match, resolve: resolveMessage });
+						flush();
+					}),
+				close: () => socket.end(encodeFrame(Buffer.from([0x03, 0xe8]), { opcode: OPCODES.close, mask: randomBytes(4) }))
+			});
+		});
+		request.end();
+	});
+}
+
+describe("websocket", () => {
+	test("computes the handshake accept key", () => {
+		expect(acceptKey("dGhlIHNhbXBsZSBub25jZQ==")).toBe("s3pPLMBiTxaQ9kYGzzhZRbK+xOo=");
+	});
+
+	test("encodes and decodes masked, long and fragmented frames", () => {
+		const parse = createFrameParser();
+		const long = "x".repeat(300);
+		const frames = Buffer.concat([
+			encodeFrame("hi", { mask: Buffer.from([1, 2, 3, 4]) }),
+			encodeFrame(long),
+			encodeFrame("par", { fin: false }),
+			encodeFrame("t", { opcode: OPCODES.continuation })
+		]);
+		// Split mid-frame to exercise buffering
+		const decoded = [...parse(frames.subarray(0, 5)), ...parse(frames.subarray(5))];
+		expect(decoded.map((frame) => [frame.opcode, frame.fin, frame.masked, frame.payload.toString()])).toEqual([
+			[OPCODES.text, true, true, "hi"],
+			[OPCODES.text, true, false, long],
+			[OPCODES.text, false, false, "par"],
+			[OPCODES.continuation, true, false, "t"]
+		]);
+		expect(() => createFrameParser({ maxPayload: 10 })(encodeFrame(long))).toThrow(RangeError);
+	});
+});
+
+describe("event bridge", () => {
+	let remote;
+	let server;
+
+	beforeEach(async () => {
+		const client = createFakeClient({ shell: (command) => (command === "screencap -p" ? Buffer.from("png") : "") });
+		remote = await createTestRemote(client);
+		server = await createRemoteServer({ remotes: { tv: remote }, port: 0, token: "secret" });
+	});
+
+	afterEach(async () => {
+		await server.close();
+		await remote.disconnect();
+	});
+
+	test("streams events and answers command frames by id", async () => {
+		const socket = await connect(server.port, "/events?token=secret");
+		expect(await socket.next()).toMatchObject({ type: "hello", devices: ["tv"] });
+
+		socket.send({ id: "a1", op: "press", key: "home" });
+		expect(await socket.next((message) => message.type === "response")).toMatchObject({ id: "a1", ok: true });
+
+		await fetch(`${server.url}/devices/tv/screencap`, { headers: { Authorization: "Bearer secret" } }).then((response) => response.arrayBuffer());
+		expect(await socket.next((message) => message.event === "screencap-start")).toMatchObject({ type: "event", device: "tv", data: { host: "10.0.0.1:5555" } });
+
+		socket.send({ id: 2, op: "press", key: "warp" });
+		expect(await socket.next((message) => message.type === "response")).toEqual({
+			type: "response",
+			id: 2,
+			ok: false,
+			error: { name: "UnknownKeyError", code: "ERR_UNKNOWN_KEY", message: "Unknown key: warp" }
+		});
+		socket.send("not json");
+		expect(await socket.next((message) => message.type === "response")).toMatchObject({ id: null, ok: false, error: { name: "SyntaxError" } });
+		socket.close();
+	});
+
+	test("forwards errors as plain objects and only the chosen events", async () => {
+		const socket = await connect(server.port, "/events?token=secret&events=error");
+		expect(await socket.next()).toMatchObject({ type: "hello", events: ["error"] });
+		socket.send({ id: 1, op: "launch", packageName: "bad name" });
+		expect(await socket.next((message) => message.type === "response")).toMatchObject({ id: 1, ok: false, error: { name: "TypeError" } });
+		// The failed operation is also reported as an error event
+		expect(await socket.next((message) => message.type === "event")).toMatchObject({
+			event: "error",
+			device: "tv",
+			data: { error: { name: "TypeError", message: "Invalid package name: bad name" } }
+		});
+		socket.close();
+	});
+
+	test("rejects upgrades without the token", async () => {
+		await expect(connect(server.port, "/events")).rejects.toThrow();
+	});
+});
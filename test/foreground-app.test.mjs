@@ -0,0 +1,116 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/foreground-app.test.mjs
+ *	@Date: 2026-10-19 18:25:40 -07:00 (1792459540)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 18:25:40 -07:00 (1792459540)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { parseForegroundApp } from "../src/lib/foreground-app.mjs";
+import { CommandTimeoutError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a connected remote whose resumed activity can be changed.
+ * @param {Object} [options={}]
+ * @param {function(): Promise<void>} [options.hold] - Awaited before each activity read is answered.
+ * @returns {Promise<{ remote: Object, setActivity: function(string): void }>}
+ */
+async function createForegroundRemote({ hold = async () => {} } = {}) {
+	let component = "com.google.android.tvlauncher/.MainActivity";
+	const client = createFakeClient({
+		shell: async (command) => {
+			if (!command.startsWith("dumpsys activity activities")) return "";
+			await hold();
+			return `  topResumedActivity=ActivityRecord{7d1c2e5 u0 ${component} t12}\n  ResumedActivity: ActivityRecord{7d1c2e5 u0 ${component} t12}\n`;
+		}
+	});
+	const remote = await createTestRemote(client);
+	return { remote, setActivity: (value) => (component = value) };
+}
+
+describe("foreground app", () => {
+	test("parses resumed activities across Android versions", () => {
+		expect(parseForegroundApp("  mResumedActivity: ActivityRecord{a1b2 u0 com.netflix.ninja/.MainActivity t42}")).toEqual({
+			packageName: "com.netflix.ninja",
+			activity: "com.netflix.ninja.MainActivity",
+			component: "com.netflix.ninja/.MainActivity"
+		});
+		expect(parseForegroundApp("ResumedActivity: ActivityRecord{1 u0 com.amazon.tv.launcher/com.amazon.tv.launcher.ui.HomeActivity_vNext t3}")).toMatchObject({
+			packageName: "com.amazon.tv.launcher",
+			activity: "com.amazon.tv.launcher.ui.HomeActivity_vNext"
+		});
+		expect(parseForegroundApp("  mCurrentFocus=Window{3f2 u0 com.plexapp.android/com.plexapp.plex.activities.SplashActivity}")).toMatchObject({
+			packageName: "com.plexapp.android"
+		});
+		expect(parseForegroundApp("mCurrentFocus=null")).toBeNull();
+	});
+
+	test("getForegroundApp reads the resumed activity", async () => {
+		const { remote } = await createForegroundRemote();
+		await expect(remote.getForegroundApp()).resolves.toMatchObject({ packageName: "com.google.android.tvlauncher" });
+		await remote.disconnect();
+	});
+
+	test("watchForegroundApp emits app-changed with previous and next package", async () => {
+		const { remote, setActivity } = await createForegroundRemote();
+		const changes = [];
+		const changed = (count) =>
+			new Promise((resolve) =>
+				remote.on("app-changed", (data) => {
+					changes.push(`${data.previousPackage}>${data.packageName}`);
+					if (changes.length === count) resolve();
+				})
+			);
+		const twoChanges = changed(2);
+		const stop = remote.watchForegroundApp({ interval: 5 });
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		setActivity("com.netflix.ninja/.MainActivity");
+		await twoChanges;
+		stop();
+		expect(changes).toEqual(["null>com.google.android.tvlauncher", "com.google.android.tvlauncher>com.netflix.ninja"]);
+		await remote.disconnect();
+	});
+
+	test("unwatchForegroundApp drops a poll that is still reading", async () => {
+		let polling;
+		const polled = new Promise((resolve) => (polling = resolve));
+		let release;
+		const released = new Promise((resolve) => (release = resolve));
+		let held = false;
+		const { remote } = await createForegroundRemote({
+			hold: () => {
+				if (held) return undefined;
+				held = true;
+				polling();
+				return released;
+			}
+		});
+		const changes = [];
+		remote.on("app-changed", (data) => changes.push(data));
+
+		remote.watchForegroundApp({ interval: 60000 });
+		await polled;
+		remote.unwatchForegroundApp();
+		release();
+		// Queued behind the held poll, so it runs once that poll has finished
+		await remote.getForegroundApp();
+		expect(changes).toEqual([]);
+		await remote.disconnect();
+	});
+
+	test("waitForApp resolves when the package is in front and times out otherwise", async () => {
+		const { remote, setActivity } = await createForegroundRemote();
+		setTimeout(() => setActivity("com.netflix.ninja/.MainActivity"), 20);
+		await expect(remote.waitForApp("com.netflix.ninja", { interval: 5, timeout: 2000 })).resolves.toMatchObject({
+			packageName: "com.netflix.ninja"
+		});
+		await expect(remote.waitForApp("com.example.never", { interval: 5, timeout: 40 })).rejects.toBeInstanceOf(CommandTimeoutError);
+		await remote.disconnect();
+	});
+});
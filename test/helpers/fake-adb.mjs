@@ -0,0 +1,99 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/helpers/fake-adb.mjs
+ *	@Date: 2026-10-19 09:48:02 -07:00 (1792428482)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 09:48:02 -07:00 (1792428482)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * In-memory stand-in for an adbkit client, used by unit tests that do not need a real device.
+ *
+ * Shell commands are answered by a handler function and recorded per host so tests can assert
+ * exactly what would have been sent to the device.
+ */
+
+import { PassThrough } from "stream";
+import createRemote from "../../src/lib/android-tv-remote.mjs";
+
+/**
+ * Creates a fake adbkit client.
+ * @param {Object} [options={}]
+ * @param {function(string, string): (string|Buffer|Error|Promise<string|Buffer>)} [options.shell] - Handler called with (command, host); its result is the shell output.
+ * @returns {Object} Fake client exposing connect, disconnect, listDevices, getDevice and the recorded `commands`.
+ */
+export function createFakeClient(options = {}) {
+	const handler = options.shell || (() => "");
+	const connectedHosts = new Set();
+	const commands = [];
+
+	/**
+	 * Builds a readable stream ending with the handler output.
+	 * @param {string|Buffer} output - Shell output.
+	 * @returns {PassThrough}
+	 */
+	function toStream(output) {
+		const stream = new PassThrough();
+		stream.end(output === undefined || output === null ? "" : output);
+		return stream;
+	}
+
+	const client = {
+		commands,
+		connectedHosts,
+		async connect(ip, port = 5555) {
+			connectedHosts.add(`${ip}:${port}`);
+			return `${ip}:${port}`;
+		},
+		async disconnect(ip, port = 5555) {
+			connectedHosts.delete(`${ip}:${port}`);
+			return `${ip}:${port}`;
+		},
+		async listDevices() {
+			return [...connectedHosts].map((id) => ({ id, type: "device" }));
+		},
+		getDevice(host) {
+			return {
+				serial: host,
+				async shell(command) {
+					commands.push({ host, command });
+					const output = await handler(command, host);
+					if (output instanceof Error) throw output;
+					return toStream(output);
+				},
+				async screencap() {
+					commands.push({ host, command: "screencap -p" });
+					return toStream(await handler("screencap -p", host));
+				},
+				async reboot() {
+					commands.push({ host, command: "reboot" });
+					return true;
+				},
+				async waitBootComplete() {
+					commands.push({ host, command: "waitBootComplete" });
+					return true;
+				}
+			};
+		}
+	};
+	return client;
+}
+
+/**
+ * Creates a connected remote on a fake client, without auto-connect or the keepalive loop.
+ * Error events are swallowed so failing calls only surface as rejections.
+ * @param {Object} client - Client from createFakeClient().
+ * @param {Object} [config={}] - RemoteConfig overrides (ip, holdDuration, ...).
+ * @returns {Promise<Object>} The connected remote.
+ */
+export async function createTestRemote(client, config = {}) {
+	const remote = await createRemote({ ip: "10.0.0.1", autoConnect: false, maintainConnection: false, ...config, client });
+	remote.on("error", () => {});
+	await remote.connect();
+	return remote;
+}
@@ -0,0 +1,132 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/helpers/fake-mqtt.mjs
+ *	@Date: 2026-10-20 03:31:02 -07:00 (1792492262)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 03:31:02 -07:00 (1792492262)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+/**
+ * In-memory stand-in for an MQTT broker, used by unit tests that do not need a real broker.
+ *
+ * Clients follow the mqtt.js client interface the bridge relies on: publish(topic, payload, options, callback),
+ * subscribe(topics, options, callback), unsubscribe(topics, callback), end(force, callback) and "message"
+ * events with (topic, Buffer). Retained messages are replayed on subscribe; `+` and `#` wildcards work.
+ */
+
+import { EventEmitter } from "events";
+
+/**
+ * Tests whether a topic matches a subscription filter.
+ * @param {string} filter - Subscription filter (may contain + and #).
+ * @param {string} topic - Topic name.
+ * @returns {boolean}
+ */
+export function topicMatches(filter, topic) {
+	const filterLevels = filter.split("/");
+	const topicLevels = topic.split("/");
+	for (let i = 0; i < filterLevels.length; i++) {
+		if (filterLevels[i] === "#") return true;
+		if (i >= topicLevels.length || (filterLevels[i] !== "+" && filterLevels[i] !== topicLevels[i])) return false;
+	}
+	return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * Creates a fake broker.
+ * @returns {Object} Broker exposing createClient(), waitForPublish(), the `retained` Map and the `published` log.
+ */
+export function createFakeBroker() {
+	const clients = new Set();
+	const retained = new Map();
+	const published = [];
+	const waiters = new Set();
+
+	/**
+	 * Delivers a message to every matching subscriber.
+	 * @param {string} topic - Topic name.
+	 * @param {Buffer} payload - Message payload.
+	 */
+	function route(topic, payload) {
+		for (const client of clients) {
+			if ([...client.subscriptions].some((filter) => topicMatches(filter, topic))) client.emit("message", topic, payload);
+		}
+	}
+
+	return {
+		retained,
+		published,
+
+		/**
+		 * Resolves with the next message published to a topic after the call.
+		 * @param {string} topic - Topic name.
+		 * @param {function(Object): boolean} [predicate] - Extra condition on the { topic, payload, retain } entry.
+		 * @param {number} [timeout=2000] - Rejects after this many ms.
+		 * @returns {Promise<{ topic: string, payload: string, retain: boolean }>}
+		 */
+		waitForPublish(topic, predicate = () => true, timeout = 2000) {
+			return new Promise((resolve, reject) => {
+				const timer = setTimeout(() => {
+					waiters.delete(waiter);
+					reject(new Error(`Nothing published to ${topic} within ${timeout}ms`));
+				}, timeout);
+				const waiter = (entry) => {
+					if (entry.topic !== topic || !predicate(entry)) return;
+					clearTimeout(timer);
+					waiters.delete(waiter);
+					resolve(entry);
+				};
+				waiters.add(waiter);
+			});
+		},
+
+		/**
+		 * Creates a connected client.
+		 * @returns {EventEmitter} mqtt.js-like client.
+		 */
+		createClient() {
+			const client = new EventEmitter();
+			client.subscriptions = new Set();
+			client.connected = true;
+			client.publish = (topic, message, options = {}, callback) => {
+				if (typeof options === "function") [callback, options] = [options, {}];
+				const payload = Buffer.from(message);
+				const entry = { topic, payload: payload.toString(), retain: Boolean(options.retain) };
+				published.push(entry);
+				for (const waiter of waiters) waiter(entry);
+				if (options.retain) {
+					if (payload.length) retained.set(topic, payload);
+					else retained.delete(topic);
+				}
+				// Delivery is asynchronous, as with a real broker
+				setImmediate(() => route(topic, payload));
+				if (callback) setImmediate(callback);
+			};
+			client.subscribe = (topics, options, callback) => {
+				if (typeof options === "function") callback = options;
+				for (const filter of [].concat(topics)) {
+					client.subscriptions.add(filter);
+					for (const [topic, payload] of retained) if (topicMatches(filter, topic)) setImmediate(() => client.emit("message", topic, payload, { retain: true }));
+				}
+				if (callback) setImmediate(() => callback(null, [].concat(topics).map((topic) => ({ topic, qos: 0 }))));
+			};
+			client.unsubscribe = (topics, callback) => {
+				for (const filter of [].concat(topics)) client.subscriptions.delete(filter);
+				if (callback) setImmediate(callback);
+			};
+			client.end = (force, callback) => {
+				clients.delete(client);
+				client.connected = false;
+				if (typeof force === "function") callback = force;
+				if (callback) setImmediate(callback);
+			};
+			clients.add(client);
+			return client;
+		}
+	};
+}
@@ -0,0 +1,103 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/input-devices.test.mjs
+ *	@Date: 2026-10-19 16:14:05 -07:00 (1792451645)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 16:14:05 -07:00 (1792451645)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { parseGeteventOutput, findKeyEvent } from "../src/lib/input-devices.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+const GETEVENT_OUTPUT = [
+	"add device 1: /dev/input/event3",
+	"  bus:      0000",
+	"  vendor    0000",
+	'  name:     "cec_input"',
+	"  events:",
+	"    KEY (0001): KEY_1                 KEY_2                 KEY_UP",
+	"                KEY_DOWN              KEY_LEFT              KEY_RIGHT",
+	"  input props:",
+	"    <none>",
+	"add device 2: /dev/input/event2",
+	'  name:     "amlogic-remote"',
+	"  events:",
+	"    KEY (0001): KEY_HOMEPAGE          KEY_BACK              KEY_OK",
+	"                KEY_UP                0244",
+	"    REL (0002): REL_X                 REL_Y",
+	"  input props:",
+	"    <none>",
+	""
+].join("\r\n");
+
+/**
+ * Creates a remote whose shell answers getevent with GETEVENT_OUTPUT.
+ * @param {function(string): string} [sendevent] - Output for sendevent commands.
+ * @returns {Promise<{ remote: Object, client: Object }>}
+ */
+async function createInputRemote(sendevent = () => "") {
+	const client = createFakeClient({
+		shell: (command) => (command === "getevent -pl" ? GETEVENT_OUTPUT : command.startsWith("sendevent") ? sendevent(command) : "")
+	});
+	const remote = await createTestRemote(client, { holdDuration: 250 });
+	return { remote, client };
+}
+
+describe("input devices", () => {
+	test("parseGeteventOutput lists devices and their keys", () => {
+		const devices = parseGeteventOutput(GETEVENT_OUTPUT);
+		expect(devices).toEqual([
+			{ path: "/dev/input/event3", name: "cec_input", keys: ["KEY_1", "KEY_2", "KEY_UP", "KEY_DOWN", "KEY_LEFT", "KEY_RIGHT"] },
+			{ path: "/dev/input/event2", name: "amlogic-remote", keys: ["KEY_HOMEPAGE", "KEY_BACK", "KEY_OK", "KEY_UP", "0244"] }
+		]);
+	});
+
+	test("findKeyEvent maps Android keycodes to the node exposing the Linux key", () => {
+		const devices = parseGeteventOutput(GETEVENT_OUTPUT);
+		expect(findKeyEvent(devices, 23)).toEqual({ path: "/dev/input/event2", key: "KEY_OK", code: 352 });
+		expect(findKeyEvent(devices, 3)).toEqual({ path: "/dev/input/event2", key: "KEY_HOMEPAGE", code: 172 });
+		expect(findKeyEvent(devices, 19)).toEqual({ path: "/dev/input/event3", key: "KEY_UP", code: 103 });
+		expect(findKeyEvent(devices, 26)).toBeNull();
+		expect(findKeyEvent([], 26, "/dev/input/event0")).toEqual({ path: "/dev/input/event0", key: "KEY_POWER", code: 116 });
+	});
+
+	test("press.hold writes key down, sleep and key up with sync reports", async () => {
+		const { remote, client } = await createInputRemote();
+		await expect(remote.press.hold("ok", 1500)).resolves.toBe("sendevent");
+		await expect(remote.press.long.back()).resolves.toBe("sendevent");
+		const commands = client.commands.map((c) => c.command);
+		expect(commands.filter((c) => c === "getevent -pl")).toHaveLength(1);
+		expect(commands).toContain(
+			"sendevent /dev/input/event2 1 352 1 && sendevent /dev/input/event2 0 0 0 && sleep 1.5 && " +
+				"sendevent /dev/input/event2 1 352 0 && sendevent /dev/input/event2 0 0 0"
+		);
+		expect(commands.some((c) => c.includes("1 158 1") && c.includes("sleep 0.25"))).toBe(true);
+	});
+
+	test("keyDown/keyUp send separate transitions", async () => {
+		const { remote, client } = await createInputRemote();
+		await remote.keyDown("right");
+		await remote.keyUp("dpadRight");
+		expect(client.commands.slice(-2).map((c) => c.command)).toEqual([
+			"sendevent /dev/input/event3 1 106 1 && sendevent /dev/input/event3 0 0 0",
+			"sendevent /dev/input/event3 1 106 0 && sendevent /dev/input/event3 0 0 0"
+		]);
+		await expect(remote.keyDown("noSuchKey")).rejects.toMatchObject({ code: "ERR_UNKNOWN_KEY" });
+	});
+
+	test("falls back to input keyevent --longpress when sendevent is denied", async () => {
+		const { remote, client } = await createInputRemote(() => "could not open /dev/input/event2, Permission denied\n");
+		await expect(remote.press.hold("home", 500)).resolves.toBe("longpress");
+		await expect(remote.press.hold("power")).resolves.toBe("longpress");
+		const commands = client.commands.map((c) => c.command);
+		expect(commands).toContain("input keyevent --longpress 3");
+		expect(commands).toContain("input keyevent --longpress 26");
+		// sendevent is not retried once the device refused it
+		expect(commands.filter((c) => c.startsWith("sendevent"))).toHaveLength(1);
+	});
+});
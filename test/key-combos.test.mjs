@@ -0,0 +1,90 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/key-combos.test.mjs
+ *	@Date: 2026-10-19 22:14:05 -07:00 (1792473245)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 22:14:05 -07:00 (1792473245)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { resolveComboKeys } from "../src/lib/key-combos.mjs";
+import { UnsupportedOperationError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+const KEYBOARD_GETEVENT = [
+	"add device 1: /dev/input/event4",
+	'  name:     "Logitech K400"',
+	"  events:",
+	"    KEY (0001): KEY_LEFTCTRL          KEY_LEFTSHIFT         KEY_LEFTALT",
+	"                KEY_C                 KEY_TAB",
+	""
+].join("\n");
+
+/**
+ * Creates a connected remote with or without `input keycombination`.
+ * @param {Object} options
+ * @param {boolean} options.keyCombination - Whether `input keycombination` exists.
+ * @param {string} [options.getevent=""] - Output of `getevent -pl`.
+ * @returns {Promise<{ remote: Object, commands: function(): string[] }>}
+ */
+async function createComboRemote({ keyCombination, getevent = "" }) {
+	const usage = keyCombination ? "Usage: input ...\n      keycombination [-t duration(ms)] <key code 1> <key code 2> ..." : "usage: input ...\n      keyevent [--longpress] <key code>";
+	const client = createFakeClient({
+		shell: (command) => {
+			if (command.startsWith("echo '@@getprop'")) return `@@input\n${usage}\n`;
+			if (command === "getevent -pl") return getevent;
+			if (command.startsWith("input keycombination") && !keyCombination) return "Error: Unknown command: keycombination";
+			return "";
+		}
+	});
+	const remote = await createTestRemote(client);
+	return { remote, commands: () => client.commands.map((c) => c.command) };
+}
+
+describe("key combos", () => {
+	test("resolves modifier aliases, keycode names and keycodes", () => {
+		const resolve = (key) => ({ ctrlLeft: 113, shiftLeft: 59, c: 31 })[key] ?? key;
+		expect(resolveComboKeys(["ctrl", "shift", "c"], resolve)).toEqual([113, 59, 31]);
+		expect(resolveComboKeys(["ctrlLeft", 31], resolve)).toEqual([113, 31]);
+		expect(() => resolveComboKeys(["c"], resolve)).toThrow(TypeError);
+	});
+
+	test("uses input keycombination where available", async () => {
+		const { remote, commands } = await createComboRemote({ keyCombination: true });
+		await expect(remote.keyboard.combo(["ctrlLeft", "c"])).resolves.toBe("keycombination");
+		await expect(remote.keyboard.key.alt.tab()).resolves.toBe("keycombination");
+		await remote.keyboard.key.shift.a.keycode();
+		expect(commands().filter((command) => command.startsWith("input"))).toEqual([
+			"input keycombination 113 31",
+			"input keycombination 57 61",
+			"input keycombination 59 29"
+		]);
+		await remote.disconnect();
+	});
+
+	test("holds modifiers with sendevent on older devices", async () => {
+		const { remote, commands } = await createComboRemote({ keyCombination: false, getevent: KEYBOARD_GETEVENT });
+		await expect(remote.keyboard.key.ctrl.c()).resolves.toBe("sendevent");
+		expect(commands()).toContain(
+			[
+				"sendevent /dev/input/event4 1 29 1 && sendevent /dev/input/event4 0 0 0",
+				"sendevent /dev/input/event4 1 46 1 && sendevent /dev/input/event4 0 0 0",
+				"sendevent /dev/input/event4 1 46 0 && sendevent /dev/input/event4 0 0 0",
+				"sendevent /dev/input/event4 1 29 0 && sendevent /dev/input/event4 0 0 0"
+			].join(" && ")
+		);
+		expect(commands().some((command) => command.startsWith("input keycombination"))).toBe(false);
+		await remote.disconnect();
+	});
+
+	test("rejects when neither transport can press the keys", async () => {
+		const { remote } = await createComboRemote({ keyCombination: false });
+		await expect(remote.keyboard.combo(["meta", "d"])).rejects.toBeInstanceOf(UnsupportedOperationError);
+		await expect(remote.keyboard.key.shift.a()).resolves.toBeDefined();
+		await remote.disconnect();
+	});
+});
@@ -0,0 +1,135 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/media-session.test.mjs
+ *	@Date: 2026-10-19 19:04:12 -07:00 (1792461852)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 19:04:12 -07:00 (1792461852)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { parseMediaState, parseMediaSessions } from "../src/lib/media-session.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Builds `cat /proc/uptime; dumpsys media_session` output.
+ * @param {Object} options
+ * @returns {string}
+ */
+function mediaOutput({ uptime = "1010.00", state = 3, title = "Stranger Things", active = true } = {}) {
+	return [
+		`${uptime} 3500.12`,
+		"MEDIA SESSION SERVICE (dumpsys media_session)",
+		"",
+		"  Media button session is com.netflix.ninja/NetflixMediaSession (userId=0)",
+		"  Sessions Stack - have 2 sessions:",
+		"    NetflixMediaSession com.netflix.ninja/NetflixMediaSession (userId=0)",
+		"      ownerPid=4242, ownerUid=10078, userId=0",
+		"      package=com.netflix.ninja",
+		`      active=${active}`,
+		`      state=PlaybackState {state=${state}, position=60000, buffered position=90000, speed=1.0, updated=1000000, actions=822, custom actions=[], active item id=-1, error=null}`,
+		`      metadata: size=5, description=${title}, Chapter One: The Vanishing of Will Byers, null`,
+		"    MediaSessionService com.google.android.youtube.tv/YouTube (userId=0)",
+		"      package=com.google.android.youtube.tv",
+		"      active=false",
+		"      state=PlaybackState {state=2, position=1000, buffered position=0, speed=0.0, updated=5000, actions=0, custom actions=[], active item id=-1, error=null}",
+		"      metadata: null",
+		""
+	].join("\n");
+}
+
+describe("media session", () => {
+	test("parses every session with playback state and metadata", () => {
+		const sessions = parseMediaSessions(mediaOutput());
+		expect(sessions.map((session) => [session.packageName, session.active, session.state])).toEqual([
+			["com.netflix.ninja", true, "playing"],
+			["com.google.android.youtube.tv", false, "paused"]
+		]);
+		expect(sessions[0]).toMatchObject({
+			tag: "NetflixMediaSession",
+			position: 60000,
+			bufferedPosition: 90000,
+			speed: 1,
+			title: "Stranger Things",
+			artist: "Chapter One: The Vanishing of Will Byers",
+			description: null,
+			error: null
+		});
+		expect(sessions[1].title).toBeNull();
+	});
+
+	test("reports the active session and advances the position while playing", () => {
+		expect(parseMediaState(mediaOutput())).toMatchObject({
+			packageName: "com.netflix.ninja",
+			state: "playing",
+			playing: true,
+			position: 70000,
+			duration: null,
+			title: "Stranger Things"
+		});
+		expect(parseMediaState(mediaOutput({ state: 2 }))).toMatchObject({ state: "paused", playing: false, position: 60000 });
+		// Falls back to the media button session when nothing is active
+		expect(parseMediaState(mediaOutput({ active: false, state: 1 }))).toMatchObject({ packageName: "com.netflix.ninja", state: "stopped" });
+		expect(parseMediaState("MEDIA SESSION SERVICE (dumpsys media_session)\n")).toMatchObject({ packageName: null, state: "none", playing: false });
+	});
+
+	test("getMediaState, watchMediaState and waitForMediaState read the device", async () => {
+		let output = mediaOutput({ state: 6 });
+		const client = createFakeClient({ shell: (command) => (command.includes("dumpsys media_session") ? output : "") });
+		const remote = await createTestRemote(client);
+
+		await expect(remote.getMediaState()).resolves.toMatchObject({ state: "buffering" });
+
+		const states = [];
+		const playing = new Promise((resolve) =>
+			remote.on("media-state-changed", ({ current }) => {
+				states.push(current.state);
+				if (current.state === "playing") resolve();
+			})
+		);
+		const stop = remote.watchMediaState({ interval: 5 });
+		setTimeout(() => (output = mediaOutput({ state: 3 })), 20);
+		await expect(remote.waitForMediaState("playing", { interval: 5, timeout: 2000, packageName: "com.netflix.ninja" })).resolves.toMatchObject({
+			playing: true
+		});
+		await playing;
+		stop();
+		// Repeated polls of an unchanged state do not emit again
+		expect(states).toEqual(["buffering", "playing"]);
+		await remote.disconnect();
+	});
+
+	test("unwatchMediaState drops a poll that is still reading", async () => {
+		let polling;
+		const polled = new Promise((resolve) => (polling = resolve));
+		let release;
+		const released = new Promise((resolve) => (release = resolve));
+		let held = false;
+		const client = createFakeClient({
+			shell: async (command) => {
+				if (!command.includes("dumpsys media_session")) return "";
+				if (!held) {
+					held = true;
+					polling();
+					await released;
+				}
+				return mediaOutput();
+			}
+		});
+		const remote = await createTestRemote(client);
+		const changes = [];
+		remote.on("media-state-changed", (data) => changes.push(data));
+
+		remote.watchMediaState({ interval: 60000 });
+		await polled;
+		remote.unwatchMediaState();
+		release();
+		// Queued behind the held poll, so it runs once that poll has finished
+		await remote.getMediaState();
+		expect(changes).toEqual([]);
+		await remote.disconnect();
+	});
+});
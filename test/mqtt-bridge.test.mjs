@@ -0,0 +1,200 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/mqtt-bridge.test.mjs
+ *	@Date: 2026-10-20 04:02:45 -07:00 (1792494165)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 04:02:45 -07:00 (1792494165)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createRemoteManager from "../src/lib/remote-manager.mjs";
+import createMqttBridge, { discoveryConfigs, topicId } from "../src/lib/mqtt-bridge.mjs";
+import { InvalidConfigError } from "../src/lib/errors.mjs";
+import { createFakeClient } from "./helpers/fake-adb.mjs";
+import { createFakeBroker } from "./helpers/fake-mqtt.mjs";
+
+/**
+ * Polls a check until it passes or the deadline runs out.
+ * @param {function(): boolean} check - Condition to wait for.
+ * @param {number} [timeout=2000] - Deadline in ms.
+ * @returns {Promise<void>}
+ */
+async function until(check, timeout = 2000) {
+	const deadline = Date.now() + timeout;
+	while (!check()) {
+		if (Date.now() > deadline) throw new Error("Condition not met before the deadline");
+		await new Promise((resolve) => setTimeout(resolve, 5));
+	}
+}
+
+/**
+ * Wraps a target's on() and off() to record which listeners are still attached.
+ * @param {Object} target - Remote or manager.
+ * @returns {Set<Function>} Listeners added through on() and not yet removed with off().
+ */
+function trackListeners(target) {
+	const attached = new Set();
+	const { on, off } = target;
+	target.on = (event, listener) => {
+		attached.add(listener);
+		return on.call(target, event, listener);
+	};
+	target.off = (event, listener) => {
+		attached.delete(listener);
+		return off.call(target, event, listener);
+	};
+	return attached;
+}
+
+describe("mqtt bridge", () => {
+	let adb;
+	let manager;
+	let broker;
+	let bridge;
+	let bridgeClient;
+	let awake;
+
+	beforeEach(async () => {
+		awake = true;
+		adb = createFakeClient({
+			shell: (command) => {
+				if (command.startsWith("dumpsys power")) return `mWakefulness=${awake ? "Awake" : "Asleep"}\nDisplay Power: state=${awake ? "ON" : "OFF"}\n`;
+				if (command.includes("ResumedActivity")) return "  mResumedActivity: ActivityRecord{a1b2 u0 com.netflix.ninja/.MainActivity t42}";
+				if (command === "input keyevent 223") awake = false;
+				return "";
+			}
+		});
+		manager = await createRemoteManager({
+			client: adb,
+			defaults: { autoConnect: false, maintainConnection: false },
+			devices: { "living room": { ip: "10.0.0.1" } }
+		});
+		manager.on("error", () => {});
+		await manager.connectAll();
+		broker = createFakeBroker();
+		bridgeClient = broker.createClient();
+		bridge = await createMqttBridge({ client: bridgeClient, remotes: manager, interval: 60000 });
+	});
+
+	afterEach(async () => {
+		await bridge.stop();
+		await manager.disconnectAll();
+	});
+
+	const commands = () => adb.commands.map((c) => c.command);
+	const retained = (topic) => broker.retained.get(topic)?.toString();
+
+	test("publishes retained availability, power and foreground app", () => {
+		expect(retained("android-tv/bridge/availability")).toBe("online");
+		expect(retained("android-tv/living_room/availability")).toBe("online");
+		expect(retained("android-tv/living_room/power")).toBe("ON");
+		expect(retained("android-tv/living_room/app")).toBe("com.netflix.ninja");
+	});
+
+	test("publishes Home Assistant discovery configs", () => {
+		const config = JSON.parse(retained("homeassistant/button/android-tv_living_room/home/config"));
+		expect(config).toMatchObject({
+			name: "Home",
+			unique_id: "android-tv_living_room_home",
+			command_topic: "android-tv/living_room/press/set",
+			payload_press: "home",
+			availability_mode: "all",
+			device: { identifiers: ["android-tv_living_room"], name: "living room" }
+		});
+		const power = JSON.parse(retained("homeassistant/switch/android-tv_living_room/power/config"));
+		expect(power).toMatchObject({ state_topic: "android-tv/living_room/power", command_topic: "android-tv/living_room/power/set" });
+		expect(retained("homeassistant/sensor/android-tv_living_room/app/config")).toBeDefined();
+		expect(retained("homeassistant/text/android-tv_living_room/keyboard/config")).toBeDefined();
+	});
+
+	test("runs press and text commands from command topics", async () => {
+		const controller = broker.createClient();
+		controller.publish("android-tv/living_room/press/set", "home");
+		controller.publish("android-tv/living_room/text/set", "hi there");
+		await until(() => commands().includes("input keyevent 3") && commands().includes("input text 'hi%sthere'"));
+	});
+
+	test("publishes failed commands on the error topic", async () => {
+		const published = broker.waitForPublish("android-tv/living_room/error");
+		broker.createClient().publish("android-tv/living_room/press/set", "nope");
+		const error = await published;
+		expect(JSON.parse(error.payload)).toMatchObject({ command: "press", name: "UnknownKeyError" });
+	});
+
+	test("power/set OFF sleeps the device and republishes the power state", async () => {
+		const published = broker.waitForPublish("android-tv/living_room/power", ({ payload }) => payload === "OFF");
+		broker.createClient().publish("android-tv/living_room/power/set", "OFF");
+		await published;
+		expect(commands()).toContain("input keyevent 223");
+		expect(retained("android-tv/living_room/power")).toBe("OFF");
+	});
+
+	test("follows connection state and marks the bridge offline on stop", async () => {
+		const offline = broker.waitForPublish("android-tv/living_room/availability", ({ payload }) => payload === "offline");
+		await manager.get("living room").disconnect();
+		await offline;
+		expect(retained("android-tv/living_room/availability")).toBe("offline");
+
+		await bridge.stop();
+		expect(retained("android-tv/bridge/availability")).toBe("offline");
+		expect(bridgeClient.subscriptions.size).toBe(0);
+		expect(bridgeClient.listenerCount("message")).toBe(0);
+	});
+
+	test("reuses watchers the caller already runs and leaves them running on stop", async () => {
+		await bridge.stop();
+		const remote = manager.get("living room");
+		remote.unwatchPowerState();
+		remote.unwatchForegroundApp();
+		remote.watchPowerState({ interval: 60000 });
+
+		bridge = await createMqttBridge({ client: broker.createClient(), remotes: manager, interval: 60000 });
+		expect(remote.powerStateWatching).toBe(true);
+		expect(remote.foregroundAppWatching).toBe(true);
+
+		await bridge.stop();
+		expect(remote.powerStateWatching).toBe(true);
+		expect(remote.foregroundAppWatching).toBe(false);
+		remote.unwatchPowerState();
+	});
+
+	test("removes its listeners when subscribing fails", async () => {
+		const remoteListeners = trackListeners(manager.get("living room"));
+		const managerListeners = trackListeners(manager);
+		const client = broker.createClient();
+		client.subscribe = (topics, options, callback) => setImmediate(() => callback(new Error("Not authorized")));
+
+		await expect(createMqttBridge({ client, remotes: manager, interval: 60000 })).rejects.toThrow("Not authorized");
+		expect(client.listenerCount("message")).toBe(0);
+		expect(client.listenerCount("connect")).toBe(0);
+		expect(remoteListeners.size).toBe(0);
+		expect(managerListeners.size).toBe(0);
+	});
+
+	test("bridges remotes added to and removed from the manager after it started", async () => {
+		const announced = broker.waitForPublish("android-tv/kitchen/availability");
+		const kitchen = await manager.add("kitchen", { ip: "10.0.0.2" });
+		expect((await announced).payload).toBe("offline");
+		await until(() => retained("homeassistant/switch/android-tv_kitchen/power/config") !== undefined);
+		await until(() => kitchen.powerStateWatching && kitchen.foregroundAppWatching);
+
+		const offline = broker.waitForPublish("android-tv/kitchen/availability", ({ payload }) => payload === "offline");
+		await manager.remove("kitchen");
+		await offline;
+		expect(kitchen.powerStateWatching).toBe(false);
+		expect(kitchen.foregroundAppWatching).toBe(false);
+	});
+
+	test("validates its options and builds discovery configs without a broker", async () => {
+		await expect(createMqttBridge({ remotes: manager })).rejects.toThrow(InvalidConfigError);
+		await expect(createMqttBridge({ client: broker.createClient(), remotes: 42 })).rejects.toThrow(InvalidConfigError);
+		expect(topicId("a/b+c")).toBe("a_b_c");
+		const configs = discoveryConfigs("tv", { buttons: ["home"], info: { model: "X", androidVersion: "11" } });
+		expect(configs.map((c) => c.topic)).toContain("homeassistant/button/android-tv_tv/reboot/config");
+		expect(configs[0].payload.device).toMatchObject({ model: "X", sw_version: "Android 11" });
+	});
+});
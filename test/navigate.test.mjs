@@ -0,0 +1,88 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/navigate.test.mjs
+ *	@Date: 2026-10-19 23:12:05 -07:00 (1792476725)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 23:12:05 -07:00 (1792476725)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { chooseDirection } from "../src/lib/navigate.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+const KEYS = { 19: "up", 20: "down", 21: "left", 22: "right" };
+
+/**
+ * Creates a connected remote showing a 2x3 grid of cards (A0-A2 over B0-B2) and an unfocusable
+ * banner to the right of the first row. D-pad keys move focus within the grid.
+ * @param {Object} [options]
+ * @param {number} [options.busyDumps=0] - Number of dumps that fail with "could not get idle state" first.
+ * @returns {Promise<{ remote: Object, keys: function(): string[] }>}
+ */
+async function createGridRemote({ busyDumps = 0 } = {}) {
+	const focus = { row: 0, column: 0 };
+	const card = (row, column) => {
+		const name = `${"AB"[row]}${column}`;
+		const focused = focus.row === row && focus.column === column;
+		const bounds = `[${column * 300},${100 + row * 200}][${column * 300 + 300},${200 + row * 200}]`;
+		return `<node index="${column}" text="${name}" resource-id="com.example.tv:id/card" class="android.widget.Button" package="com.example.tv" focusable="true" focused="${focused}" bounds="${bounds}" />`;
+	};
+	const dump = () =>
+		'<hierarchy rotation="0"><node index="0" text="" class="android.widget.FrameLayout" package="com.example.tv" focused="false" bounds="[0,0][1920,1080]">' +
+		[0, 1].map((row) => [0, 1, 2].map((column) => card(row, column)).join("")).join("") +
+		'<node index="6" text="Banner" class="android.widget.ImageView" package="com.example.tv" focusable="false" focused="false" bounds="[1000,100][1300,200]" />' +
+		"</node></hierarchy>";
+	const client = createFakeClient({
+		shell: (command) => {
+			if (command.startsWith("uiautomator dump")) return busyDumps-- > 0 ? "ERROR: could not get idle state.\n" : dump();
+			const key = KEYS[command.replace("input keyevent ", "")];
+			if (key === "up" || key === "down") focus.row = key === "up" ? 0 : 1;
+			if (key === "left") focus.column = Math.max(0, focus.column - 1);
+			if (key === "right") focus.column = Math.min(2, focus.column + 1);
+			return "";
+		}
+	});
+	const remote = await createTestRemote(client);
+	return { remote, keys: () => client.commands.map((c) => c.command).filter((command) => command.startsWith("input keyevent")) };
+}
+
+describe("navigate", () => {
+	test("chooses vertical moves first and skips blocked directions", () => {
+		const from = { left: 0, top: 100, right: 300, bottom: 200, centerX: 150, centerY: 150 };
+		expect(chooseDirection(from, { left: 600, top: 300, right: 900, bottom: 400, centerX: 750, centerY: 350 })).toBe("down");
+		expect(chooseDirection(from, { left: 600, top: 300, right: 900, bottom: 400, centerX: 750, centerY: 350 }, ["down"])).toBe("right");
+		expect(chooseDirection(from, { left: 0, top: 0, right: 300, bottom: 80, centerX: 150, centerY: 40 })).toBe("up");
+		expect(chooseDirection(from, { left: 100, top: 120, right: 200, bottom: 180, centerX: 150, centerY: 150 })).toBeNull();
+	});
+
+	test("moves focus to the target and emits navigate-step events", async () => {
+		const { remote, keys } = await createGridRemote();
+		const steps = [];
+		remote.on("navigate-step", ({ step, direction }) => steps.push([step, direction]));
+		const result = await remote.navigate.to({ text: "B2" }, { settle: 0, select: true });
+		expect(result).toMatchObject({ steps: 3, path: ["down", "right", "right"], focused: { text: "B2" } });
+		expect(steps).toEqual([[1, "down"], [2, "right"], [3, "right"]]);
+		expect(keys().slice(0, 3)).toEqual(["input keyevent 20", "input keyevent 22", "input keyevent 22"]);
+		expect(keys()).toHaveLength(4); // select presses OK once focused
+		await remote.disconnect();
+	});
+
+	test("retries dumps while the screen is not idle", async () => {
+		const { remote } = await createGridRemote({ busyDumps: 2 });
+		await expect(remote.navigate.to({ text: "A1" }, { settle: 0 })).resolves.toMatchObject({ path: ["right"] });
+		await remote.disconnect();
+	});
+
+	test("rejects when the target is missing, unreachable or out of steps", async () => {
+		const { remote } = await createGridRemote();
+		await expect(remote.navigate.to({ text: "Missing" }, { settle: 0 })).rejects.toMatchObject({ code: "ERR_NAVIGATION_TARGET_NOT_FOUND" });
+		await expect(remote.navigate.to({ text: "B2" }, { settle: 0, maxSteps: 1 })).rejects.toMatchObject({ code: "ERR_NAVIGATION_MAX_STEPS" });
+		// The banner is right of the first row but cannot take focus: right stops moving at A2
+		await expect(remote.navigate.to({ text: "Banner" }, { settle: 0 })).rejects.toMatchObject({ code: "ERR_NAVIGATION_STUCK" });
+		await remote.disconnect();
+	});
+});
@@ -0,0 +1,142 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/power.test.mjs
+ *	@Date: 2026-10-19 20:02:51 -07:00 (1792465371)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 20:02:51 -07:00 (1792465371)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { parsePowerState } from "../src/lib/power.mjs";
+import { CommandFailedError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+const DUMPSYS_POWER = `POWER MANAGER (dumpsys power)
+
+Power Manager State:
+  mDirty=0x0
+  mWakefulness=Awake
+  mIsPowered=true
+  mStayOn=false
+  mDisplayReady=true
+
+Settings and Configuration:
+  mScreenOffTimeoutSetting=600000
+  mStayOnWhilePluggedInSetting=3
+
+Wake Locks: size=2
+  PARTIAL_WAKE_LOCK              'AudioMix' ACQ=-12s3ms (uid=1041 ws=WorkSource{10078})
+  SCREEN_BRIGHT_WAKE_LOCK        'WindowManager' ON_AFTER_RELEASE ACQ=-3m (uid=1000, pid=1234)
+
+Suspend Blockers: size=4
+
+Display Power: state=ON
+`;
+
+/**
+ * Creates a connected remote backed by a fake power manager.
+ * @param {Object} [options]
+ * @param {number[]} [options.ignored=[]] - Keycodes the fake device ignores.
+ * @param {function(): Promise<void>} [options.hold] - Awaited before each power read is answered.
+ * @returns {Promise<{ remote: Object, commands: function(): string[] }>}
+ */
+async function createPowerRemote({ ignored = [], hold = async () => {} } = {}) {
+	let awake = true;
+	const client = createFakeClient({
+		shell: async (command) => {
+			const key = /^input keyevent (\d+)$/.exec(command);
+			if (key && !ignored.includes(Number(key[1]))) awake = key[1] === "26" ? !awake : key[1] === "224";
+			if (command.startsWith("dumpsys power")) {
+				await hold();
+				return DUMPSYS_POWER.replace("Awake", awake ? "Awake" : "Asleep").replace("state=ON", awake ? "state=ON" : "state=OFF");
+			}
+			return "";
+		}
+	});
+	const remote = await createTestRemote(client);
+	return { remote, commands: () => client.commands.map((c) => c.command) };
+}
+
+describe("power", () => {
+	test("parses wakefulness, display, wake locks and stay-on settings", () => {
+		expect(parsePowerState(DUMPSYS_POWER)).toEqual({
+			powered: true,
+			wakefulness: "awake",
+			awake: true,
+			displayReady: true,
+			displayState: "on",
+			wakeLocks: [
+				{ type: "PARTIAL_WAKE_LOCK", tag: "AudioMix", uid: 1041, pid: null },
+				{ type: "SCREEN_BRIGHT_WAKE_LOCK", tag: "WindowManager", uid: 1000, pid: 1234 }
+			],
+			screenOffTimeout: 600000,
+			stayOn: { active: false, setting: 3, ac: true, usb: true, wireless: false, dock: false }
+		});
+		expect(parsePowerState("  mWakefulness=Dozing\n")).toMatchObject({ wakefulness: "dozing", awake: false, powered: null, displayState: "unknown" });
+	});
+
+	test("sleep falls back to KEYCODE_POWER when KEYCODE_SLEEP is ignored", async () => {
+		const { remote, commands } = await createPowerRemote({ ignored: [223] });
+		await expect(remote.sleep({ settle: 300 })).resolves.toMatchObject({ awake: false, displayState: "off" });
+		expect(commands().filter((command) => command.startsWith("input keyevent"))).toEqual(["input keyevent 223", "input keyevent 26"]);
+		// Already asleep: nothing is sent
+		await remote.sleep();
+		expect(commands().filter((command) => command.startsWith("input keyevent"))).toHaveLength(2);
+		await remote.disconnect();
+	});
+
+	test("togglePower verifies the change", async () => {
+		const { remote } = await createPowerRemote();
+		await expect(remote.togglePower()).resolves.toMatchObject({ awake: false });
+		await expect(remote.togglePower()).resolves.toMatchObject({ awake: true });
+		await remote.disconnect();
+
+		const stuck = await createPowerRemote({ ignored: [26] });
+		await expect(stuck.remote.togglePower({ settle: 300 })).rejects.toBeInstanceOf(CommandFailedError);
+		await stuck.remote.disconnect();
+	});
+
+	test("watchPowerState emits power-state-changed", async () => {
+		const { remote } = await createPowerRemote();
+		const events = [];
+		remote.on("power-state-changed", ({ current }) => events.push(current.wakefulness));
+		const stop = remote.watchPowerState({ interval: 5 });
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		await remote.sleep();
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		stop();
+		expect(events).toEqual(["awake", "asleep"]);
+		await remote.disconnect();
+	});
+
+	test("unwatchPowerState drops a poll that is still reading", async () => {
+		let polling;
+		const polled = new Promise((resolve) => (polling = resolve));
+		let release;
+		const released = new Promise((resolve) => (release = resolve));
+		let held = false;
+		const { remote } = await createPowerRemote({
+			hold: () => {
+				if (held) return undefined;
+				held = true;
+				polling();
+				return released;
+			}
+		});
+		const events = [];
+		remote.on("power-state-changed", (data) => events.push(data));
+
+		remote.watchPowerState({ interval: 60000 });
+		await polled;
+		remote.unwatchPowerState();
+		release();
+		// Queued behind the held poll, so it runs once that poll has finished
+		await remote.getPowerState();
+		expect(events).toEqual([]);
+		await remote.disconnect();
+	});
+});
@@ -0,0 +1,64 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/remote-events.test.mjs
+ *	@Date: 2026-10-20 05:41:16 -07:00 (1792500076)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 05:41:16 -07:00 (1792500076)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createRemote, { remoteEvents } from "../src/lib/android-tv-remote.mjs";
+import { createFakeClient } from "./helpers/fake-adb.mjs";
+
+describe("remote events", () => {
+	let client;
+	let living;
+	let bedroom;
+
+	beforeEach(async () => {
+		client = createFakeClient();
+		living = await createRemote({ ip: "10.0.0.1", client, autoConnect: false, maintainConnection: false });
+		bedroom = await createRemote({ ip: "10.0.0.2", client, autoConnect: false, maintainConnection: false });
+	});
+
+	afterEach(async () => {
+		remoteEvents.removeAllListeners();
+		await Promise.all([living.disconnect(), bedroom.disconnect()]);
+	});
+
+	test("keeps events on the remote that emitted them", async () => {
+		const livingEvents = [];
+		const bedroomEvents = [];
+		living.on("state-change", (data) => livingEvents.push(data));
+		bedroom.on("state-change", (data) => bedroomEvents.push(data));
+
+		await living.connect();
+		expect(livingEvents.length).toBeGreaterThan(0);
+		expect(livingEvents.every((data) => data.host === "10.0.0.1:5555")).toBe(true);
+		expect(bedroomEvents).toEqual([]);
+
+		await bedroom.connect();
+		expect(bedroomEvents.length).toBeGreaterThan(0);
+		expect(bedroomEvents.every((data) => data.host === "10.0.0.2:5555")).toBe(true);
+	});
+
+	test("forwards every remote's events to remoteEvents tagged with the host", async () => {
+		const hosts = [];
+		remoteEvents.on("state-change", (data) => hosts.push(data.host));
+		await living.connect();
+		await bedroom.connect();
+		expect(hosts).toEqual(expect.arrayContaining(["10.0.0.1:5555", "10.0.0.2:5555"]));
+	});
+
+	test("an error handled on remoteEvents does not throw on a remote without error listeners", async () => {
+		const errors = [];
+		remoteEvents.on("error", (data) => errors.push(data));
+		await living.connect();
+		await expect(living.apps.launch("bad name")).rejects.toThrow(TypeError);
+		expect(errors).toEqual([expect.objectContaining({ host: "10.0.0.1:5555" })]);
+	});
+});
@@ -0,0 +1,124 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/remote-manager.test.mjs
+ *	@Date: 2026-10-19 09:55:40 -07:00 (1792428940)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 09:55:40 -07:00 (1792428940)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createRemoteManager from "../src/lib/remote-manager.mjs";
+import { createFakeClient } from "./helpers/fake-adb.mjs";
+
+describe("remote-manager", () => {
+	/** @type {ReturnType<typeof createFakeClient>} */
+	let client;
+	let manager;
+
+	beforeEach(async () => {
+		client = createFakeClient();
+		manager = await createRemoteManager({
+			client,
+			defaults: { autoConnect: false, maintainConnection: false },
+			devices: {
+				livingRoom: { ip: "10.0.0.1" },
+				bedroom: { ip: "10.0.0.2" }
+			}
+		});
+	});
+
+	test("registers devices by name and by ip:port", async () => {
+		await manager.add({ ip: "10.0.0.3", port: 5556 });
+		expect(manager.names()).toEqual(["livingRoom", "bedroom", "10.0.0.3:5556"]);
+		expect(manager.get("bedroom").host).toBe("10.0.0.2:5555");
+		expect(manager.has("kitchen")).toBe(false);
+		expect(manager.size).toBe(3);
+	});
+
+	test("rejects duplicate names", async () => {
+		await expect(manager.add("bedroom", { ip: "10.0.0.9" })).rejects.toThrow("already registered");
+	});
+
+	test("broadcasts to every remote and reports each outcome", async () => {
+		const results = await manager.broadcast((remote) => remote.press.home());
+		expect(results.map((r) => [r.name, r.status])).toEqual([
+			["livingRoom", "fulfilled"],
+			["bedroom", "fulfilled"]
+		]);
+		expect(client.commands.map((c) => [c.host, c.command])).toEqual([
+			["10.0.0.1:5555", "input keyevent 3"],
+			["10.0.0.2:5555", "input keyevent 3"]
+		]);
+	});
+
+	test("broadcast isolates failures per device", async () => {
+		const results = await manager.broadcast((remote, name) => {
+			if (name === "bedroom") throw new Error("boom");
+			return name;
+		});
+		expect(results[0]).toMatchObject({ name: "livingRoom", status: "fulfilled", value: "livingRoom" });
+		expect(results[1]).toMatchObject({ name: "bedroom", status: "rejected" });
+		expect(results[1].reason.message).toBe("boom");
+	});
+
+	test("aggregates connection status", async () => {
+		await manager.get("livingRoom").connect();
+		const status = await manager.getConnectionStatus(true);
+		expect(status).toEqual({
+			total: 2,
+			connected: 1,
+			disconnected: 1,
+			unknown: 0,
+			devices: { livingRoom: "connected", bedroom: "disconnected" }
+		});
+	});
+
+	test("re-emits remote events with the registry name", async () => {
+		const errors = [];
+		manager.on("error", (data) => errors.push(data));
+		await expect(manager.get("livingRoom").keyboard.key("notAKey")).rejects.toThrow();
+		expect(errors).toHaveLength(1);
+		expect(errors[0]).toMatchObject({ name: "livingRoom", host: "10.0.0.1:5555", source: "keyboard.key" });
+	});
+
+	test("removes remotes and disconnects them", async () => {
+		await manager.get("bedroom").connect();
+		expect(await manager.remove("bedroom")).toBe(true);
+		expect(manager.names()).toEqual(["livingRoom"]);
+		expect(client.connectedHosts.has("10.0.0.2:5555")).toBe(false);
+		expect(await manager.remove("bedroom")).toBe(false);
+	});
+
+	test("keeps the other devices when one configured device refuses to connect", async () => {
+		const refusing = createFakeClient();
+		const connect = refusing.connect;
+		refusing.connect = async (ip, port) => {
+			if (ip === "10.0.0.2") throw Object.assign(new Error(`connect ECONNREFUSED ${ip}:5555`), { code: "ECONNREFUSED" });
+			return connect(ip, port);
+		};
+		// No "error" listener can be attached before the factory resolves
+		const refused = await createRemoteManager({
+			client: refusing,
+			defaults: { maintainConnection: false },
+			devices: { livingRoom: { ip: "10.0.0.1" }, bedroom: { ip: "10.0.0.2" } }
+		});
+		expect(refused.names()).toEqual(["livingRoom", "bedroom"]);
+		expect([...refusing.connectedHosts]).toEqual(["10.0.0.1:5555"]);
+		await refused.disconnectAll();
+	});
+
+	test("disconnects the devices it created when an initial device cannot be added", async () => {
+		const shared = createFakeClient();
+		const creating = createRemoteManager({
+			client: shared,
+			defaults: { maintainConnection: false },
+			devices: [{ ip: "10.0.0.1" }, { ip: "10.0.0.2" }, { ip: "10.0.0.2" }]
+		});
+		await expect(creating).rejects.toMatchObject({ code: "ERR_REMOTE_EXISTS" });
+		expect(shared.connectedHosts.size).toBe(0);
+	});
+});
@@ -0,0 +1,118 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/remote-server.test.mjs
+ *	@Date: 2026-10-20 01:41:07 -07:00 (1792485667)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 01:41:07 -07:00 (1792485667)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import createRemoteManager from "../src/lib/remote-manager.mjs";
+import createRemoteServer, { statusFor } from "../src/lib/remote-server.mjs";
+import { CommandTimeoutError, UnsupportedOperationError } from "../src/lib/errors.mjs";
+import { createFakeClient } from "./helpers/fake-adb.mjs";
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+
+describe("remote server", () => {
+	let client;
+	let manager;
+	let server;
+
+	beforeEach(async () => {
+		client = createFakeClient({
+			shell: (command) => {
+				if (command === "screencap -p") return PNG;
+				if (command.startsWith("dumpsys power")) return "mIsPowered=true\nmWakefulness=Awake\nmDisplayReady=true\nDisplay Power: state=ON\n";
+				if (command.includes("ResumedActivity")) return "  mResumedActivity: ActivityRecord{a1b2 u0 com.netflix.ninja/.MainActivity t42}";
+				return "";
+			}
+		});
+		manager = await createRemoteManager({
+			client,
+			defaults: { autoConnect: false, maintainConnection: false },
+			devices: { livingRoom: { ip: "10.0.0.1" }, bedroom: { ip: "10.0.0.2" } }
+		});
+		manager.on("error", () => {});
+		await manager.connectAll();
+		server = await createRemoteServer({ remotes: manager, port: 0, token: "secret" });
+		// The first fetch sets up the HTTP client; keep that cost out of the tests
+		await request("/devices");
+	}, 20000);
+
+	afterEach(async () => {
+		await server.close();
+		await manager.disconnectAll();
+	});
+
+	/**
+	 * Sends a request with the bearer token.
+	 * @param {string} path - Request path.
+	 * @param {Object} [init] - fetch options.
+	 * @returns {Promise<Response>}
+	 */
+	const request = (path, init = {}) => fetch(`${server.url}${path}`, { ...init, headers: { Authorization: "Bearer secret", ...init.headers } });
+	const commands = (host) => client.commands.filter((c) => c.host === host).map((c) => c.command);
+
+	test("presses keys and types text on the addressed device", async () => {
+		const press = await request("/devices/bedroom/press/home", { method: "POST" });
+		expect(press.status).toBe(200);
+		expect(await press.json()).toHaveProperty("result");
+
+		await request("/devices/bedroom/text", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ text: "hi" }) });
+		await request("/devices/bedroom/text", { method: "POST", body: "yo" });
+		expect(commands("10.0.0.2:5555")).toEqual(["input keyevent 3", "input text 'hi'", "input text 'yo'"]);
+		expect(commands("10.0.0.1:5555")).toEqual([]);
+
+		const devices = await (await request("/devices")).json();
+		expect(devices.result.map((device) => device.id)).toEqual(["livingRoom", "bedroom"]);
+	});
+
+	test("reports status and wakes the device", async () => {
+		const status = await request("/devices/livingRoom/status");
+		expect(status.status).toBe(200);
+		expect((await status.json()).result).toEqual({
+			id: "livingRoom",
+			host: "10.0.0.1:5555",
+			connection: "connected",
+			awake: true,
+			wakefulness: "awake",
+			foregroundApp: "com.netflix.ninja"
+		});
+
+		const awake = await request("/devices/livingRoom/awake", { method: "POST" });
+		expect(awake.status).toBe(200);
+		expect(await awake.json()).toHaveProperty("result");
+		expect(commands("10.0.0.1:5555")).toContain("dumpsys power");
+		expect(commands("10.0.0.2:5555")).toEqual([]);
+	});
+
+	test("streams screenshots as PNG", async () => {
+		const response = await request("/devices/livingRoom/screencap");
+		expect(response.status).toBe(200);
+		expect(response.headers.get("content-type")).toBe("image/png");
+		expect(Buffer.from(await response.arrayBuffer())).toEqual(PNG);
+	});
+
+	test("maps failures to HTTP statuses", async () => {
+		expect((await fetch(`${server.url}/devices/bedroom/press/home`, { method: "POST" })).status).toBe(401);
+		expect((await request("/devices/attic/press/home", { method: "POST" })).status).toBe(404);
+		expect((await request("/devices/bedroom/press/home")).status).toBe(405);
+		expect((await request("/devices/bedroom/screencap?width=abc")).status).toBe(400);
+		const malformed = await request("/devices/%E0%A4/press/home", { method: "POST" });
+		expect(malformed.status).toBe(400);
+		expect(await malformed.json()).toMatchObject({ error: { code: "ERR_BAD_REQUEST" } });
+
+		const unknownKey = await request("/devices/bedroom/press/warp", { method: "POST" });
+		expect(unknownKey.status).toBe(404);
+		expect(await unknownKey.json()).toEqual({ error: { name: "UnknownKeyError", code: "ERR_UNKNOWN_KEY", message: "Unknown key: warp" } });
+
+		expect(statusFor(new CommandTimeoutError("press.home", 100))).toBe(504);
+		expect(statusFor(new UnsupportedOperationError("no"))).toBe(501);
+		expect(statusFor(new Error("boom"))).toBe(500);
+	});
+});
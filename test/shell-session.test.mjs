@@ -0,0 +1,92 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/shell-session.test.mjs
+ *	@Date: 2026-10-19 12:06:19 -07:00 (1792436779)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 12:06:19 -07:00 (1792436779)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { Duplex } from "stream";
+import createShellSession from "../src/lib/shell-session.mjs";
+import createRemote from "../src/lib/android-tv-remote.mjs";
+import { createFakeClient } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a duplex stream that behaves like an interactive PTY shell:
+ * it echoes typed input and answers marker-wrapped commands with CRLF output.
+ * @param {function(string): string} respond - Returns the output for a command.
+ * @returns {Duplex}
+ */
+function createFakeInteractiveShell(respond) {
+	const shellStream = new Duplex({
+		read() {},
+		write(chunk, _encoding, callback) {
+			const line = chunk.toString();
+			shellStream.push(line.replace(/\n/g, "\r\n"));
+			const match = /^echo "__ATV""_BEGIN_(\d+)__"; (.*); echo "__ATV""_END_\d+__:\$\?"\n$/.exec(line);
+			if (match) {
+				const output = respond(match[2]);
+				setTimeout(() => {
+					shellStream.push(`__ATV_BEGIN_${match[1]}__\r\n${output.replace(/\n/g, "\r\n")}__ATV_END_${match[1]}__:0\r\n`);
+				}, 1);
+			}
+			callback();
+		}
+	});
+	return shellStream;
+}
+
+describe("shell-session", () => {
+	test("runs commands in one stream and strips markers and echo", async () => {
+		let opened = 0;
+		const device = {
+			async shell() {
+				opened++;
+				return createFakeInteractiveShell((command) => (command === "getprop ro.product.model" ? "AFTMM\n" : ""));
+			}
+		};
+		const session = createShellSession({ device });
+		const first = await session.exec("getprop ro.product.model");
+		const second = await session.exec("input keyevent 3");
+		expect(first.output).toBe("AFTMM\n");
+		expect(first.exitCode).toBe(0);
+		expect(first.latency).toBeGreaterThanOrEqual(0);
+		expect(second.output).toBe("");
+		expect(opened).toBe(1);
+		session.close();
+		expect(session.isOpen).toBe(false);
+	});
+
+	test("times out and marks the command as possibly sent", async () => {
+		const device = {
+			async shell() {
+				return new Duplex({ read() {}, write(_chunk, _encoding, callback) { callback(); } });
+			}
+		};
+		const session = createShellSession({ device, timeout: 20 });
+		await expect(session.exec("input keyevent 3")).rejects.toMatchObject({ commandSent: true });
+		expect(session.isOpen).toBe(false);
+	});
+
+	test("remote falls back to one-shot shells when the session cannot open", async () => {
+		const client = createFakeClient({
+			shell: (command) => (command === "" ? new Error("closed") : "")
+		});
+		const remote = await createRemote({ ip: "10.0.0.1", client, autoConnect: false, maintainConnection: false, persistentShell: true });
+		const events = [];
+		remote.on("shell-command", (data) => events.push(data));
+		await remote.press.home();
+		await remote.press.back();
+		expect(events.map((e) => [e.command, e.transport])).toEqual([
+			["input keyevent 3", "oneshot"],
+			["input keyevent 4", "oneshot"]
+		]);
+		// The session is only attempted once within the retry delay
+		expect(client.commands.filter((c) => c.command === "").length).toBe(1);
+	});
+});
@@ -0,0 +1,82 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/text-input.test.mjs
+ *	@Date: 2026-10-19 16:58:21 -07:00 (1792454301)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 16:58:21 -07:00 (1792454301)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { execFileSync } from "child_process";
+import { buildInputTextCommands, buildBroadcastCommands, shellQuote } from "../src/lib/text-input.mjs";
+import { UnsupportedOperationError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a remote and returns the shell commands it sends.
+ * @param {function(string): string} [handler] - Shell output per command.
+ * @returns {Promise<{ remote: Object, commands: function(): string[] }>}
+ */
+async function createTextRemote(handler = () => "") {
+	const client = createFakeClient({ shell: handler });
+	const remote = await createTestRemote(client, { textChunkSize: 8 });
+	return { remote, commands: () => client.commands.map((c) => c.command) };
+}
+
+describe("text input", () => {
+	test("shell metacharacters survive a real POSIX shell unchanged", () => {
+		const text = `it's "$HOME" \`id\` & ls; echo $((1+1)) | cat > x \\ !`;
+		// The device shell sees the command line; `printf %s` stands in for `input text`
+		const typed = execFileSync("sh", ["-c", `printf %s ${shellQuote(text)}`]).toString();
+		expect(typed).toBe(text);
+	});
+
+	test("spaces, literal %s, newlines and chunking", () => {
+		expect(buildInputTextCommands("a b")).toEqual(["input text 'a%sb'"]);
+		expect(buildInputTextCommands("100%sure")).toEqual(["input text '100%'", "input text 'sure'"]);
+		expect(buildInputTextCommands("one\ntwo\tx")).toEqual(["input text 'one'", "input keyevent 66", "input text 'two'", "input keyevent 61", "input text 'x'"]);
+		expect(buildInputTextCommands("abcdefgh", 3)).toEqual(["input text 'abc'", "input text 'def'", "input text 'gh'"]);
+	});
+
+	test("broadcast chunks keep surrogate pairs together", () => {
+		const commands = buildBroadcastCommands("🎬🎬🎬", 2);
+		expect(commands).toHaveLength(2);
+		const decoded = commands.map((c) => Buffer.from(c.split(" ").pop(), "base64").toString("utf8"));
+		expect(decoded).toEqual(["🎬🎬", "🎬"]);
+	});
+
+	test("keyboard.text escapes and chunks ASCII text", async () => {
+		const { remote, commands } = await createTextRemote();
+		await expect(remote.keyboard.text(`a "b" & c;`)).resolves.toBe("input");
+		expect(commands()).toEqual(["input text 'a%s\"b\"%s&%s'", "input text 'c;'"]);
+	});
+
+	test("keyboard.text types Unicode through ADBKeyboard and restores the IME", async () => {
+		const { remote, commands } = await createTextRemote((command) => {
+			if (command === "ime list -s") return "com.google.android.leanback.ime/.LeanbackImeService\ncom.android.adbkeyboard/.AdbIME\n";
+			if (command === "settings get secure default_input_method") return "com.google.android.leanback.ime/.LeanbackImeService\n";
+			return "";
+		});
+		await expect(remote.keyboard.text("Café 東京")).resolves.toBe("adbkeyboard");
+		expect(commands()).toEqual([
+			"ime list -s",
+			"settings get secure default_input_method",
+			"ime enable com.android.adbkeyboard/.AdbIME && ime set com.android.adbkeyboard/.AdbIME",
+			`am broadcast -a ADB_INPUT_B64 --es msg ${Buffer.from("Café 東京").toString("base64")}`,
+			"ime set 'com.google.android.leanback.ime/.LeanbackImeService'"
+		]);
+	});
+
+	test("keyboard.text rejects Unicode clearly when ADBKeyboard is missing", async () => {
+		const { remote, commands } = await createTextRemote();
+		const error = await remote.keyboard.text("naïve").catch((e) => e);
+		expect(error).toBeInstanceOf(UnsupportedOperationError);
+		expect(error.code).toBe("ERR_UNICODE_INPUT_UNSUPPORTED");
+		expect(error.message).toContain("ADBKeyboard");
+		expect(commands().some((c) => c.startsWith("input text"))).toBe(false);
+	});
+});
@@ -0,0 +1,72 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/touch.test.mjs
+ *	@Date: 2026-10-19 21:38:10 -07:00 (1792471090)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 21:38:10 -07:00 (1792471090)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { scalePoints, toPoint } from "../src/lib/touch.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Creates a connected remote with a 1920x1080 display.
+ * @param {Object} [options]
+ * @param {boolean} [options.dragAndDrop=true] - Whether `input draganddrop` exists.
+ * @returns {Promise<{ remote: Object, inputs: function(): string[] }>}
+ */
+async function createTouchRemote({ dragAndDrop = true } = {}) {
+	const client = createFakeClient({
+		shell: (command) => {
+			if (command.startsWith("echo '@@getprop'")) return "@@size\nPhysical size: 1920x1080\n";
+			if (command.startsWith("input draganddrop") && !dragAndDrop) return "Error: Unknown command: draganddrop\n";
+			return "";
+		}
+	});
+	const remote = await createTestRemote(client);
+	return { remote, inputs: () => client.commands.map((c) => c.command).filter((command) => command.startsWith("input ")) };
+}
+
+describe("touch", () => {
+	test("accepts points as arrays or objects and scales normalized points", () => {
+		expect(toPoint([10, 20])).toEqual({ x: 10, y: 20 });
+		expect(toPoint({ x: 0.5, y: 0.25 })).toEqual({ x: 0.5, y: 0.25 });
+		expect(() => toPoint({ x: 1 })).toThrow(TypeError);
+		expect(scalePoints([{ x: 0.5, y: 1 }], { width: 1920, height: 1080 }, true)).toEqual([{ x: 960, y: 1079 }]);
+		expect(() => scalePoints([{ x: -1, y: 5 }], null, false)).toThrow(RangeError);
+	});
+
+	test("tap and swipe use pixels or normalized coordinates", async () => {
+		const { remote, inputs } = await createTouchRemote();
+		await remote.touch.tap(100, 200);
+		await remote.touch.tap(0.5, 0.5);
+		await remote.touch.tap(1, 1, { normalized: false });
+		await remote.touch.swipe({ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, 250);
+		expect(inputs()).toEqual(["input tap 100 200", "input tap 960 540", "input tap 1 1", "input swipe 0 540 1919 540 250"]);
+		await remote.disconnect();
+	});
+
+	test("drag falls back to a slow swipe without draganddrop", async () => {
+		const { remote, inputs } = await createTouchRemote({ dragAndDrop: false });
+		await remote.touch.drag([100, 100], [500, 100]);
+		expect(inputs()).toEqual(["input draganddrop 100 100 500 100 1000", "input swipe 100 100 500 100 1000"]);
+		await remote.disconnect();
+	});
+
+	test("scroll swipes through the center against the scroll direction", async () => {
+		const { remote, inputs } = await createTouchRemote();
+		await remote.touch.scroll("down");
+		await remote.touch.scroll("left", 960);
+		expect(inputs()).toEqual(["input swipe 960 809 960 270 300", "input swipe 480 540 1439 540 300"]);
+		await expect(remote.touch.scroll("sideways")).rejects.toBeInstanceOf(TypeError);
+		await expect(remote.touch.scroll("down", -1)).rejects.toBeInstanceOf(TypeError);
+		await expect(remote.touch.tap("x", 1)).rejects.toBeInstanceOf(TypeError);
+		await expect(remote.touch.swipe([0, 0], [1, 1], -5)).rejects.toBeInstanceOf(TypeError);
+		await remote.disconnect();
+	});
+});
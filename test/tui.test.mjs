@@ -0,0 +1,75 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/tui.test.mjs
+ *	@Date: 2026-10-20 00:52:30 -07:00 (1792482750)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-20 00:52:30 -07:00 (1792482750)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { PassThrough } from "stream";
+import createTui, { resolveKeypress } from "../src/lib/tui.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+/**
+ * Starts a TUI on a fake device with in-memory input and output.
+ * @returns {Promise<Object>} { tui, done, type(text), output(), commands() }
+ */
+async function startTui() {
+	const client = createFakeClient({
+		shell: (command) => (command.includes("dumpsys activity") ? "  mResumedActivity: ActivityRecord{1 u0 com.example.tv/.MainActivity t1}\n" : "")
+	});
+	const remote = await createTestRemote(client);
+	const input = new PassThrough();
+	let text = "";
+	const output = { write: (chunk) => (text += chunk) };
+	const tui = createTui(remote, { input, output, appInterval: 60000 });
+	const done = tui.start();
+	return {
+		tui,
+		done,
+		// Keypress events are decoded asynchronously from the stream
+		type: async (keys) => {
+			input.write(keys);
+			await new Promise((resolve) => setImmediate(resolve));
+		},
+		output: () => text,
+		commands: () => client.commands.map((c) => c.command).filter((command) => command.startsWith("input "))
+	};
+}
+
+describe("tui", () => {
+	test("maps terminal keys to remote and keyboard actions", () => {
+		expect(resolveKeypress(undefined, { name: "up" })).toEqual({ kind: "press", name: "up" });
+		expect(resolveKeypress("\r", { name: "return" })).toEqual({ kind: "press", name: "ok" });
+		expect(resolveKeypress("\x7f", { name: "backspace" })).toEqual({ kind: "press", name: "back" });
+		expect(resolveKeypress("a", { name: "a" })).toEqual({ kind: "key", name: "a" });
+		expect(resolveKeypress("A", { name: "a", shift: true })).toEqual({ kind: "shift", name: "a" });
+		expect(resolveKeypress("@", {})).toEqual({ kind: "text", name: "@" });
+		expect(resolveKeypress("\x14", { name: "t", ctrl: true })).toEqual({ kind: "typeMode" });
+		expect(resolveKeypress("\x03", { name: "c", ctrl: true })).toEqual({ kind: "quit" });
+		expect(resolveKeypress("\x01", { name: "a", ctrl: true })).toBeNull();
+	});
+
+	test("sends keys in order and shows latency and the foreground app", async () => {
+		const { tui, done, type, output, commands } = await startTui();
+		await type("\x1b[A\x1b[C\r\x7f");
+		await tui.stop();
+		await done;
+		expect(commands()).toEqual(["input keyevent 19", "input keyevent 22", "input keyevent 23", "input keyevent 4"]);
+		expect(output()).toMatch(/\[connected\] {2}press\.back \d+ms {2}app: com\.example\.tv/);
+	});
+
+	test("type mode edits a line locally and sends it with keyboard.text", async () => {
+		const { done, type, output, commands } = await startTui();
+		await type("\x14hi tv\x7f\x7fthere");
+		expect(output()).toContain("type> hi there");
+		await type("\r\x14\x03");
+		await done;
+		expect(commands()).toEqual(["input text 'hi%sthere'"]);
+	});
+});
@@ -0,0 +1,74 @@
+/**
+ *	@Project: @cldmv/node-android-tv-remote
+ *	@Filename: /test/ui.test.mjs
+ *	@Date: 2026-10-19 22:47:21 -07:00 (1792475241)
+ *	@Author: Nate Hyson <CLDMV>
+ *	@Email: <Shinrai@users.noreply.github.com>
+ *	-----
+ *	@Last modified by: Nate Hyson <CLDMV> (Shinrai@users.noreply.github.com)
+ *	@Last modified time: 2026-10-19 22:47:21 -07:00 (1792475241)
+ *	-----
+ *	@Copyright: Copyright (c) 2013-2026 Catalyzed Motivation Inc. All rights reserved.
+ */
+
+import { findNodes, parseUiHierarchy } from "../src/lib/ui.mjs";
+import { CommandFailedError, CommandTimeoutError } from "../src/lib/errors.mjs";
+import { createFakeClient, createTestRemote } from "./helpers/fake-adb.mjs";
+
+const UI_XML =
+	"<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>" +
+	'<hierarchy rotation="0">' +
+	'<node index="0" text="" resource-id="" class="android.widget.FrameLayout" package="com.example.tv" content-desc="" checkable="false" checked="false" clickable="false" enabled="true" focusable="false" focused="false" scrollable="false" long-clickable="false" password="false" selected="false" bounds="[0,0][1920,1080]">' +
+	'<node index="0" text="Tom &amp; Jerry" resource-id="com.example.tv:id/title" class="android.widget.TextView" package="com.example.tv" content-desc="" checkable="false" checked="false" clickable="false" enabled="true" focusable="false" focused="false" scrollable="false" long-clickable="false" password="false" selected="false" bounds="[96,80][800,140]" />' +
+	'<node index="1" text="" resource-id="com.example.tv:id/row" class="androidx.leanback.widget.HorizontalGridView" package="com.example.tv" content-desc="" checkable="false" checked="false" clickable="false" enabled="true" focusable="true" focused="true" scrollable="true" long-clickable="false" password="false" selected="false" bounds="[0,400][1920,700]">' +
+	'<node index="0" text="Play" resource-id="com.example.tv:id/card" class="android.widget.Button" package="com.example.tv" content-desc="Play episode 1" checkable="false" checked="false" clickable="true" enabled="true" focusable="true" focused="true" scrollable="false" long-clickable="false" password="false" selected="true" bounds="[96,420][396,680]" />' +
+	"</node></node></hierarchy>";
+
+/**
+ * Creates a connected remote whose uiautomator dumps come from a queue of outputs.
+ * @param {string[]} outputs - Successive dump outputs; the last one repeats.
+ * @returns {Promise<Object>}
+ */
+async function createUiRemote(outputs) {
+	const client = createFakeClient({ shell: (command) => (command.startsWith("uiautomator dump") ? (outputs.length > 1 ? outputs.shift() : outputs[0]) : "") });
+	const remote = await createTestRemote(client);
+	return remote;
+}
+
+describe("ui", () => {
+	test("parses the hierarchy into a typed node tree", () => {
+		const { rotation, roots, nodes } = parseUiHierarchy(UI_XML);
+		expect(rotation).toBe(0);
+		expect(roots).toHaveLength(1);
+		expect(nodes).toHaveLength(4);
+		expect(roots[0].children.map((node) => node.resourceId)).toEqual(["com.example.tv:id/title", "com.example.tv:id/row"]);
+		expect(nodes[1]).toMatchObject({ text: "Tom & Jerry", className: "android.widget.TextView", focused: false, children: [] });
+		expect(nodes[3]).toMatchObject({ clickable: true, selected: true, contentDesc: "Play episode 1" });
+		expect(nodes[3].bounds).toEqual({ left: 96, top: 420, right: 396, bottom: 680, width: 300, height: 260, centerX: 246, centerY: 550 });
+		expect(() => parseUiHierarchy("ERROR: could not get idle state.")).toThrow(CommandFailedError);
+	});
+
+	test("matches selectors by full or short id and class name, RegExp and flags", () => {
+		const hierarchy = parseUiHierarchy(UI_XML);
+		expect(findNodes(hierarchy, { id: "title" })[0].text).toBe("Tom & Jerry");
+		expect(findNodes(hierarchy, { id: "com.example.tv:id/card", className: "Button" })).toHaveLength(1);
+		expect(findNodes(hierarchy, { text: /jerry/i })).toHaveLength(1);
+		expect(findNodes(hierarchy, { focusable: true })).toHaveLength(2);
+		expect(findNodes(hierarchy, (node) => node.bounds.width === 1920)).toHaveLength(2);
+		expect(() => findNodes(hierarchy, { colour: "red" })).toThrow(TypeError);
+	});
+
+	test("find and getFocused read a fresh dump", async () => {
+		const remote = await createUiRemote([UI_XML]);
+		await expect(remote.ui.find({ className: "TextView" })).resolves.toEqual([expect.objectContaining({ text: "Tom & Jerry" })]);
+		await expect(remote.ui.getFocused()).resolves.toMatchObject({ text: "Play" });
+		await remote.disconnect();
+	});
+
+	test("waitFor polls through idle-state failures until the node appears", async () => {
+		const remote = await createUiRemote(["ERROR: could not get idle state.", '<hierarchy rotation="0"></hierarchy>', UI_XML]);
+		await expect(remote.ui.waitFor({ text: "Play" }, { interval: 5, timeout: 2000 })).resolves.toMatchObject({ resourceId: "com.example.tv:id/card" });
+		await expect(remote.ui.waitFor({ text: "Pause" }, { interval: 5, timeout: 50 })).rejects.toBeInstanceOf(CommandTimeoutError);
+		await remote.disconnect();
+	});
+});